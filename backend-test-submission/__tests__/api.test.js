@@ -0,0 +1,1693 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { createLogger } = require('../../logging-middleware/logger');
+const { createApp } = require('../app');
+const { SqliteStorage, MemoryStorage } = require('../storage');
+const { createApiKey, revokeApiKey } = require('../utils/apiKeys');
+const { createCsvLookup } = require('../utils/geoip');
+const { verifySignature } = require('../utils/webhooks');
+const { publishExpiredLinks } = require('../jobs/webhooks');
+
+const BASE_URL = 'https://sho.rt';
+
+// supertest connects over loopback, so that is where the test clicks come from
+const geoip = createCsvLookup([
+  '127.0.0.0,127.255.255.255,NZ,Wellington,Wellington',
+  '::1,::1,NZ,Wellington,Wellington'
+].join('\n'));
+
+/**
+ * The same scenarios run against a temporary SQLite file and the in-memory adapter
+ */
+const drivers = [
+  ['sqlite', (dir) => new SqliteStorage({ filename: path.join(dir, 'test.db'), logger: createLogger({ transports: [] }) })],
+  ['memory', () => new MemoryStorage()]
+];
+
+describe.each(drivers)('URL shortener API (%s storage)', (_driver, createStorage) => {
+  let dir;
+  let storage;
+  let logger;
+  let app;
+  let key;
+  let otherKey;
+
+  const auth = (apiKey = key) => ({ Authorization: `Bearer ${apiKey}` });
+
+  /**
+   * First page of a link's click history, newest first
+   */
+  const listClicks = async (shortcode, target = app) => {
+    const res = await request(target).get(`/shorturls/${shortcode}/clicks?limit=100`).set(auth());
+    return res.body.clicks;
+  };
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'urlshortener-test-'));
+    storage = await createStorage(dir).initialize();
+    logger = createLogger({ transports: [{ type: 'memory' }] });
+    app = createApp({ storage, logger, config: { baseUrl: BASE_URL }, geoip });
+    key = (await createApiKey(storage, 'alice')).key;
+    otherKey = (await createApiKey(storage, 'bob')).key;
+  });
+
+  afterAll(async () => {
+    await logger.close();
+    await storage.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log.mockRestore();
+  });
+
+  describe('authentication', () => {
+    it('rejects requests without an API key', async () => {
+      const res = await request(app).post('/shorturls').send({ url: 'https://example.com' });
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('Authentication required');
+    });
+
+    it('rejects unknown and revoked keys', async () => {
+      const revoked = await createApiKey(storage, 'carol');
+      await revokeApiKey(storage, revoked.id);
+
+      for (const apiKey of ['usk_unknown', revoked.key]) {
+        const res = await request(app).get('/api/all-urls').set(auth(apiKey));
+        expect(res.status).toBe(401);
+        expect(res.body.error).toBe('Invalid API key');
+      }
+    });
+
+    it('lets an owner claim links created before API keys existed', async () => {
+      const lena = (await createApiKey(storage, 'lena')).key;
+      await storage.createLink({
+        shortcode: 'legacy1',
+        originalUrl: 'https://example.com/legacy',
+        expiresAt: new Date(Date.now() + 3600000).toISOString(),
+        validityMinutes: 60,
+        ownerId: null
+      });
+      await request(app).get('/shorturls/legacy1').set(auth(lena)).expect(404);
+
+      expect(await storage.claimUnownedLinks('lena')).toBe(1);
+      expect(await storage.claimUnownedLinks('lena')).toBe(0);
+      await request(app).get('/shorturls/legacy1').set(auth(lena)).expect(200);
+      await request(app).get('/shorturls/legacy1').set(auth()).expect(404);
+    });
+
+    it('leaves redirects and the health check public', async () => {
+      const res = await request(app).get('/health');
+
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe('OK');
+    });
+  });
+
+  describe('POST /shorturls', () => {
+    it('creates a short URL with a generated shortcode', async () => {
+      const res = await request(app).post('/shorturls').set(auth()).send({ url: 'https://example.com/generated' });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({
+        originalUrl: 'https://example.com/generated',
+        validityMinutes: 30,
+        shortcode: expect.stringMatching(/^[a-zA-Z0-9]{6}$/)
+      });
+      expect(res.body.shortLink).toBe(`${BASE_URL}/${res.body.shortcode}`);
+      expect(Date.parse(res.body.expiry) - Date.now()).toBeGreaterThan(29 * 60 * 1000);
+    });
+
+    it('creates a short URL with a custom shortcode and validity', async () => {
+      const res = await request(app)
+        .post('/shorturls')
+        .set(auth())
+        .send({ url: 'https://example.com/custom', shortcode: 'custom1', validity: 5 });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({ shortcode: 'custom1', validityMinutes: 5, shortLink: `${BASE_URL}/custom1` });
+    });
+
+    it('answers 409 for a shortcode that is already in use', async () => {
+      await request(app).post('/shorturls').set(auth()).send({ url: 'https://example.com', shortcode: 'dupe1' });
+      const res = await request(app)
+        .post('/shorturls')
+        .set(auth(otherKey))
+        .send({ url: 'https://example.org', shortcode: 'dupe1' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toBe('Shortcode already exists');
+    });
+
+    it.each([
+      [{}, 'URL is required'],
+      [{ url: 'example.com' }, 'Invalid URL format'],
+      [{ url: 'https://example.com', validity: 0 }, 'Invalid validity period'],
+      [{ url: 'https://example.com', validity: 10081 }, 'Invalid validity period'],
+      [{ url: 'https://example.com', shortcode: 'no-dashes' }, 'Invalid shortcode format']
+    ])('answers 400 for %j', async (body, error) => {
+      const res = await request(app).post('/shorturls').set(auth()).send(body);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe(error);
+    });
+  });
+
+  describe('POST /shorturls/batch', () => {
+    it('reports per-entry results with 207 on partial success', async () => {
+      const res = await request(app)
+        .post('/shorturls/batch')
+        .set(auth())
+        .send({ urls: [{ url: 'https://example.com/a' }, { url: 'bad' }, { url: 'https://example.com/c', shortcode: 'batch1' }] });
+
+      expect(res.status).toBe(207);
+      expect(res.body.summary).toEqual({ total: 3, succeeded: 2, failed: 1 });
+      expect(res.body.results[1]).toMatchObject({ index: 1, success: false, error: 'Invalid URL format' });
+      expect(res.body.results[2]).toMatchObject({ index: 2, success: true, shortcode: 'batch1' });
+    });
+
+    it('stores nothing when an atomic batch has an invalid entry', async () => {
+      const res = await request(app)
+        .post('/shorturls/batch')
+        .set(auth())
+        .send({ atomic: true, urls: [{ url: 'https://example.com', shortcode: 'atomic1' }, { url: 'bad' }] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.results[0].error).toBe('Not created');
+      expect(await storage.findByShortcode('atomic1')).toBeNull();
+    });
+
+    it('creates concurrent batches independently', async () => {
+      const batch = shortcodes => request(app).post('/shorturls/batch').set(auth())
+        .send({ urls: shortcodes.map(shortcode => ({ url: 'https://example.com', shortcode })) });
+
+      const responses = await Promise.all([batch(['para1', 'para2']), batch(['para3', 'para4'])]);
+
+      expect(responses.map(res => res.status)).toEqual([201, 201]);
+      for (const shortcode of ['para1', 'para2', 'para3', 'para4']) {
+        expect(await storage.findByShortcode(shortcode)).not.toBeNull();
+      }
+    });
+
+    it('stores concurrent batches side by side', async () => {
+      const link = shortcode => ({
+        shortcode,
+        originalUrl: 'https://example.com',
+        expiresAt: new Date(Date.now() + 60000).toISOString(),
+        validityMinutes: 1,
+        ownerId: 'alice'
+      });
+
+      const results = await Promise.all([
+        storage.createLinks([link('side1'), link('side2')]),
+        storage.createLinks([link('side3'), link('side4')], { atomic: true })
+      ]);
+
+      expect(results).toEqual([{ committed: true, errors: [null, null] }, { committed: true, errors: [null, null] }]);
+    });
+
+    it('keeps writes of other requests when an atomic batch fails', async () => {
+      const link = shortcode => ({
+        shortcode,
+        originalUrl: 'https://example.com',
+        expiresAt: new Date(Date.now() + 60000).toISOString(),
+        validityMinutes: 1,
+        ownerId: 'alice'
+      });
+      await storage.createLink(link('taken1'));
+
+      const [batch] = await Promise.all([
+        storage.createLinks([link('atomic2'), link('taken1')], { atomic: true }),
+        storage.createLink(link('bystander1')),
+        storage.recordClick({ shortcode: 'taken1', referrer: null, ipAddress: '127.0.0.1', userAgent: null })
+      ]);
+
+      expect(batch.committed).toBe(false);
+      expect(batch.errors[0]).toBeNull();
+      expect(batch.errors[1].message).toMatch(/UNIQUE/);
+      expect(await storage.findByShortcode('atomic2')).toBeNull();
+      expect(await storage.findByShortcode('bystander1')).not.toBeNull();
+      expect((await storage.getClickCounts('taken1')).totalClicks).toBe(1);
+    });
+
+    it('answers 500 with per-entry results when a non-atomic batch cannot be saved', async () => {
+      const createLinks = jest.spyOn(storage, 'createLinks')
+        .mockResolvedValueOnce({ committed: false, errors: [null, null], error: new Error('disk I/O error') });
+
+      try {
+        const res = await request(app)
+          .post('/shorturls/batch')
+          .set(auth())
+          .send({ urls: [{ url: 'https://example.com/a', shortcode: 'unsaved1' }, { url: 'bad' }, { url: 'https://example.com/c' }] });
+
+        expect(res.status).toBe(500);
+        expect(res.body.error).toBe('Server error');
+        expect(res.body.summary).toEqual({ total: 3, succeeded: 0, failed: 3 });
+        expect(res.body.results[0]).toMatchObject({ index: 0, success: false, error: 'Not created', message: 'The batch could not be saved' });
+        expect(res.body.results[1]).toMatchObject({ index: 1, success: false, error: 'Invalid URL format' });
+        expect(res.body.results[2]).toMatchObject({ index: 2, success: false, error: 'Not created' });
+      } finally {
+        createLinks.mockRestore();
+      }
+    });
+  });
+
+  describe('GET /:shortcode', () => {
+    it('redirects and records the click', async () => {
+      await request(app).post('/shorturls').set(auth()).send({ url: 'https://example.com/target', shortcode: 'go1' });
+
+      const res = await request(app).get('/go1').set('Referer', 'https://ref.example').set('User-Agent', 'jest');
+
+      expect(res.status).toBe(302);
+      expect(res.headers.location).toBe('https://example.com/target');
+
+      const stats = await request(app).get('/shorturls/go1').set(auth());
+      expect(stats.body.totalClicks).toBe(1);
+      expect((await listClicks('go1'))[0]).toMatchObject({ referrer: 'https://ref.example', userAgent: 'jest' });
+    });
+
+    it('answers 404 for unknown shortcodes', async () => {
+      const res = await request(app).get('/missing1');
+
+      expect(res.status).toBe(404);
+    });
+
+    it('answers 410 for expired links', async () => {
+      await request(app).post('/shorturls').set(auth()).send({ url: 'https://example.com', shortcode: 'old1' });
+      await storage.updateLink('old1', { expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+      const res = await request(app).get('/old1');
+
+      expect(res.status).toBe(410);
+      expect(res.body.error).toBe('Short URL expired');
+    });
+
+    it('answers 410 for deleted links', async () => {
+      await request(app).post('/shorturls').set(auth()).send({ url: 'https://example.com', shortcode: 'gone1' });
+      await request(app).delete('/shorturls/gone1').set(auth()).expect(200);
+
+      const res = await request(app).get('/gone1');
+
+      expect(res.status).toBe(410);
+      expect(res.body.error).toBe('Short URL deleted');
+    });
+  });
+
+  describe('GET /shorturls/:shortcode', () => {
+    it('returns statistics for the owner only', async () => {
+      await request(app).post('/shorturls').set(auth()).send({ url: 'https://example.com', shortcode: 'stats1' });
+
+      const own = await request(app).get('/shorturls/stats1').set(auth());
+      expect(own.status).toBe(200);
+      expect(own.body).toMatchObject({
+        shortcode: 'stats1',
+        originalUrl: 'https://example.com',
+        totalClicks: 0,
+        isExpired: false,
+        isDeleted: false
+      });
+      expect(own.body).not.toHaveProperty('clickDetails');
+
+      const other = await request(app).get('/shorturls/stats1').set(auth(otherKey));
+      expect(other.status).toBe(404);
+    });
+  });
+
+  describe('user-agent breakdowns', () => {
+    const agents = {
+      chromeDesktop: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+      safariPhone: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Mobile/15E148 Safari/604.1',
+      googlebot: 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)'
+    };
+
+    it('parses the user agent on redirect and aggregates the parsed columns', async () => {
+      await request(app).post('/shorturls').set(auth()).send({ url: 'https://example.com', shortcode: 'agents1' });
+      for (const userAgent of [agents.chromeDesktop, agents.chromeDesktop, agents.safariPhone, agents.googlebot]) {
+        await request(app).get('/agents1').set('User-Agent', userAgent).expect(302);
+      }
+      await request(app).get('/agents1').set('User-Agent', '').expect(302);
+
+      const res = await request(app).get('/shorturls/agents1').set(auth());
+
+      expect(res.body.breakdowns).toEqual({
+        browser: [
+          { name: 'Chrome', clicks: 2 },
+          { name: 'Unknown', clicks: 1 },
+          { name: 'Googlebot', clicks: 1 },
+          { name: 'Safari', clicks: 1 }
+        ],
+        os: [
+          { name: 'Unknown', clicks: 2 },
+          { name: 'Windows', clicks: 2 },
+          { name: 'iOS', clicks: 1 }
+        ],
+        deviceType: [
+          { name: 'Unknown', clicks: 2 },
+          { name: 'desktop', clicks: 2 },
+          { name: 'mobile', clicks: 1 }
+        ],
+        traffic: [
+          { name: 'human', clicks: 3 },
+          { name: 'bot', clicks: 2 }
+        ],
+        country: [
+          { name: 'NZ', clicks: 5 }
+        ],
+        referrerDomain: [
+          { name: 'None', clicks: 5 }
+        ],
+        referrerSource: [
+          { name: 'direct', clicks: 5 }
+        ]
+      });
+      expect(await listClicks('agents1')).toContainEqual(expect.objectContaining({
+        userAgent: agents.safariPhone,
+        browser: 'Safari',
+        browserVersion: '17',
+        os: 'iOS',
+        deviceType: 'mobile',
+        isBot: false,
+        country: 'NZ',
+        region: 'Wellington',
+        city: 'Wellington'
+      }));
+    });
+
+    it('returns empty breakdowns for links without clicks', async () => {
+      await request(app).post('/shorturls').set(auth()).send({ url: 'https://example.com', shortcode: 'agents2' });
+
+      const res = await request(app).get('/shorturls/agents2').set(auth());
+
+      expect(res.body.breakdowns).toEqual({
+        browser: [],
+        os: [],
+        deviceType: [],
+        traffic: [],
+        country: [],
+        referrerDomain: [],
+        referrerSource: []
+      });
+    });
+  });
+
+  describe('privacy', () => {
+    const userAgent = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10.15; rv:121.0) Gecko/20100101 Firefox/121.0';
+
+    it('anonymises clicks from visitors sending DNT or Sec-GPC', async () => {
+      await request(app).post('/shorturls').set(auth()).send({ url: 'https://example.com', shortcode: 'private1' });
+      await request(app).get('/private1').set('User-Agent', userAgent).set('Referer', 'https://ref.example').set('DNT', '1').expect(302);
+      await request(app).get('/private1').set('User-Agent', userAgent).set('Sec-GPC', '1').expect(302);
+
+      const res = await request(app).get('/shorturls/private1').set(auth());
+
+      expect(res.body.totalClicks).toBe(2);
+      expect(res.body.humanClicks).toBe(2);
+      expect(res.body.privacy).toEqual({
+        ipAddresses: 'full',
+        userAgents: 'stored',
+        honorsOptOut: true,
+        retentionDays: null,
+        retentionMode: null
+      });
+      (await listClicks('private1')).forEach((click) => {
+        expect(click).toMatchObject({
+          ipAddress: null,
+          userAgent: null,
+          referrer: null,
+          city: null,
+          browser: 'Firefox',
+          country: 'NZ',
+          redacted: ['ipAddress', 'userAgent', 'referrer', 'region', 'city']
+        });
+      });
+    });
+
+    it('applies the configured IP and user-agent policy', async () => {
+      const privateApp = createApp({
+        storage,
+        logger,
+        geoip,
+        config: {
+          baseUrl: BASE_URL,
+          privacy: { ipMode: 'truncate', storeUserAgent: false, retentionDays: 30, retentionMode: 'anonymize' }
+        }
+      });
+      await request(privateApp).post('/shorturls').set(auth()).send({ url: 'https://example.com', shortcode: 'private2' });
+      await request(privateApp).get('/private2').set('User-Agent', userAgent).expect(302);
+
+      const res = await request(privateApp).get('/shorturls/private2').set(auth());
+
+      expect(res.body.privacy).toMatchObject({ ipAddresses: 'truncated', userAgents: 'not stored', retentionDays: 30 });
+      const [click] = await listClicks('private2', privateApp);
+      expect(click).toMatchObject({
+        userAgent: null,
+        browser: 'Firefox',
+        referrer: 'Direct',
+        redacted: ['ipAddress', 'userAgent']
+      });
+      // supertest connects over IPv4 or IPv6 loopback depending on the platform
+      expect(['127.0.0.0', '::']).toContain(click.ipAddress);
+    });
+
+    it('tells people from bots by the user agent they sent, even when it is not stored', async () => {
+      const privateApp = createApp({
+        storage,
+        logger,
+        geoip,
+        config: { baseUrl: BASE_URL, privacy: { storeUserAgent: false } }
+      });
+      await request(privateApp).post('/shorturls').set(auth()).send({ url: 'https://example.com', shortcode: 'private3', maxClicks: 1 });
+
+      const statuses = [];
+      for (let visit = 0; visit < 3; visit++) {
+        statuses.push((await request(privateApp).get('/private3').set('User-Agent', userAgent)).status);
+      }
+      await request(privateApp).get('/private3').set('User-Agent', 'Googlebot/2.1').expect(410);
+
+      const res = await request(privateApp).get('/shorturls/private3').set(auth());
+      expect(statuses).toEqual([302, 410, 410]);
+      expect(res.body).toMatchObject({ totalClicks: 1, humanClicks: 1, uniqueVisitors: 1, remainingClicks: 0 });
+    });
+
+    it('lets visitors who opted out use a click-limited link', async () => {
+      await request(app).post('/shorturls').set(auth()).send({ url: 'https://example.com', shortcode: 'private4', maxClicks: 1 });
+
+      await request(app).get('/private4').set('User-Agent', userAgent).set('DNT', '1').expect(302);
+      await request(app).get('/private4').set('User-Agent', userAgent).set('DNT', '1').expect(410);
+
+      const res = await request(app).get('/shorturls/private4').set(auth());
+      expect(res.body).toMatchObject({ totalClicks: 1, humanClicks: 1, remainingClicks: 0 });
+    });
+  });
+
+  describe('visitor counts', () => {
+    const agents = {
+      chrome: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+      safari: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Mobile/15E148 Safari/604.1',
+      slack: 'Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)'
+    };
+
+    it('separates total clicks, human clicks and unique visitors', async () => {
+      await request(app).post('/shorturls').set(auth()).send({ url: 'https://example.com', shortcode: 'visitors1' });
+      await request(app).get('/visitors1').set('User-Agent', agents.chrome).expect(302);
+      await request(app).get('/visitors1').set('User-Agent', agents.chrome).expect(302);
+      await request(app).get('/visitors1').set('User-Agent', agents.safari).expect(302);
+      await request(app).get('/visitors1').set('User-Agent', agents.slack).expect(302);
+      await request(app).get('/visitors1').set('User-Agent', agents.chrome).set('Sec-Purpose', 'prefetch').expect(302);
+      await request(app).head('/visitors1').set('User-Agent', agents.chrome).expect(302);
+
+      const res = await request(app).get('/shorturls/visitors1').set(auth());
+
+      expect(res.body).toMatchObject({ totalClicks: 6, humanClicks: 3, uniqueVisitors: 2 });
+      expect((await listClicks('visitors1')).filter(click => click.isUnique)).toHaveLength(2);
+
+      const list = await request(app).get('/api/all-urls?q=visitors1').set(auth());
+      expect(list.body.urls[0]).toMatchObject({
+        total_clicks: 6,
+        human_clicks: 3,
+        unique_visitors: 2
+      });
+    });
+
+    it('counts a visitor again once the window has passed', async () => {
+      await request(app).post('/shorturls').set(auth()).send({ url: 'https://example.com', shortcode: 'visitors2' });
+      const clicks = [
+        ['2020-01-01 00:00:00', 'abc', false],
+        ['2020-01-01 00:30:00', 'abc', false],
+        ['2020-01-01 01:31:00', 'abc', false],
+        ['2020-01-01 03:00:00', 'abc', true],
+        ['2020-01-01 03:01:00', 'abc', false],
+        ['2020-01-01 03:02:00', null, false],
+        ['2020-01-01 03:03:00', null, false]
+      ];
+      for (const [clickedAt, fingerprint, isBot] of clicks) {
+        await storage.recordClick({ shortcode: 'visitors2', clickedAt, fingerprint, isBot }, { windowMinutes: 60 });
+      }
+
+      const stored = await storage.getClicks('visitors2');
+
+      expect(stored.map(click => click.isUnique).reverse()).toEqual([true, false, true, false, true, true, true]);
+      expect(stored[0]).not.toHaveProperty('fingerprint');
+    });
+  });
+
+  describe('referrers and campaigns', () => {
+    const utm = { source: 'newsletter', medium: 'email', campaign: 'spring' };
+
+    it('groups referrers by domain and source', async () => {
+      await request(app).post('/shorturls').set(auth()).send({ url: 'https://example.com', shortcode: 'refs1' });
+      for (const referrer of ['https://www.google.com/search?q=x', 'https://t.co/abc', 'https://twitter.com/someone', 'https://mail.google.com/mail/u/0/']) {
+        await request(app).get('/refs1').set('Referer', referrer).expect(302);
+      }
+      await request(app).get('/refs1').expect(302);
+
+      const res = await request(app).get('/shorturls/refs1').set(auth());
+
+      expect(res.body.breakdowns.referrerDomain).toEqual([
+        { name: 'x.com', clicks: 2 },
+        { name: 'None', clicks: 1 },
+        { name: 'google.com', clicks: 1 },
+        { name: 'mail.google.com', clicks: 1 }
+      ]);
+      expect(res.body.breakdowns.referrerSource).toEqual([
+        { name: 'social', clicks: 2 },
+        { name: 'direct', clicks: 1 },
+        { name: 'email', clicks: 1 },
+        { name: 'search', clicks: 1 }
+      ]);
+      expect(await listClicks('refs1')).toContainEqual(expect.objectContaining({
+        referrer: 'https://t.co/abc',
+        referrerDomain: 'x.com',
+        referrerSource: 'social'
+      }));
+    });
+
+    it('stores UTM tags and appends them on redirect', async () => {
+      const created = await request(app).post('/shorturls').set(auth())
+        .send({ url: 'https://example.com/page?utm_source=old&ref=1', shortcode: 'utm1', utm });
+
+      expect(created.status).toBe(201);
+      expect(created.body.utm).toEqual({ ...utm, term: null, content: null });
+
+      const res = await request(app).get('/utm1').expect(302);
+      expect(res.headers.location).toBe('https://example.com/page?utm_source=newsletter&ref=1&utm_medium=email&utm_campaign=spring');
+
+      const stats = await request(app).get('/shorturls/utm1').set(auth());
+      expect(stats.body.utm).toEqual({ ...utm, term: null, content: null });
+    });
+
+    it('rejects invalid UTM tags', async () => {
+      const unknown = await request(app).post('/shorturls').set(auth()).send({ url: 'https://example.com', utm: { id: 'x' } });
+      const notString = await request(app).post('/shorturls').set(auth()).send({ url: 'https://example.com', utm: { source: 5 } });
+
+      expect(unknown.status).toBe(400);
+      expect(unknown.body.error).toBe('Invalid UTM parameters');
+      expect(notString.status).toBe(400);
+    });
+
+    it('updates and clears UTM tags', async () => {
+      await request(app).post('/shorturls').set(auth()).send({ url: 'https://example.com', shortcode: 'utm2', utm });
+
+      const updated = await request(app).patch('/shorturls/utm2').set(auth()).send({ utm: { campaign: 'summer' } });
+      expect(updated.body.utm).toEqual({ source: null, medium: null, campaign: 'summer', term: null, content: null });
+
+      const cleared = await request(app).patch('/shorturls/utm2').set(auth()).send({ utm: null });
+      expect(cleared.body.utm).toBeNull();
+
+      const res = await request(app).get('/utm2').expect(302);
+      expect(res.headers.location).toBe('https://example.com');
+    });
+
+    it('breaks clicks down per campaign', async () => {
+      const daveAuth = auth((await createApiKey(storage, 'dave')).key);
+      await request(app).post('/shorturls/batch').set(daveAuth).send({
+        urls: [
+          { url: 'https://example.com/a', shortcode: 'camp1', utm },
+          { url: 'https://example.com/b', shortcode: 'camp2', utm },
+          { url: 'https://example.com/c', shortcode: 'camp3', utm: { ...utm, source: 'x' } },
+          { url: 'https://example.com/d', shortcode: 'camp4' }
+        ]
+      }).expect(201);
+      for (const shortcode of ['camp1', 'camp2', 'camp2', 'camp3', 'camp4']) {
+        await request(app).get(`/${shortcode}`).set('User-Agent', 'Mozilla/5.0 Firefox/121.0').expect(302);
+      }
+
+      const res = await request(app).get('/api/campaigns').set(daveAuth);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual([
+        { campaign: 'spring', source: 'newsletter', medium: 'email', links: 2, totalClicks: 3, humanClicks: 3, uniqueVisitors: 2 },
+        { campaign: 'spring', source: 'x', medium: 'email', links: 1, totalClicks: 1, humanClicks: 1, uniqueVisitors: 1 }
+      ]);
+    });
+  });
+
+  describe('click export', () => {
+    const browser = 'Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0';
+
+    it('streams one link as CSV, oldest click first', async () => {
+      await request(app).post('/shorturls').set(auth()).send({ url: 'https://example.com', shortcode: 'exp1' });
+      await request(app).get('/exp1').set('User-Agent', browser).set('Referer', 'https://www.google.com/').expect(302);
+      await request(app).get('/exp1').set('User-Agent', 'Agent "quoted", with comma').set('Referer', '=HYPERLINK("x")').expect(302);
+
+      const res = await request(app).get('/shorturls/exp1/clicks/export').set(auth());
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+      expect(res.headers['content-disposition']).toBe('attachment; filename="exp1-clicks.csv"');
+
+      const lines = res.text.split('\r\n');
+      expect(lines).toHaveLength(4);
+      expect(lines[0]).toBe('shortcode,clickedAt,referrer,referrerDomain,referrerSource,ipAddress,userAgent,browser,'
+        + 'browserVersion,os,deviceType,isBot,isUnique,country,region,city,redacted');
+      expect(lines[1]).toMatch(/^exp1,\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2},https:\/\/www\.google\.com\/,google\.com,search,/);
+      expect(lines[1]).toContain(',Firefox,121,Linux,desktop,false,true,NZ,Wellington,Wellington,');
+      expect(lines[2]).toContain(`,"'=HYPERLINK(""x"")",,other,`);
+      expect(lines[2]).toContain(',"Agent ""quoted"", with comma",');
+      expect(lines[3]).toBe('');
+    });
+
+    it('streams JSON Lines', async () => {
+      const res = await request(app).get('/shorturls/exp1/clicks/export?format=jsonl').set(auth()).buffer(true);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('application/x-ndjson; charset=utf-8');
+      expect(res.headers['content-disposition']).toBe('attachment; filename="exp1-clicks.jsonl"');
+
+      const records = res.text.trim().split('\n').map(line => JSON.parse(line));
+      expect(records).toHaveLength(2);
+      expect(records[0]).toEqual(expect.objectContaining({
+        shortcode: 'exp1',
+        referrerDomain: 'google.com',
+        browser: 'Firefox',
+        isBot: false,
+        redacted: []
+      }));
+      expect(records[1].referrer).toBe('=HYPERLINK("x")');
+    });
+
+    it("exports all of the caller's links, deleted ones included", async () => {
+      const erin = (await createApiKey(storage, 'erin')).key;
+      await request(app).post('/shorturls').set(auth(erin)).send({ url: 'https://example.com', shortcode: 'exp2' });
+      await request(app).post('/shorturls').set(auth(erin)).send({ url: 'https://example.com', shortcode: 'exp3' });
+      await request(app).get('/exp2').expect(302);
+      await request(app).get('/exp3').expect(302);
+      await request(app).get('/exp2').expect(302);
+      await request(app).delete('/shorturls/exp3').set(auth(erin)).expect(200);
+
+      const res = await request(app).get('/api/export').set(auth(erin));
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-disposition']).toMatch(/^attachment; filename="clicks-\d{4}-\d{2}-\d{2}\.csv"$/);
+      const shortcodes = res.text.trim().split('\r\n').slice(1).map(line => line.split(',')[0]);
+      expect(shortcodes).toEqual(['exp2', 'exp3', 'exp2']);
+    });
+
+    it('answers 400 for unknown formats and 404 for links of other owners', async () => {
+      const invalid = await request(app).get('/shorturls/exp1/clicks/export?format=xlsx').set(auth());
+      const bulkInvalid = await request(app).get('/api/export?format=xml').set(auth());
+      const foreign = await request(app).get('/shorturls/exp1/clicks/export').set(auth(otherKey));
+
+      expect(invalid.status).toBe(400);
+      expect(invalid.body).toEqual({ error: 'Invalid export format', message: 'format must be one of: csv, jsonl' });
+      expect(bulkInvalid.status).toBe(400);
+      expect(foreign.status).toBe(404);
+    });
+  });
+
+  describe('click history', () => {
+    beforeAll(async () => {
+      await request(app).post('/shorturls').set(auth()).send({ url: 'https://example.com', shortcode: 'hist1' });
+
+      // Two clicks share a timestamp so the cursor has to break the tie on id
+      const clicks = [
+        ['2030-02-01 09:00:00', 'https://www.google.com/search', 'google.com', 'search', false],
+        ['2030-02-01 10:00:00', null, null, 'direct', false],
+        ['2030-02-01 10:00:00', 'https://t.co/abc', 'x.com', 'social', false],
+        ['2030-02-02 08:00:00', null, null, 'direct', true],
+        ['2030-02-03 12:00:00', 'https://news.example/post', 'news.example', 'other', false]
+      ];
+      for (const [clickedAt, referrer, referrerDomain, referrerSource, isBot] of clicks) {
+        await storage.recordClick({
+          shortcode: 'hist1', clickedAt, referrer, referrerDomain, referrerSource, isBot, ipAddress: '127.0.0.1', userAgent: null
+        });
+      }
+    });
+
+    it('pages through clicks newest first with a cursor', async () => {
+      const seen = [];
+      let cursor;
+      let pages = 0;
+      do {
+        const res = await request(app).get('/shorturls/hist1/clicks').query({ limit: 2, cursor }).set(auth());
+        expect(res.status).toBe(200);
+        expect(res.body.shortcode).toBe('hist1');
+        seen.push(...res.body.clicks.map(click => click.timestamp));
+        cursor = res.body.pagination.nextCursor;
+        expect(res.body.pagination.hasMore).toBe(cursor !== null);
+        pages++;
+      } while (cursor);
+
+      expect(pages).toBe(3);
+      expect(seen).toEqual([
+        '2030-02-03 12:00:00',
+        '2030-02-02 08:00:00',
+        '2030-02-01 10:00:00',
+        '2030-02-01 10:00:00',
+        '2030-02-01 09:00:00'
+      ]);
+    });
+
+    it('keeps its place when new clicks arrive between pages', async () => {
+      await request(app).post('/shorturls').set(auth()).send({ url: 'https://example.com', shortcode: 'hist2' });
+      await request(app).get('/hist2').expect(302);
+      await request(app).get('/hist2').expect(302);
+
+      const first = await request(app).get('/shorturls/hist2/clicks?limit=1').set(auth());
+      await request(app).get('/hist2').expect(302);
+      const second = await request(app).get('/shorturls/hist2/clicks')
+        .query({ limit: 1, cursor: first.body.pagination.nextCursor }).set(auth());
+
+      expect(second.body.clicks).toHaveLength(1);
+      expect(second.body.pagination).toEqual({ limit: 1, hasMore: false, nextCursor: null });
+    });
+
+    it('filters by date range, referrer and traffic', async () => {
+      const list = async query => (await request(app).get('/shorturls/hist1/clicks').query(query).set(auth())).body.clicks;
+
+      expect(await list({ from: '2030-02-01T10:00:00Z', to: '2030-02-02T23:59:59Z' })).toHaveLength(3);
+      expect(await list({ referrerDomain: 'www.google.com' })).toEqual([
+        expect.objectContaining({ referrer: 'https://www.google.com/search', referrerSource: 'search' })
+      ]);
+      expect(await list({ referrerSource: 'direct' })).toHaveLength(2);
+      expect((await list({ traffic: 'bot' })).map(click => click.isBot)).toEqual([true]);
+      expect(await list({ traffic: 'human', referrerSource: 'direct' })).toHaveLength(1);
+    });
+
+    it('answers 400 for invalid cursors and filters and 404 for links of other owners', async () => {
+      const badCursor = await request(app).get('/shorturls/hist1/clicks?cursor=nope').set(auth());
+      const badSource = await request(app).get('/shorturls/hist1/clicks?referrerSource=print').set(auth());
+      const badLimit = await request(app).get('/shorturls/hist1/clicks?limit=1000').set(auth());
+      const foreign = await request(app).get('/shorturls/hist1/clicks').set(auth(otherKey));
+
+      expect(badCursor.status).toBe(400);
+      expect(badCursor.body.error).toBe('Invalid pagination');
+      expect(badSource.status).toBe(400);
+      expect(badSource.body.error).toBe('Invalid filter');
+      expect(badLimit.status).toBe(400);
+      expect(foreign.status).toBe(404);
+    });
+  });
+
+  describe('live events', () => {
+    const chrome = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+    let server;
+    const streams = [];
+
+    /**
+     * Open GET /api/events on a real socket; next() resolves with the next parsed event
+     */
+    const openEventStream = (apiKey = key, target = server) => new Promise((resolve, reject) => {
+      const received = [];
+      const waiting = [];
+      const { port } = target.address();
+      const req = http.get({ host: '127.0.0.1', port, path: '/api/events', headers: auth(apiKey) }, (res) => {
+        let buffer = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          buffer += chunk;
+          let end;
+          while ((end = buffer.indexOf('\n\n')) !== -1) {
+            const fields = Object.fromEntries(buffer.slice(0, end).split('\n')
+              .filter(line => !line.startsWith(':'))
+              .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+            buffer = buffer.slice(end + 2);
+            if (fields.event) {
+              received.push({ id: Number(fields.id), type: fields.event, data: JSON.parse(fields.data) });
+              while (waiting.length && received.length) {
+                waiting.shift()(received.shift());
+              }
+            }
+          }
+        });
+
+        const stream = {
+          res,
+          next: () => new Promise(done => (received.length ? done(received.shift()) : waiting.push(done))),
+          pending: () => received.length,
+          close: () => req.destroy()
+        };
+        streams.push(stream);
+        resolve(stream);
+      });
+      req.on('error', reject);
+    });
+
+    beforeAll(async () => {
+      server = app.listen(0, '127.0.0.1');
+      await new Promise(done => server.once('listening', done));
+    });
+
+    afterAll(async () => {
+      streams.forEach(stream => stream.close());
+      await new Promise(done => server.close(done));
+    });
+
+    it('streams link-created and click events to the owner', async () => {
+      const stream = await openEventStream();
+
+      expect(stream.res.statusCode).toBe(200);
+      expect(stream.res.headers['content-type']).toBe('text/event-stream; charset=utf-8');
+      expect(stream.res.headers['cache-control']).toBe('no-cache, no-transform');
+
+      await request(app).post('/shorturls').set(auth()).send({ url: 'https://example.com/live', shortcode: 'live1' });
+      const created = await stream.next();
+      expect(created).toMatchObject({
+        type: 'link-created',
+        data: { shortcode: 'live1', originalUrl: 'https://example.com/live', shortLink: `${BASE_URL}/live1` }
+      });
+
+      await request(app).get('/live1').set('Referer', 'https://www.google.com/').set('User-Agent', chrome).expect(302);
+      const click = await stream.next();
+      expect(click.id).toBeGreaterThan(created.id);
+      expect(click).toMatchObject({
+        type: 'click',
+        data: {
+          shortcode: 'live1',
+          click: {
+            referrer: 'https://www.google.com/',
+            referrerDomain: 'google.com',
+            referrerSource: 'search',
+            browser: 'Chrome',
+            isBot: false,
+            isUnique: true,
+            country: 'NZ',
+            redacted: []
+          }
+        }
+      });
+      expect(click.data.click.timestamp).toMatch(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+    });
+
+    it("keeps other owners' events out of the stream", async () => {
+      const grace = (await createApiKey(storage, 'grace')).key;
+      const stream = await openEventStream(grace);
+
+      await request(app).post('/shorturls').set(auth()).send({ url: 'https://example.com', shortcode: 'live2' });
+      await request(app).get('/live2').expect(302);
+      await request(app).post('/shorturls').set(auth(grace)).send({ url: 'https://example.com', shortcode: 'live3' });
+
+      expect(await stream.next()).toMatchObject({ type: 'link-created', data: { shortcode: 'live3' } });
+      expect(stream.pending()).toBe(0);
+    });
+
+    it('publishes one event per link created in a batch', async () => {
+      const stream = await openEventStream();
+
+      await request(app).post('/shorturls/batch').set(auth()).send({
+        urls: [
+          { url: 'https://example.com/a', shortcode: 'livebatch1' },
+          { url: 'not a url' },
+          { url: 'https://example.com/b', shortcode: 'livebatch2' }
+        ]
+      }).expect(207);
+
+      const first = await stream.next();
+      const second = await stream.next();
+      expect([first.data.shortcode, second.data.shortcode]).toEqual(['livebatch1', 'livebatch2']);
+      expect(first.data).not.toHaveProperty('index');
+      expect(first.data).not.toHaveProperty('success');
+    });
+
+    it('requires an API key', async () => {
+      const res = await request(app).get('/api/events');
+
+      expect(res.status).toBe(401);
+    });
+
+    it('refuses streams beyond the configured limit', async () => {
+      const limitedApp = createApp({ storage, logger, geoip, config: { baseUrl: BASE_URL, events: { maxConnections: 1 } } });
+      const limitedServer = limitedApp.listen(0, '127.0.0.1');
+      await new Promise(done => limitedServer.once('listening', done));
+
+      try {
+        const open = await openEventStream(key, limitedServer);
+        expect(open.res.statusCode).toBe(200);
+
+        const refused = await request(limitedApp).get('/api/events').set(auth());
+        expect(refused.status).toBe(503);
+        expect(refused.body.error).toBe('Too many event streams');
+
+        open.close();
+      } finally {
+        await new Promise(done => limitedServer.close(done));
+      }
+    });
+  });
+
+  describe('password-protected links', () => {
+    let ivy;
+
+    const unlock = (shortcode, password) => request(app).post(`/${shortcode}`).type('form').send({ password });
+
+    beforeAll(async () => {
+      ivy = (await createApiKey(storage, 'ivy')).key;
+    });
+
+    it('stores a hash and reports the link as protected', async () => {
+      const res = await request(app).post('/shorturls').set(auth(ivy))
+        .send({ url: 'https://example.com/secret', shortcode: 'lock1', password: 'open sesame' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.passwordProtected).toBe(true);
+      expect((await storage.findByShortcode('lock1')).passwordHash).toMatch(/^scrypt\$/);
+
+      const stats = await request(app).get('/shorturls/lock1').set(auth(ivy));
+      expect(stats.body.passwordProtected).toBe(true);
+      const list = await request(app).get('/api/all-urls').set(auth(ivy));
+      expect(list.body.urls[0]).toMatchObject({ shortcode: 'lock1', password_protected: true });
+    });
+
+    it('serves the unlock form instead of redirecting, without counting a click', async () => {
+      const res = await request(app).get('/lock1');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/^text\/html/);
+      expect(res.headers['cache-control']).toBe('no-store');
+      expect(res.text).toContain('<form method="post" action="./lock1">');
+      expect((await storage.getClickCounts('lock1')).totalClicks).toBe(0);
+    });
+
+    it('answers 401 with the form and logs a wrong password', async () => {
+      const warn = jest.spyOn(logger, 'warn');
+
+      const res = await unlock('lock1', 'wrong');
+
+      expect(res.status).toBe(401);
+      expect(res.text).toContain('Wrong password');
+      expect(res.headers['set-cookie']).toBeUndefined();
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('Failed unlock attempt for lock1'), 'redirect-api');
+      warn.mockRestore();
+    });
+
+    it('redirects on the right password and skips the form while the cookie is valid', async () => {
+      const res = await unlock('lock1', 'open sesame');
+
+      expect(res.status).toBe(303);
+      expect(res.headers.location).toBe('https://example.com/secret');
+      const [cookie] = res.headers['set-cookie'];
+      expect(cookie).toMatch(/^su_unlock_lock1=\d+\.[\w-]+; Max-Age=3600; Path=\/lock1; Expires=.+; HttpOnly; Secure; SameSite=Lax$/);
+
+      const again = await request(app).get('/lock1').set('Cookie', cookie.split(';')[0]);
+      expect(again.status).toBe(302);
+      expect(again.headers.location).toBe('https://example.com/secret');
+      expect((await storage.getClickCounts('lock1')).totalClicks).toBe(2);
+
+      // A forged or foreign cookie does not unlock the link
+      await request(app).get('/lock1').set('Cookie', `su_unlock_lock1=${Math.floor(Date.now() / 1000) + 60}.forged`).expect(200);
+    });
+
+    it('scopes the unlock cookie to the link below a path prefix', async () => {
+      await request(app).post('/shorturls').set(auth(ivy)).send({ url: 'https://example.com/below', shortcode: 'lock4', password: 'hunter22' });
+      const cookiePath = res => res.headers['set-cookie'][0].match(/; Path=([^;]+)/)[1];
+
+      // Mounted under /s by the application
+      const mounted = express();
+      mounted.use('/s', createApp({ storage, logger, geoip, config: { baseUrl: BASE_URL } }));
+      const unlocked = await request(mounted).post('/s/lock4').type('form').send({ password: 'hunter22' }).expect(303);
+      expect(cookiePath(unlocked)).toBe('/s/lock4');
+      await request(mounted).get('/s/lock4').set('Cookie', unlocked.headers['set-cookie'][0].split(';')[0])
+        .expect(302).expect('Location', 'https://example.com/below');
+
+      // Behind a proxy that strips the prefix of BASE_URL
+      const proxied = createApp({ storage, logger, geoip, config: { baseUrl: `${BASE_URL}/s` } });
+      const res = await request(proxied).post('/lock4').type('form').send({ password: 'hunter22' }).expect(303);
+      expect(cookiePath(res)).toBe('/s/lock4');
+    });
+
+    it('blocks a visitor after too many wrong passwords', async () => {
+      await request(app).post('/shorturls').set(auth(ivy)).send({ url: 'https://example.com', shortcode: 'lock2', password: 'hunter22' });
+
+      for (let i = 0; i < 5; i++) {
+        await unlock('lock2', `guess${i}`).expect(401);
+      }
+      const res = await unlock('lock2', 'hunter22');
+
+      expect(res.status).toBe(429);
+      expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+      expect(res.text).toContain('Too many wrong passwords');
+      // Other links are not affected
+      await unlock('lock1', 'open sesame').expect(303);
+    });
+
+    it('counts wrong passwords sent in parallel against the limit', async () => {
+      await request(app).post('/shorturls').set(auth(ivy)).send({ url: 'https://example.com', shortcode: 'lock3', password: 'hunter22' });
+
+      const responses = await Promise.all(Array.from({ length: 8 }, (_, i) => unlock('lock3', `guess${i}`)));
+
+      expect(responses.map(res => res.status).sort()).toEqual([401, 401, 401, 401, 401, 429, 429, 429]);
+      await unlock('lock3', 'hunter22').expect(429);
+    });
+
+    it('validates passwords and keeps them out of batches', async () => {
+      for (const password of ['abc', 12345, 'x'.repeat(201)]) {
+        const res = await request(app).post('/shorturls').set(auth(ivy)).send({ url: 'https://example.com', password });
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('Invalid password');
+      }
+
+      const batch = await request(app).post('/shorturls/batch').set(auth(ivy))
+        .send({ urls: [{ url: 'https://example.com', password: 'hunter22' }] });
+      expect(batch.status).toBe(207);
+      expect(batch.body.results[0]).toMatchObject({ success: false, error: 'Password not supported' });
+    });
+
+    it('redirects unprotected links posted to and answers 404 for unknown ones', async () => {
+      await request(app).post('/shorturls').set(auth(ivy)).send({ url: 'https://example.com/open', shortcode: 'open1' });
+
+      await unlock('open1', 'anything').expect(303).expect('Location', 'https://example.com/open');
+      await unlock('missing2', 'anything').expect(404);
+    });
+  });
+
+  describe('click-limited links', () => {
+    const browser = 'Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0';
+    const visit = shortcode => request(app).get(`/${shortcode}`).set('User-Agent', browser);
+    let jack;
+
+    beforeAll(async () => {
+      jack = (await createApiKey(storage, 'jack')).key;
+    });
+
+    it('serves a one-time link once, then answers 410', async () => {
+      const res = await request(app).post('/shorturls').set(auth(jack))
+        .send({ url: 'https://example.com/reset', shortcode: 'once1', maxClicks: 1 });
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({ maxClicks: 1, remainingClicks: 1 });
+
+      await visit('once1').expect(302).expect('Location', 'https://example.com/reset');
+      const again = await visit('once1');
+
+      expect(again.status).toBe(410);
+      expect(again.body).toEqual({
+        error: 'Click limit reached',
+        message: 'This short URL has reached its click limit and is no longer valid',
+        maxClicks: 1
+      });
+      const stats = await request(app).get('/shorturls/once1').set(auth(jack));
+      expect(stats.body).toMatchObject({ maxClicks: 1, remainingClicks: 0, totalClicks: 1 });
+    });
+
+    it('never serves more redirects than the limit under concurrent requests', async () => {
+      await request(app).post('/shorturls').set(auth(jack)).send({ url: 'https://example.com', shortcode: 'limit3', maxClicks: 3 });
+
+      const responses = await Promise.all(Array.from({ length: 6 }, () => visit('limit3')));
+      const statuses = responses.map(res => res.status).sort();
+
+      expect(statuses).toEqual([302, 302, 302, 410, 410, 410]);
+      expect((await storage.getClickCounts('limit3')).totalClicks).toBe(3);
+    });
+
+    it('does not use clicks for link previews, HEAD requests and prefetches', async () => {
+      await request(app).post('/shorturls').set(auth(jack)).send({ url: 'https://example.com/reset', shortcode: 'preview1', maxClicks: 1 });
+
+      await request(app).get('/preview1').set('User-Agent', 'Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)').expect(302);
+      await request(app).head('/preview1').set('User-Agent', browser).expect(302);
+      await visit('preview1').set('Purpose', 'prefetch').expect(302);
+
+      await visit('preview1').expect(302);
+      await visit('preview1').expect(410);
+      expect(await storage.getClickCounts('preview1')).toMatchObject({ totalClicks: 4, humanClicks: 1 });
+    });
+
+    it('gives the click back when the click cannot be recorded', async () => {
+      await request(app).post('/shorturls').set(auth(jack)).send({ url: 'https://example.com', shortcode: 'retry1', maxClicks: 1 });
+      const recordClick = jest.spyOn(storage, 'recordClick').mockRejectedValueOnce(new Error('disk full'));
+
+      try {
+        await visit('retry1').expect(500);
+      } finally {
+        recordClick.mockRestore();
+      }
+      await visit('retry1').expect(302);
+      await visit('retry1').expect(410);
+    });
+
+    it('lists remaining clicks and leaves unlimited links alone', async () => {
+      await request(app).post('/shorturls').set(auth(jack)).send({ url: 'https://example.com', shortcode: 'free1' });
+      await visit('free1').expect(302);
+
+      const res = await request(app).get('/api/all-urls?limit=100').set(auth(jack));
+      const byShortcode = Object.fromEntries(res.body.urls.map(url => [url.shortcode, url]));
+
+      expect(byShortcode.limit3).toMatchObject({ max_clicks: 3, remaining_clicks: 0 });
+      expect(byShortcode.free1).toMatchObject({ max_clicks: null, remaining_clicks: null });
+    });
+
+    it('does not use a click to show the unlock form of a protected link', async () => {
+      await request(app).post('/shorturls').set(auth(jack))
+        .send({ url: 'https://example.com/private', shortcode: 'lockonce', password: 'hunter22', maxClicks: 1 });
+
+      await visit('lockonce').expect(200);
+      await request(app).post('/lockonce').set('User-Agent', browser).type('form').send({ password: 'hunter22' }).expect(303);
+      await visit('lockonce').expect(410);
+    });
+
+    it('validates click limits, including in batches', async () => {
+      for (const maxClicks of [0, 1.5, '2', 1000001]) {
+        const res = await request(app).post('/shorturls').set(auth(jack)).send({ url: 'https://example.com', maxClicks });
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('Invalid click limit');
+      }
+
+      const batch = await request(app).post('/shorturls/batch').set(auth(jack))
+        .send({ urls: [{ url: 'https://example.com', shortcode: 'batchonce', maxClicks: 1 }, { url: 'https://example.com', maxClicks: -1 }] });
+      expect(batch.status).toBe(207);
+      expect(batch.body.results[0]).toMatchObject({ success: true, maxClicks: 1, remainingClicks: 1 });
+      expect(batch.body.results[1]).toMatchObject({ success: false, error: 'Invalid click limit' });
+      await visit('batchonce').expect(302);
+      await visit('batchonce').expect(410);
+    });
+  });
+
+  describe('scheduled links', () => {
+    const inMinutes = minutes => new Date(Date.now() + minutes * 60000).toISOString();
+    let kate;
+
+    beforeAll(async () => {
+      kate = (await createApiKey(storage, 'kate')).key;
+    });
+
+    it('answers 403 with the activation time until the link is active', async () => {
+      const activatesAt = inMinutes(60);
+      const res = await request(app).post('/shorturls').set(auth(kate))
+        .send({ url: 'https://example.com/launch', shortcode: 'launch1', activatesAt, validity: 30 });
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({ activatesAt, validityMinutes: 30 });
+      expect(new Date(res.body.expiry) - new Date(activatesAt)).toBe(30 * 60000);
+
+      const early = await request(app).get('/launch1');
+
+      expect(early.status).toBe(403);
+      expect(early.body).toEqual({
+        error: 'Short URL not yet active',
+        message: `This short URL becomes active at ${activatesAt}`,
+        activatesAt
+      });
+      expect((await storage.getClickCounts('launch1')).totalClicks).toBe(0);
+      const stats = await request(app).get('/shorturls/launch1').set(auth(kate));
+      expect(stats.body).toMatchObject({ activatesAt, isScheduled: true, isExpired: false });
+    });
+
+    it('activates a scheduled link when its activation time is cleared', async () => {
+      await request(app).post('/shorturls').set(auth(kate))
+        .send({ url: 'https://example.com/soon', shortcode: 'soon1', activatesAt: inMinutes(10) });
+
+      const res = await request(app).patch('/shorturls/soon1').set(auth(kate)).send({ activatesAt: null });
+
+      expect(res.status).toBe(200);
+      expect(res.body.activatesAt).toBeNull();
+      await request(app).get('/soon1').expect(302).expect('Location', 'https://example.com/soon');
+    });
+
+    it('does not let an earlier activation stretch the link past the maximum validity', async () => {
+      // Its own owner, so the scheduled link stays out of kate's listings
+      const mia = (await createApiKey(storage, 'mia')).key;
+      await request(app).post('/shorturls').set(auth(mia))
+        .send({ url: 'https://example.com', shortcode: 'stretch1', activatesAt: inMinutes(5000), validity: 10000 });
+
+      const res = await request(app).patch('/shorturls/stretch1').set(auth(mia)).send({ activatesAt: null });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Invalid activation time');
+      expect((await storage.findByShortcode('stretch1')).activatesAt).not.toBeNull();
+    });
+
+    it('accepts an absolute expiry instead of validity minutes', async () => {
+      const expiresAt = inMinutes(45);
+      const res = await request(app).post('/shorturls').set(auth(kate))
+        .send({ url: 'https://example.com', shortcode: 'until1', expiresAt });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({ expiry: expiresAt, activatesAt: null, validityMinutes: 45 });
+
+      const later = inMinutes(120);
+      const patched = await request(app).patch('/shorturls/until1').set(auth(kate)).send({ expiresAt: later });
+      expect(patched.body).toMatchObject({ expiry: later, validityMinutes: 120 });
+    });
+
+    it('rejects conflicting, malformed and out-of-order schedules', async () => {
+      const cases = [
+        [{ validity: 30, expiresAt: inMinutes(30) }, 'Conflicting expiry'],
+        [{ expiresAt: 'tomorrow' }, 'Invalid expiry'],
+        [{ expiresAt: inMinutes(-5) }, 'Invalid expiry'],
+        [{ activatesAt: inMinutes(60), expiresAt: inMinutes(30) }, 'Invalid expiry'],
+        [{ activatesAt: 'soon' }, 'Invalid activation time']
+      ];
+
+      for (const [body, error] of cases) {
+        const res = await request(app).post('/shorturls').set(auth(kate)).send({ url: 'https://example.com', ...body });
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe(error);
+      }
+    });
+
+    it('filters and counts scheduled links, including those created in a batch', async () => {
+      const batch = await request(app).post('/shorturls/batch').set(auth(kate))
+        .send({ urls: [{ url: 'https://example.com', shortcode: 'later1', activatesAt: inMinutes(30) }] });
+      expect(batch.status).toBe(201);
+      expect(batch.body.results[0]).toMatchObject({ success: true, activatesAt: expect.any(String) });
+
+      const res = await request(app).get('/api/all-urls?status=scheduled').set(auth(kate));
+      const shortcodes = res.body.urls.map(url => url.shortcode).sort();
+
+      expect(shortcodes).toEqual(['later1', 'launch1']);
+      expect(res.body.urls[0]).toMatchObject({ isScheduled: true, isExpired: false, activates_at: expect.any(String) });
+      expect(res.body.summary).toMatchObject({ totalUrls: 4, scheduledUrls: 2, activeUrls: 2, expiredUrls: 0 });
+    });
+  });
+
+  describe('webhooks', () => {
+    const secret = 'henry-webhook-secret-0123';
+    let henry;
+    let receiver;
+
+    /**
+     * Local HTTP endpoint recording what it receives; answers with receiver.status
+     */
+    const startReceiver = async () => {
+      const target = { requests: [], status: 200 };
+      target.server = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', (chunk) => {
+          body += chunk;
+        });
+        req.on('end', () => {
+          target.requests.push({ headers: req.headers, body, payload: JSON.parse(body) });
+          res.writeHead(target.status).end();
+        });
+      });
+      target.server.listen(0, '127.0.0.1');
+      await new Promise(done => target.server.once('listening', done));
+      target.url = `http://127.0.0.1:${target.server.address().port}/hook`;
+      return target;
+    };
+
+    const stopReceiver = async (target) => {
+      target.server.closeAllConnections();
+      await new Promise(done => target.server.close(done));
+    };
+
+    const listDeliveries = async (webhookId, query = '', target = app) => {
+      const res = await request(target).get(`/api/webhooks/${webhookId}/deliveries${query}`).set(auth(henry));
+      return res.body;
+    };
+
+    beforeAll(async () => {
+      henry = (await createApiKey(storage, 'henry')).key;
+      receiver = await startReceiver();
+    });
+
+    afterAll(async () => {
+      await app.locals.webhooks.idle();
+      await stopReceiver(receiver);
+    });
+
+    it('validates new webhooks', async () => {
+      const cases = [
+        [{ url: 'not a url' }, 'Invalid webhook URL'],
+        [{ url: receiver.url, events: [] }, 'Invalid webhook events'],
+        [{ url: receiver.url, events: ['link-created', 'link-renamed'] }, 'Invalid webhook events'],
+        [{ url: receiver.url, secret: 'short' }, 'Invalid webhook secret']
+      ];
+
+      for (const [body, error] of cases) {
+        const res = await request(app).post('/api/webhooks').set(auth(henry)).send(body);
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe(error);
+      }
+      await request(app).post('/api/webhooks').send({ url: receiver.url }).expect(401);
+    });
+
+    it('delivers signed link-created, click and link-deleted events', async () => {
+      const created = await request(app).post('/api/webhooks').set(auth(henry)).send({ url: receiver.url, secret });
+      expect(created.status).toBe(201);
+      expect(created.body).toMatchObject({
+        url: receiver.url,
+        events: ['link-created', 'click', 'link-expired', 'link-deleted'],
+        secret
+      });
+      const webhookId = created.body.id;
+
+      await request(app).post('/shorturls').set(auth(henry)).send({ url: 'https://example.com/hook', shortcode: 'hook1' }).expect(201);
+      await request(app).get('/hook1').expect(302);
+      await request(app).delete('/shorturls/hook1').set(auth(henry)).expect(200);
+      await app.locals.webhooks.idle();
+
+      expect(receiver.requests.map(({ payload }) => payload.type)).toEqual(['link-created', 'click', 'link-deleted']);
+      const [linkCreated, click, linkDeleted] = receiver.requests;
+      expect(linkCreated.payload.data).toMatchObject({ shortcode: 'hook1', shortLink: `${BASE_URL}/hook1` });
+      expect(click.payload.data).toMatchObject({ shortcode: 'hook1', click: { country: 'NZ', referrerSource: 'direct' } });
+      expect(linkDeleted.payload.data).toMatchObject({ shortcode: 'hook1', originalUrl: 'https://example.com/hook' });
+      expect(linkCreated.payload.id).toMatch(/^evt_/);
+
+      receiver.requests.forEach(({ headers, body }) => {
+        expect(headers['content-type']).toBe('application/json');
+        expect(headers['x-webhook-id']).toBe(String(webhookId));
+        expect(verifySignature({
+          secret,
+          signature: headers['x-webhook-signature'],
+          timestamp: headers['x-webhook-timestamp'],
+          body
+        })).toBe(true);
+      });
+
+      const { deliveries, pagination } = await listDeliveries(webhookId);
+      expect(pagination).toMatchObject({ total: 3, hasMore: false });
+      expect(deliveries.map(delivery => delivery.eventType)).toEqual(['link-deleted', 'click', 'link-created']);
+      expect(deliveries[0]).toMatchObject({ status: 'delivered', attempts: 1, responseStatus: 200, lastError: null });
+      expect(deliveries[0].payload).toEqual(linkDeleted.payload);
+      expect(String(deliveries[0].id)).toBe(linkDeleted.headers['x-webhook-delivery']);
+
+      const listed = await request(app).get('/api/webhooks').set(auth(henry));
+      expect(listed.body.webhooks).toEqual([expect.objectContaining({ id: webhookId, url: receiver.url })]);
+      expect(listed.body.webhooks[0]).not.toHaveProperty('secret');
+
+      await request(app).delete(`/api/webhooks/${webhookId}`).set(auth(henry)).expect(200);
+    });
+
+    it("sends only subscribed types and keeps other owners' webhooks private", async () => {
+      receiver.requests = [];
+      const created = await request(app).post('/api/webhooks').set(auth(henry))
+        .send({ url: receiver.url, events: ['link-deleted', 'link-deleted'] });
+      expect(created.body.events).toEqual(['link-deleted']);
+      expect(created.body.secret).toMatch(/^whsec_/);
+
+      await request(app).post('/shorturls').set(auth(henry)).send({ url: 'https://example.com', shortcode: 'hook2' });
+      await request(app).post('/shorturls').set(auth()).send({ url: 'https://example.com', shortcode: 'hook3' });
+      await request(app).delete('/shorturls/hook3').set(auth()).expect(200);
+      await app.locals.webhooks.idle();
+      expect(receiver.requests).toHaveLength(0);
+
+      await request(app).get('/api/webhooks').set(auth()).expect(200, { webhooks: [] });
+      await request(app).get(`/api/webhooks/${created.body.id}/deliveries`).set(auth()).expect(404);
+      await request(app).delete(`/api/webhooks/${created.body.id}`).set(auth()).expect(404);
+      await request(app).delete('/api/webhooks/abc').set(auth(henry)).expect(404);
+      await request(app).delete(`/api/webhooks/${created.body.id}`).set(auth(henry)).expect(200);
+    });
+
+    it('announces expired links once', async () => {
+      receiver.requests = [];
+      const created = await request(app).post('/api/webhooks').set(auth(henry)).send({ url: receiver.url, events: ['link-expired'] });
+      await request(app).post('/shorturls').set(auth(henry)).send({ url: 'https://example.com/soon', shortcode: 'hook4' });
+      await storage.updateLink('hook4', { expiresAt: new Date(Date.now() - 1000).toISOString() });
+      const { events } = app.locals;
+
+      expect(await publishExpiredLinks({ storage, logger, events })).toBeGreaterThanOrEqual(1);
+      expect(await publishExpiredLinks({ storage, logger, events })).toBe(0);
+      await app.locals.webhooks.idle();
+
+      expect(receiver.requests).toHaveLength(1);
+      expect(receiver.requests[0].payload).toMatchObject({ type: 'link-expired', data: { shortcode: 'hook4' } });
+      await request(app).delete(`/api/webhooks/${created.body.id}`).set(auth(henry)).expect(200);
+    });
+
+    it('retries, dead-letters and replays failed deliveries', async () => {
+      const retryApp = createApp({
+        storage,
+        logger,
+        geoip,
+        config: { baseUrl: BASE_URL, webhooks: { maxAttempts: 2, retryBaseSeconds: 60 } }
+      });
+      const dispatcher = retryApp.locals.webhooks;
+      receiver.requests = [];
+      receiver.status = 500;
+
+      const created = await request(retryApp).post('/api/webhooks').set(auth(henry)).send({ url: receiver.url, events: ['link-created'] });
+      const webhookId = created.body.id;
+      await request(retryApp).post('/shorturls').set(auth(henry)).send({ url: 'https://example.com', shortcode: 'hook5' });
+      await dispatcher.idle();
+
+      let [delivery] = (await listDeliveries(webhookId, '', retryApp)).deliveries;
+      expect(delivery).toMatchObject({ status: 'pending', attempts: 1, responseStatus: 500, lastError: 'Receiver answered 500' });
+      expect(new Date(`${delivery.nextAttemptAt.replace(' ', 'T')}Z`).getTime()).toBeGreaterThan(Date.now() + 50000);
+
+      await dispatcher.deliverDue(new Date(Date.now() + 61000));
+      const failed = await listDeliveries(webhookId, '?status=failed', retryApp);
+      expect(failed.pagination.total).toBe(1);
+      expect(failed.deliveries[0]).toMatchObject({ id: delivery.id, status: 'failed', attempts: 2, nextAttemptAt: null });
+      expect(receiver.requests).toHaveLength(2);
+
+      receiver.status = 204;
+      const replay = await request(retryApp).post(`/api/webhooks/${webhookId}/deliveries/${delivery.id}/replay`).set(auth(henry));
+      expect(replay.status).toBe(202);
+      expect(replay.body.replayed).toBe(1);
+      await dispatcher.idle();
+
+      [delivery] = (await listDeliveries(webhookId, '', retryApp)).deliveries;
+      expect(delivery).toMatchObject({ status: 'delivered', attempts: 1, responseStatus: 204 });
+      expect(receiver.requests).toHaveLength(3);
+      expect(receiver.requests[2].payload).toEqual(receiver.requests[0].payload);
+
+      const again = await request(retryApp).post(`/api/webhooks/${webhookId}/deliveries/${delivery.id}/replay`).set(auth(henry));
+      expect(again.status).toBe(409);
+      expect(again.body.error).toBe('Delivery not failed');
+      await request(retryApp).post(`/api/webhooks/${webhookId}/deliveries/999999/replay`).set(auth(henry)).expect(404);
+      const bulk = await request(retryApp).post(`/api/webhooks/${webhookId}/replay`).set(auth(henry));
+      expect(bulk.status).toBe(202);
+      expect(bulk.body.replayed).toBe(0);
+
+      const invalid = await request(retryApp).get(`/api/webhooks/${webhookId}/deliveries?status=lost`).set(auth(henry));
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.error).toBe('Invalid filter');
+
+      await request(retryApp).delete(`/api/webhooks/${webhookId}`).set(auth(henry)).expect(200);
+      await request(retryApp).get(`/api/webhooks/${webhookId}/deliveries`).set(auth(henry)).expect(404);
+    });
+  });
+
+  describe('timeseries', () => {
+    const range = 'from=2030-01-01T10:00:00Z&to=2030-01-01T13:00:00Z';
+
+    beforeAll(async () => {
+      const carolKey = (await createApiKey(storage, 'carol')).key;
+      await request(app).post('/shorturls').set(auth()).send({ url: 'https://example.com', shortcode: 'series1' });
+      await request(app).post('/shorturls').set(auth()).send({ url: 'https://example.com', shortcode: 'series2' });
+      await request(app).post('/shorturls').set(auth(carolKey)).send({ url: 'https://example.com', shortcode: 'series3' });
+
+      const clicks = [
+        ['series1', '2030-01-01 10:05:00'],
+        ['series1', '2030-01-01 10:40:00'],
+        ['series1', '2030-01-01 12:10:00'],
+        ['series1', '2030-01-02 10:00:00'],
+        ['series2', '2030-03-30 23:30:00'],
+        ['series2', '2030-03-31 22:30:00'],
+        ['series2', '2030-01-01 11:15:00'],
+        ['series3', '2030-01-01 11:20:00']
+      ];
+      for (const [shortcode, clickedAt] of clicks) {
+        await storage.recordClick({ shortcode, clickedAt, referrer: null, ipAddress: '127.0.0.1', userAgent: null });
+      }
+    });
+
+    it('returns zero-filled hourly buckets for one link', async () => {
+      const res = await request(app).get(`/shorturls/series1/timeseries?interval=hour&${range}`).set(auth());
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        shortcode: 'series1',
+        interval: 'hour',
+        timezone: 'UTC',
+        utcOffset: '+00:00',
+        from: '2030-01-01T10:00:00.000Z',
+        to: '2030-01-01T13:00:00.000Z',
+        totalClicks: 3,
+        buckets: [
+          { start: '2030-01-01T10:00:00+00:00', clicks: 2 },
+          { start: '2030-01-01T11:00:00+00:00', clicks: 0 },
+          { start: '2030-01-01T12:00:00+00:00', clicks: 1 },
+          { start: '2030-01-01T13:00:00+00:00', clicks: 0 }
+        ]
+      });
+    });
+
+    it('aligns buckets to the requested time zone', async () => {
+      const res = await request(app)
+        .get(`/shorturls/series1/timeseries?interval=hour&${range}&tz=${encodeURIComponent('+05:30')}`)
+        .set(auth());
+
+      expect(res.body.utcOffset).toBe('+05:30');
+      expect(res.body.buckets).toEqual([
+        { start: '2030-01-01T15:00:00+05:30', clicks: 1 },
+        { start: '2030-01-01T16:00:00+05:30', clicks: 1 },
+        { start: '2030-01-01T17:00:00+05:30', clicks: 1 },
+        { start: '2030-01-01T18:00:00+05:30', clicks: 0 }
+      ]);
+    });
+
+    it('supports daily buckets', async () => {
+      const res = await request(app)
+        .get('/shorturls/series1/timeseries?interval=day&from=2030-01-01T00:00:00Z&to=2030-01-03T00:00:00Z')
+        .set(auth());
+
+      expect(res.body.buckets.map(bucket => bucket.clicks)).toEqual([3, 1, 0]);
+    });
+
+    it('keeps days on local midnight across a DST change', async () => {
+      const res = await request(app)
+        .get('/shorturls/series2/timeseries?interval=day&from=2030-03-30T00:00:00Z&to=2030-04-01T12:00:00Z&tz=Europe/Berlin')
+        .set(auth());
+
+      expect(res.body.utcOffset).toBe('+01:00');
+      expect(res.body.buckets).toEqual([
+        { start: '2030-03-30T00:00:00+01:00', clicks: 0 },
+        { start: '2030-03-31T00:00:00+01:00', clicks: 1 },
+        { start: '2030-04-01T00:00:00+02:00', clicks: 1 }
+      ]);
+    });
+
+    it("aggregates all of the caller's links in the global variant", async () => {
+      const res = await request(app).get(`/api/timeseries?interval=hour&${range}`).set(auth());
+
+      expect(res.status).toBe(200);
+      expect(res.body.shortcode).toBeUndefined();
+      expect(res.body.totalClicks).toBe(4);
+      expect(res.body.buckets.map(bucket => bucket.clicks)).toEqual([2, 1, 1, 0]);
+    });
+
+    it('answers 404 for links of other owners', async () => {
+      await request(app).get(`/shorturls/series3/timeseries?${range}`).set(auth()).expect(404);
+    });
+
+    it('answers 400 for invalid queries', async () => {
+      const res = await request(app).get('/shorturls/series1/timeseries?interval=week').set(auth());
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Invalid interval');
+      await request(app).get('/api/timeseries?tz=Nowhere/City').set(auth()).expect(400);
+    });
+  });
+
+  describe('PATCH and DELETE /shorturls/:shortcode', () => {
+    it('updates the destination and validity', async () => {
+      await request(app).post('/shorturls').set(auth()).send({ url: 'https://example.com', shortcode: 'edit1' });
+
+      const res = await request(app).patch('/shorturls/edit1').set(auth()).send({ url: 'https://example.org', validity: 10 });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ originalUrl: 'https://example.org', validityMinutes: 10 });
+      await request(app).get('/edit1').expect('Location', 'https://example.org');
+    });
+
+    it('rejects destinations that are not strings', async () => {
+      await request(app).post('/shorturls').set(auth()).send({ url: 'https://example.com', shortcode: 'edit2' });
+
+      for (const url of [['https://example.org'], { href: 'https://example.org' }, 42]) {
+        const res = await request(app).patch('/shorturls/edit2').set(auth()).send({ url });
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('Invalid URL format');
+
+        const created = await request(app).post('/shorturls').set(auth()).send({ url });
+        expect(created.status).toBe(400);
+      }
+      const stats = await request(app).get('/shorturls/edit2').set(auth());
+      expect(stats.body.originalUrl).toBe('https://example.com');
+    });
+
+    it('answers 410 when changing or deleting a deleted link', async () => {
+      await request(app).post('/shorturls').set(auth()).send({ url: 'https://example.com', shortcode: 'del1' });
+      await request(app).delete('/shorturls/del1').set(auth()).expect(200);
+
+      await request(app).patch('/shorturls/del1').set(auth()).send({ validity: 5 }).expect(410);
+      await request(app).delete('/shorturls/del1').set(auth()).expect(410);
+    });
+  });
+
+  describe('GET /api/all-urls', () => {
+    it("lists the caller's live links with click counts", async () => {
+      await request(app).post('/shorturls').set(auth(otherKey)).send({ url: 'https://example.com', shortcode: 'bob1' });
+
+      const res = await request(app).get('/api/all-urls').set(auth(otherKey));
+
+      expect(res.status).toBe(200);
+      expect(res.body.urls).toEqual([
+        expect.objectContaining({
+          shortcode: 'bob1',
+          original_url: 'https://example.com',
+          total_clicks: 0,
+          isExpired: false,
+          shortLink: `${BASE_URL}/bob1`
+        })
+      ]);
+      expect(res.body.pagination).toEqual({ total: 1, limit: 25, offset: 0, hasMore: false });
+      expect(res.body.summary).toEqual({
+        totalUrls: 1,
+        scheduledUrls: 0,
+        activeUrls: 1,
+        expiredUrls: 0,
+        totalClicks: 0,
+        humanClicks: 0,
+        uniqueVisitors: 0
+      });
+    });
+
+    it('hides deleted links', async () => {
+      const res = await request(app).get('/api/all-urls?limit=100').set(auth());
+      const shortcodes = res.body.urls.map(url => url.shortcode);
+
+      expect(shortcodes).toEqual(expect.arrayContaining(['go1', 'custom1']));
+      expect(shortcodes).not.toContain('gone1');
+    });
+  });
+
+  describe('GET /api/all-urls paging, filters and sorting', () => {
+    let frank;
+
+    const list = async (query) => {
+      const res = await request(app).get('/api/all-urls').query(query).set(auth(frank));
+      expect(res.status).toBe(200);
+      return res.body;
+    };
+    const shortcodes = body => body.urls.map(url => url.shortcode);
+
+    beforeAll(async () => {
+      frank = (await createApiKey(storage, 'frank')).key;
+      for (const [shortcode, url, clicks] of [
+        ['list1', 'https://example.com/alpha', 2],
+        ['list2', 'https://example.org/beta', 0],
+        ['list3', 'https://example.com/gamma_100%', 3],
+        ['list4', 'https://example.net/delta', 1]
+      ]) {
+        await request(app).post('/shorturls').set(auth(frank)).send({ url, shortcode }).expect(201);
+        for (let i = 0; i < clicks; i++) {
+          await request(app).get(`/${shortcode}`).expect(302);
+        }
+      }
+      await storage.updateLink('list2', { expiresAt: '2020-01-01T00:00:00.000Z' });
+    });
+
+    it('pages newest first by default', async () => {
+      const first = await list({ limit: 3 });
+      const second = await list({ limit: 3, offset: 3 });
+
+      expect(shortcodes(first)).toEqual(['list4', 'list3', 'list2']);
+      expect(first.pagination).toEqual({ total: 4, limit: 3, offset: 0, hasMore: true });
+      expect(shortcodes(second)).toEqual(['list1']);
+      expect(second.pagination.hasMore).toBe(false);
+      expect(first.summary).toMatchObject({ totalUrls: 4, activeUrls: 3, expiredUrls: 1, totalClicks: 6 });
+    });
+
+    it('sorts by clicks, creation and expiry', async () => {
+      expect(shortcodes(await list({ sort: 'clicks' }))).toEqual(['list3', 'list1', 'list4', 'list2']);
+      expect(shortcodes(await list({ sort: 'clicks', order: 'asc' }))).toEqual(['list2', 'list4', 'list1', 'list3']);
+      expect(shortcodes(await list({ sort: 'created', order: 'asc' }))).toEqual(['list1', 'list2', 'list3', 'list4']);
+      expect(shortcodes(await list({ sort: 'expiry', order: 'asc' }))[0]).toBe('list2');
+    });
+
+    it('filters by status, minimum clicks and creation date', async () => {
+      expect(shortcodes(await list({ status: 'expired' }))).toEqual(['list2']);
+      expect(shortcodes(await list({ status: 'active', minClicks: 2 }))).toEqual(['list3', 'list1']);
+      expect((await list({ createdFrom: '2000-01-01T00:00:00Z', createdTo: '2100-01-01T00:00:00Z' })).pagination.total).toBe(4);
+      expect((await list({ createdFrom: '2100-01-01T00:00:00Z' })).urls).toEqual([]);
+    });
+
+    it('searches shortcodes and URLs without treating LIKE wildcards specially', async () => {
+      expect(shortcodes(await list({ q: 'EXAMPLE.COM' }))).toEqual(['list3', 'list1']);
+      expect(shortcodes(await list({ q: 'list4' }))).toEqual(['list4']);
+      expect(shortcodes(await list({ q: '_100%' }))).toEqual(['list3']);
+      expect(shortcodes(await list({ q: 'a_p' }))).toEqual([]);
+    });
+
+    it('answers 400 for invalid queries', async () => {
+      for (const query of [{ limit: 0 }, { limit: 101 }, { offset: -1 }, { status: 'deleted' }, { minClicks: 'x' },
+        { createdFrom: 'yesterday' }, { sort: 'name' }, { order: 'up' }]) {
+        const res = await request(app).get('/api/all-urls').query(query).set(auth(frank));
+        expect(res.status).toBe(400);
+      }
+    });
+  });
+});
@@ -0,0 +1,67 @@
+const { createEventBus, formatServerSentEvent } = require('../utils/events');
+
+describe('createEventBus', () => {
+  it("delivers events to the owner's subscribers only", () => {
+    const events = createEventBus();
+    const alice = jest.fn();
+    const bob = jest.fn();
+    events.subscribe('alice', alice);
+    events.subscribe('bob', bob);
+
+    const event = events.publish('alice', 'click', { shortcode: 'abc' });
+
+    expect(event).toEqual({ id: 1, type: 'click', data: { shortcode: 'abc' } });
+    expect(alice).toHaveBeenCalledWith(event);
+    expect(bob).not.toHaveBeenCalled();
+  });
+
+  it('numbers events across owners', () => {
+    const events = createEventBus();
+
+    expect(events.publish('alice', 'click', {}).id).toBe(1);
+    expect(events.publish('bob', 'link-created', {}).id).toBe(2);
+  });
+
+  it('counts subscriptions and unsubscribes once', () => {
+    const events = createEventBus();
+    const listener = jest.fn();
+    const unsubscribe = events.subscribe('alice', listener);
+    events.subscribe('bob', jest.fn());
+
+    expect(events.subscriberCount()).toBe(2);
+    unsubscribe();
+    unsubscribe();
+    expect(events.subscriberCount()).toBe(1);
+
+    events.publish('alice', 'click', {});
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it("passes every owner's events to subscribeAll without counting it", () => {
+    const events = createEventBus();
+    const listener = jest.fn();
+    const unsubscribe = events.subscribeAll(listener);
+
+    const event = events.publish('alice', 'link-deleted', { shortcode: 'abc' });
+
+    expect(listener).toHaveBeenCalledWith('alice', event);
+    expect(events.subscriberCount()).toBe(0);
+    unsubscribe();
+    events.publish('bob', 'click', {});
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('treats EventEmitter event names as ordinary owners', () => {
+    const events = createEventBus();
+
+    expect(() => events.publish('error', 'click', {})).not.toThrow();
+  });
+});
+
+describe('formatServerSentEvent', () => {
+  it('writes id, event and data lines followed by a blank line', () => {
+    const message = formatServerSentEvent({ id: 7, type: 'click', data: { referrer: 'line\nbreak' } });
+
+    expect(message).toBe('id: 7\nevent: click\ndata: {"referrer":"line\\nbreak"}\n\n');
+  });
+});
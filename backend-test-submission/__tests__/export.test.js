@@ -0,0 +1,102 @@
+const {
+  EXPORT_COLUMNS,
+  parseExportFormat,
+  toExportRecord,
+  toCsvField,
+  exportLines
+} = require('../utils/export');
+
+const click = {
+  shortcode: 'abc',
+  clickedAt: '2025-07-29 08:30:00',
+  referrer: 'https://www.google.com/',
+  referrerDomain: 'google.com',
+  referrerSource: 'search',
+  ipAddress: '203.0.113.0',
+  userAgent: 'Mozilla/5.0 (X11; Linux x86_64) Firefox/121.0',
+  browser: 'Firefox',
+  browserVersion: '121',
+  os: 'Linux',
+  deviceType: 'desktop',
+  isBot: false,
+  isUnique: true,
+  country: 'GB',
+  region: null,
+  city: null,
+  visitorHash: 'f'.repeat(32),
+  redacted: ['ipAddress']
+};
+
+const collect = async (lines) => {
+  const result = [];
+  for await (const line of lines) {
+    result.push(line);
+  }
+  return result;
+};
+
+describe('parseExportFormat', () => {
+  it('defaults to CSV and accepts JSON Lines', () => {
+    expect(parseExportFormat(undefined)).toEqual({ isValid: true, format: 'csv' });
+    expect(parseExportFormat('jsonl')).toEqual({ isValid: true, format: 'jsonl' });
+  });
+
+  it.each([['xlsx'], ['toString'], [['csv', 'jsonl']]])('rejects %p', (format) => {
+    expect(parseExportFormat(format)).toEqual({ isValid: false, error: 'format must be one of: csv, jsonl' });
+  });
+});
+
+describe('toExportRecord', () => {
+  it('keeps the exported columns only', () => {
+    const record = toExportRecord(click);
+
+    expect(Object.keys(record)).toEqual(EXPORT_COLUMNS);
+    expect(record).not.toHaveProperty('visitorHash');
+    expect(toExportRecord({ shortcode: 'abc' }).browser).toBeNull();
+  });
+});
+
+describe('toCsvField', () => {
+  it.each([
+    [null, ''],
+    [false, 'false'],
+    [3, '3'],
+    [['ipAddress', 'referrer'], 'ipAddress;referrer'],
+    ['plain', 'plain'],
+    ['a,b', '"a,b"'],
+    ['say "hi"', '"say ""hi"""'],
+    ['two\nlines', '"two\nlines"'],
+    ['=1+1', "'=1+1"],
+    ['@SUM(A1)', "'@SUM(A1)"],
+    ['-2', "'-2"]
+  ])('formats %p as %p', (value, expected) => {
+    expect(toCsvField(value)).toBe(expected);
+  });
+});
+
+describe('exportLines', () => {
+  it('writes a header and one CRLF-terminated row per click as CSV', async () => {
+    const lines = await collect(exportLines([click], 'csv'));
+
+    expect(lines).toEqual([
+      `${EXPORT_COLUMNS.join(',')}\r\n`,
+      'abc,2025-07-29 08:30:00,https://www.google.com/,google.com,search,203.0.113.0,'
+        + 'Mozilla/5.0 (X11; Linux x86_64) Firefox/121.0,Firefox,121,Linux,desktop,false,true,GB,,,ipAddress\r\n'
+    ]);
+  });
+
+  it('writes one JSON object per line as JSON Lines', async () => {
+    const lines = await collect(exportLines([click, { ...click, shortcode: 'def' }], 'jsonl'));
+
+    expect(lines).toHaveLength(2);
+    expect(JSON.parse(lines[0])).toEqual(toExportRecord(click));
+    expect(lines[1].endsWith('\n')).toBe(true);
+  });
+
+  it('reports each exported click', async () => {
+    const onClick = jest.fn();
+    await collect(exportLines([click, click], 'csv', { onClick }));
+
+    expect(onClick).toHaveBeenCalledTimes(2);
+  });
+});
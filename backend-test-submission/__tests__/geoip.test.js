@@ -0,0 +1,118 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const maxmind = require('maxmind');
+const { normalizeIp, ipToBigInt, createCsvLookup, loadGeoIp } = require('../utils/geoip');
+
+const CSV = [
+  'start_ip,end_ip,country,region,city',
+  '81.2.69.0,81.2.69.255,gb,England,London',
+  '"2001:db8::","2001:db8::ffff",NL,"North Holland","Amsterdam"',
+  '1.0.0.0,1.0.0.255,AU,,',
+  'not-an-ip,1.1.1.1,XX,,'
+].join('\n');
+
+describe('normalizeIp', () => {
+  it('unwraps IPv4-mapped addresses and drops zone IDs', () => {
+    expect(normalizeIp('::ffff:81.2.69.1')).toBe('81.2.69.1');
+    expect(normalizeIp('fe80::1%eth0')).toBe('fe80::1');
+    expect(normalizeIp('2001:db8::1')).toBe('2001:db8::1');
+  });
+});
+
+describe('ipToBigInt', () => {
+  it('converts IPv4 and IPv6 addresses', () => {
+    expect(ipToBigInt('1.2.3.4')).toEqual({ version: 4, value: 0x01020304n });
+    expect(ipToBigInt('2001:db8::1')).toEqual({ version: 6, value: 0x20010db8000000000000000000000001n });
+    expect(ipToBigInt('::ffff:1.2.3.4')).toEqual({ version: 6, value: 0xffff01020304n });
+    expect(ipToBigInt('::')).toEqual({ version: 6, value: 0n });
+  });
+
+  it('rejects anything else', () => {
+    expect(ipToBigInt('unknown')).toBeNull();
+    expect(ipToBigInt('256.0.0.1')).toBeNull();
+  });
+});
+
+describe('createCsvLookup', () => {
+  const geoip = createCsvLookup(CSV);
+
+  it('loads valid ranges and counts bad lines', () => {
+    expect(geoip).toMatchObject({ format: 'csv', size: 3, skipped: 1 });
+  });
+
+  it('finds the range containing an address', () => {
+    expect(geoip.lookup('81.2.69.142')).toEqual({ country: 'GB', region: 'England', city: 'London' });
+    expect(geoip.lookup('::ffff:1.0.0.1')).toEqual({ country: 'AU', region: null, city: null });
+    expect(geoip.lookup('2001:db8::abcd')).toEqual({ country: 'NL', region: 'North Holland', city: 'Amsterdam' });
+  });
+
+  it('returns null outside every range', () => {
+    expect(geoip.lookup('81.2.70.0')).toBeNull();
+    expect(geoip.lookup('0.0.0.1')).toBeNull();
+    expect(geoip.lookup('2001:db9::')).toBeNull();
+    expect(geoip.lookup('unknown')).toBeNull();
+  });
+});
+
+describe('loadGeoIp', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'geoip-test-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  it('is disabled without a file', async () => {
+    await expect(loadGeoIp(null)).resolves.toBeNull();
+  });
+
+  it('loads CSV files and reports skipped lines', async () => {
+    const file = path.join(dir, 'ranges.csv');
+    fs.writeFileSync(file, CSV);
+    const logger = { info: jest.fn(), warn: jest.fn() };
+
+    const geoip = await loadGeoIp(file, { logger });
+
+    expect(geoip.lookup('81.2.69.1').country).toBe('GB');
+    expect(logger.info).toHaveBeenCalledWith(expect.stringContaining('(csv, 3 entries)'), 'geoip');
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Skipped 1 invalid line(s)'), 'geoip');
+  });
+
+  it('maps MaxMind DB records to country, region and city', async () => {
+    const reader = {
+      metadata: { nodeCount: 42 },
+      get: jest.fn(ip => (ip === '81.2.69.142'
+        ? {
+            country: { iso_code: 'GB' },
+            subdivisions: [{ names: { en: 'England' } }],
+            city: { names: { en: 'London' } }
+          }
+        : null))
+    };
+    jest.spyOn(maxmind, 'open').mockResolvedValue(reader);
+
+    const geoip = await loadGeoIp('/data/GeoLite2-City.mmdb');
+
+    expect(maxmind.open).toHaveBeenCalledWith('/data/GeoLite2-City.mmdb');
+    expect(geoip).toMatchObject({ format: 'mmdb', size: 42 });
+    expect(geoip.lookup('::ffff:81.2.69.142')).toEqual({ country: 'GB', region: 'England', city: 'London' });
+    expect(geoip.lookup('10.0.0.1')).toBeNull();
+    expect(geoip.lookup('unknown')).toBeNull();
+  });
+
+  it('falls back to the registered country in country-only databases', async () => {
+    jest.spyOn(maxmind, 'open').mockResolvedValue({
+      metadata: { nodeCount: 1 },
+      get: () => ({ registered_country: { iso_code: 'US' } })
+    });
+
+    const geoip = await loadGeoIp('/data/country.mmdb');
+
+    expect(geoip.lookup('8.8.8.8')).toEqual({ country: 'US', region: null, city: null });
+  });
+});
@@ -0,0 +1,350 @@
+jest.mock('../../logging-middleware/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const logger = require('../../logging-middleware/logger');
+const { MemoryStorage } = require('../storage');
+const {
+  generateShortcode,
+  isValidShortcode,
+  describeShortcodeRules,
+  isShortcodeUnique,
+  isValidURL,
+  validateValidityPeriod,
+  validateMaxClicks,
+  remainingClicks,
+  isExpired,
+  formatClickData,
+  formatClickBreakdowns,
+  formatClickDetail,
+  generateUniqueShortcode,
+  createApiResponse
+} = require('../utils/helpers');
+
+const storeLink = (storage, shortcode) => storage.createLink({
+  shortcode,
+  originalUrl: 'https://example.com',
+  expiresAt: new Date(Date.now() + 60000).toISOString(),
+  validityMinutes: 1,
+  ownerId: 'owner'
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('generateShortcode', () => {
+  it('generates 6 alphanumeric characters by default', () => {
+    expect(generateShortcode()).toMatch(/^[a-zA-Z0-9]{6}$/);
+  });
+
+  it('honours the requested length', () => {
+    expect(generateShortcode(12)).toHaveLength(12);
+  });
+});
+
+describe('isValidShortcode', () => {
+  it('accepts alphanumeric codes within the default limits', () => {
+    expect(isValidShortcode('abc')).toBe(true);
+    expect(isValidShortcode('a'.repeat(20))).toBe(true);
+    expect(isValidShortcode('Mixed123')).toBe(true);
+  });
+
+  it('rejects codes outside the default limits or with other characters', () => {
+    expect(isValidShortcode('ab')).toBe(false);
+    expect(isValidShortcode('a'.repeat(21))).toBe(false);
+    expect(isValidShortcode('my-code')).toBe(false);
+    expect(isValidShortcode('')).toBe(false);
+    expect(isValidShortcode(12345)).toBe(false);
+    expect(isValidShortcode(undefined)).toBe(false);
+  });
+
+  it('uses custom limits', () => {
+    const limits = { minLength: 5, maxLength: 6 };
+    expect(isValidShortcode('abcd', limits)).toBe(false);
+    expect(isValidShortcode('abcde', limits)).toBe(true);
+    expect(isValidShortcode('abcdefg', limits)).toBe(false);
+  });
+});
+
+describe('describeShortcodeRules', () => {
+  it('describes the default and custom limits', () => {
+    expect(describeShortcodeRules()).toBe(
+      'Shortcode must be 3-20 characters long and contain only letters and numbers'
+    );
+    expect(describeShortcodeRules({ minLength: 4, maxLength: 8 })).toMatch(/^Shortcode must be 4-8 characters/);
+  });
+});
+
+describe('isShortcodeUnique', () => {
+  it('reports whether the shortcode is stored', async () => {
+    const storage = new MemoryStorage();
+    await storeLink(storage, 'taken');
+
+    await expect(isShortcodeUnique('taken', storage)).resolves.toBe(false);
+    await expect(isShortcodeUnique('free', storage)).resolves.toBe(true);
+  });
+
+  it('treats storage errors as not unique and logs them', async () => {
+    const storage = { findByShortcode: jest.fn().mockRejectedValue(new Error('disk gone')) };
+
+    await expect(isShortcodeUnique('abc', storage)).resolves.toBe(false);
+    expect(logger.error).toHaveBeenCalledWith(
+      expect.stringContaining('disk gone'),
+      'helpers',
+      expect.any(String)
+    );
+  });
+});
+
+describe('isValidURL', () => {
+  it('accepts http and https URLs', () => {
+    expect(isValidURL('http://example.com')).toBe(true);
+    expect(isValidURL('https://example.com/path?q=1#top')).toBe(true);
+  });
+
+  it('requires a protocol and rejects other schemes', () => {
+    expect(isValidURL('example.com')).toBe(false);
+    expect(isValidURL('ftp://example.com')).toBe(false);
+    expect(isValidURL('javascript:alert(1)')).toBe(false);
+    expect(isValidURL('not a url')).toBe(false);
+  });
+});
+
+describe('validateValidityPeriod', () => {
+  it('accepts numbers and numeric strings within range', () => {
+    expect(validateValidityPeriod(30)).toEqual({ isValid: true, minutes: 30 });
+    expect(validateValidityPeriod('45')).toEqual({ isValid: true, minutes: 45 });
+  });
+
+  it('accepts both boundaries', () => {
+    expect(validateValidityPeriod(1)).toEqual({ isValid: true, minutes: 1 });
+    expect(validateValidityPeriod(10080)).toEqual({ isValid: true, minutes: 10080 });
+  });
+
+  it('rejects values below one minute', () => {
+    expect(validateValidityPeriod(0)).toEqual({ isValid: false, error: 'Validity must be at least 1 minute' });
+    expect(validateValidityPeriod(-5).isValid).toBe(false);
+  });
+
+  it('rejects values above the maximum', () => {
+    expect(validateValidityPeriod(10081)).toEqual({
+      isValid: false,
+      error: 'Validity cannot exceed 10080 minutes'
+    });
+    expect(validateValidityPeriod(61, { maxMinutes: 60 }).error).toBe('Validity cannot exceed 60 minutes');
+  });
+
+  it('rejects non-numeric values', () => {
+    ['abc', '', null, undefined, {}].forEach((value) => {
+      expect(validateValidityPeriod(value)).toEqual({ isValid: false, error: 'Validity must be a number' });
+    });
+  });
+
+  it('truncates fractional minutes like parseInt', () => {
+    expect(validateValidityPeriod('12.9')).toEqual({ isValid: true, minutes: 12 });
+    expect(validateValidityPeriod(0.5).isValid).toBe(false);
+  });
+});
+
+describe('validateMaxClicks', () => {
+  it('accepts whole numbers from 1 to 1000000', () => {
+    expect(validateMaxClicks(1)).toEqual({ isValid: true, maxClicks: 1 });
+    expect(validateMaxClicks(1000000)).toEqual({ isValid: true, maxClicks: 1000000 });
+  });
+
+  it('rejects zero, fractions, strings and values above the maximum', () => {
+    [0, -1, 2.5, '3', 1000001, null].forEach((value) => {
+      expect(validateMaxClicks(value)).toEqual({
+        isValid: false,
+        error: 'Click limit must be a whole number from 1 to 1000000'
+      });
+    });
+  });
+});
+
+describe('remainingClicks', () => {
+  it('counts down to zero and is null without a limit', () => {
+    expect(remainingClicks({ maxClicks: 3, clicksUsed: 1 })).toBe(2);
+    expect(remainingClicks({ maxClicks: 1, clicksUsed: 1 })).toBe(0);
+    expect(remainingClicks({ maxClicks: null, clicksUsed: 0 })).toBeNull();
+  });
+});
+
+describe('isExpired', () => {
+  it('compares the expiry with the current time', () => {
+    expect(isExpired(new Date(Date.now() - 1000).toISOString())).toBe(true);
+    expect(isExpired(new Date(Date.now() + 60000).toISOString())).toBe(false);
+  });
+});
+
+describe('formatClickData', () => {
+  const request = (headers, ip) => ({
+    get: name => headers[name],
+    ip,
+    connection: { remoteAddress: '10.0.0.9' }
+  });
+
+  it('extracts referrer, IP and the parsed user agent', () => {
+    const userAgent = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10.15; rv:121.0) Gecko/20100101 Firefox/121.0';
+    const req = request({ Referer: 'https://ref.example', 'User-Agent': userAgent }, '127.0.0.1');
+
+    expect(formatClickData('abc', req)).toEqual({
+      shortcode: 'abc',
+      referrer: 'https://ref.example',
+      referrerDomain: 'ref.example',
+      referrerSource: 'other',
+      ipAddress: '127.0.0.1',
+      userAgent,
+      browser: 'Firefox',
+      browserVersion: '121',
+      os: 'macOS',
+      deviceType: 'desktop',
+      isBot: false,
+      country: null,
+      region: null,
+      city: null
+    });
+  });
+
+  it('adds the location when a GeoIP lookup is given', () => {
+    const geoip = { lookup: jest.fn(() => ({ country: 'DE', region: 'Berlin', city: 'Berlin' })) };
+
+    expect(formatClickData('abc', request({}, '10.1.2.3'), geoip)).toMatchObject({
+      country: 'DE',
+      region: 'Berlin',
+      city: 'Berlin'
+    });
+    expect(geoip.lookup).toHaveBeenCalledWith('10.1.2.3');
+  });
+
+  it('falls back when headers and req.ip are missing', () => {
+    expect(formatClickData('abc', request({}, undefined))).toEqual({
+      shortcode: 'abc',
+      referrer: null,
+      referrerDomain: null,
+      referrerSource: 'direct',
+      ipAddress: '10.0.0.9',
+      userAgent: null,
+      browser: null,
+      browserVersion: null,
+      os: null,
+      deviceType: null,
+      isBot: false,
+      country: null,
+      region: null,
+      city: null
+    });
+  });
+});
+
+describe('formatClickBreakdowns', () => {
+  it('labels unparsed values and missing referrers and splits traffic into humans and bots', () => {
+    const breakdowns = {
+      browser: [{ name: 'Chrome', clicks: 3 }, { name: null, clicks: 1 }],
+      os: [{ name: null, clicks: 4 }],
+      deviceType: [],
+      isBot: [{ name: 0, clicks: 3 }, { name: 1, clicks: 1 }],
+      country: [{ name: 'DE', clicks: 2 }, { name: null, clicks: 2 }],
+      referrerDomain: [{ name: null, clicks: 3 }, { name: 'x.com', clicks: 1 }],
+      referrerSource: [{ name: 'direct', clicks: 3 }, { name: null, clicks: 1 }]
+    };
+
+    expect(formatClickBreakdowns(breakdowns)).toEqual({
+      browser: [{ name: 'Chrome', clicks: 3 }, { name: 'Unknown', clicks: 1 }],
+      os: [{ name: 'Unknown', clicks: 4 }],
+      deviceType: [],
+      traffic: [{ name: 'human', clicks: 3 }, { name: 'bot', clicks: 1 }],
+      country: [{ name: 'DE', clicks: 2 }, { name: 'Unknown', clicks: 2 }],
+      referrerDomain: [{ name: 'None', clicks: 3 }, { name: 'x.com', clicks: 1 }],
+      referrerSource: [{ name: 'direct', clicks: 3 }, { name: 'Unknown', clicks: 1 }]
+    });
+  });
+});
+
+describe('formatClickDetail', () => {
+  const click = {
+    id: 3,
+    shortcode: 'abc',
+    clickedAt: '2025-07-29 08:30:00',
+    referrer: null,
+    referrerDomain: null,
+    referrerSource: 'direct',
+    ipAddress: '203.0.113.0',
+    userAgent: null,
+    browser: 'Firefox',
+    browserVersion: '121',
+    os: 'Linux',
+    deviceType: 'desktop',
+    isBot: false,
+    isUnique: true,
+    country: 'GB',
+    region: null,
+    city: null,
+    visitorHash: 'f'.repeat(32),
+    redacted: ['userAgent']
+  };
+
+  it('renames the timestamp and leaves out storage internals', () => {
+    const detail = formatClickDetail(click);
+
+    expect(detail).toMatchObject({ timestamp: '2025-07-29 08:30:00', browser: 'Firefox', redacted: ['userAgent'] });
+    expect(detail).not.toHaveProperty('id');
+    expect(detail).not.toHaveProperty('visitorHash');
+  });
+
+  it('reports a missing referrer as Direct unless it was redacted', () => {
+    expect(formatClickDetail(click).referrer).toBe('Direct');
+    expect(formatClickDetail({ ...click, redacted: ['referrer'] }).referrer).toBeNull();
+  });
+});
+
+describe('generateUniqueShortcode', () => {
+  it('returns a shortcode that is not stored yet', async () => {
+    const storage = new MemoryStorage();
+    const shortcode = await generateUniqueShortcode(storage);
+
+    expect(shortcode).toMatch(/^[a-zA-Z0-9]{6}$/);
+    await expect(isShortcodeUnique(shortcode, storage)).resolves.toBe(true);
+  });
+
+  it('honours the requested length', async () => {
+    await expect(generateUniqueShortcode(new MemoryStorage(), 10, 9)).resolves.toHaveLength(9);
+  });
+
+  it('retries after a collision', async () => {
+    const storage = new MemoryStorage();
+    await storeLink(storage, 'aaaaaa');
+    jest.spyOn(Math, 'random')
+      .mockReturnValueOnce(0).mockReturnValueOnce(0).mockReturnValueOnce(0)
+      .mockReturnValueOnce(0).mockReturnValueOnce(0).mockReturnValueOnce(0)
+      .mockReturnValue(0.99);
+
+    await expect(generateUniqueShortcode(storage)).resolves.toBe('999999');
+  });
+
+  it('gives up after maxAttempts collisions', async () => {
+    const storage = { findByShortcode: jest.fn().mockResolvedValue({ shortcode: 'taken' }) };
+
+    await expect(generateUniqueShortcode(storage, 3)).resolves.toBeNull();
+    expect(storage.findByShortcode).toHaveBeenCalledTimes(3);
+    expect(logger.error).toHaveBeenCalledWith(
+      'Failed to generate unique shortcode after 3 attempts',
+      'helpers'
+    );
+  });
+});
+
+describe('createApiResponse', () => {
+  it('wraps successful data', () => {
+    expect(createApiResponse(true, { id: 1 }, 'ok')).toEqual({ success: true, data: { id: 1 }, message: 'ok' });
+  });
+
+  it('wraps errors with a null default message', () => {
+    expect(createApiResponse(false, 'broken')).toEqual({ success: false, error: 'broken', message: null });
+  });
+});
@@ -0,0 +1,178 @@
+const {
+  parseLimit,
+  parseLinkQuery,
+  parseDeliveryQuery,
+  encodeCursor,
+  decodeCursor,
+  parseClickQuery
+} = require('../utils/pagination');
+
+const options = { defaultLimit: 25, maxLimit: 100 };
+
+describe('parseLimit', () => {
+  it('defaults and accepts integers up to the maximum', () => {
+    expect(parseLimit(undefined, options)).toEqual({ isValid: true, limit: 25 });
+    expect(parseLimit('100', options)).toEqual({ isValid: true, limit: 100 });
+  });
+
+  it.each([['0'], ['101'], ['-5'], ['2.5'], ['ten'], [['10', '20']]])('rejects %p', (limit) => {
+    expect(parseLimit(limit, options)).toEqual({
+      isValid: false,
+      error: 'Invalid pagination',
+      message: 'limit must be an integer between 1 and 100'
+    });
+  });
+});
+
+describe('parseLinkQuery', () => {
+  it('fills in defaults', () => {
+    expect(parseLinkQuery({}, options)).toEqual({
+      isValid: true,
+      limit: 25,
+      offset: 0,
+      status: undefined,
+      createdFrom: undefined,
+      createdTo: undefined,
+      minClicks: undefined,
+      search: undefined,
+      sort: 'created',
+      order: 'desc'
+    });
+  });
+
+  it('parses every parameter', () => {
+    const query = parseLinkQuery({
+      limit: '10',
+      offset: '20',
+      status: 'active',
+      createdFrom: '2025-07-01',
+      createdTo: '2025-07-31T23:59:59Z',
+      minClicks: '5',
+      q: '  docs  ',
+      sort: 'clicks',
+      order: 'asc'
+    }, options);
+
+    expect(query).toEqual({
+      isValid: true,
+      limit: 10,
+      offset: 20,
+      status: 'active',
+      createdFrom: new Date('2025-07-01T00:00:00.000Z'),
+      createdTo: new Date('2025-07-31T23:59:59.000Z'),
+      minClicks: 5,
+      search: 'docs',
+      sort: 'clicks',
+      order: 'asc'
+    });
+  });
+
+  it('ignores a blank search', () => {
+    expect(parseLinkQuery({ q: '   ' }, options).search).toBeUndefined();
+  });
+
+  it.each([
+    [{ offset: '-1' }, 'Invalid pagination'],
+    [{ status: 'deleted' }, 'Invalid filter'],
+    [{ createdFrom: 'last week' }, 'Invalid filter'],
+    [{ createdTo: '' }, 'Invalid filter'],
+    [{ createdFrom: '2025-08-01', createdTo: '2025-07-01' }, 'Invalid filter'],
+    [{ minClicks: '1e3' }, 'Invalid filter'],
+    [{ q: 'x'.repeat(201) }, 'Invalid filter'],
+    [{ sort: 'name' }, 'Invalid sort'],
+    [{ order: 'random' }, 'Invalid sort']
+  ])('rejects %p', (query, error) => {
+    const result = parseLinkQuery(query, options);
+
+    expect(result.isValid).toBe(false);
+    expect(result.error).toBe(error);
+  });
+});
+
+describe('parseDeliveryQuery', () => {
+  it('defaults to the first page of every status', () => {
+    expect(parseDeliveryQuery({}, options)).toEqual({ isValid: true, limit: 25, offset: 0, status: undefined });
+    expect(parseDeliveryQuery({ limit: '5', offset: '10', status: 'failed' }, options))
+      .toEqual({ isValid: true, limit: 5, offset: 10, status: 'failed' });
+  });
+
+  it('rejects unknown statuses and invalid offsets', () => {
+    expect(parseDeliveryQuery({ status: 'dead' }, options)).toMatchObject({
+      isValid: false,
+      error: 'Invalid filter',
+      message: 'status must be one of pending, delivered, failed'
+    });
+    expect(parseDeliveryQuery({ offset: '-1' }, options)).toMatchObject({ isValid: false, error: 'Invalid pagination' });
+  });
+});
+
+describe('click cursors', () => {
+  it('round-trips the position of a click', () => {
+    const cursor = encodeCursor({ clickedAt: '2025-07-29 08:30:00', id: 42, referrer: null });
+
+    expect(cursor).toMatch(/^[\w-]+$/);
+    expect(decodeCursor(cursor)).toEqual({ clickedAt: '2025-07-29 08:30:00', id: 42 });
+  });
+
+  it.each([
+    ['nope'],
+    [Buffer.from('["2025-07-29T08:30:00Z",1]').toString('base64url')],
+    [Buffer.from('["2025-07-29 08:30:00",0]').toString('base64url')],
+    [['a', 'b']]
+  ])('rejects %p', (cursor) => {
+    expect(decodeCursor(cursor)).toBeNull();
+  });
+});
+
+describe('parseClickQuery', () => {
+  it('fills in defaults', () => {
+    expect(parseClickQuery({}, options)).toEqual({
+      isValid: true,
+      limit: 25,
+      before: undefined,
+      from: undefined,
+      to: undefined,
+      referrerDomain: undefined,
+      referrerSource: undefined,
+      isBot: undefined
+    });
+  });
+
+  it('parses every parameter', () => {
+    const query = parseClickQuery({
+      limit: '50',
+      cursor: encodeCursor({ clickedAt: '2025-07-29 08:30:00', id: 7 }),
+      from: '2025-07-01',
+      to: '2025-07-31T23:59:59Z',
+      referrerDomain: ' WWW.Google.com ',
+      referrerSource: 'search',
+      traffic: 'human'
+    }, options);
+
+    expect(query).toEqual({
+      isValid: true,
+      limit: 50,
+      before: { clickedAt: '2025-07-29 08:30:00', id: 7 },
+      from: new Date('2025-07-01T00:00:00.000Z'),
+      to: new Date('2025-07-31T23:59:59.000Z'),
+      referrerDomain: 'google.com',
+      referrerSource: 'search',
+      isBot: false
+    });
+  });
+
+  it.each([
+    [{ cursor: 'nope' }, 'Invalid pagination'],
+    [{ limit: '0' }, 'Invalid pagination'],
+    [{ from: 'yesterday' }, 'Invalid filter'],
+    [{ from: '2025-08-01', to: '2025-07-01' }, 'Invalid filter'],
+    [{ referrerDomain: '  ' }, 'Invalid filter'],
+    [{ referrerSource: 'print' }, 'Invalid filter'],
+    [{ traffic: 'toString' }, 'Invalid filter']
+  ])('rejects %p', (query, error) => {
+    const result = parseClickQuery(query, options);
+
+    expect(result.isValid).toBe(false);
+    expect(result.error).toBe(error);
+  });
+});
@@ -0,0 +1,121 @@
+const {
+  validatePassword,
+  hashPassword,
+  verifyPassword,
+  unlockCookieName,
+  createUnlockToken,
+  verifyUnlockToken,
+  readCookie,
+  createUnlockLimiter,
+  renderUnlockPage
+} = require('../utils/passwords');
+
+describe('validatePassword', () => {
+  it('accepts strings of 4 to 200 characters', () => {
+    expect(validatePassword('abcd').isValid).toBe(true);
+    expect(validatePassword('x'.repeat(200)).isValid).toBe(true);
+  });
+
+  it('rejects short, long and non-string passwords', () => {
+    for (const password of ['abc', 'x'.repeat(201), 1234, null, ['abcd']]) {
+      expect(validatePassword(password)).toEqual({
+        isValid: false,
+        error: 'Password must be a string of 4 to 200 characters'
+      });
+    }
+  });
+});
+
+describe('hashPassword and verifyPassword', () => {
+  it('salts every hash and verifies only the right password', async () => {
+    const hash = await hashPassword('open sesame');
+
+    expect(hash).toMatch(/^scrypt\$[\w+/]+=*\$[\w+/]+=*$/);
+    expect(await hashPassword('open sesame')).not.toBe(hash);
+    expect(await verifyPassword('open sesame', hash)).toBe(true);
+    expect(await verifyPassword('open sesame ', hash)).toBe(false);
+    expect(await verifyPassword(undefined, hash)).toBe(false);
+  });
+
+  it('rejects malformed stored hashes', async () => {
+    expect(await verifyPassword('open sesame', 'plain')).toBe(false);
+    expect(await verifyPassword('open sesame', null)).toBe(false);
+  });
+});
+
+describe('unlock tokens', () => {
+  const link = { shortcode: 'abc', passwordHash: 'scrypt$c2FsdA==$aGFzaA==' };
+  const secret = 'unlock-secret-0123456789';
+  const now = new Date('2030-01-01T00:00:00Z');
+
+  it('is valid for its link until it expires', () => {
+    const token = createUnlockToken(link, { secret, minutes: 60, now });
+
+    expect(token).toMatch(/^\d+\.[\w-]+$/);
+    expect(verifyUnlockToken(token, link, { secret, now })).toBe(true);
+    expect(verifyUnlockToken(token, link, { secret, now: new Date(now.getTime() + 3600000) })).toBe(false);
+  });
+
+  it('is rejected for another link, secret or password, and when tampered with', () => {
+    const token = createUnlockToken(link, { secret, minutes: 60, now });
+    const [expires, signature] = token.split('.');
+
+    expect(verifyUnlockToken(token, { ...link, shortcode: 'abd' }, { secret, now })).toBe(false);
+    expect(verifyUnlockToken(token, { ...link, passwordHash: 'scrypt$other$hash' }, { secret, now })).toBe(false);
+    expect(verifyUnlockToken(token, link, { secret: 'another-secret-0123456', now })).toBe(false);
+    expect(verifyUnlockToken(`${Number(expires) + 60}.${signature}`, link, { secret, now })).toBe(false);
+    expect(verifyUnlockToken(null, link, { secret, now })).toBe(false);
+  });
+
+  it('names one cookie per link', () => {
+    expect(unlockCookieName('abc')).toBe('su_unlock_abc');
+  });
+});
+
+describe('readCookie', () => {
+  it('finds one cookie among several', () => {
+    const header = 'theme=dark; su_unlock_abc=123.sig%3D; su_unlock_abcd=456.x';
+
+    expect(readCookie(header, 'su_unlock_abc')).toBe('123.sig=');
+    expect(readCookie(header, 'su_unlock_ab')).toBeNull();
+    expect(readCookie(undefined, 'theme')).toBeNull();
+    expect(readCookie('bad=%E0%A4%A', 'bad')).toBeNull();
+  });
+});
+
+describe('createUnlockLimiter', () => {
+  const start = new Date('2030-01-01T00:00:00Z');
+  const later = seconds => new Date(start.getTime() + seconds * 1000);
+
+  it('blocks a key after maxAttempts failures until the window ends', () => {
+    const limiter = createUnlockLimiter({ maxAttempts: 2, windowMinutes: 10 });
+
+    expect(limiter.retryAfter('abc|1.2.3.4', start)).toBe(0);
+    expect(limiter.recordAttempt('abc|1.2.3.4', start)).toBe(1);
+    expect(limiter.recordAttempt('abc|1.2.3.4', later(60))).toBe(0);
+
+    expect(limiter.retryAfter('abc|1.2.3.4', later(60))).toBe(540);
+    expect(limiter.retryAfter('abc|5.6.7.8', later(60))).toBe(0);
+    expect(limiter.retryAfter('abc|1.2.3.4', later(600))).toBe(0);
+  });
+
+  it('forgets a key on reset', () => {
+    const limiter = createUnlockLimiter({ maxAttempts: 1, windowMinutes: 10 });
+
+    limiter.recordAttempt('abc|1.2.3.4', start);
+    limiter.reset('abc|1.2.3.4');
+
+    expect(limiter.retryAfter('abc|1.2.3.4', start)).toBe(0);
+  });
+});
+
+describe('renderUnlockPage', () => {
+  it('posts back to the link and escapes the error', () => {
+    const html = renderUnlockPage({ shortcode: 'abc', error: 'Wrong <password>' });
+
+    expect(html).toContain('<form method="post" action="./abc">');
+    expect(html).toContain('name="password"');
+    expect(html).toContain('<p class="error" role="alert">Wrong &lt;password&gt;</p>');
+    expect(renderUnlockPage({ shortcode: 'abc' })).not.toContain('role="alert"');
+  });
+});
@@ -0,0 +1,128 @@
+const {
+  truncateIp,
+  hashVisitor,
+  hasOptedOut,
+  applyPrivacyPolicy,
+  describePrivacyPolicy
+} = require('../utils/privacy');
+const { DEFAULTS } = require('../config');
+
+const request = (headers = {}) => ({ get: name => headers[name] });
+
+const click = {
+  shortcode: 'abc',
+  referrer: 'https://ref.example',
+  ipAddress: '203.0.113.77',
+  userAgent: 'Mozilla/5.0 (X11; Linux x86_64) Firefox/121.0',
+  browser: 'Firefox',
+  country: 'GB',
+  region: 'England',
+  city: 'London'
+};
+
+const policy = overrides => ({ ...DEFAULTS.privacy, ...overrides });
+
+describe('truncateIp', () => {
+  const prefixes = { ipv4Prefix: 24, ipv6Prefix: 48 };
+
+  it('keeps the network part of IPv4 and IPv6 addresses', () => {
+    expect(truncateIp('203.0.113.77', prefixes)).toBe('203.0.113.0');
+    expect(truncateIp('::ffff:10.1.2.3', prefixes)).toBe('10.1.2.0');
+    expect(truncateIp('2001:db8:85a3:8d3:1319:8a2e:370:7348', prefixes)).toBe('2001:db8:85a3::');
+    expect(truncateIp('203.0.113.77', { ipv4Prefix: 16, ipv6Prefix: 48 })).toBe('203.0.0.0');
+  });
+
+  it('returns null for anything that is not an IP address', () => {
+    expect(truncateIp('unknown', prefixes)).toBeNull();
+  });
+});
+
+describe('hashVisitor', () => {
+  const day = new Date('2030-01-01T10:00:00Z');
+
+  it('is stable within a UTC day and changes with the day, IP, user agent and salt', () => {
+    const hash = hashVisitor('203.0.113.77', 'ua', 'salt', day);
+
+    expect(hash).toMatch(/^[0-9a-f]{32}$/);
+    expect(hashVisitor('203.0.113.77', 'ua', 'salt', new Date('2030-01-01T23:59:59Z'))).toBe(hash);
+    expect(hashVisitor('::ffff:203.0.113.77', 'ua', 'salt', day)).toBe(hash);
+    expect(hashVisitor('203.0.113.77', 'ua', 'salt', new Date('2030-01-02T00:00:00Z'))).not.toBe(hash);
+    expect(hashVisitor('203.0.113.78', 'ua', 'salt', day)).not.toBe(hash);
+    expect(hashVisitor('203.0.113.77', 'other', 'salt', day)).not.toBe(hash);
+    expect(hashVisitor('203.0.113.77', 'ua', 'pepper', day)).not.toBe(hash);
+  });
+});
+
+describe('hasOptedOut', () => {
+  it('recognises DNT and Global Privacy Control', () => {
+    expect(hasOptedOut(request({ DNT: '1' }))).toBe(true);
+    expect(hasOptedOut(request({ 'Sec-GPC': '1' }))).toBe(true);
+    expect(hasOptedOut(request({ DNT: '0' }))).toBe(false);
+    expect(hasOptedOut(request())).toBe(false);
+  });
+});
+
+describe('applyPrivacyPolicy', () => {
+  it('stores everything with the default policy', () => {
+    expect(applyPrivacyPolicy(click, request(), policy())).toEqual({ ...click, visitorHash: null, redacted: [] });
+  });
+
+  it('truncates IPs and drops user agents when configured', () => {
+    const result = applyPrivacyPolicy(click, request(), policy({ ipMode: 'truncate', storeUserAgent: false }));
+
+    expect(result).toMatchObject({ ipAddress: '203.0.113.0', userAgent: null, browser: 'Firefox' });
+    expect(result.redacted).toEqual(['ipAddress', 'userAgent']);
+  });
+
+  it('replaces the IP with the daily visitor hash in hash mode', () => {
+    const now = new Date('2030-01-01T10:00:00Z');
+    const result = applyPrivacyPolicy(click, request(), policy({ ipMode: 'hash', hashSalt: 'salt' }), now);
+
+    expect(result.ipAddress).toBeNull();
+    expect(result.visitorHash).toBe(hashVisitor(click.ipAddress, click.userAgent, 'salt', now));
+    expect(result.redacted).toEqual(['ipAddress']);
+  });
+
+  it('keeps only coarse fields for visitors who opted out', () => {
+    const result = applyPrivacyPolicy(click, request({ DNT: '1' }), policy({ hashSalt: 'salt' }));
+
+    expect(result).toMatchObject({
+      ipAddress: null,
+      userAgent: null,
+      referrer: null,
+      region: null,
+      city: null,
+      visitorHash: null,
+      browser: 'Firefox',
+      country: 'GB'
+    });
+    expect(result.redacted).toEqual(['ipAddress', 'userAgent', 'referrer', 'region', 'city']);
+  });
+
+  it('ignores opt-out signals when honorOptOut is off', () => {
+    const result = applyPrivacyPolicy(click, request({ 'Sec-GPC': '1' }), policy({ honorOptOut: false }));
+
+    expect(result.ipAddress).toBe(click.ipAddress);
+    expect(result.redacted).toEqual([]);
+  });
+});
+
+describe('describePrivacyPolicy', () => {
+  it('summarises the policy', () => {
+    expect(describePrivacyPolicy(policy())).toEqual({
+      ipAddresses: 'full',
+      userAgents: 'stored',
+      honorsOptOut: true,
+      retentionDays: null,
+      retentionMode: null
+    });
+    expect(describePrivacyPolicy(policy({ ipMode: 'hash', storeUserAgent: false, retentionDays: 30, retentionMode: 'anonymize' })))
+      .toEqual({
+        ipAddresses: 'hashed',
+        userAgents: 'not stored',
+        honorsOptOut: true,
+        retentionDays: 30,
+        retentionMode: 'anonymize'
+      });
+  });
+});
@@ -0,0 +1,49 @@
+const { normalizeDomain, classifyReferrer } = require('../utils/referrers');
+
+describe('normalizeDomain', () => {
+  it('drops www, mobile and redirect prefixes', () => {
+    expect(normalizeDomain('WWW.Example.com')).toBe('example.com');
+    expect(normalizeDomain('m.facebook.com')).toBe('facebook.com');
+    expect(normalizeDomain('l.facebook.com')).toBe('facebook.com');
+    expect(normalizeDomain('www.m.example.com')).toBe('example.com');
+  });
+
+  it('keeps prefixes that are the whole site name', () => {
+    expect(normalizeDomain('m.co')).toBe('m.co');
+    expect(normalizeDomain('blog.example.org')).toBe('blog.example.org');
+  });
+
+  it('maps short and legacy domains to their site', () => {
+    expect(normalizeDomain('t.co')).toBe('x.com');
+    expect(normalizeDomain('twitter.com')).toBe('x.com');
+    expect(normalizeDomain('youtu.be')).toBe('youtube.com');
+  });
+});
+
+describe('classifyReferrer', () => {
+  it('treats a missing referrer as direct', () => {
+    expect(classifyReferrer(null)).toEqual({ referrerDomain: null, referrerSource: 'direct' });
+    expect(classifyReferrer('')).toEqual({ referrerDomain: null, referrerSource: 'direct' });
+  });
+
+  it.each([
+    ['https://www.google.co.uk/', 'google.co.uk', 'search'],
+    ['https://duckduckgo.com/', 'duckduckgo.com', 'search'],
+    ['https://search.yahoo.com/search?p=x', 'search.yahoo.com', 'search'],
+    ['https://mail.google.com/mail/u/0/', 'mail.google.com', 'email'],
+    ['https://outlook.live.com/mail/0/', 'outlook.live.com', 'email'],
+    ['https://mail.yahoo.com/', 'mail.yahoo.com', 'email'],
+    ['https://t.co/abc', 'x.com', 'social'],
+    ['https://lm.facebook.com/l.php?u=x', 'facebook.com', 'social'],
+    ['https://news.ycombinator.com/item?id=1', 'news.ycombinator.com', 'social'],
+    ['android-app://com.google.android.gm/', 'mail.google.com', 'email'],
+    ['android-app://com.example.reader/', 'com.example.reader', 'other'],
+    ['https://blog.example.org/post', 'blog.example.org', 'other']
+  ])('classifies %s', (referrer, referrerDomain, referrerSource) => {
+    expect(classifyReferrer(referrer)).toEqual({ referrerDomain, referrerSource });
+  });
+
+  it('reports referrers that are not URLs as other', () => {
+    expect(classifyReferrer('not a url')).toEqual({ referrerDomain: null, referrerSource: 'other' });
+  });
+});
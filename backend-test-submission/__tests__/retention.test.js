@@ -0,0 +1,62 @@
+const { MemoryStorage } = require('../storage');
+const { DEFAULTS } = require('../config');
+const { purgeExpiredClicks, startRetentionJob } = require('../jobs/retention');
+
+const logger = () => ({ info: jest.fn(), error: jest.fn() });
+
+const seed = async (dates = ['2030-01-01 00:00:00', '2030-01-20 00:00:00', '2030-01-30 12:00:00']) => {
+  const storage = await new MemoryStorage().initialize();
+  await storage.createLink({ shortcode: 'abc', originalUrl: 'https://example.com', expiresAt: '2030-01-01T00:00:00Z', validityMinutes: 30, ownerId: 'alice' });
+  for (const clickedAt of dates) {
+    await storage.recordClick({ shortcode: 'abc', clickedAt, referrer: 'https://ref.example', ipAddress: '10.0.0.1', userAgent: 'ua', city: 'London' });
+  }
+  return storage;
+};
+
+const now = new Date('2030-01-31T00:00:00Z');
+
+describe('purgeExpiredClicks', () => {
+  it('deletes clicks older than the retention period', async () => {
+    const storage = await seed();
+    const log = logger();
+
+    const purged = await purgeExpiredClicks({ storage, logger: log, privacy: { ...DEFAULTS.privacy, retentionDays: 7 }, now });
+
+    expect(purged).toBe(2);
+    expect((await storage.getClicks('abc')).map(click => click.clickedAt)).toEqual(['2030-01-30 12:00:00']);
+    expect(log.info).toHaveBeenCalledWith('Deleted 2 click(s) older than 7 day(s)', 'retention-job');
+  });
+
+  it('anonymizes old clicks once and keeps them for counting', async () => {
+    const storage = await seed();
+    const privacy = { ...DEFAULTS.privacy, retentionDays: 7, retentionMode: 'anonymize' };
+
+    expect(await purgeExpiredClicks({ storage, logger: logger(), privacy, now })).toBe(2);
+    expect(await purgeExpiredClicks({ storage, logger: logger(), privacy, now })).toBe(0);
+
+    const clicks = await storage.getClicks('abc');
+    expect(clicks).toHaveLength(3);
+    expect(clicks[0]).toMatchObject({ ipAddress: '10.0.0.1', city: 'London', redacted: [] });
+    expect(clicks[2]).toMatchObject({ ipAddress: null, userAgent: null, referrer: null, city: null });
+    expect(clicks[2].redacted).toEqual(['ipAddress', 'userAgent', 'referrer', 'region', 'city', 'visitorHash']);
+  });
+});
+
+describe('startRetentionJob', () => {
+  it('does nothing while retention is disabled', () => {
+    expect(startRetentionJob({ storage: new MemoryStorage(), logger: logger(), config: { privacy: DEFAULTS.privacy } })).toBeNull();
+  });
+
+  it('purges at startup and can be stopped', async () => {
+    // The job runs against the real clock
+    const storage = await seed(['2020-01-01 00:00:00']);
+    const log = logger();
+
+    const job = startRetentionJob({ storage, logger: log, config: { privacy: { ...DEFAULTS.privacy, retentionDays: 1 } } });
+    await new Promise(resolve => setImmediate(resolve));
+    job.stop();
+
+    expect(await storage.getClicks('abc')).toHaveLength(0);
+    expect(log.error).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,105 @@
+const { resolveSchedule, linkStatus } = require('../utils/schedule');
+
+const now = new Date('2030-01-01T00:00:00.000Z');
+const limits = { defaultMinutes: 30, maxMinutes: 10080 };
+const at = minutes => new Date(now.getTime() + minutes * 60000).toISOString();
+
+describe('resolveSchedule', () => {
+  it('uses the default validity from now when creating a link without a schedule', () => {
+    expect(resolveSchedule({}, { limits, now })).toEqual({
+      isValid: true,
+      activatesAt: null,
+      expiresAt: at(30),
+      validityMinutes: 30
+    });
+  });
+
+  it('counts validity from a future activation time', () => {
+    expect(resolveSchedule({ validity: 60, activatesAt: at(120) }, { limits, now })).toEqual({
+      isValid: true,
+      activatesAt: at(120),
+      expiresAt: at(180),
+      validityMinutes: 60
+    });
+  });
+
+  it('accepts an absolute expiry and derives the validity in whole minutes', () => {
+    const result = resolveSchedule({ expiresAt: '2030-01-01T01:30:30Z' }, { limits, now });
+
+    expect(result).toEqual({ isValid: true, activatesAt: null, expiresAt: '2030-01-01T01:30:30.000Z', validityMinutes: 91 });
+  });
+
+  it('rejects validity and expiresAt together', () => {
+    expect(resolveSchedule({ validity: 10, expiresAt: at(10) }, { limits, now })).toMatchObject({
+      isValid: false,
+      error: 'Conflicting expiry'
+    });
+  });
+
+  it('rejects malformed times and expiries outside the window', () => {
+    const cases = [
+      [{ activatesAt: 'next week' }, 'Invalid activation time'],
+      [{ activatesAt: 1893456000000 }, 'Invalid activation time'],
+      [{ expiresAt: 'never' }, 'Invalid expiry'],
+      [{ expiresAt: at(-1) }, 'expiresAt must be in the future'],
+      [{ activatesAt: at(60), expiresAt: at(30) }, 'expiresAt must be after activatesAt'],
+      [{ activatesAt: at(60), expiresAt: at(60 + 10081) }, 'expiresAt cannot be more than 10080 minutes after the link becomes active'],
+      [{ validity: 0 }, 'Invalid validity period']
+    ];
+
+    for (const [request, expected] of cases) {
+      const result = resolveSchedule(request, { limits, now });
+      expect(result.isValid).toBe(false);
+      expect([result.error, result.message]).toContain(expected);
+    }
+  });
+
+  it('keeps the current expiry when an update only changes the activation time', () => {
+    const current = { activatesAt: at(10), expiresAt: at(40), validityMinutes: 30 };
+
+    expect(resolveSchedule({ activatesAt: null }, { limits, current, now })).toEqual({
+      isValid: true,
+      activatesAt: null,
+      expiresAt: at(40),
+      validityMinutes: 30
+    });
+    expect(resolveSchedule({ activatesAt: at(40) }, { limits, current, now })).toMatchObject({
+      isValid: false,
+      error: 'Invalid activation time'
+    });
+  });
+
+  it('rechecks the maximum window when an update moves the activation earlier', () => {
+    const current = { activatesAt: at(5000), expiresAt: at(15000), validityMinutes: 10000 };
+
+    for (const activatesAt of [null, at(4000)]) {
+      expect(resolveSchedule({ activatesAt }, { limits, current, now })).toMatchObject({
+        isValid: false,
+        error: 'Invalid activation time',
+        message: 'activatesAt cannot be more than 10080 minutes before the link expires'
+      });
+    }
+    expect(resolveSchedule({ activatesAt: at(6000) }, { limits, current, now })).toMatchObject({ isValid: true, expiresAt: at(15000) });
+    expect(resolveSchedule({}, { limits, current: { ...current, activatesAt: null }, now }).isValid).toBe(true);
+  });
+
+  it('keeps the current activation time when an update only changes the expiry', () => {
+    const current = { activatesAt: at(10), expiresAt: at(40), validityMinutes: 30 };
+
+    expect(resolveSchedule({ validity: 5 }, { limits, current, now })).toEqual({
+      isValid: true,
+      activatesAt: at(10),
+      expiresAt: at(15),
+      validityMinutes: 5
+    });
+  });
+});
+
+describe('linkStatus', () => {
+  it('tells scheduled, active and expired links apart', () => {
+    expect(linkStatus({ activatesAt: at(5), expiresAt: at(35) }, now)).toBe('scheduled');
+    expect(linkStatus({ activatesAt: at(-5), expiresAt: at(25) }, now)).toBe('active');
+    expect(linkStatus({ activatesAt: null, expiresAt: at(25) }, now)).toBe('active');
+    expect(linkStatus({ activatesAt: null, expiresAt: at(-1) }, now)).toBe('expired');
+  });
+});
@@ -0,0 +1,110 @@
+const {
+  toSqlTimestamp,
+  formatOffset,
+  resolveTimezone,
+  bucketRanges,
+  bucketToIso,
+  parseTimeseriesQuery
+} = require('../utils/timeseries');
+
+const options = { maxBuckets: 1000, now: new Date('2030-01-02T12:30:00.000Z') };
+
+describe('resolveTimezone', () => {
+  it('defaults to UTC', () => {
+    expect(resolveTimezone(undefined, new Date())).toEqual({ name: 'UTC', offsetMinutes: 0 });
+    expect(resolveTimezone('utc', new Date())).toEqual({ name: 'UTC', offsetMinutes: 0 });
+  });
+
+  it('parses fixed offsets, including a "+" decoded as a space', () => {
+    expect(resolveTimezone('+05:30', new Date())).toEqual({ name: '+05:30', offsetMinutes: 330 });
+    expect(resolveTimezone('-0800', new Date())).toEqual({ name: '-08:00', offsetMinutes: -480 });
+    expect(resolveTimezone(' 01:00', new Date())).toEqual({ name: '+01:00', offsetMinutes: 60 });
+  });
+
+  it('resolves IANA zones at the given instant', () => {
+    expect(resolveTimezone('Europe/Berlin', new Date('2030-01-15T00:00:00Z')).offsetMinutes).toBe(60);
+    expect(resolveTimezone('Europe/Berlin', new Date('2030-07-15T00:00:00Z')).offsetMinutes).toBe(120);
+    expect(resolveTimezone('Asia/Kolkata', new Date()).offsetMinutes).toBe(330);
+  });
+
+  it('rejects unknown zones and impossible offsets', () => {
+    expect(resolveTimezone('Mars/Olympus', new Date())).toBeNull();
+    expect(resolveTimezone('+15:00', new Date())).toBeNull();
+    expect(resolveTimezone(['UTC'], new Date())).toBeNull();
+  });
+});
+
+describe('bucketRanges', () => {
+  const berlin = resolveTimezone('Europe/Berlin', new Date('2030-01-01T00:00:00Z'));
+  const starts = buckets => buckets.map(bucketToIso);
+  const hours = buckets => buckets.map(({ start, end }) => (end - start) / 3600000);
+
+  it('starts on local boundaries of a fixed offset', () => {
+    const buckets = bucketRanges('hour', new Date('2030-01-01T22:45:10Z'), new Date('2030-01-01T23:40:00Z'), resolveTimezone('+05:30'));
+
+    expect(starts(buckets)).toEqual(['2030-01-02T04:00:00+05:30', '2030-01-02T05:00:00+05:30']);
+    expect(buckets[0].start.toISOString()).toBe('2030-01-01T22:30:00.000Z');
+  });
+
+  it('keeps local midnight for days that span a DST change', () => {
+    const spring = bucketRanges('day', new Date('2030-03-30T12:00:00Z'), new Date('2030-04-01T12:00:00Z'), berlin);
+    const autumn = bucketRanges('day', new Date('2030-10-26T12:00:00Z'), new Date('2030-10-28T12:00:00Z'), berlin);
+
+    expect(starts(spring)).toEqual(['2030-03-30T00:00:00+01:00', '2030-03-31T00:00:00+01:00', '2030-04-01T00:00:00+02:00']);
+    expect(hours(spring)).toEqual([24, 23, 24]);
+    expect(starts(autumn)).toEqual(['2030-10-26T00:00:00+02:00', '2030-10-27T00:00:00+02:00', '2030-10-28T00:00:00+01:00']);
+    expect(hours(autumn)).toEqual([24, 25, 24]);
+  });
+
+  it('skips the missing hour and repeats the doubled one', () => {
+    const spring = bucketRanges('hour', new Date('2030-03-31T00:30:00Z'), new Date('2030-03-31T01:30:00Z'), berlin);
+    const autumn = bucketRanges('hour', new Date('2030-10-27T00:30:00Z'), new Date('2030-10-27T01:30:00Z'), berlin);
+
+    expect(starts(spring)).toEqual(['2030-03-31T01:00:00+01:00', '2030-03-31T03:00:00+02:00']);
+    expect(starts(autumn)).toEqual(['2030-10-27T02:00:00+02:00', '2030-10-27T02:00:00+01:00']);
+  });
+
+  it('stops at the limit', () => {
+    expect(bucketRanges('minute', new Date('2030-01-01T00:00:00Z'), new Date('2030-01-02T00:00:00Z'), berlin, 5)).toHaveLength(5);
+  });
+});
+
+describe('formatting helpers', () => {
+  it('formats timestamps and offsets', () => {
+    expect(toSqlTimestamp(new Date('2030-01-01T10:00:05.123Z'))).toBe('2030-01-01 10:00:05');
+    expect(formatOffset(-570)).toBe('-09:30');
+    expect(bucketToIso({ start: new Date('2030-01-01T04:30:00Z'), offsetMinutes: 330 })).toBe('2030-01-01T10:00:00+05:30');
+  });
+});
+
+describe('parseTimeseriesQuery', () => {
+  it('defaults to the last 24 hourly buckets in UTC', () => {
+    const query = parseTimeseriesQuery({}, options);
+
+    expect(query).toMatchObject({ isValid: true, interval: 'hour', timezone: { name: 'UTC', offsetMinutes: 0 } });
+    expect(query.to).toEqual(options.now);
+    expect(query.from.toISOString()).toBe('2030-01-01T12:30:00.000Z');
+  });
+
+  it('uses a default window per interval', () => {
+    expect(parseTimeseriesQuery({ interval: 'minute' }, options).from.toISOString()).toBe('2030-01-02T11:30:00.000Z');
+    expect(parseTimeseriesQuery({ interval: 'day' }, options).from.toISOString()).toBe('2029-12-03T12:30:00.000Z');
+  });
+
+  it.each([
+    [{ interval: 'week' }, 'Invalid interval'],
+    [{ from: 'yesterday' }, 'Invalid date range'],
+    [{ from: '2030-01-02', to: '2030-01-01' }, 'Invalid date range'],
+    [{ tz: 'Nowhere/City' }, 'Invalid timezone'],
+    [{ interval: 'minute', from: '2030-01-01T00:00:00Z', to: '2030-01-02T00:00:00Z' }, 'Too many buckets']
+  ])('rejects %j', (query, error) => {
+    expect(parseTimeseriesQuery(query, options)).toMatchObject({ isValid: false, error });
+  });
+
+  it('counts buckets in local time when enforcing the limit', () => {
+    const query = { interval: 'hour', from: '2030-01-01T00:30:00Z', to: '2030-01-01T01:29:00Z' };
+
+    expect(parseTimeseriesQuery(query, { ...options, maxBuckets: 1 }).isValid).toBe(false);
+    expect(parseTimeseriesQuery({ ...query, tz: '+00:30' }, { ...options, maxBuckets: 1 }).isValid).toBe(true);
+  });
+});
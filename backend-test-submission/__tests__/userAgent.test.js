@@ -0,0 +1,67 @@
+const { parseUserAgent } = require('../utils/userAgent');
+
+describe('parseUserAgent', () => {
+  it.each([
+    [
+      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+      { browser: 'Chrome', browserVersion: '120', os: 'Windows', deviceType: 'desktop', isBot: false }
+    ],
+    [
+      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.2210.91',
+      { browser: 'Edge', browserVersion: '120', os: 'Windows', deviceType: 'desktop', isBot: false }
+    ],
+    [
+      'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 OPR/105.0.0.0',
+      { browser: 'Opera', browserVersion: '105', os: 'Linux', deviceType: 'desktop', isBot: false }
+    ],
+    [
+      'Mozilla/5.0 (Macintosh; Intel Mac OS X 10.15; rv:121.0) Gecko/20100101 Firefox/121.0',
+      { browser: 'Firefox', browserVersion: '121', os: 'macOS', deviceType: 'desktop', isBot: false }
+    ],
+    [
+      'Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Mobile/15E148 Safari/604.1',
+      { browser: 'Safari', browserVersion: '17', os: 'iOS', deviceType: 'mobile', isBot: false }
+    ],
+    [
+      'Mozilla/5.0 (iPad; CPU OS 16_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) CriOS/119.0.6045.169 Mobile/15E148 Safari/604.1',
+      { browser: 'Chrome', browserVersion: '119', os: 'iOS', deviceType: 'tablet', isBot: false }
+    ],
+    [
+      'Mozilla/5.0 (Linux; Android 13; SM-S918B) AppleWebKit/537.36 (KHTML, like Gecko) SamsungBrowser/23.0 Chrome/115.0.0.0 Mobile Safari/537.36',
+      { browser: 'Samsung Internet', browserVersion: '23', os: 'Android', deviceType: 'mobile', isBot: false }
+    ],
+    [
+      'Mozilla/5.0 (Linux; Android 13; SM-X700) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+      { browser: 'Chrome', browserVersion: '120', os: 'Android', deviceType: 'tablet', isBot: false }
+    ],
+    [
+      'Mozilla/5.0 (Windows NT 6.1; Trident/7.0; rv:11.0) like Gecko',
+      { browser: 'Internet Explorer', browserVersion: '11', os: 'Windows', deviceType: 'desktop', isBot: false }
+    ]
+  ])('parses %s', (userAgent, expected) => {
+    expect(parseUserAgent(userAgent)).toEqual(expected);
+  });
+
+  it.each([
+    ['Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)', 'Googlebot'],
+    ['Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; bingbot/2.0) Chrome/116.0 Safari/537.36', 'bingbot'],
+    ['facebookexternalhit/1.1 (+http://www.facebook.com/externalhit_uatext.php)', 'facebookexternalhit'],
+    ['Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)', 'Slackbot-LinkExpanding'],
+    ['WhatsApp/2.23.20.0 A', 'WhatsApp'],
+    ['TelegramBot (like TwitterBot)', 'TelegramBot'],
+    ['http.rb/5.1.1 (Mastodon/4.2.1; +https://mastodon.social/)', 'http.rb'],
+    ['curl/8.4.0', 'curl'],
+    ['python-requests/2.31.0', 'python-requests'],
+    ['Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) HeadlessChrome/120.0.0.0 Safari/537.36', 'Headless Chrome']
+  ])('flags %s as a bot', (userAgent, browser) => {
+    expect(parseUserAgent(userAgent)).toMatchObject({ browser, isBot: true, deviceType: null });
+  });
+
+  it('leaves everything unknown for missing or unrecognised agents', () => {
+    const unknown = { browser: null, browserVersion: null, os: null, deviceType: null, isBot: false };
+
+    expect(parseUserAgent(null)).toEqual(unknown);
+    expect(parseUserAgent('')).toEqual(unknown);
+    expect(parseUserAgent('SomethingElse')).toEqual(unknown);
+  });
+});
@@ -0,0 +1,49 @@
+const { validateUtm, appendUtm } = require('../utils/utm');
+
+describe('validateUtm', () => {
+  it('accepts missing tags', () => {
+    expect(validateUtm(undefined)).toEqual({ isValid: true, utm: null });
+    expect(validateUtm(null)).toEqual({ isValid: true, utm: null });
+    expect(validateUtm({ source: '' })).toEqual({ isValid: true, utm: null });
+  });
+
+  it('fills every field and trims values', () => {
+    expect(validateUtm({ source: ' newsletter ', campaign: 'spring' })).toEqual({
+      isValid: true,
+      utm: { source: 'newsletter', medium: null, campaign: 'spring', term: null, content: null }
+    });
+  });
+
+  it('rejects unknown fields, non-strings and long values', () => {
+    expect(validateUtm('spring')).toMatchObject({ isValid: false });
+    expect(validateUtm(['spring'])).toMatchObject({ isValid: false });
+    expect(validateUtm({ id: 'x' })).toEqual({
+      isValid: false,
+      error: 'Unknown utm field: id (allowed: source, medium, campaign, term, content)'
+    });
+    expect(validateUtm({ medium: 5 })).toEqual({ isValid: false, error: 'utm.medium must be a non-empty string' });
+    expect(validateUtm({ medium: '   ' })).toMatchObject({ isValid: false });
+    expect(validateUtm({ term: 'x'.repeat(201) })).toEqual({
+      isValid: false,
+      error: 'utm.term cannot exceed 200 characters'
+    });
+  });
+});
+
+describe('appendUtm', () => {
+  const utm = { source: 'newsletter', medium: 'email', campaign: 'spring sale', term: null, content: null };
+
+  it('returns the URL unchanged without tags', () => {
+    expect(appendUtm('https://example.com', null)).toBe('https://example.com');
+  });
+
+  it('adds the set fields and encodes values', () => {
+    expect(appendUtm('https://example.com/page#top', utm))
+      .toBe('https://example.com/page?utm_source=newsletter&utm_medium=email&utm_campaign=spring+sale#top');
+  });
+
+  it('replaces utm parameters already in the URL and keeps the rest', () => {
+    expect(appendUtm('https://example.com/?utm_source=old&id=7', utm))
+      .toBe('https://example.com/?utm_source=newsletter&id=7&utm_medium=email&utm_campaign=spring+sale');
+  });
+});
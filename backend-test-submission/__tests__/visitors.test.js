@@ -0,0 +1,88 @@
+const {
+  isAutomatedRequest,
+  visitorFingerprint,
+  classifyClick,
+  countVisitors
+} = require('../utils/visitors');
+
+const request = (headers = {}, method = 'GET') => ({ method, get: name => headers[name] });
+
+const click = {
+  shortcode: 'abc',
+  ipAddress: '203.0.113.77',
+  userAgent: 'Mozilla/5.0 (X11; Linux x86_64) Firefox/121.0',
+  browser: 'Firefox',
+  browserVersion: '121',
+  os: 'Linux',
+  deviceType: 'desktop',
+  isBot: false,
+  visitorHash: null
+};
+
+describe('isAutomatedRequest', () => {
+  it('passes ordinary browser navigations', () => {
+    expect(isAutomatedRequest(request(), click)).toBe(false);
+    expect(isAutomatedRequest(request({ 'Sec-Purpose': '' }), click)).toBe(false);
+  });
+
+  it('flags bots, missing user agents and HEAD requests', () => {
+    expect(isAutomatedRequest(request(), { ...click, isBot: true })).toBe(true);
+    expect(isAutomatedRequest(request(), { ...click, userAgent: null })).toBe(true);
+    expect(isAutomatedRequest(request({}, 'HEAD'), click)).toBe(true);
+  });
+
+  it.each([
+    ['Purpose', 'prefetch'],
+    ['Sec-Purpose', 'prefetch;prerender'],
+    ['X-Purpose', 'preview'],
+    ['X-Moz', 'prefetch']
+  ])('flags speculative fetches announced with %s: %s', (header, value) => {
+    expect(isAutomatedRequest(request({ [header]: value }), click)).toBe(true);
+  });
+});
+
+describe('visitorFingerprint', () => {
+  it('prefers the visitor hash', () => {
+    expect(visitorFingerprint({ ...click, visitorHash: 'f'.repeat(32) })).toBe('f'.repeat(32));
+  });
+
+  it('hashes the IP address and user agent', () => {
+    const fingerprint = visitorFingerprint(click);
+
+    expect(fingerprint).toMatch(/^[0-9a-f]{32}$/);
+    expect(visitorFingerprint({ ...click })).toBe(fingerprint);
+    expect(visitorFingerprint({ ...click, ipAddress: '203.0.113.78' })).not.toBe(fingerprint);
+    expect(visitorFingerprint({ ...click, userAgent: 'Other' })).not.toBe(fingerprint);
+  });
+
+  it('falls back to the parsed user agent when the header is not stored', () => {
+    const fingerprint = visitorFingerprint({ ...click, userAgent: null });
+
+    expect(fingerprint).toMatch(/^[0-9a-f]{32}$/);
+    expect(visitorFingerprint({ ...click, userAgent: null, os: 'Windows' })).not.toBe(fingerprint);
+  });
+
+  it('returns null without an IP address or visitor hash', () => {
+    expect(visitorFingerprint({ ...click, ipAddress: null })).toBeNull();
+  });
+});
+
+describe('classifyClick', () => {
+  it('adds the request classification', () => {
+    expect(classifyClick(click, request({ Purpose: 'prefetch' }))).toEqual({ ...click, isBot: true });
+    expect(classifyClick(click, request())).toEqual(click);
+  });
+});
+
+describe('countVisitors', () => {
+  it('counts every click, human clicks and unique visitors', () => {
+    const clicks = [
+      { isBot: false, isUnique: true },
+      { isBot: false, isUnique: false },
+      { isBot: true, isUnique: false }
+    ];
+
+    expect(countVisitors(clicks)).toEqual({ totalClicks: 3, humanClicks: 2, uniqueVisitors: 1 });
+    expect(countVisitors([])).toEqual({ totalClicks: 0, humanClicks: 0, uniqueVisitors: 0 });
+  });
+});
@@ -0,0 +1,193 @@
+const { MemoryStorage } = require('../storage');
+const { DEFAULTS } = require('../config');
+const { createEventBus } = require('../utils/events');
+const {
+  generateWebhookSecret,
+  signPayload,
+  verifySignature,
+  retryDelaySeconds,
+  createWebhookDispatcher
+} = require('../utils/webhooks');
+const { publishExpiredLinks } = require('../jobs/webhooks');
+
+const logger = () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() });
+
+const config = { webhooks: { ...DEFAULTS.webhooks, maxAttempts: 3, retryBaseSeconds: 10 } };
+
+const setup = async (fetch, events = ['click']) => {
+  const storage = await new MemoryStorage().initialize();
+  const webhook = await storage.createWebhook({ ownerId: 'alice', url: 'https://hooks.example/in', events, secret: 'test-secret-0123456789' });
+  const log = logger();
+  const dispatcher = createWebhookDispatcher({ storage, logger: log, config, fetch });
+  return { storage, webhook, log, dispatcher };
+};
+
+const onlyDelivery = async (storage, webhook) => (await storage.listDeliveries(webhook.id)).deliveries[0];
+
+describe('webhook signatures', () => {
+  const body = '{"id":"evt_1","type":"click"}';
+  const now = new Date('2030-01-01T00:00:00Z');
+  const timestamp = now.getTime() / 1000;
+
+  it('generates prefixed random secrets', () => {
+    expect(generateWebhookSecret()).toMatch(/^whsec_[0-9a-f]{48}$/);
+    expect(generateWebhookSecret()).not.toBe(generateWebhookSecret());
+  });
+
+  it('accepts its own signature', () => {
+    const signature = signPayload('secret', timestamp, body);
+
+    expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+    expect(verifySignature({ secret: 'secret', signature, timestamp: String(timestamp), body, now })).toBe(true);
+  });
+
+  it('rejects another secret, a changed body or timestamp, and old timestamps', () => {
+    const signature = signPayload('secret', timestamp, body);
+
+    expect(verifySignature({ secret: 'other', signature, timestamp, body, now })).toBe(false);
+    expect(verifySignature({ secret: 'secret', signature, timestamp, body: `${body} `, now })).toBe(false);
+    expect(verifySignature({ secret: 'secret', signature, timestamp: timestamp + 1, body, now })).toBe(false);
+    expect(verifySignature({ secret: 'secret', signature, timestamp, body, now: new Date(now.getTime() + 301000) })).toBe(false);
+    expect(verifySignature({ secret: 'secret', signature: undefined, timestamp, body, now })).toBe(false);
+  });
+});
+
+describe('retryDelaySeconds', () => {
+  it('doubles the delay up to an hour', () => {
+    expect([1, 2, 3, 4].map(attempts => retryDelaySeconds(attempts, 30))).toEqual([30, 60, 120, 240]);
+    expect(retryDelaySeconds(12, 30)).toBe(3600);
+  });
+});
+
+describe('createWebhookDispatcher', () => {
+  it('queues one delivery per subscribed webhook and sends it signed', async () => {
+    const fetch = jest.fn().mockResolvedValue({ ok: true, status: 204 });
+    const { storage, webhook, dispatcher } = await setup(fetch);
+    await storage.createWebhook({ ownerId: 'alice', url: 'https://hooks.example/other', events: ['link-deleted'], secret: 'x'.repeat(16) });
+
+    expect(await dispatcher.enqueue('alice', { type: 'click', data: { shortcode: 'abc' } })).toBe(1);
+    await dispatcher.idle();
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    const [url, options] = fetch.mock.calls[0];
+    const body = JSON.parse(options.body);
+    expect(url).toBe('https://hooks.example/in');
+    expect(body).toMatchObject({ type: 'click', data: { shortcode: 'abc' } });
+    expect(body.id).toMatch(/^evt_/);
+    expect(options.headers).toMatchObject({ 'X-Webhook-Event': 'click', 'X-Webhook-Id': String(webhook.id) });
+    expect(verifySignature({
+      secret: 'test-secret-0123456789',
+      signature: options.headers['X-Webhook-Signature'],
+      timestamp: options.headers['X-Webhook-Timestamp'],
+      body: options.body
+    })).toBe(true);
+    expect(await onlyDelivery(storage, webhook)).toMatchObject({ status: 'delivered', attempts: 1, responseStatus: 204, lastError: null });
+  });
+
+  it("ignores events nobody subscribed to and other owners' events", async () => {
+    const fetch = jest.fn();
+    const { storage, webhook, dispatcher } = await setup(fetch);
+
+    expect(await dispatcher.enqueue('alice', { type: 'link-created', data: {} })).toBe(0);
+    expect(await dispatcher.enqueue('bob', { type: 'click', data: {} })).toBe(0);
+    await dispatcher.idle();
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect((await storage.listDeliveries(webhook.id)).total).toBe(0);
+  });
+
+  it('backs off after failures and dead-letters after the last attempt', async () => {
+    const fetch = jest.fn().mockResolvedValue({ ok: false, status: 500 });
+    const { storage, webhook, log, dispatcher } = await setup(fetch);
+    const start = Date.now();
+
+    await dispatcher.enqueue('alice', { type: 'click', data: {} });
+    await dispatcher.idle();
+    const first = await onlyDelivery(storage, webhook);
+    expect(first).toMatchObject({ status: 'pending', attempts: 1, responseStatus: 500, lastError: 'Receiver answered 500' });
+    const delay = new Date(`${first.nextAttemptAt.replace(' ', 'T')}Z`) - new Date(`${first.lastAttemptAt.replace(' ', 'T')}Z`);
+    expect(delay).toBe(10000);
+
+    // Not due yet
+    expect(await dispatcher.deliverDue(new Date(start))).toBe(0);
+    expect(await dispatcher.deliverDue(new Date(start + 11000))).toBe(1);
+    expect(await onlyDelivery(storage, webhook)).toMatchObject({ status: 'pending', attempts: 2 });
+
+    expect(await dispatcher.deliverDue(new Date(start + 32000))).toBe(1);
+    expect(await onlyDelivery(storage, webhook)).toMatchObject({ status: 'failed', attempts: 3, nextAttemptAt: null });
+    expect(log.warn).toHaveBeenCalledWith(expect.stringContaining('failed after 3 attempt(s)'), 'webhooks');
+    expect(await dispatcher.deliverDue(new Date(start + 3600000))).toBe(0);
+  });
+
+  it('records network errors and timeouts', async () => {
+    const refused = Object.assign(new Error('fetch failed'), { cause: new Error('connect ECONNREFUSED 127.0.0.1:9') });
+    const timeout = Object.assign(new Error('The operation was aborted due to timeout'), { name: 'TimeoutError' });
+    const fetch = jest.fn().mockRejectedValueOnce(refused).mockRejectedValueOnce(timeout);
+    const { storage, webhook, dispatcher } = await setup(fetch);
+
+    await dispatcher.enqueue('alice', { type: 'click', data: {} });
+    await dispatcher.idle();
+    expect(await onlyDelivery(storage, webhook)).toMatchObject({ lastError: 'connect ECONNREFUSED 127.0.0.1:9', responseStatus: null });
+
+    await dispatcher.deliverDue(new Date(Date.now() + 11000));
+    expect((await onlyDelivery(storage, webhook)).lastError).toBe('No answer within 10 second(s)');
+  });
+
+  it('runs one delivery pass at a time', async () => {
+    let answer;
+    const fetch = jest.fn(() => new Promise((resolve) => {
+      answer = resolve;
+    }));
+    const { dispatcher } = await setup(fetch);
+
+    dispatcher.enqueue('alice', { type: 'click', data: {} });
+    await new Promise(resolve => setImmediate(resolve));
+    const second = dispatcher.deliverDue();
+
+    answer({ ok: true, status: 200 });
+    expect(await second).toBe(1);
+    await dispatcher.idle();
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('logs storage errors instead of rejecting', async () => {
+    const { storage, log, dispatcher } = await setup(jest.fn());
+    storage.listWebhooks = jest.fn().mockRejectedValue(new Error('database is locked'));
+
+    expect(await dispatcher.enqueue('alice', { type: 'click', data: {} })).toBe(0);
+    expect(log.error).toHaveBeenCalledWith('Failed to queue click webhook deliveries: database is locked', 'webhooks', expect.any(String));
+  });
+});
+
+describe('publishExpiredLinks', () => {
+  const now = new Date('2030-01-31T00:00:00Z');
+
+  it('announces each expiry once, and again after the expiry changes', async () => {
+    const storage = await new MemoryStorage().initialize();
+    await storage.createLink({ shortcode: 'old', originalUrl: 'https://example.com', expiresAt: '2030-01-01T00:00:00.000Z', validityMinutes: 30, ownerId: 'alice' });
+    await storage.createLink({ shortcode: 'new', originalUrl: 'https://example.com', expiresAt: '2030-02-01T00:00:00.000Z', validityMinutes: 30, ownerId: 'alice' });
+    const events = createEventBus();
+    const listener = jest.fn();
+    events.subscribe('alice', listener);
+    const log = logger();
+
+    expect(await publishExpiredLinks({ storage, logger: log, events, now })).toBe(1);
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'link-expired',
+      data: { shortcode: 'old', originalUrl: 'https://example.com', expiresAt: '2030-01-01T00:00:00.000Z' }
+    }));
+    expect(log.info).toHaveBeenCalledWith('Published link-expired for 1 link(s)', 'webhook-job');
+    expect(await publishExpiredLinks({ storage, logger: log, events, now })).toBe(0);
+
+    await storage.updateLink('old', { expiresAt: '2030-01-15T00:00:00.000Z' });
+    expect(await publishExpiredLinks({ storage, logger: log, events, now })).toBe(1);
+  });
+
+  it('skips deleted links', async () => {
+    const storage = await new MemoryStorage().initialize();
+    await storage.createLink({ shortcode: 'gone', originalUrl: 'https://example.com', expiresAt: '2030-01-01T00:00:00.000Z', validityMinutes: 30, ownerId: 'alice' });
+    await storage.deleteLink('gone', '2029-12-31T00:00:00.000Z');
+
+    expect(await publishExpiredLinks({ storage, logger: logger(), events: createEventBus(), now })).toBe(0);
+  });
+});
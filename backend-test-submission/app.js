@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const defaultLogger = require('../logging-middleware/logger');
+const { createRequestLogger } = require('../logging-middleware/middleware');
+const { resolveConfig } = require('./config');
+const { requireApiKey } = require('./middleware/auth');
+const { createEventBus } = require('./utils/events');
+const { createWebhookDispatcher } = require('./utils/webhooks');
+const { createUnlockLimiter } = require('./utils/passwords');
+const shorturlsRoutes = require('./routes/shorturls');
+const webhookRoutes = require('./routes/webhooks');
+const redirectRoutes = require('./routes/redirect');
+
+/**
+ * Create the URL shortener Express application
+ * Route handlers read their dependencies from app.locals, so the same routes
+ * serve every entry point and tests can build an app without binding a port.
+ *
+ * @param {object} options
+ * @param {object} options.storage - Initialized storage adapter (see storage/index.js)
+ * @param {object} options.logger - Logger instance (default: shared logger)
+ * @param {object} options.config - Configuration (see config/index.js); missing values use the defaults
+ * @param {object} options.geoip - GeoIP lookup from utils/geoip.js loadGeoIp (optional)
+ * @param {object} options.events - Event bus from utils/events.js (default: a new bus for this app)
+ * @param {object} options.webhooks - Dispatcher from utils/webhooks.js (default: one for this app's storage);
+ *   it receives every event published on the bus
+ * @returns {object} Express application
+ */
+const createApp = ({
+  storage,
+  logger = defaultLogger,
+  config = {},
+  geoip = null,
+  events = createEventBus(),
+  webhooks = null
+} = {}) => {
+  if (!storage) {
+    throw new Error('createApp requires an initialized storage adapter');
+  }
+
+  const appConfig = resolveConfig(config);
+  const app = express();
+
+  app.locals.storage = storage;
+  app.locals.logger = logger;
+  app.locals.config = appConfig;
+  app.locals.geoip = geoip;
+  app.locals.events = events;
+  app.locals.webhooks = webhooks || createWebhookDispatcher({ storage, logger, config: appConfig });
+  events.subscribeAll((ownerId, event) => app.locals.webhooks.enqueue(ownerId, event));
+  // Without a configured secret, unlock cookies stop working when the process restarts
+  app.locals.unlockSecret = appConfig.unlock.cookieSecret || crypto.randomBytes(32).toString('hex');
+  app.locals.unlockLimiter = createUnlockLimiter(appConfig.unlock);
+
+  // Middleware
+  app.use(createRequestLogger({ logger }));
+  app.use(express.json({ limit: appConfig.jsonLimit }));
+  app.use(cors({ exposedHeaders: ['X-Request-Id', 'Content-Disposition'] }));
+
+  // Health check endpoint (must be before shortcode handler)
+  app.get('/health', (req, res) => {
+    res.json({ 
+      status: 'OK', 
+      timestamp: new Date().toISOString(),
+      service: 'URL Shortener Backend'
+    });
+  });
+
+  // Serve static frontend files
+  if (appConfig.publicDir) {
+    app.use('/static', express.static(appConfig.publicDir));
+    app.get('/', (req, res) => {
+      res.sendFile(path.join(appConfig.publicDir, 'index.html'));
+    });
+  }
+
+  // Routes (management and analytics APIs require an API key, redirects are public)
+  app.use('/shorturls', requireApiKey, shorturlsRoutes);
+  app.use('/api/webhooks', requireApiKey, webhookRoutes);
+  app.use('/api', requireApiKey);
+  app.use('/', redirectRoutes);
+
+  return app;
+};
+
+module.exports = {
+  createApp
+};
@@ -0,0 +1,392 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+ * Application configuration
+ *
+ * Values are resolved in this order (later wins):
+ *   1. Built-in defaults (DEFAULTS below)
+ *   2. Defaults supplied by the entry point
+ *   3. A JSON or YAML file named by CONFIG_FILE (same shape as DEFAULTS)
+ *   4. Environment variables
+ *
+ *   PORT                        Port to listen on (default: 8000)
+ *   HOST                        Interface to bind (default: 0.0.0.0)
+ *   BASE_URL                    Public origin used in shortLink values (default: http://localhost:<PORT>)
+ *   STORAGE_DRIVER              Storage adapter: sqlite or memory (default: sqlite)
+ *   DB_PATH                     SQLite file (default: backend-test-submission/urlshortener.db)
+ *   PUBLIC_DIR                  Static frontend directory served at / (optional)
+ *   JSON_LIMIT                  Maximum JSON body size (default: 1mb)
+ *   DEFAULT_VALIDITY_MINUTES    Validity when none is given (default: 30)
+ *   MAX_VALIDITY_MINUTES        Upper bound for validity (default: 10080)
+ *   SHORTCODE_MIN_LENGTH        Minimum custom shortcode length (default: 3)
+ *   SHORTCODE_MAX_LENGTH        Maximum custom shortcode length (default: 20)
+ *   SHORTCODE_GENERATED_LENGTH  Length of generated shortcodes (default: 6)
+ *   MAX_BATCH_SIZE              Entries accepted by POST /shorturls/batch (default: 1000)
+ *   TIMESERIES_MAX_BUCKETS      Buckets one timeseries request may return (default: 1000)
+ *   PAGE_SIZE                   Items per page when a list request sets no limit (default: 25)
+ *   MAX_PAGE_SIZE               Largest limit a list request may ask for (default: 100)
+ *   GEOIP_DB                    Local .mmdb or .csv file used to geolocate clicks (optional)
+ *   PRIVACY_IP_MODE             Click IPs: full, truncate, hash or none (default: full)
+ *   PRIVACY_IPV4_PREFIX         Bits kept by truncate for IPv4 (default: 24)
+ *   PRIVACY_IPV6_PREFIX         Bits kept by truncate for IPv6 (default: 48)
+ *   PRIVACY_HASH_SALT           Secret for daily visitor hashes (required for hash)
+ *   PRIVACY_STORE_USER_AGENT    Keep raw User-Agent headers (default: true)
+ *   PRIVACY_HONOR_OPT_OUT       Anonymise clicks sent with DNT or Sec-GPC (default: true)
+ *   CLICK_RETENTION_DAYS        Purge click details older than this; 0 keeps them forever (default: 0)
+ *   CLICK_RETENTION_MODE        delete or anonymize old clicks (default: delete)
+ *   CLICK_PURGE_INTERVAL_MINUTES  How often the retention job runs (default: 60)
+ *   VISITOR_WINDOW_MINUTES      A visitor counts as unique again after this long without clicking (default: 1440)
+ *   EVENTS_MAX_CONNECTIONS      Open GET /api/events streams allowed per process (default: 100)
+ *   EVENTS_HEARTBEAT_SECONDS    Interval of keep-alive comments on event streams (default: 25)
+ *   WEBHOOK_MAX_ATTEMPTS        Delivery attempts before a webhook delivery is dead-lettered (default: 8)
+ *   WEBHOOK_RETRY_BASE_SECONDS  Delay before the first retry, doubled for each further one (default: 30)
+ *   WEBHOOK_TIMEOUT_SECONDS     How long a receiver may take to answer (default: 10)
+ *   WEBHOOK_POLL_SECONDS        How often the webhook job checks for due retries and expired links (default: 5)
+ *   UNLOCK_COOKIE_SECRET        Signs unlock cookies of password-protected links (default: random per process)
+ *   UNLOCK_COOKIE_MINUTES       How long an unlocked link skips the password prompt (default: 60)
+ *   UNLOCK_MAX_ATTEMPTS         Wrong passwords allowed per link and client within the window (default: 5)
+ *   UNLOCK_WINDOW_MINUTES       Window for UNLOCK_MAX_ATTEMPTS (default: 15)
+ *
+ * Logger settings live in logging-middleware/config.js (LOG_* variables).
+ */
+
+const DEFAULTS = {
+  port: 8000,
+  host: '0.0.0.0',
+  baseUrl: null, // Derived from port when not set
+  storage: 'sqlite',
+  dbPath: path.join(__dirname, '..', 'urlshortener.db'),
+  publicDir: null,
+  jsonLimit: '1mb',
+  validity: {
+    defaultMinutes: 30,
+    maxMinutes: 10080 // 1 week
+  },
+  shortcode: {
+    minLength: 3,
+    maxLength: 20,
+    generatedLength: 6
+  },
+  batch: {
+    maxSize: 1000
+  },
+  timeseries: {
+    maxBuckets: 1000
+  },
+  pagination: {
+    defaultLimit: 25,
+    maxLimit: 100
+  },
+  geoip: {
+    file: null // Clicks are not geolocated when unset
+  },
+  privacy: {
+    ipMode: 'full',
+    ipv4Prefix: 24,
+    ipv6Prefix: 48,
+    hashSalt: null,
+    storeUserAgent: true,
+    honorOptOut: true,
+    retentionDays: 0,
+    retentionMode: 'delete',
+    purgeIntervalMinutes: 60
+  },
+  visitors: {
+    windowMinutes: 1440 // 1 day
+  },
+  events: {
+    maxConnections: 100,
+    heartbeatSeconds: 25 // Below the usual 30-60 s idle timeout of proxies
+  },
+  webhooks: {
+    maxAttempts: 8, // Last retry about an hour after the event with the default base
+    retryBaseSeconds: 30,
+    timeoutSeconds: 10,
+    pollSeconds: 5
+  },
+  unlock: {
+    cookieSecret: null, // Random per process when unset, so unlock cookies end with a restart
+    cookieMinutes: 60,
+    maxAttempts: 5,
+    windowMinutes: 15
+  }
+};
+
+/**
+ * Supported storage adapters (see storage/index.js)
+ */
+const STORAGE_DRIVERS = ['sqlite', 'memory'];
+const GEOIP_FORMATS = ['.mmdb', '.csv'];
+const IP_MODES = ['full', 'truncate', 'hash', 'none'];
+const RETENTION_MODES = ['delete', 'anonymize'];
+
+/**
+ * Environment variables and the config path they set
+ */
+const ENV_VARS = {
+  PORT: ['port', 'int'],
+  HOST: ['host', 'string'],
+  BASE_URL: ['baseUrl', 'string'],
+  STORAGE_DRIVER: ['storage', 'string'],
+  DB_PATH: ['dbPath', 'path'],
+  PUBLIC_DIR: ['publicDir', 'path'],
+  JSON_LIMIT: ['jsonLimit', 'string'],
+  DEFAULT_VALIDITY_MINUTES: ['validity.defaultMinutes', 'int'],
+  MAX_VALIDITY_MINUTES: ['validity.maxMinutes', 'int'],
+  SHORTCODE_MIN_LENGTH: ['shortcode.minLength', 'int'],
+  SHORTCODE_MAX_LENGTH: ['shortcode.maxLength', 'int'],
+  SHORTCODE_GENERATED_LENGTH: ['shortcode.generatedLength', 'int'],
+  MAX_BATCH_SIZE: ['batch.maxSize', 'int'],
+  TIMESERIES_MAX_BUCKETS: ['timeseries.maxBuckets', 'int'],
+  PAGE_SIZE: ['pagination.defaultLimit', 'int'],
+  MAX_PAGE_SIZE: ['pagination.maxLimit', 'int'],
+  GEOIP_DB: ['geoip.file', 'path'],
+  PRIVACY_IP_MODE: ['privacy.ipMode', 'string'],
+  PRIVACY_IPV4_PREFIX: ['privacy.ipv4Prefix', 'int'],
+  PRIVACY_IPV6_PREFIX: ['privacy.ipv6Prefix', 'int'],
+  PRIVACY_HASH_SALT: ['privacy.hashSalt', 'string'],
+  PRIVACY_STORE_USER_AGENT: ['privacy.storeUserAgent', 'bool'],
+  PRIVACY_HONOR_OPT_OUT: ['privacy.honorOptOut', 'bool'],
+  CLICK_RETENTION_DAYS: ['privacy.retentionDays', 'int'],
+  CLICK_RETENTION_MODE: ['privacy.retentionMode', 'string'],
+  CLICK_PURGE_INTERVAL_MINUTES: ['privacy.purgeIntervalMinutes', 'int'],
+  VISITOR_WINDOW_MINUTES: ['visitors.windowMinutes', 'int'],
+  EVENTS_MAX_CONNECTIONS: ['events.maxConnections', 'int'],
+  EVENTS_HEARTBEAT_SECONDS: ['events.heartbeatSeconds', 'int'],
+  WEBHOOK_MAX_ATTEMPTS: ['webhooks.maxAttempts', 'int'],
+  WEBHOOK_RETRY_BASE_SECONDS: ['webhooks.retryBaseSeconds', 'int'],
+  WEBHOOK_TIMEOUT_SECONDS: ['webhooks.timeoutSeconds', 'int'],
+  WEBHOOK_POLL_SECONDS: ['webhooks.pollSeconds', 'int'],
+  UNLOCK_COOKIE_SECRET: ['unlock.cookieSecret', 'string'],
+  UNLOCK_COOKIE_MINUTES: ['unlock.cookieMinutes', 'int'],
+  UNLOCK_MAX_ATTEMPTS: ['unlock.maxAttempts', 'int'],
+  UNLOCK_WINDOW_MINUTES: ['unlock.windowMinutes', 'int']
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Recursively merge plain objects; undefined values are ignored
+ */
+const merge = (target, source) => {
+  const result = { ...target };
+  Object.keys(source || {}).forEach((key) => {
+    if (source[key] === undefined) {
+      return;
+    }
+    result[key] = isPlainObject(result[key]) && isPlainObject(source[key])
+      ? merge(result[key], source[key])
+      : source[key];
+  });
+  return result;
+};
+
+/**
+ * Set a dotted path on an object
+ */
+const setPath = (object, dottedPath, value) => {
+  const keys = dottedPath.split('.');
+  let current = object;
+  keys.slice(0, -1).forEach((key) => {
+    current[key] = current[key] || {};
+    current = current[key];
+  });
+  current[keys[keys.length - 1]] = value;
+};
+
+/**
+ * Read a JSON or YAML configuration file
+ * @param {string} file - File path (.json, .yml or .yaml)
+ * @returns {object} Parsed configuration
+ */
+const readConfigFile = (file) => {
+  const content = fs.readFileSync(file, 'utf8');
+  const parsed = /\.ya?ml$/i.test(file) ? yaml.load(content) : JSON.parse(content);
+
+  if (parsed !== undefined && parsed !== null && !isPlainObject(parsed)) {
+    throw new Error(`Configuration file ${file} must contain an object`);
+  }
+
+  // Relative paths in a file are relative to the file itself
+  const config = parsed || {};
+  ['dbPath', 'publicDir'].forEach((key) => {
+    if (typeof config[key] === 'string') {
+      config[key] = path.resolve(path.dirname(file), config[key]);
+    }
+  });
+  if (isPlainObject(config.geoip) && typeof config.geoip.file === 'string') {
+    config.geoip.file = path.resolve(path.dirname(file), config.geoip.file);
+  }
+  return config;
+};
+
+/**
+ * Convert environment variables into a partial configuration
+ * @param {object} env - Environment variables
+ * @returns {object} Partial configuration
+ */
+const fromEnv = (env) => {
+  const config = {};
+  Object.keys(ENV_VARS).forEach((name) => {
+    const raw = env[name];
+    if (raw === undefined || raw === '') {
+      return;
+    }
+
+    const [configPath, type] = ENV_VARS[name];
+    let value = raw;
+    if (type === 'int') {
+      value = /^-?\d+$/.test(raw.trim()) ? parseInt(raw) : NaN;
+    } else if (type === 'path') {
+      value = path.resolve(raw);
+    } else if (type === 'bool') {
+      const flag = raw.trim().toLowerCase();
+      value = ['1', 'true', 'yes', 'on'].includes(flag) ? true : ['0', 'false', 'no', 'off'].includes(flag) ? false : raw;
+    }
+    setPath(config, configPath, value);
+  });
+  return config;
+};
+
+/**
+ * Validate a complete configuration and fill in derived values
+ * @param {object} config - Merged configuration
+ * @returns {object} Validated configuration
+ */
+const validate = (config) => {
+  const errors = [];
+  const isPositiveInt = (value) => Number.isInteger(value) && value > 0;
+
+  if (!Number.isInteger(config.port) || config.port < 0 || config.port > 65535) {
+    errors.push('port must be an integer between 0 and 65535');
+  }
+
+  if (!STORAGE_DRIVERS.includes(config.storage)) {
+    errors.push(`storage must be one of: ${STORAGE_DRIVERS.join(', ')}`);
+  }
+
+  [
+    ['validity.defaultMinutes', config.validity.defaultMinutes],
+    ['validity.maxMinutes', config.validity.maxMinutes],
+    ['shortcode.minLength', config.shortcode.minLength],
+    ['shortcode.maxLength', config.shortcode.maxLength],
+    ['shortcode.generatedLength', config.shortcode.generatedLength],
+    ['batch.maxSize', config.batch.maxSize],
+    ['timeseries.maxBuckets', config.timeseries.maxBuckets],
+    ['pagination.defaultLimit', config.pagination.defaultLimit],
+    ['pagination.maxLimit', config.pagination.maxLimit],
+    ['privacy.purgeIntervalMinutes', config.privacy.purgeIntervalMinutes],
+    ['visitors.windowMinutes', config.visitors.windowMinutes],
+    ['events.maxConnections', config.events.maxConnections],
+    ['events.heartbeatSeconds', config.events.heartbeatSeconds],
+    ['webhooks.maxAttempts', config.webhooks.maxAttempts],
+    ['webhooks.retryBaseSeconds', config.webhooks.retryBaseSeconds],
+    ['webhooks.timeoutSeconds', config.webhooks.timeoutSeconds],
+    ['webhooks.pollSeconds', config.webhooks.pollSeconds],
+    ['unlock.cookieMinutes', config.unlock.cookieMinutes],
+    ['unlock.maxAttempts', config.unlock.maxAttempts],
+    ['unlock.windowMinutes', config.unlock.windowMinutes]
+  ].forEach(([name, value]) => {
+    if (!isPositiveInt(value)) {
+      errors.push(`${name} must be a positive integer`);
+    }
+  });
+
+  if (config.validity.defaultMinutes > config.validity.maxMinutes) {
+    errors.push('validity.defaultMinutes cannot exceed validity.maxMinutes');
+  }
+
+  if (config.shortcode.minLength > config.shortcode.maxLength) {
+    errors.push('shortcode.minLength cannot exceed shortcode.maxLength');
+  }
+
+  if (config.pagination.defaultLimit > config.pagination.maxLimit) {
+    errors.push('pagination.defaultLimit cannot exceed pagination.maxLimit');
+  }
+
+  if (config.geoip.file && !GEOIP_FORMATS.includes(path.extname(config.geoip.file).toLowerCase())) {
+    errors.push(`geoip.file must be one of: ${GEOIP_FORMATS.join(', ')}`);
+  }
+
+  const { privacy } = config;
+  if (!IP_MODES.includes(privacy.ipMode)) {
+    errors.push(`privacy.ipMode must be one of: ${IP_MODES.join(', ')}`);
+  }
+
+  if (!Number.isInteger(privacy.ipv4Prefix) || privacy.ipv4Prefix < 0 || privacy.ipv4Prefix > 32) {
+    errors.push('privacy.ipv4Prefix must be an integer between 0 and 32');
+  }
+
+  if (!Number.isInteger(privacy.ipv6Prefix) || privacy.ipv6Prefix < 0 || privacy.ipv6Prefix > 128) {
+    errors.push('privacy.ipv6Prefix must be an integer between 0 and 128');
+  }
+
+  if (privacy.ipMode === 'hash' && !privacy.hashSalt) {
+    errors.push('privacy.hashSalt is required when privacy.ipMode is hash');
+  }
+
+  ['storeUserAgent', 'honorOptOut'].forEach((key) => {
+    if (typeof privacy[key] !== 'boolean') {
+      errors.push(`privacy.${key} must be true or false`);
+    }
+  });
+
+  if (!Number.isInteger(privacy.retentionDays) || privacy.retentionDays < 0) {
+    errors.push('privacy.retentionDays must be a non-negative integer');
+  }
+
+  if (!RETENTION_MODES.includes(privacy.retentionMode)) {
+    errors.push(`privacy.retentionMode must be one of: ${RETENTION_MODES.join(', ')}`);
+  }
+
+  if (config.unlock.cookieSecret !== null
+    && (typeof config.unlock.cookieSecret !== 'string' || config.unlock.cookieSecret.length < 16)) {
+    errors.push('unlock.cookieSecret must be a string of at least 16 characters');
+  }
+
+  const baseUrl = (config.baseUrl || `http://localhost:${config.port}`).replace(/\/+$/, '');
+  if (!/^https?:\/\/[^/\s]+(\/\S*)?$/.test(baseUrl)) {
+    errors.push('baseUrl must be an absolute http(s) URL');
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration: ${errors.join('; ')}`);
+  }
+
+  return { ...config, baseUrl };
+};
+
+/**
+ * Merge overrides onto the defaults and validate (no file or environment lookup)
+ * @param {object} overrides - Partial configuration
+ * @returns {object} Complete configuration
+ */
+const resolveConfig = (overrides = {}) => {
+  return validate(merge(DEFAULTS, overrides));
+};
+
+/**
+ * Load configuration from defaults, an optional file and the environment
+ * @param {object} options
+ * @param {object} options.env - Environment variables (default: process.env)
+ * @param {string} options.file - Configuration file (default: env.CONFIG_FILE)
+ * @param {object} options.defaults - Entry point specific defaults
+ * @returns {object} Complete configuration
+ */
+const loadConfig = ({ env = process.env, file = env.CONFIG_FILE, defaults = {} } = {}) => {
+  let config = merge(DEFAULTS, defaults);
+
+  if (file) {
+    config = merge(config, readConfigFile(file));
+  }
+
+  return validate(merge(config, fromEnv(env)));
+};
+
+module.exports = {
+  DEFAULTS,
+  loadConfig,
+  resolveConfig
+};
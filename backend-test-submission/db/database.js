@@ -1,15 +1,25 @@
 const { open } = require('sqlite');
 const sqlite3 = require('sqlite3');
 const path = require('path');
-const logger = require('../../logging-middleware/logger');
+const defaultLogger = require('../../logging-middleware/logger');
+const { Migrator } = require('./migrator');
 
-const dbPath = path.join(__dirname, '..', 'urlshortener.db');
+const DEFAULT_DB_PATH = path.join(__dirname, '..', 'urlshortener.db');
 
 /**
  * Database connection and initialization
  */
 class Database {
-  constructor() {
+  /**
+   * @param {object} options
+   * @param {string} options.filename - SQLite file path (default: backend-test-submission/urlshortener.db)
+   * @param {object} options.logger - Logger instance (default: shared logger)
+   * @param {boolean} options.migrate - Apply pending migrations on initialize (default: true)
+   */
+  constructor(options = {}) {
+    this.filename = options.filename || DEFAULT_DB_PATH;
+    this.logger = options.logger || defaultLogger;
+    this.migrate = options.migrate !== false;
     this.db = null;
   }
 
@@ -19,39 +29,23 @@ class Database {
   async initialize() {
     try {
       this.db = await open({
-        filename: dbPath,
+        filename: this.filename,
         driver: sqlite3.Database,
       });
 
-      // Create tables if they don't exist
-      await this.db.exec(`
-        CREATE TABLE IF NOT EXISTS short_urls (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          shortcode TEXT UNIQUE NOT NULL,
-          original_url TEXT NOT NULL,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          expires_at DATETIME NOT NULL,
-          validity_minutes INTEGER NOT NULL DEFAULT 30
-        );
-      `);
-
-      await this.db.exec(`
-        CREATE TABLE IF NOT EXISTS clicks (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          shortcode TEXT NOT NULL,
-          clicked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          referrer TEXT,
-          ip_address TEXT,
-          user_agent TEXT,
-          FOREIGN KEY (shortcode) REFERENCES short_urls(shortcode)
-        );
-      `);
+      // Bring the schema up to date
+      if (this.migrate) {
+        const applied = await new Migrator({ db: this.db, logger: this.logger }).up();
+        if (applied.length > 0) {
+          console.log(`Applied ${applied.length} database migration(s)`);
+        }
+      }
 
-      await logger.info('Database initialized successfully', 'database');
-      console.log('Database connected and tables created');
+      this.logger.info('Database initialized successfully', 'database');
+      console.log(this.migrate ? 'Database connected and schema up to date' : 'Database connected');
       return this.db;
     } catch (error) {
-      await logger.error(`Database initialization failed: ${error.message}`, 'database', error.stack);
+      this.logger.error(`Database initialization failed: ${error.message}`, 'database', error.stack);
       console.error('Database initialization failed:', error.message);
       throw error;
     }
@@ -78,4 +72,4 @@ class Database {
   }
 }
 
-module.exports = new Database();
\ No newline at end of file
+module.exports = Database;
\ No newline at end of file
@@ -0,0 +1,35 @@
+/**
+ * Original short_urls and clicks tables
+ * IF NOT EXISTS keeps this safe for databases created before migrations.
+ */
+const up = async (db) => {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS short_urls (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      shortcode TEXT UNIQUE NOT NULL,
+      original_url TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      validity_minutes INTEGER NOT NULL DEFAULT 30
+    );
+  `);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS clicks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      shortcode TEXT NOT NULL,
+      clicked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      referrer TEXT,
+      ip_address TEXT,
+      user_agent TEXT,
+      FOREIGN KEY (shortcode) REFERENCES short_urls(shortcode)
+    );
+  `);
+};
+
+const down = async (db) => {
+  await db.exec('DROP TABLE IF EXISTS clicks');
+  await db.exec('DROP TABLE IF EXISTS short_urls');
+};
+
+module.exports = { up, down };
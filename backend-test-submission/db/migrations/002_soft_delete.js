@@ -0,0 +1,16 @@
+const { hasColumn } = require('../migrator');
+
+/**
+ * short_urls.deleted_at for soft-deleted links
+ */
+const up = async (db) => {
+  if (!(await hasColumn(db, 'short_urls', 'deleted_at'))) {
+    await db.exec('ALTER TABLE short_urls ADD COLUMN deleted_at DATETIME');
+  }
+};
+
+const down = async (db) => {
+  await db.exec('ALTER TABLE short_urls DROP COLUMN deleted_at');
+};
+
+module.exports = { up, down };
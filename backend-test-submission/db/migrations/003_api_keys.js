@@ -0,0 +1,30 @@
+const { hasColumn } = require('../migrator');
+
+/**
+ * api_keys table and short_urls.owner_id for per-owner links
+ */
+const up = async (db) => {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      owner_id TEXT NOT NULL,
+      name TEXT,
+      key_prefix TEXT NOT NULL,
+      key_hash TEXT UNIQUE NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_used_at DATETIME,
+      revoked_at DATETIME
+    );
+  `);
+
+  if (!(await hasColumn(db, 'short_urls', 'owner_id'))) {
+    await db.exec('ALTER TABLE short_urls ADD COLUMN owner_id TEXT');
+  }
+};
+
+const down = async (db) => {
+  await db.exec('ALTER TABLE short_urls DROP COLUMN owner_id');
+  await db.exec('DROP TABLE IF EXISTS api_keys');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,16 @@
+/**
+ * Indexes for per-link click lookups and expiry scans
+ */
+const up = async (db) => {
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_clicks_shortcode_clicked_at ON clicks (shortcode, clicked_at)');
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_short_urls_expires_at ON short_urls (expires_at)');
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_short_urls_owner_id ON short_urls (owner_id)');
+};
+
+const down = async (db) => {
+  await db.exec('DROP INDEX IF EXISTS idx_short_urls_owner_id');
+  await db.exec('DROP INDEX IF EXISTS idx_short_urls_expires_at');
+  await db.exec('DROP INDEX IF EXISTS idx_clicks_shortcode_clicked_at');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,144 @@
+const { hasColumn } = require('../migrator');
+
+/*
+ * The user-agent rules are copied from utils/userAgent.js rather than required, so that
+ * replaying this migration later writes the same values however the live parser changes.
+ */
+
+/**
+ * Crawlers, link previewers and HTTP libraries
+ */
+const BOT_PATTERN = new RegExp([
+  'bot\\b', 'bot/', 'crawl', 'spider', 'slurp', 'bingpreview', 'mediapartners', 'facebookexternalhit',
+  'embedly', 'preview', 'headless', 'phantomjs', 'lighthouse', 'pingdom', 'uptime', 'monitor',
+  'whatsapp/', 'vkshare', 'iframely', 'slack-imgproxy', 'google-pagerenderer', 'mastodon/', 'pleroma',
+  '^curl/', '^wget/', '^python-', '^go-http-client', '^java/', '^okhttp', '^axios/', '^node-fetch',
+  '^libwww', '^apache-httpclient', '^scrapy', '^postmanruntime', '^insomnia'
+].join('|'), 'i');
+
+/**
+ * Browser families: [name, pattern capturing the version]
+ */
+const BROWSERS = [
+  ['Edge', /(?:Edg|Edge|EdgA|EdgiOS)\/([\d.]+)/],
+  ['Opera', /(?:OPR|Opera)\/([\d.]+)/],
+  ['Samsung Internet', /SamsungBrowser\/([\d.]+)/],
+  ['Headless Chrome', /HeadlessChrome\/([\d.]+)/],
+  ['Firefox', /(?:Firefox|FxiOS)\/([\d.]+)/],
+  ['Chrome', /(?:Chrome|CriOS)\/([\d.]+)/],
+  ['Safari', /Version\/([\d.]+).*Safari\//],
+  ['Internet Explorer', /(?:MSIE |Trident\/.*rv:)([\d.]+)/]
+];
+
+/**
+ * Operating systems: [name, pattern]
+ */
+const OPERATING_SYSTEMS = [
+  ['Windows Phone', /Windows Phone/],
+  ['Windows', /Windows/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Chrome OS', /CrOS/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux|X11/]
+];
+
+/**
+ * Major version of a dotted version string
+ */
+const majorVersion = (version) => version.split('.')[0];
+
+/**
+ * Classify the device from the user agent and the detected OS
+ */
+const detectDeviceType = (userAgent, os) => {
+  if (/iPad|Tablet|Kindle|Silk\//.test(userAgent) || (os === 'Android' && !/Mobile/.test(userAgent))) {
+    return 'tablet';
+  }
+  if (/Mobi|iPhone|iPod|Windows Phone/.test(userAgent)) {
+    return 'mobile';
+  }
+  if (['Windows', 'macOS', 'Linux', 'Chrome OS'].includes(os)) {
+    return 'desktop';
+  }
+  return null;
+};
+
+/**
+ * Parse a User-Agent header
+ * @param {string|null} userAgent - Raw header value
+ * @returns {object} {browser, browserVersion, os, deviceType, isBot}; unknown parts are null,
+ *   deviceType is desktop, mobile or tablet. Bots without a known browser are named after
+ *   their first product token (e.g. curl, Googlebot).
+ */
+const parseUserAgent = (userAgent) => {
+  const parsed = { browser: null, browserVersion: null, os: null, deviceType: null, isBot: false };
+  if (!userAgent) {
+    return parsed;
+  }
+
+  parsed.isBot = BOT_PATTERN.test(userAgent);
+
+  const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+  parsed.os = os ? os[0] : null;
+
+  if (parsed.isBot) {
+    // "Mozilla/5.0 (compatible; Googlebot/2.1; ...)", "curl/8.4.0" or "TelegramBot (like TwitterBot)"
+    const product = userAgent.match(/([\w.-]*(?:bot|crawler|spider)[\w.-]*)\/([\d.]+)/i)
+      || userAgent.match(/^([\w.-]+)\/([\d.]+)/)
+      || userAgent.match(/^([\w.-]*(?:bot|crawler|spider)[\w.-]*)/i);
+    if (product && product[1] !== 'Mozilla') {
+      parsed.browser = product[1];
+      parsed.browserVersion = product[2] ? majorVersion(product[2]) : null;
+      return parsed;
+    }
+  }
+
+  const browser = BROWSERS.map(([name, pattern]) => [name, userAgent.match(pattern)]).find(([, match]) => match);
+  if (browser) {
+    parsed.browser = browser[0];
+    parsed.browserVersion = majorVersion(browser[1][1]);
+  }
+
+  if (!parsed.isBot) {
+    parsed.deviceType = detectDeviceType(userAgent, parsed.os);
+  }
+
+  return parsed;
+};
+
+const COLUMNS = [
+  ['browser', 'TEXT'],
+  ['browser_version', 'TEXT'],
+  ['os', 'TEXT'],
+  ['device_type', 'TEXT'],
+  ['is_bot', 'INTEGER NOT NULL DEFAULT 0']
+];
+
+/**
+ * Parsed user-agent columns on clicks, backfilled from the stored user_agent
+ */
+const up = async (db) => {
+  for (const [column, type] of COLUMNS) {
+    if (!(await hasColumn(db, 'clicks', column))) {
+      await db.exec(`ALTER TABLE clicks ADD COLUMN ${column} ${type}`);
+    }
+  }
+
+  const rows = await db.all('SELECT id, user_agent FROM clicks WHERE user_agent IS NOT NULL');
+  for (const row of rows) {
+    const parsed = parseUserAgent(row.user_agent);
+    await db.run(
+      'UPDATE clicks SET browser = ?, browser_version = ?, os = ?, device_type = ?, is_bot = ? WHERE id = ?',
+      [parsed.browser, parsed.browserVersion, parsed.os, parsed.deviceType, parsed.isBot ? 1 : 0, row.id]
+    );
+  }
+};
+
+const down = async (db) => {
+  for (const [column] of [...COLUMNS].reverse()) {
+    await db.exec(`ALTER TABLE clicks DROP COLUMN ${column}`);
+  }
+};
+
+module.exports = { up, down };
@@ -0,0 +1,22 @@
+const { hasColumn } = require('../migrator');
+
+const COLUMNS = ['country', 'region', 'city'];
+
+/**
+ * GeoIP location columns on clicks (filled only when a GeoIP database is configured)
+ */
+const up = async (db) => {
+  for (const column of COLUMNS) {
+    if (!(await hasColumn(db, 'clicks', column))) {
+      await db.exec(`ALTER TABLE clicks ADD COLUMN ${column} TEXT`);
+    }
+  }
+};
+
+const down = async (db) => {
+  for (const column of [...COLUMNS].reverse()) {
+    await db.exec(`ALTER TABLE clicks DROP COLUMN ${column}`);
+  }
+};
+
+module.exports = { up, down };
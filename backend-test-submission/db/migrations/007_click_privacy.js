@@ -0,0 +1,23 @@
+const { hasColumn } = require('../migrator');
+
+/**
+ * Privacy columns on clicks: the salted daily visitor hash and the fields
+ * removed or altered by the privacy policy (comma-separated)
+ */
+const up = async (db) => {
+  if (!(await hasColumn(db, 'clicks', 'visitor_hash'))) {
+    await db.exec('ALTER TABLE clicks ADD COLUMN visitor_hash TEXT');
+  }
+  if (!(await hasColumn(db, 'clicks', 'redacted'))) {
+    await db.exec('ALTER TABLE clicks ADD COLUMN redacted TEXT');
+  }
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_clicks_clicked_at ON clicks (clicked_at)');
+};
+
+const down = async (db) => {
+  await db.exec('DROP INDEX IF EXISTS idx_clicks_clicked_at');
+  await db.exec('ALTER TABLE clicks DROP COLUMN redacted');
+  await db.exec('ALTER TABLE clicks DROP COLUMN visitor_hash');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const { hasColumn } = require('../migrator');
+
+/*
+ * The window and the fingerprint are copied from the configuration defaults and
+ * utils/visitors.js rather than required, so that replaying this migration later writes
+ * the same values however those change.
+ */
+
+// Unique-visitor window (VISITOR_WINDOW_MINUTES default) used for the backfill
+const WINDOW_MINUTES = 1440;
+
+/**
+ * Fingerprint of the visitor behind a click, from the fields that are actually stored
+ * @param {object} click - Click after the privacy policy (ipAddress, userAgent, visitorHash, parsed fields)
+ * @returns {string|null} 32 hex characters, or null when neither an IP nor a visitor hash is kept
+ */
+const visitorFingerprint = (click) => {
+  if (click.visitorHash) {
+    return click.visitorHash;
+  }
+
+  if (!click.ipAddress) {
+    return null;
+  }
+
+  // Fall back to the parsed user agent when the raw header is not stored
+  const client = click.userAgent
+    || [click.browser, click.browserVersion, click.os, click.deviceType].map(part => part || '').join('/');
+
+  return crypto.createHash('sha256')
+    .update(`${click.ipAddress}|${client}`)
+    .digest('hex')
+    .slice(0, 32);
+};
+
+/**
+ * Visitor columns on clicks: the visitor fingerprint and whether the click was the
+ * visitor's first human click on the link within the window. Existing clicks are
+ * backfilled with the default window.
+ */
+const up = async (db) => {
+  if (!(await hasColumn(db, 'clicks', 'fingerprint'))) {
+    await db.exec('ALTER TABLE clicks ADD COLUMN fingerprint TEXT');
+  }
+  if (!(await hasColumn(db, 'clicks', 'is_unique'))) {
+    await db.exec('ALTER TABLE clicks ADD COLUMN is_unique INTEGER NOT NULL DEFAULT 0');
+  }
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_clicks_fingerprint ON clicks (shortcode, fingerprint, clicked_at)');
+
+  const windowMs = WINDOW_MINUTES * 60 * 1000;
+  const lastSeen = new Map();
+  const rows = await db.all(
+    `SELECT id, shortcode, clicked_at, ip_address, user_agent, browser, browser_version, os,
+            device_type, is_bot, visitor_hash
+     FROM clicks
+     ORDER BY clicked_at, id`
+  );
+
+  for (const row of rows) {
+    const fingerprint = visitorFingerprint({
+      ipAddress: row.ip_address,
+      userAgent: row.user_agent,
+      browser: row.browser,
+      browserVersion: row.browser_version,
+      os: row.os,
+      deviceType: row.device_type,
+      visitorHash: row.visitor_hash
+    });
+
+    let isUnique = false;
+    if (!row.is_bot) {
+      const clickedAt = new Date(`${row.clicked_at.replace(' ', 'T')}Z`).getTime();
+      const key = `${row.shortcode}|${fingerprint}`;
+      isUnique = fingerprint === null || !lastSeen.has(key) || clickedAt - lastSeen.get(key) > windowMs;
+      if (fingerprint !== null) {
+        lastSeen.set(key, clickedAt);
+      }
+    }
+
+    await db.run(
+      'UPDATE clicks SET fingerprint = ?, is_unique = ? WHERE id = ?',
+      [fingerprint, isUnique ? 1 : 0, row.id]
+    );
+  }
+};
+
+const down = async (db) => {
+  await db.exec('DROP INDEX IF EXISTS idx_clicks_fingerprint');
+  await db.exec('ALTER TABLE clicks DROP COLUMN is_unique');
+  await db.exec('ALTER TABLE clicks DROP COLUMN fingerprint');
+};
+
+module.exports = { up, down };
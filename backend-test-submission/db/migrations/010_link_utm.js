@@ -0,0 +1,24 @@
+const { hasColumn } = require('../migrator');
+
+const COLUMNS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+/**
+ * UTM campaign tags on short_urls, appended to original_url on redirect
+ */
+const up = async (db) => {
+  for (const column of COLUMNS) {
+    if (!(await hasColumn(db, 'short_urls', column))) {
+      await db.exec(`ALTER TABLE short_urls ADD COLUMN ${column} TEXT`);
+    }
+  }
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_short_urls_utm_campaign ON short_urls (owner_id, utm_campaign)');
+};
+
+const down = async (db) => {
+  await db.exec('DROP INDEX IF EXISTS idx_short_urls_utm_campaign');
+  for (const column of [...COLUMNS].reverse()) {
+    await db.exec(`ALTER TABLE short_urls DROP COLUMN ${column}`);
+  }
+};
+
+module.exports = { up, down };
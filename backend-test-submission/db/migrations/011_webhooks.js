@@ -0,0 +1,55 @@
+const { hasColumn } = require('../migrator');
+
+/**
+ * webhooks and webhook_deliveries tables, and short_urls.expiry_notified_at so each
+ * expiry is announced once. Links already expired are marked as announced.
+ */
+const up = async (db) => {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      owner_id TEXT NOT NULL,
+      url TEXT NOT NULL,
+      events TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhooks_owner ON webhooks (owner_id);
+
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      webhook_id INTEGER NOT NULL,
+      event_id TEXT NOT NULL,
+      event_type TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at DATETIME,
+      last_attempt_at DATETIME,
+      response_status INTEGER,
+      last_error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      delivered_at DATETIME
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id, id);
+  `);
+
+  if (!(await hasColumn(db, 'short_urls', 'expiry_notified_at'))) {
+    await db.exec('ALTER TABLE short_urls ADD COLUMN expiry_notified_at DATETIME');
+    await db.exec(`
+      UPDATE short_urls SET expiry_notified_at = CURRENT_TIMESTAMP
+      WHERE expires_at < strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+    `);
+  }
+};
+
+const down = async (db) => {
+  await db.exec('ALTER TABLE short_urls DROP COLUMN expiry_notified_at');
+  await db.exec('DROP TABLE IF EXISTS webhook_deliveries');
+  await db.exec('DROP TABLE IF EXISTS webhooks');
+};
+
+module.exports = { up, down };
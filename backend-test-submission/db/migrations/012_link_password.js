@@ -0,0 +1,16 @@
+const { hasColumn } = require('../migrator');
+
+/**
+ * short_urls.password_hash for password-protected links (salted scrypt hash, see utils/passwords.js)
+ */
+const up = async (db) => {
+  if (!(await hasColumn(db, 'short_urls', 'password_hash'))) {
+    await db.exec('ALTER TABLE short_urls ADD COLUMN password_hash TEXT');
+  }
+};
+
+const down = async (db) => {
+  await db.exec('ALTER TABLE short_urls DROP COLUMN password_hash');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,21 @@
+const { hasColumn } = require('../migrator');
+
+/**
+ * short_urls.max_clicks and clicks_used for click-limited links. clicks_used counts the
+ * redirects served against the limit and is only maintained for links that have one.
+ */
+const up = async (db) => {
+  if (!(await hasColumn(db, 'short_urls', 'max_clicks'))) {
+    await db.exec('ALTER TABLE short_urls ADD COLUMN max_clicks INTEGER');
+  }
+  if (!(await hasColumn(db, 'short_urls', 'clicks_used'))) {
+    await db.exec('ALTER TABLE short_urls ADD COLUMN clicks_used INTEGER NOT NULL DEFAULT 0');
+  }
+};
+
+const down = async (db) => {
+  await db.exec('ALTER TABLE short_urls DROP COLUMN clicks_used');
+  await db.exec('ALTER TABLE short_urls DROP COLUMN max_clicks');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,17 @@
+const { hasColumn } = require('../migrator');
+
+/**
+ * short_urls.activates_at for links scheduled to start redirecting later (ISO 8601, like
+ * expires_at; NULL means active from creation)
+ */
+const up = async (db) => {
+  if (!(await hasColumn(db, 'short_urls', 'activates_at'))) {
+    await db.exec('ALTER TABLE short_urls ADD COLUMN activates_at DATETIME');
+  }
+};
+
+const down = async (db) => {
+  await db.exec('ALTER TABLE short_urls DROP COLUMN activates_at');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Versioned schema migrations
+ *
+ * Migrations live in db/migrations as `<version>_<name>.js` and export
+ * `up(db)` and `down(db)`. Applied versions are recorded in schema_migrations.
+ * Each migration runs in its own transaction.
+ */
+class Migrator {
+  /**
+   * @param {object} options
+   * @param {object} options.db - Open SQLite database
+   * @param {string} options.directory - Migration directory (default: db/migrations)
+   * @param {object} options.logger - Logger instance (optional)
+   */
+  constructor({ db, directory = MIGRATIONS_DIR, logger = null }) {
+    this.db = db;
+    this.directory = directory;
+    this.logger = logger;
+  }
+
+  /**
+   * Load migration modules sorted by version
+   * @returns {Array} [{version, name, up, down}]
+   */
+  loadMigrations() {
+    return fs.readdirSync(this.directory)
+      .map(file => ({ file, match: file.match(MIGRATION_FILE) }))
+      .filter(({ match }) => match)
+      .map(({ file, match }) => {
+        const migration = require(path.join(this.directory, file));
+        return {
+          version: parseInt(match[1]),
+          name: match[2],
+          up: migration.up,
+          down: migration.down
+        };
+      })
+      .sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Create the bookkeeping table if needed
+   */
+  async ensureTable() {
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+  }
+
+  /**
+   * List every migration with its applied state
+   * @returns {Promise<Array>} [{version, name, appliedAt}]
+   */
+  async status() {
+    await this.ensureTable();
+    const applied = await this.db.all('SELECT version, applied_at FROM schema_migrations');
+    const appliedAt = new Map(applied.map(row => [row.version, row.applied_at]));
+
+    return this.loadMigrations().map(({ version, name }) => ({
+      version,
+      name,
+      appliedAt: appliedAt.get(version) || null
+    }));
+  }
+
+  /**
+   * Apply pending migrations
+   * @param {object} options
+   * @param {number} options.to - Stop after this version (default: latest)
+   * @param {boolean} options.dryRun - Run inside a transaction that is rolled back
+   * @returns {Promise<Array>} Migrations that were (or would be) applied
+   */
+  async up({ to = Infinity, dryRun = false } = {}) {
+    const migrations = await this.status();
+    const byVersion = new Map(this.loadMigrations().map(m => [m.version, m]));
+    const pending = migrations
+      .filter(m => !m.appliedAt && m.version <= to)
+      .map(m => byVersion.get(m.version));
+
+    await this.run(pending, 'up', dryRun);
+    return pending.map(({ version, name }) => ({ version, name }));
+  }
+
+  /**
+   * Revert the most recently applied migrations
+   * @param {object} options
+   * @param {number} options.steps - Number of migrations to revert (default: 1)
+   * @param {boolean} options.dryRun - Run inside a transaction that is rolled back
+   * @returns {Promise<Array>} Migrations that were (or would be) reverted
+   */
+  async down({ steps = 1, dryRun = false } = {}) {
+    const migrations = await this.status();
+    const byVersion = new Map(this.loadMigrations().map(m => [m.version, m]));
+    const applied = migrations
+      .filter(m => m.appliedAt)
+      .reverse()
+      .slice(0, steps)
+      .map(m => byVersion.get(m.version));
+
+    await this.run(applied, 'down', dryRun);
+    return applied.map(({ version, name }) => ({ version, name }));
+  }
+
+  /**
+   * Run migrations in one direction
+   * In dry-run mode everything happens in a single transaction that is rolled back,
+   * so later migrations see the effect of earlier ones.
+   */
+  async run(migrations, direction, dryRun) {
+    if (migrations.length === 0) {
+      return;
+    }
+
+    if (dryRun) {
+      await this.db.exec('BEGIN TRANSACTION');
+      try {
+        for (const migration of migrations) {
+          await this.step(migration, direction);
+        }
+      } finally {
+        await this.db.exec('ROLLBACK');
+      }
+      return;
+    }
+
+    for (const migration of migrations) {
+      await this.db.exec('BEGIN TRANSACTION');
+      try {
+        await this.step(migration, direction);
+        await this.db.exec('COMMIT');
+      } catch (error) {
+        await this.db.exec('ROLLBACK');
+        throw new Error(`Migration ${migration.version}_${migration.name} (${direction}) failed: ${error.message}`);
+      }
+
+      if (this.logger) {
+        this.logger.info(`Migration ${migration.version}_${migration.name} ${direction === 'up' ? 'applied' : 'reverted'}`, 'database');
+      }
+    }
+  }
+
+  /**
+   * Run a single migration and update schema_migrations
+   */
+  async step(migration, direction) {
+    if (direction === 'up') {
+      await migration.up(this.db);
+      await this.db.run(
+        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]
+      );
+    } else {
+      await migration.down(this.db);
+      await this.db.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+    }
+  }
+}
+
+/**
+ * Check whether a table has a column (for migrations that must tolerate
+ * databases created before migrations existed)
+ * @param {object} db - Open SQLite database
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @returns {Promise<boolean>} True if the column exists
+ */
+const hasColumn = async (db, table, column) => {
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+  return columns.some(col => col.name === column);
+};
+
+module.exports = {
+  Migrator,
+  hasColumn
+};
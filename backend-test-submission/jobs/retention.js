@@ -0,0 +1,72 @@
+const { toSqlTimestamp } = require('../utils/timeseries');
+
+/**
+ * Click retention job
+ * Deletes (or anonymizes) clicks older than privacy.retentionDays. Runs once at
+ * startup and then every privacy.purgeIntervalMinutes; disabled when
+ * retentionDays is 0.
+ */
+
+/**
+ * Purge clicks past the retention period once
+ * @param {object} options
+ * @param {object} options.storage - Storage adapter
+ * @param {object} options.logger - Logger instance
+ * @param {object} options.privacy - config.privacy
+ * @param {Date} options.now - Current time (default: now)
+ * @returns {Promise<number>} Number of clicks deleted or anonymized
+ */
+const purgeExpiredClicks = async ({ storage, logger, privacy, now = new Date() }) => {
+  const cutoff = new Date(now.getTime() - privacy.retentionDays * 24 * 60 * 60 * 1000);
+  const purged = await storage.purgeClicks(toSqlTimestamp(cutoff), { mode: privacy.retentionMode });
+
+  if (purged > 0) {
+    const action = privacy.retentionMode === 'anonymize' ? 'Anonymized' : 'Deleted';
+    logger.info(`${action} ${purged} click(s) older than ${privacy.retentionDays} day(s)`, 'retention-job');
+  }
+  return purged;
+};
+
+/**
+ * Start the retention job
+ * @param {object} options
+ * @param {object} options.storage - Storage adapter
+ * @param {object} options.logger - Logger instance
+ * @param {object} options.config - Application configuration
+ * @returns {object|null} {stop()} or null when retention is disabled
+ */
+const startRetentionJob = ({ storage, logger, config }) => {
+  const { privacy } = config;
+  if (!privacy.retentionDays) {
+    return null;
+  }
+
+  const run = async () => {
+    try {
+      await purgeExpiredClicks({ storage, logger, privacy });
+    } catch (error) {
+      logger.error(`Click retention purge failed: ${error.message}`, 'retention-job', error.stack);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, privacy.purgeIntervalMinutes * 60 * 1000);
+  // Never keep the process alive just for the purge
+  timer.unref();
+
+  logger.info(
+    `Click retention: ${privacy.retentionMode} after ${privacy.retentionDays} day(s), checked every ${privacy.purgeIntervalMinutes} minute(s)`,
+    'retention-job'
+  );
+
+  return {
+    stop() {
+      clearInterval(timer);
+    }
+  };
+};
+
+module.exports = {
+  purgeExpiredClicks,
+  startRetentionJob
+};
@@ -0,0 +1,88 @@
+/**
+ * Webhook job
+ * Every webhooks.pollSeconds: publishes a link-expired event for each link whose expiry
+ * has passed since the last check (links that expired while the server was down are
+ * announced at startup), then attempts the webhook deliveries that are due for a retry.
+ * New events are delivered as soon as they are queued; the job only catches up.
+ */
+
+const EXPIRY_BATCH_SIZE = 100;
+
+/**
+ * Publish link-expired for every newly expired link once
+ * @param {object} options
+ * @param {object} options.storage - Storage adapter
+ * @param {object} options.logger - Logger instance
+ * @param {object} options.events - Event bus from utils/events.js
+ * @param {Date} options.now - Current time (default: now)
+ * @returns {Promise<number>} Number of events published
+ */
+const publishExpiredLinks = async ({ storage, logger, events, now = new Date() }) => {
+  let published = 0;
+  let links;
+
+  do {
+    links = await storage.claimExpiredLinks(now, { limit: EXPIRY_BATCH_SIZE });
+    links.forEach((link) => {
+      events.publish(link.ownerId, 'link-expired', {
+        shortcode: link.shortcode,
+        originalUrl: link.originalUrl,
+        expiresAt: link.expiresAt
+      });
+    });
+    published += links.length;
+  } while (links.length === EXPIRY_BATCH_SIZE);
+
+  if (published > 0) {
+    logger.info(`Published link-expired for ${published} link(s)`, 'webhook-job');
+  }
+  return published;
+};
+
+/**
+ * Start the webhook job
+ * @param {object} options
+ * @param {object} options.storage - Storage adapter
+ * @param {object} options.logger - Logger instance
+ * @param {object} options.config - Application configuration
+ * @param {object} options.events - Event bus from utils/events.js
+ * @param {object} options.webhooks - Dispatcher from utils/webhooks.js
+ * @returns {object} {stop()}
+ */
+const startWebhookJob = ({ storage, logger, config, events, webhooks }) => {
+  let running = false;
+
+  const run = async () => {
+    // A slow receiver can outlast the interval; skip rather than pile up runs
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      await publishExpiredLinks({ storage, logger, events });
+      await webhooks.deliverDue();
+    } catch (error) {
+      logger.error(`Webhook job failed: ${error.message}`, 'webhook-job', error.stack);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, config.webhooks.pollSeconds * 1000);
+  // Never keep the process alive just for webhooks
+  timer.unref();
+
+  logger.info(`Webhook job: checking every ${config.webhooks.pollSeconds} second(s)`, 'webhook-job');
+
+  return {
+    stop() {
+      clearInterval(timer);
+    }
+  };
+};
+
+module.exports = {
+  publishExpiredLinks,
+  startWebhookJob
+};
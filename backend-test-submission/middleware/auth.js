@@ -0,0 +1,50 @@
+const { findActiveApiKey } = require('../utils/apiKeys');
+
+/**
+ * Require a valid `Authorization: Bearer <api key>` header
+ * On success the caller is exposed as req.apiKey = {id, ownerId, name}
+ */
+const requireApiKey = async (req, res, next) => {
+  const { storage, logger } = req.app.locals;
+
+  try {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+
+    if (!match) {
+      logger.warn(`Missing API key for ${req.method} ${req.originalUrl}`, 'auth');
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'Provide an API key using the "Authorization: Bearer <key>" header'
+      });
+    }
+
+    const apiKey = await findActiveApiKey(storage, match[1]);
+
+    if (!apiKey) {
+      logger.warn(`Invalid or revoked API key used for ${req.method} ${req.originalUrl}`, 'auth');
+      return res.status(401).json({
+        error: 'Invalid API key',
+        message: 'The provided API key is invalid or has been revoked'
+      });
+    }
+
+    await storage.touchApiKey(apiKey.id, new Date().toISOString());
+
+    req.apiKey = {
+      id: apiKey.id,
+      ownerId: apiKey.ownerId,
+      name: apiKey.name
+    };
+    next();
+
+  } catch (error) {
+    logger.error(`Error validating API key: ${error.message}`, 'auth', error.stack);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'An error occurred while validating the API key'
+    });
+  }
+};
+
+module.exports = { requireApiKey };
@@ -1,58 +1,266 @@
 const express = require('express');
-const database = require('../db/database');
-const logger = require('../../logging-middleware/logger');
-const { formatClickData, isExpired } = require('../utils/helpers');
+const { formatClickData, formatClickDetail, isExpired, remainingClicks } = require('../utils/helpers');
+const { parseTimeseriesQuery, formatTimeseries, toSqlTimestamp } = require('../utils/timeseries');
+const { applyPrivacyPolicy } = require('../utils/privacy');
+const { classifyClick, visitorFingerprint } = require('../utils/visitors');
+const { appendUtm } = require('../utils/utm');
+const { parseExportFormat, sendExport } = require('../utils/export');
+const { parseLinkQuery } = require('../utils/pagination');
+const { formatServerSentEvent } = require('../utils/events');
+const { linkStatus } = require('../utils/schedule');
+const {
+  verifyPassword,
+  unlockCookieName,
+  createUnlockToken,
+  verifyUnlockToken,
+  readCookie,
+  renderUnlockPage
+} = require('../utils/passwords');
 
 const router = express.Router();
 
+/**
+ * Top-level paths that belong to the app and are never treated as shortcodes
+ */
+const RESERVED_PATHS = ['api', 'shorturls', 'static', 'health', 'favicon.ico'];
+
+/**
+ * Answer 410 for a link whose click limit is used up
+ */
+const sendClickLimitReached = (res, shortUrl) => {
+  res.status(410).json({
+    error: 'Click limit reached',
+    message: 'This short URL has reached its click limit and is no longer valid',
+    maxClicks: shortUrl.maxClicks
+  });
+};
+
+/**
+ * Find the live link a redirect or unlock request is for, answering 404 or 410 when there is none
+ * @returns {Promise<object|null>} Link, or null when the response was sent
+ */
+const findLiveLink = async (req, res) => {
+  const { storage, logger } = req.app.locals;
+  const { shortcode } = req.params;
+
+  // Skip if it's a special route
+  if (RESERVED_PATHS.includes(shortcode)) {
+    res.status(404).json({ error: 'Not found' });
+    return null;
+  }
+
+  // Get short URL details
+  const shortUrl = await storage.findByShortcode(shortcode);
+
+  if (!shortUrl) {
+    logger.warn(`Redirect attempted for non-existent shortcode: ${shortcode}`, 'redirect-api');
+    res.status(404).json({
+      error: 'Short URL not found',
+      message: 'The requested shortcode does not exist'
+    });
+    return null;
+  }
+
+  // Deleted links keep their click history but no longer redirect
+  if (shortUrl.deletedAt) {
+    logger.warn(`Redirect attempted for deleted shortcode: ${shortcode}`, 'redirect-api');
+    res.status(410).json({
+      error: 'Short URL deleted',
+      message: 'This short URL has been deleted and is no longer valid',
+      deletedAt: shortUrl.deletedAt
+    });
+    return null;
+  }
+
+  // Check if expired
+  if (isExpired(shortUrl.expiresAt)) {
+    logger.warn(`Redirect attempted for expired shortcode: ${shortcode}`, 'redirect-api');
+    res.status(410).json({
+      error: 'Short URL expired',
+      message: 'This short URL has expired and is no longer valid',
+      expiredAt: shortUrl.expiresAt
+    });
+    return null;
+  }
+
+  // Scheduled links do not redirect before their activation time
+  if (linkStatus(shortUrl) === 'scheduled') {
+    logger.warn(`Redirect attempted before activation for shortcode: ${shortcode}`, 'redirect-api');
+    res.status(403).json({
+      error: 'Short URL not yet active',
+      message: `This short URL becomes active at ${shortUrl.activatesAt}`,
+      activatesAt: shortUrl.activatesAt
+    });
+    return null;
+  }
+
+  if (remainingClicks(shortUrl) === 0) {
+    logger.warn(`Redirect attempted for used-up shortcode: ${shortcode}`, 'redirect-api');
+    sendClickLimitReached(res, shortUrl);
+    return null;
+  }
+
+  return shortUrl;
+};
+
+/**
+ * Record the click and redirect to the link's destination
+ * A human click on a click-limited link first uses up one of its clicks; when another
+ * request took the last one in the meantime, the answer is 410 instead. Link previews,
+ * HEAD requests and prefetches are redirected without using one, so they cannot spend a
+ * one-time link before a person opens it.
+ * @param {number} status - 302, or 303 after an unlock form was posted
+ */
+const recordAndRedirect = async (req, res, shortUrl, status) => {
+  const { storage, logger, config, geoip, events } = req.app.locals;
+  const { shortcode } = shortUrl;
+
+  // Bots are recognised from the raw request; the fingerprint uses only what is stored
+  const kept = applyPrivacyPolicy(classifyClick(formatClickData(shortcode, req, geoip), req), req, config.privacy);
+  const click = { ...kept, fingerprint: visitorFingerprint(kept) };
+  const usesClick = shortUrl.maxClicks !== null && !click.isBot;
+
+  if (usesClick && !(await storage.useClick(shortcode))) {
+    logger.warn(`Redirect attempted for used-up shortcode: ${shortcode}`, 'redirect-api');
+    return sendClickLimitReached(res, shortUrl);
+  }
+
+  // Log the click; a click that could not be recorded is given back
+  let stored;
+  try {
+    stored = await storage.recordClick(click, { windowMinutes: config.visitors.windowMinutes });
+  } catch (error) {
+    if (usesClick) {
+      await storage.returnClick(shortcode);
+    }
+    throw error;
+  }
+  events.publish(shortUrl.ownerId, 'click', { shortcode, click: formatClickDetail(stored) });
+
+  // Campaign tags are added to the destination on every redirect
+  const destination = appendUtm(shortUrl.originalUrl, shortUrl.utm);
+
+  logger.info(`Successful redirect: ${shortcode} -> ${destination}`, 'redirect-api');
+
+  // Perform redirect
+  res.redirect(status, destination);
+};
+
+/**
+ * Path the unlock cookie is scoped to: the link's path as visitors see it. That includes the
+ * path of BASE_URL, or else the mount point of the app, when it runs below the root.
+ */
+const unlockCookiePath = (req, shortcode) => {
+  const basePath = new URL(req.app.locals.config.baseUrl).pathname.replace(/\/+$/, '') || req.baseUrl;
+  return `${basePath}/${shortcode}`;
+};
+
+/**
+ * Send the unlock form of a password-protected link
+ * The page is never cached or framed, and may only post back to this server.
+ */
+const sendUnlockPage = (res, shortcode, { status = 200, error = null } = {}) => {
+  res.status(status).set({
+    'Cache-Control': 'no-store',
+    'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; form-action 'self'; frame-ancestors 'none'"
+  }).type('html').send(renderUnlockPage({ shortcode, error }));
+};
+
 /**
  * GET /:shortcode - Redirect to original URL
+ *
+ * A password-protected link serves the unlock form instead, unless the visitor holds a
+ * valid unlock cookie. Showing the form does not count as a click. A click-limited link
+ * answers 410 once every allowed redirect has been served, a scheduled link 403 until it
+ * becomes active.
  */
 router.get('/:shortcode', async (req, res) => {
+  const { logger, unlockSecret } = req.app.locals;
+
   try {
-    const { shortcode } = req.params;
-    const db = database.getDb();
+    const shortUrl = await findLiveLink(req, res);
+    if (!shortUrl) {
+      return;
+    }
 
-    // Get short URL details
-    const shortUrl = await db.get(
-      'SELECT * FROM short_urls WHERE shortcode = ?',
-      [shortcode]
-    );
+    if (shortUrl.passwordHash) {
+      const token = readCookie(req.headers.cookie, unlockCookieName(shortUrl.shortcode));
+      if (!verifyUnlockToken(token, shortUrl, { secret: unlockSecret })) {
+        logger.info(`Unlock form served for protected shortcode: ${shortUrl.shortcode}`, 'redirect-api');
+        return sendUnlockPage(res, shortUrl.shortcode);
+      }
+    }
+
+    await recordAndRedirect(req, res, shortUrl, 302);
+
+  } catch (error) {
+    logger.error(`Error during redirect: ${error.message}`, 'redirect-api', error.stack);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'An error occurred during redirect'
+    });
+  }
+});
+
+/**
+ * POST /:shortcode - Unlock a password-protected link with the posted form
+ *
+ * Body (application/x-www-form-urlencoded): password. The right password sets a cookie
+ * scoped to the link's path for config unlock.cookieMinutes and redirects (303). Each
+ * visitor gets config unlock.maxAttempts wrong passwords per link every
+ * unlock.windowMinutes; after that the form answers 429 with Retry-After.
+ */
+router.post('/:shortcode', express.urlencoded({ extended: false, limit: '1kb' }), async (req, res) => {
+  const { logger, config, unlockSecret, unlockLimiter } = req.app.locals;
 
+  try {
+    const shortUrl = await findLiveLink(req, res);
     if (!shortUrl) {
-      await logger.warn(`Redirect attempted for non-existent shortcode: ${shortcode}`, 'redirect-api');
-      return res.status(404).json({
-        error: 'Short URL not found',
-        message: 'The requested shortcode does not exist'
-      });
+      return;
     }
 
-    // Check if expired
-    if (isExpired(shortUrl.expires_at)) {
-      await logger.warn(`Redirect attempted for expired shortcode: ${shortcode}`, 'redirect-api');
-      return res.status(410).json({
-        error: 'Short URL expired',
-        message: 'This short URL has expired and is no longer valid',
-        expiredAt: shortUrl.expires_at
+    // Nothing to unlock
+    if (!shortUrl.passwordHash) {
+      return await recordAndRedirect(req, res, shortUrl, 303);
+    }
+
+    const { shortcode } = shortUrl;
+    const limiterKey = `${shortcode}|${req.ip}`;
+    const retryAfter = unlockLimiter.retryAfter(limiterKey);
+    if (retryAfter > 0) {
+      logger.warn(`Unlock attempt blocked for ${shortcode} from ${req.ip}: too many failures`, 'redirect-api');
+      res.set('Retry-After', String(retryAfter));
+      return sendUnlockPage(res, shortcode, {
+        status: 429,
+        error: `Too many wrong passwords. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`
       });
     }
 
-    // Log the click
-    const clickData = formatClickData(shortcode, req);
+    // Counted before the slow check so parallel guesses cannot slip past the limit
+    const attemptsLeft = unlockLimiter.recordAttempt(limiterKey);
+    const password = req.body ? req.body.password : undefined;
+    if (!(await verifyPassword(password, shortUrl.passwordHash))) {
+      logger.warn(`Failed unlock attempt for ${shortcode} from ${req.ip} (${attemptsLeft} attempt(s) left)`, 'redirect-api');
+      return sendUnlockPage(res, shortcode, { status: 401, error: 'Wrong password. Please try again.' });
+    }
 
-    await db.run(
-      `INSERT INTO clicks (shortcode, referrer, ip_address, user_agent) 
-       VALUES (?, ?, ?, ?)`,
-      [clickData.shortcode, clickData.referrer, clickData.ipAddress, clickData.userAgent]
-    );
+    unlockLimiter.reset(limiterKey);
+    res.cookie(unlockCookieName(shortcode), createUnlockToken(shortUrl, {
+      secret: unlockSecret,
+      minutes: config.unlock.cookieMinutes
+    }), {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: config.baseUrl.startsWith('https:'),
+      path: unlockCookiePath(req, shortcode),
+      maxAge: config.unlock.cookieMinutes * 60 * 1000
+    });
+    logger.info(`Protected shortcode unlocked: ${shortcode}`, 'redirect-api');
 
-    await logger.info(`Successful redirect: ${shortcode} -> ${shortUrl.original_url}`, 'redirect-api');
-    
-    // Perform redirect
-    res.redirect(302, shortUrl.original_url);
+    await recordAndRedirect(req, res, shortUrl, 303);
 
   } catch (error) {
-    await logger.error(`Error during redirect: ${error.message}`, 'redirect-api', error.stack);
+    logger.error(`Error during unlock: ${error.message}`, 'redirect-api', error.stack);
     res.status(500).json({
       error: 'Server error',
       message: 'An error occurred during redirect'
@@ -61,37 +269,116 @@ router.get('/:shortcode', async (req, res) => {
 });
 
 /**
- * GET /api/all-urls - Get all short URLs (for frontend statistics page)
+ * GET /api/events - Stream the caller's link-created and click events (Server-Sent Events)
+ *
+ * The response stays open; a comment line is sent every config events.heartbeatSeconds
+ * so proxies do not close an idle stream. Events missed while disconnected are not replayed.
+ */
+router.get('/api/events', (req, res) => {
+  const { logger, config, events } = req.app.locals;
+
+  if (events.subscriberCount() >= config.events.maxConnections) {
+    logger.warn(`Event stream refused for ${req.apiKey.ownerId}: ${config.events.maxConnections} streams open`, 'redirect-api');
+    return res.status(503).json({
+      error: 'Too many event streams',
+      message: 'The server has reached its limit of open event streams. Try again later.'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Keeps nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(': connected\n\n');
+
+  const unsubscribe = events.subscribe(req.apiKey.ownerId, (event) => {
+    res.write(formatServerSentEvent(event));
+  });
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, config.events.heartbeatSeconds * 1000);
+
+  logger.info(`Event stream opened for ${req.apiKey.ownerId}`, 'redirect-api');
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    logger.info(`Event stream closed for ${req.apiKey.ownerId}`, 'redirect-api');
+  });
+});
+
+/**
+ * GET /api/all-urls - Get one page of the caller's short URLs (for frontend statistics page)
+ *
+ * Query: limit (default: config pagination.defaultLimit), offset, status=scheduled|active|expired,
+ * createdFrom, createdTo (ISO 8601), minClicks, q (shortcode or URL substring),
+ * sort=created|clicks|expiry, order=asc|desc (default: created, desc).
+ * The summary covers all live links, whatever the filters.
  */
 router.get('/api/all-urls', async (req, res) => {
+  const { storage, logger, config } = req.app.locals;
+
   try {
-    const db = database.getDb();
-    
-    const shortUrls = await db.all(`
-      SELECT 
-        s.shortcode,
-        s.original_url,
-        s.created_at,
-        s.expires_at,
-        s.validity_minutes,
-        COUNT(c.id) as total_clicks
-      FROM short_urls s
-      LEFT JOIN clicks c ON s.shortcode = c.shortcode
-      GROUP BY s.shortcode
-      ORDER BY s.created_at DESC
-    `);
+    const query = parseLinkQuery(req.query, config.pagination);
+    if (!query.isValid) {
+      logger.warn(`Invalid URL list query: ${query.message}`, 'redirect-api');
+      return res.status(400).json({
+        error: query.error,
+        message: query.message
+      });
+    }
+
+    const now = new Date();
+    const { links: shortUrls, total } = await storage.listLinks(req.apiKey.ownerId, {
+      status: query.status,
+      createdFrom: query.createdFrom,
+      createdTo: query.createdTo,
+      minClicks: query.minClicks,
+      search: query.search,
+      sort: query.sort,
+      order: query.order,
+      limit: query.limit,
+      offset: query.offset,
+      now
+    });
+    const summary = await storage.summarizeLinks(req.apiKey.ownerId, { now });
 
     const urlsWithStatus = shortUrls.map(url => ({
-      ...url,
-      isExpired: isExpired(url.expires_at),
-      shortLink: `http://localhost:8000/${url.shortcode}`
+      shortcode: url.shortcode,
+      original_url: url.originalUrl,
+      created_at: url.createdAt,
+      activates_at: url.activatesAt,
+      expires_at: url.expiresAt,
+      validity_minutes: url.validityMinutes,
+      total_clicks: url.totalClicks,
+      human_clicks: url.humanClicks,
+      unique_visitors: url.uniqueVisitors,
+      utm: url.utm,
+      password_protected: Boolean(url.passwordHash),
+      max_clicks: url.maxClicks,
+      remaining_clicks: remainingClicks(url),
+      isExpired: isExpired(url.expiresAt),
+      isScheduled: linkStatus(url, now) === 'scheduled',
+      shortLink: `${config.baseUrl}/${url.shortcode}`
     }));
 
-    await logger.info(`All URLs statistics retrieved (${shortUrls.length} URLs)`, 'redirect-api');
-    res.json(urlsWithStatus);
+    logger.info(`All URLs statistics retrieved (${shortUrls.length} of ${total} URLs)`, 'redirect-api');
+    res.json({
+      urls: urlsWithStatus,
+      pagination: {
+        total,
+        limit: query.limit,
+        offset: query.offset,
+        hasMore: query.offset + shortUrls.length < total
+      },
+      summary
+    });
 
   } catch (error) {
-    await logger.error(`Error retrieving all URLs: ${error.message}`, 'redirect-api', error.stack);
+    logger.error(`Error retrieving all URLs: ${error.message}`, 'redirect-api', error.stack);
     res.status(500).json({
       error: 'Server error',
       message: 'An error occurred while retrieving URL statistics'
@@ -99,4 +386,103 @@ router.get('/api/all-urls', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/timeseries - Clicks per minute, hour or day across all of the caller's links
+ *
+ * Accepts the same query as GET /shorturls/:shortcode/timeseries. Clicks on deleted
+ * links still count, since they happened while the link was live.
+ */
+router.get('/api/timeseries', async (req, res) => {
+  const { storage, logger, config } = req.app.locals;
+
+  try {
+    const query = parseTimeseriesQuery(req.query, { maxBuckets: config.timeseries.maxBuckets });
+    if (!query.isValid) {
+      logger.warn(`Invalid global timeseries query: ${query.message}`, 'redirect-api');
+      return res.status(400).json({
+        error: query.error,
+        message: query.message
+      });
+    }
+
+    const counts = await storage.getClickTimeseries({
+      ownerId: req.apiKey.ownerId,
+      from: query.from,
+      to: query.to,
+      buckets: query.buckets
+    });
+
+    logger.info(`Global timeseries retrieved (${counts.length} ${query.interval} buckets)`, 'redirect-api');
+    res.json(formatTimeseries(counts, query));
+
+  } catch (error) {
+    logger.error(`Error retrieving global timeseries: ${error.message}`, 'redirect-api', error.stack);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'An error occurred while retrieving the timeseries'
+    });
+  }
+});
+
+/**
+ * GET /api/campaigns - Clicks per UTM campaign, source and medium across the caller's tagged links
+ *
+ * Links without UTM tags are left out. Like the global timeseries, deleted links still count.
+ */
+router.get('/api/campaigns', async (req, res) => {
+  const { storage, logger } = req.app.locals;
+
+  try {
+    const campaigns = await storage.getCampaignBreakdowns(req.apiKey.ownerId);
+
+    logger.info(`Campaign statistics retrieved (${campaigns.length} campaigns)`, 'redirect-api');
+    res.json(campaigns);
+
+  } catch (error) {
+    logger.error(`Error retrieving campaign statistics: ${error.message}`, 'redirect-api', error.stack);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'An error occurred while retrieving campaign statistics'
+    });
+  }
+});
+
+/**
+ * GET /api/export - Download the click history of all of the caller's links
+ *
+ * Query: format=csv|jsonl (default: csv). Clicks are streamed oldest first and, like
+ * the global timeseries, include clicks on deleted links.
+ */
+router.get('/api/export', async (req, res) => {
+  const { storage, logger } = req.app.locals;
+
+  try {
+    const exportFormat = parseExportFormat(req.query.format);
+    if (!exportFormat.isValid) {
+      logger.warn(`Invalid export format: ${req.query.format}`, 'redirect-api');
+      return res.status(400).json({
+        error: 'Invalid export format',
+        message: exportFormat.error
+      });
+    }
+
+    const count = await sendExport(res, storage.iterateClicks({ ownerId: req.apiKey.ownerId }), {
+      format: exportFormat.format,
+      filename: `clicks-${toSqlTimestamp(new Date()).slice(0, 10)}`
+    });
+
+    logger.info(`Exported ${count} clicks as ${exportFormat.format}`, 'redirect-api');
+
+  } catch (error) {
+    logger.error(`Error exporting clicks: ${error.message}`, 'redirect-api', error.stack);
+    // A failed stream has already been cut off
+    if (!res.headersSent && !res.destroyed) {
+      res.status(500).json({
+        error: 'Server error',
+        message: 'An error occurred while exporting clicks'
+      });
+    }
+  }
+});
+
 module.exports = router;
\ No newline at end of file
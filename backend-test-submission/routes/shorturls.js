@@ -1,15 +1,23 @@
 const express = require('express');
-const database = require('../db/database');
-const logger = require('../../logging-middleware/logger');
 const {
   isValidURL,
-  validateValidityPeriod,
-  calculateExpiryDate,
+  validateMaxClicks,
+  remainingClicks,
   isValidShortcode,
+  describeShortcodeRules,
   isShortcodeUnique,
   generateUniqueShortcode,
+  formatClickBreakdowns,
+  formatClickDetail,
   createApiResponse
 } = require('../utils/helpers');
+const { parseTimeseriesQuery, formatTimeseries } = require('../utils/timeseries');
+const { describePrivacyPolicy } = require('../utils/privacy');
+const { validateUtm } = require('../utils/utm');
+const { parseExportFormat, sendExport } = require('../utils/export');
+const { parseClickQuery, encodeCursor } = require('../utils/pagination');
+const { validatePassword, hashPassword } = require('../utils/passwords');
+const { resolveSchedule, linkStatus } = require('../utils/schedule');
 
 const router = express.Router();
 
@@ -17,13 +25,14 @@ const router = express.Router();
  * POST /shorturls - Create a shortened URL
  */
 router.post('/', async (req, res) => {
+  const { storage, logger, config, events } = req.app.locals;
+
   try {
-    const { url, validity = 30, shortcode } = req.body;
-    const db = database.getDb();
+    const { url, validity, expiresAt, activatesAt, shortcode, utm, password, maxClicks } = req.body;
 
     // Validate required URL
     if (!url) {
-      await logger.warn('URL shortening attempt without URL', 'shorturls-api');
+      logger.warn('URL shortening attempt without URL', 'shorturls-api');
       return res.status(400).json({
         error: 'URL is required',
         message: 'Please provide a valid URL to shorten'
@@ -31,40 +40,74 @@ router.post('/', async (req, res) => {
     }
 
     // Validate URL format
-    if (!isValidURL(url)) {
-      await logger.warn(`Invalid URL format attempted: ${url}`, 'shorturls-api');
+    if (typeof url !== 'string' || !isValidURL(url)) {
+      logger.warn(`Invalid URL format attempted: ${url}`, 'shorturls-api');
       return res.status(400).json({
         error: 'Invalid URL format',
         message: 'Please provide a valid URL (including http:// or https://)'
       });
     }
 
-    // Validate validity period
-    const validityCheck = validateValidityPeriod(validity);
-    if (!validityCheck.isValid) {
-      await logger.warn(`Invalid validity period: ${validity}`, 'shorturls-api');
+    // Resolve the activation time and expiry (validity minutes or an absolute expiresAt)
+    const schedule = resolveSchedule({ validity, expiresAt, activatesAt }, { limits: config.validity });
+    if (!schedule.isValid) {
+      logger.warn(`Invalid link schedule: ${schedule.message}`, 'shorturls-api');
+      return res.status(400).json({
+        error: schedule.error,
+        message: schedule.message
+      });
+    }
+
+    // Validate campaign tags
+    const utmCheck = validateUtm(utm);
+    if (!utmCheck.isValid) {
+      logger.warn(`Invalid UTM parameters: ${utmCheck.error}`, 'shorturls-api');
+      return res.status(400).json({
+        error: 'Invalid UTM parameters',
+        message: utmCheck.error
+      });
+    }
+
+    // Validate the optional click limit
+    const hasClickLimit = maxClicks !== undefined && maxClicks !== null;
+    const clickLimitCheck = hasClickLimit ? validateMaxClicks(maxClicks) : null;
+    if (hasClickLimit && !clickLimitCheck.isValid) {
+      logger.warn(`Invalid click limit: ${maxClicks}`, 'shorturls-api');
       return res.status(400).json({
-        error: 'Invalid validity period',
-        message: validityCheck.error
+        error: 'Invalid click limit',
+        message: clickLimitCheck.error
       });
     }
 
+    // Validate the optional password
+    const hasPassword = password !== undefined && password !== null;
+    if (hasPassword) {
+      const passwordCheck = validatePassword(password);
+      if (!passwordCheck.isValid) {
+        logger.warn('Invalid link password', 'shorturls-api');
+        return res.status(400).json({
+          error: 'Invalid password',
+          message: passwordCheck.error
+        });
+      }
+    }
+
     // Generate or validate shortcode
     let finalShortcode = shortcode;
     
     if (shortcode) {
       // Validate custom shortcode format
-      if (!isValidShortcode(shortcode)) {
-        await logger.warn(`Invalid shortcode format: ${shortcode}`, 'shorturls-api');
+      if (!isValidShortcode(shortcode, config.shortcode)) {
+        logger.warn(`Invalid shortcode format: ${shortcode}`, 'shorturls-api');
         return res.status(400).json({
           error: 'Invalid shortcode format',
-          message: 'Shortcode must be 3-20 characters long and contain only letters and numbers'
+          message: describeShortcodeRules(config.shortcode)
         });
       }
 
       // Check if custom shortcode is unique
-      if (!(await isShortcodeUnique(shortcode, db))) {
-        await logger.warn(`Shortcode already exists: ${shortcode}`, 'shorturls-api');
+      if (!(await isShortcodeUnique(shortcode, storage))) {
+        logger.warn(`Shortcode already exists: ${shortcode}`, 'shorturls-api');
         return res.status(409).json({
           error: 'Shortcode already exists',
           message: 'The requested shortcode is already in use. Please choose a different one.'
@@ -72,7 +115,7 @@ router.post('/', async (req, res) => {
       }
     } else {
       // Generate unique shortcode
-      finalShortcode = await generateUniqueShortcode(db);
+      finalShortcode = await generateUniqueShortcode(storage, undefined, config.shortcode.generatedLength);
       if (!finalShortcode) {
         return res.status(500).json({
           error: 'Server error',
@@ -81,30 +124,39 @@ router.post('/', async (req, res) => {
       }
     }
 
-    // Calculate expiry time
-    const expiresAt = calculateExpiryDate(validityCheck.minutes);
-
-    // Insert into database
-    await db.run(
-      `INSERT INTO short_urls (shortcode, original_url, expires_at, validity_minutes) 
-       VALUES (?, ?, ?, ?)`,
-      [finalShortcode, url, expiresAt.toISOString(), validityCheck.minutes]
-    );
+    // Store the link
+    await storage.createLink({
+      shortcode: finalShortcode,
+      originalUrl: url,
+      expiresAt: schedule.expiresAt,
+      activatesAt: schedule.activatesAt,
+      validityMinutes: schedule.validityMinutes,
+      ownerId: req.apiKey.ownerId,
+      utm: utmCheck.utm,
+      passwordHash: hasPassword ? await hashPassword(password) : null,
+      maxClicks: hasClickLimit ? clickLimitCheck.maxClicks : null
+    });
 
-    const shortLink = `http://localhost:8000/${finalShortcode}`;
+    const shortLink = `${config.baseUrl}/${finalShortcode}`;
     const responseData = {
       shortLink: shortLink,
-      expiry: expiresAt.toISOString(),
+      expiry: schedule.expiresAt,
+      activatesAt: schedule.activatesAt,
       shortcode: finalShortcode,
       originalUrl: url,
-      validityMinutes: validityCheck.minutes
+      validityMinutes: schedule.validityMinutes,
+      utm: utmCheck.utm,
+      passwordProtected: hasPassword,
+      maxClicks: hasClickLimit ? clickLimitCheck.maxClicks : null,
+      remainingClicks: hasClickLimit ? clickLimitCheck.maxClicks : null
     };
 
-    await logger.info(`URL shortened successfully: ${url} -> ${finalShortcode}`, 'shorturls-api');
+    logger.info(`URL shortened successfully: ${url} -> ${finalShortcode}`, 'shorturls-api');
+    events.publish(req.apiKey.ownerId, 'link-created', responseData);
     res.status(201).json(responseData);
 
   } catch (error) {
-    await logger.error(`Error creating short URL: ${error.message}`, 'shorturls-api', error.stack);
+    logger.error(`Error creating short URL: ${error.message}`, 'shorturls-api', error.stack);
     res.status(500).json({
       error: 'Server error',
       message: 'An error occurred while creating the short URL'
@@ -112,22 +164,285 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * Validate a single batch entry against the same rules as POST /shorturls
+ * @param {object} item - Batch entry ({url, validity, expiresAt, activatesAt, shortcode, utm, maxClicks})
+ * @param {object} storage - Storage adapter
+ * @param {Set<string>} reserved - Shortcodes already claimed earlier in the batch
+ * @param {object} config - Application configuration
+ * @returns {object} {isValid: boolean, schedule?: object, utm?: object, maxClicks?: number|null,
+ *   error?: string, message?: string}; schedule is the result of resolveSchedule
+ */
+const validateBatchItem = async (item, storage, reserved, config) => {
+  if (!item || typeof item !== 'object') {
+    return { isValid: false, error: 'Invalid entry', message: 'Each entry must be an object' };
+  }
+
+  const { url, validity, expiresAt, activatesAt, shortcode, utm, password, maxClicks } = item;
+
+  if (!url) {
+    return { isValid: false, error: 'URL is required', message: 'Please provide a valid URL to shorten' };
+  }
+
+  // Hashing is deliberately slow, too slow for a thousand entries in one request
+  if (password !== undefined && password !== null) {
+    return {
+      isValid: false,
+      error: 'Password not supported',
+      message: 'Password-protected links must be created one at a time with POST /shorturls'
+    };
+  }
+
+  if (typeof url !== 'string' || !isValidURL(url)) {
+    return {
+      isValid: false,
+      error: 'Invalid URL format',
+      message: 'Please provide a valid URL (including http:// or https://)'
+    };
+  }
+
+  const schedule = resolveSchedule({ validity, expiresAt, activatesAt }, { limits: config.validity });
+  if (!schedule.isValid) {
+    return schedule;
+  }
+
+  const utmCheck = validateUtm(utm);
+  if (!utmCheck.isValid) {
+    return { isValid: false, error: 'Invalid UTM parameters', message: utmCheck.error };
+  }
+
+  const hasClickLimit = maxClicks !== undefined && maxClicks !== null;
+  const clickLimitCheck = hasClickLimit ? validateMaxClicks(maxClicks) : null;
+  if (hasClickLimit && !clickLimitCheck.isValid) {
+    return { isValid: false, error: 'Invalid click limit', message: clickLimitCheck.error };
+  }
+
+  if (shortcode) {
+    if (!isValidShortcode(shortcode, config.shortcode)) {
+      return {
+        isValid: false,
+        error: 'Invalid shortcode format',
+        message: describeShortcodeRules(config.shortcode)
+      };
+    }
+
+    if (reserved.has(shortcode) || !(await isShortcodeUnique(shortcode, storage))) {
+      return {
+        isValid: false,
+        error: 'Shortcode already exists',
+        message: 'The requested shortcode is already in use. Please choose a different one.'
+      };
+    }
+  }
+
+  return {
+    isValid: true,
+    schedule,
+    utm: utmCheck.utm,
+    maxClicks: hasClickLimit ? clickLimitCheck.maxClicks : null
+  };
+};
+
+/**
+ * POST /shorturls/batch - Create many shortened URLs in one request
+ *
+ * Body: { urls: [{url, validity, expiresAt, activatesAt, shortcode, utm, maxClicks}, ...], atomic?: boolean }
+ * Every entry gets its own result. With `atomic: true` nothing is stored
+ * unless every entry is valid and inserted successfully.
+ */
+router.post('/batch', async (req, res) => {
+  const { storage, logger, config, events } = req.app.locals;
+
+  try {
+    const { urls, atomic = false } = req.body || {};
+
+    if (!Array.isArray(urls) || urls.length === 0) {
+      logger.warn('Batch shortening attempt without URLs', 'shorturls-api');
+      return res.status(400).json({
+        error: 'URLs are required',
+        message: 'Please provide a non-empty "urls" array'
+      });
+    }
+
+    if (urls.length > config.batch.maxSize) {
+      logger.warn(`Batch too large: ${urls.length} entries`, 'shorturls-api');
+      return res.status(400).json({
+        error: 'Batch too large',
+        message: `A batch may contain at most ${config.batch.maxSize} URLs`
+      });
+    }
+
+    // Validate every entry up front so shortcodes can be reserved across the batch
+    const reserved = new Set();
+    const results = [];
+    const pending = [];
+
+    for (let index = 0; index < urls.length; index++) {
+      const item = urls[index];
+      const check = await validateBatchItem(item, storage, reserved, config);
+
+      if (!check.isValid) {
+        results[index] = {
+          index,
+          success: false,
+          originalUrl: item && item.url,
+          error: check.error,
+          message: check.message
+        };
+        continue;
+      }
+
+      let finalShortcode = item.shortcode;
+      if (!finalShortcode) {
+        do {
+          finalShortcode = await generateUniqueShortcode(storage, undefined, config.shortcode.generatedLength);
+        } while (finalShortcode && reserved.has(finalShortcode));
+
+        if (!finalShortcode) {
+          results[index] = {
+            index,
+            success: false,
+            originalUrl: item.url,
+            error: 'Server error',
+            message: 'Unable to generate unique shortcode. Please try again.'
+          };
+          continue;
+        }
+      }
+
+      reserved.add(finalShortcode);
+      pending.push({
+        index,
+        shortcode: finalShortcode,
+        url: item.url,
+        schedule: check.schedule,
+        utm: check.utm,
+        maxClicks: check.maxClicks
+      });
+    }
+
+    const rejectBatch = (message) => {
+      for (const entry of pending) {
+        if (!results[entry.index]) {
+          results[entry.index] = {
+            index: entry.index,
+            success: false,
+            originalUrl: entry.url,
+            error: 'Not created',
+            message
+          };
+        }
+      }
+    };
+
+    if (atomic && pending.length !== urls.length) {
+      rejectBatch('Batch was rolled back because another entry failed');
+      logger.warn(`Atomic batch rejected: ${urls.length - pending.length} invalid entries`, 'shorturls-api');
+      return res.status(400).json({
+        results,
+        summary: { total: urls.length, succeeded: 0, failed: urls.length }
+      });
+    }
+
+    // Store all valid entries together (all or nothing when atomic)
+    const { committed, errors, error: failure } = await storage.createLinks(
+      pending.map(entry => ({
+        shortcode: entry.shortcode,
+        originalUrl: entry.url,
+        expiresAt: entry.schedule.expiresAt,
+        activatesAt: entry.schedule.activatesAt,
+        validityMinutes: entry.schedule.validityMinutes,
+        ownerId: req.apiKey.ownerId,
+        utm: entry.utm,
+        maxClicks: entry.maxClicks
+      })),
+      { atomic }
+    );
+
+    pending.forEach((entry, position) => {
+      const error = errors[position];
+      if (error) {
+        results[entry.index] = {
+          index: entry.index,
+          success: false,
+          originalUrl: entry.url,
+          error: 'Insert failed',
+          message: error.message
+        };
+      } else if (committed) {
+        results[entry.index] = {
+          index: entry.index,
+          success: true,
+          shortLink: `${config.baseUrl}/${entry.shortcode}`,
+          expiry: entry.schedule.expiresAt,
+          activatesAt: entry.schedule.activatesAt,
+          shortcode: entry.shortcode,
+          originalUrl: entry.url,
+          validityMinutes: entry.schedule.validityMinutes,
+          utm: entry.utm,
+          passwordProtected: false,
+          maxClicks: entry.maxClicks,
+          remainingClicks: entry.maxClicks
+        };
+      }
+    });
+
+    if (!committed && atomic) {
+      rejectBatch('Batch was rolled back because another entry failed');
+      logger.error(`Atomic batch rolled back: ${failure.message}`, 'shorturls-api', failure.stack);
+      return res.status(409).json({
+        results,
+        summary: { total: urls.length, succeeded: 0, failed: urls.length }
+      });
+    }
+
+    // Valid entries are inserted together, so none are kept when that fails
+    if (!committed) {
+      rejectBatch('The batch could not be saved');
+      logger.error(`Batch could not be saved: ${failure.message}`, 'shorturls-api', failure.stack);
+      return res.status(500).json({
+        error: 'Server error',
+        message: 'The batch could not be saved; no URLs were created',
+        results,
+        summary: { total: urls.length, succeeded: 0, failed: urls.length }
+      });
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+    const summary = { total: urls.length, succeeded, failed: urls.length - succeeded };
+
+    results.filter(result => result.success).forEach(({ index, success, ...link }) => {
+      events.publish(req.apiKey.ownerId, 'link-created', link);
+    });
+
+    logger.info(`Batch shortened ${succeeded} of ${urls.length} URLs`, 'shorturls-api');
+    res.status(succeeded === urls.length ? 201 : 207).json({ results, summary });
+
+  } catch (error) {
+    logger.error(`Error creating batch of short URLs: ${error.message}`, 'shorturls-api', error.stack);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'An error occurred while creating the short URLs'
+    });
+  }
+});
+
 /**
  * GET /shorturls/:shortcode - Get statistics for a short URL
+ *
+ * Aggregates only; individual clicks are listed by GET /shorturls/:shortcode/clicks.
  */
 router.get('/:shortcode', async (req, res) => {
+  const { storage, logger, config } = req.app.locals;
+
   try {
     const { shortcode } = req.params;
-    const db = database.getDb();
 
-    // Get short URL details
-    const shortUrl = await db.get(
-      'SELECT * FROM short_urls WHERE shortcode = ?',
-      [shortcode]
-    );
+    // Get short URL details (only links owned by the caller are visible)
+    const shortUrl = await storage.findByShortcode(shortcode, { ownerId: req.apiKey.ownerId });
 
     if (!shortUrl) {
-      await logger.warn(`Statistics requested for non-existent shortcode: ${shortcode}`, 'shorturls-api');
+      logger.warn(`Statistics requested for non-existent shortcode: ${shortcode}`, 'shorturls-api');
       return res.status(404).json({
         error: 'Short URL not found',
         message: 'The requested shortcode does not exist'
@@ -135,37 +450,34 @@ router.get('/:shortcode', async (req, res) => {
     }
 
     // Get click statistics
-    const clicks = await db.all(
-      `SELECT clicked_at, referrer, ip_address, user_agent 
-       FROM clicks 
-       WHERE shortcode = ? 
-       ORDER BY clicked_at DESC`,
-      [shortcode]
-    );
-
-    const clickCount = clicks.length;
+    const counts = await storage.getClickCounts(shortcode);
+    const breakdowns = await storage.getClickBreakdowns(shortcode);
 
     const statistics = {
       shortcode: shortUrl.shortcode,
-      originalUrl: shortUrl.original_url,
-      createdAt: shortUrl.created_at,
-      expiresAt: shortUrl.expires_at,
-      validityMinutes: shortUrl.validity_minutes,
-      totalClicks: clickCount,
-      isExpired: new Date() > new Date(shortUrl.expires_at),
-      clickDetails: clicks.map(click => ({
-        timestamp: click.clicked_at,
-        referrer: click.referrer || 'Direct',
-        ipAddress: click.ip_address,
-        userAgent: click.user_agent
-      }))
+      originalUrl: shortUrl.originalUrl,
+      createdAt: shortUrl.createdAt,
+      activatesAt: shortUrl.activatesAt,
+      expiresAt: shortUrl.expiresAt,
+      validityMinutes: shortUrl.validityMinutes,
+      utm: shortUrl.utm,
+      passwordProtected: Boolean(shortUrl.passwordHash),
+      maxClicks: shortUrl.maxClicks,
+      remainingClicks: remainingClicks(shortUrl),
+      ...counts,
+      isExpired: new Date() > new Date(shortUrl.expiresAt),
+      isScheduled: linkStatus(shortUrl) === 'scheduled',
+      isDeleted: Boolean(shortUrl.deletedAt),
+      deletedAt: shortUrl.deletedAt,
+      breakdowns: formatClickBreakdowns(breakdowns),
+      privacy: describePrivacyPolicy(config.privacy)
     };
 
-    await logger.info(`Statistics retrieved for shortcode: ${shortcode}`, 'shorturls-api');
+    logger.info(`Statistics retrieved for shortcode: ${shortcode}`, 'shorturls-api');
     res.json(statistics);
 
   } catch (error) {
-    await logger.error(`Error retrieving statistics: ${error.message}`, 'shorturls-api', error.stack);
+    logger.error(`Error retrieving statistics: ${error.message}`, 'shorturls-api', error.stack);
     res.status(500).json({
       error: 'Server error',
       message: 'An error occurred while retrieving statistics'
@@ -173,4 +485,329 @@ router.get('/:shortcode', async (req, res) => {
   }
 });
 
+/**
+ * GET /shorturls/:shortcode/clicks - List a link's clicks, newest first
+ *
+ * Query: limit (default: config pagination.defaultLimit), cursor (nextCursor of the
+ * previous page), from, to (ISO 8601), referrerDomain, referrerSource, traffic=human|bot.
+ * Send the same filters with every cursor.
+ */
+router.get('/:shortcode/clicks', async (req, res) => {
+  const { storage, logger, config } = req.app.locals;
+
+  try {
+    const { shortcode } = req.params;
+
+    const query = parseClickQuery(req.query, config.pagination);
+    if (!query.isValid) {
+      logger.warn(`Invalid click list query for ${shortcode}: ${query.message}`, 'shorturls-api');
+      return res.status(400).json({
+        error: query.error,
+        message: query.message
+      });
+    }
+
+    const shortUrl = await storage.findByShortcode(shortcode, { ownerId: req.apiKey.ownerId });
+
+    if (!shortUrl) {
+      logger.warn(`Clicks requested for non-existent shortcode: ${shortcode}`, 'shorturls-api');
+      return res.status(404).json({
+        error: 'Short URL not found',
+        message: 'The requested shortcode does not exist'
+      });
+    }
+
+    // One extra row tells whether another page follows
+    const clicks = await storage.getClicks(shortcode, {
+      from: query.from,
+      to: query.to,
+      referrerDomain: query.referrerDomain,
+      referrerSource: query.referrerSource,
+      isBot: query.isBot,
+      before: query.before,
+      limit: query.limit + 1
+    });
+    const page = clicks.slice(0, query.limit);
+    const hasMore = clicks.length > query.limit;
+
+    logger.info(`Clicks listed for shortcode: ${shortcode} (${page.length} clicks)`, 'shorturls-api');
+    res.json({
+      shortcode,
+      clicks: page.map(formatClickDetail),
+      pagination: {
+        limit: query.limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Error listing clicks: ${error.message}`, 'shorturls-api', error.stack);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'An error occurred while listing clicks'
+    });
+  }
+});
+
+/**
+ * GET /shorturls/:shortcode/timeseries - Clicks per minute, hour or day
+ *
+ * Query: interval=minute|hour|day (default: hour), from, to (ISO 8601, default: a window
+ * ending now), tz (IANA zone or UTC offset, default: UTC). Empty buckets are included.
+ */
+router.get('/:shortcode/timeseries', async (req, res) => {
+  const { storage, logger, config } = req.app.locals;
+
+  try {
+    const { shortcode } = req.params;
+
+    const query = parseTimeseriesQuery(req.query, { maxBuckets: config.timeseries.maxBuckets });
+    if (!query.isValid) {
+      logger.warn(`Invalid timeseries query for ${shortcode}: ${query.message}`, 'shorturls-api');
+      return res.status(400).json({
+        error: query.error,
+        message: query.message
+      });
+    }
+
+    const shortUrl = await storage.findByShortcode(shortcode, { ownerId: req.apiKey.ownerId });
+
+    if (!shortUrl) {
+      logger.warn(`Timeseries requested for non-existent shortcode: ${shortcode}`, 'shorturls-api');
+      return res.status(404).json({
+        error: 'Short URL not found',
+        message: 'The requested shortcode does not exist'
+      });
+    }
+
+    const counts = await storage.getClickTimeseries({
+      shortcode,
+      from: query.from,
+      to: query.to,
+      buckets: query.buckets
+    });
+
+    logger.info(`Timeseries retrieved for shortcode: ${shortcode} (${counts.length} ${query.interval} buckets)`, 'shorturls-api');
+    res.json({ shortcode, ...formatTimeseries(counts, query) });
+
+  } catch (error) {
+    logger.error(`Error retrieving timeseries: ${error.message}`, 'shorturls-api', error.stack);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'An error occurred while retrieving the timeseries'
+    });
+  }
+});
+
+/**
+ * GET /shorturls/:shortcode/clicks/export - Download the click history
+ *
+ * Query: format=csv|jsonl (default: csv). Clicks are streamed oldest first.
+ */
+router.get('/:shortcode/clicks/export', async (req, res) => {
+  const { storage, logger } = req.app.locals;
+
+  try {
+    const { shortcode } = req.params;
+
+    const exportFormat = parseExportFormat(req.query.format);
+    if (!exportFormat.isValid) {
+      logger.warn(`Invalid export format for ${shortcode}: ${req.query.format}`, 'shorturls-api');
+      return res.status(400).json({
+        error: 'Invalid export format',
+        message: exportFormat.error
+      });
+    }
+
+    const shortUrl = await storage.findByShortcode(shortcode, { ownerId: req.apiKey.ownerId });
+
+    if (!shortUrl) {
+      logger.warn(`Export requested for non-existent shortcode: ${shortcode}`, 'shorturls-api');
+      return res.status(404).json({
+        error: 'Short URL not found',
+        message: 'The requested shortcode does not exist'
+      });
+    }
+
+    const count = await sendExport(res, storage.iterateClicks({ shortcode }), {
+      format: exportFormat.format,
+      filename: `${shortcode}-clicks`
+    });
+
+    logger.info(`Exported ${count} clicks for shortcode: ${shortcode} as ${exportFormat.format}`, 'shorturls-api');
+
+  } catch (error) {
+    logger.error(`Error exporting clicks: ${error.message}`, 'shorturls-api', error.stack);
+    // A failed stream has already been cut off
+    if (!res.headersSent && !res.destroyed) {
+      res.status(500).json({
+        error: 'Server error',
+        message: 'An error occurred while exporting clicks'
+      });
+    }
+  }
+});
+
+/**
+ * PATCH /shorturls/:shortcode - Change the destination, schedule and/or campaign tags of a short URL
+ *
+ * Body: { url?, validity?, expiresAt?, activatesAt?, utm? }. A new validity restarts the expiry
+ * window from now, or from activatesAt for a link that is not active yet; `activatesAt: null`
+ * makes the link active straight away. A new utm object replaces the tags and `utm: null`
+ * removes them.
+ */
+router.patch('/:shortcode', async (req, res) => {
+  const { storage, logger, config } = req.app.locals;
+
+  try {
+    const { shortcode } = req.params;
+    const { url, validity, expiresAt, activatesAt, utm } = req.body || {};
+
+    if ([url, validity, expiresAt, activatesAt, utm].every(value => value === undefined)) {
+      logger.warn(`Update attempted without changes for shortcode: ${shortcode}`, 'shorturls-api');
+      return res.status(400).json({
+        error: 'Nothing to update',
+        message: 'Provide a new "url", "validity", "expiresAt", "activatesAt" and/or "utm"'
+      });
+    }
+
+    if (url !== undefined && (typeof url !== 'string' || !isValidURL(url))) {
+      logger.warn(`Invalid URL format attempted: ${url}`, 'shorturls-api');
+      return res.status(400).json({
+        error: 'Invalid URL format',
+        message: 'Please provide a valid URL (including http:// or https://)'
+      });
+    }
+
+    // null clears the campaign tags
+    const utmCheck = validateUtm(utm);
+    if (!utmCheck.isValid) {
+      logger.warn(`Invalid UTM parameters: ${utmCheck.error}`, 'shorturls-api');
+      return res.status(400).json({
+        error: 'Invalid UTM parameters',
+        message: utmCheck.error
+      });
+    }
+
+    const shortUrl = await storage.findByShortcode(shortcode, { ownerId: req.apiKey.ownerId });
+
+    if (!shortUrl) {
+      logger.warn(`Update requested for non-existent shortcode: ${shortcode}`, 'shorturls-api');
+      return res.status(404).json({
+        error: 'Short URL not found',
+        message: 'The requested shortcode does not exist'
+      });
+    }
+
+    if (shortUrl.deletedAt) {
+      logger.warn(`Update requested for deleted shortcode: ${shortcode}`, 'shorturls-api');
+      return res.status(410).json({
+        error: 'Short URL deleted',
+        message: 'This short URL has been deleted and can no longer be changed',
+        deletedAt: shortUrl.deletedAt
+      });
+    }
+
+    // The schedule is checked against the link's current activation and expiry
+    const schedule = resolveSchedule(
+      { validity, expiresAt, activatesAt },
+      { limits: config.validity, current: shortUrl }
+    );
+    if (!schedule.isValid) {
+      logger.warn(`Invalid link schedule for ${shortcode}: ${schedule.message}`, 'shorturls-api');
+      return res.status(400).json({
+        error: schedule.error,
+        message: schedule.message
+      });
+    }
+
+    const originalUrl = url !== undefined ? url : shortUrl.originalUrl;
+    const linkUtm = utm !== undefined ? utmCheck.utm : shortUrl.utm;
+
+    await storage.updateLink(shortcode, {
+      originalUrl,
+      expiresAt: schedule.expiresAt,
+      activatesAt: schedule.activatesAt,
+      validityMinutes: schedule.validityMinutes,
+      utm: linkUtm
+    });
+
+    logger.info(`Short URL updated: ${shortcode} -> ${originalUrl} (expires ${schedule.expiresAt})`, 'shorturls-api');
+    res.json({
+      shortLink: `${config.baseUrl}/${shortcode}`,
+      expiry: schedule.expiresAt,
+      activatesAt: schedule.activatesAt,
+      shortcode: shortcode,
+      originalUrl: originalUrl,
+      validityMinutes: schedule.validityMinutes,
+      utm: linkUtm,
+      passwordProtected: Boolean(shortUrl.passwordHash),
+      maxClicks: shortUrl.maxClicks,
+      remainingClicks: remainingClicks(shortUrl)
+    });
+
+  } catch (error) {
+    logger.error(`Error updating short URL: ${error.message}`, 'shorturls-api', error.stack);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'An error occurred while updating the short URL'
+    });
+  }
+});
+
+/**
+ * DELETE /shorturls/:shortcode - Soft-delete a short URL
+ *
+ * The row and its click history are kept; the redirect route answers 410 afterwards.
+ */
+router.delete('/:shortcode', async (req, res) => {
+  const { storage, logger, events } = req.app.locals;
+
+  try {
+    const { shortcode } = req.params;
+
+    const shortUrl = await storage.findByShortcode(shortcode, { ownerId: req.apiKey.ownerId });
+
+    if (!shortUrl) {
+      logger.warn(`Delete requested for non-existent shortcode: ${shortcode}`, 'shorturls-api');
+      return res.status(404).json({
+        error: 'Short URL not found',
+        message: 'The requested shortcode does not exist'
+      });
+    }
+
+    if (shortUrl.deletedAt) {
+      logger.warn(`Delete requested for already deleted shortcode: ${shortcode}`, 'shorturls-api');
+      return res.status(410).json({
+        error: 'Short URL deleted',
+        message: 'This short URL has already been deleted',
+        deletedAt: shortUrl.deletedAt
+      });
+    }
+
+    const deletedAt = new Date().toISOString();
+    await storage.deleteLink(shortcode, deletedAt);
+    events.publish(req.apiKey.ownerId, 'link-deleted', {
+      shortcode,
+      originalUrl: shortUrl.originalUrl,
+      deletedAt
+    });
+
+    logger.info(`Short URL deleted: ${shortcode}`, 'shorturls-api');
+    res.json({
+      shortcode: shortcode,
+      deletedAt: deletedAt,
+      message: 'Short URL deleted'
+    });
+
+  } catch (error) {
+    logger.error(`Error deleting short URL: ${error.message}`, 'shorturls-api', error.stack);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'An error occurred while deleting the short URL'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
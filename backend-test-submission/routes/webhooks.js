@@ -0,0 +1,310 @@
+const express = require('express');
+const { isValidURL } = require('../utils/helpers');
+const { EVENT_TYPES } = require('../utils/events');
+const { generateWebhookSecret } = require('../utils/webhooks');
+const { parseDeliveryQuery } = require('../utils/pagination');
+
+const router = express.Router();
+
+const MIN_SECRET_LENGTH = 16;
+const MAX_SECRET_LENGTH = 200;
+
+/**
+ * Parse a numeric id route parameter
+ * @returns {number|null} The id, or null when it is not a positive integer
+ */
+const parseId = (value) => {
+  return /^[1-9]\d*$/.test(value) ? parseInt(value, 10) : null;
+};
+
+/**
+ * Webhook as returned by the API (the secret is only shown when the webhook is created)
+ */
+const formatWebhook = (webhook) => ({
+  id: webhook.id,
+  url: webhook.url,
+  events: webhook.events,
+  createdAt: webhook.createdAt
+});
+
+/**
+ * Delivery as returned by the API, with the body that was (or will be) sent
+ */
+const formatDelivery = (delivery) => ({
+  id: delivery.id,
+  eventId: delivery.eventId,
+  eventType: delivery.eventType,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  nextAttemptAt: delivery.nextAttemptAt,
+  lastAttemptAt: delivery.lastAttemptAt,
+  responseStatus: delivery.responseStatus,
+  lastError: delivery.lastError,
+  createdAt: delivery.createdAt,
+  deliveredAt: delivery.deliveredAt,
+  payload: JSON.parse(delivery.payload)
+});
+
+/**
+ * Find one of the caller's webhooks from the :id parameter, answering 404 when there is none
+ * @returns {Promise<object|null>} Webhook, or null when the response was sent
+ */
+const findOwnWebhook = async (req, res) => {
+  const { storage, logger } = req.app.locals;
+  const id = parseId(req.params.id);
+  const webhook = id === null ? null : await storage.findWebhook(id, { ownerId: req.apiKey.ownerId });
+
+  if (!webhook) {
+    logger.warn(`Webhook not found: ${req.params.id}`, 'webhooks-api');
+    res.status(404).json({
+      error: 'Webhook not found',
+      message: 'The requested webhook does not exist'
+    });
+    return null;
+  }
+  return webhook;
+};
+
+/**
+ * POST /api/webhooks - Subscribe a URL to link events
+ *
+ * Body: url, events (default: every type), secret (default: generated).
+ * The secret is returned only in this response.
+ */
+router.post('/', async (req, res) => {
+  const { storage, logger } = req.app.locals;
+
+  try {
+    const { url, events = EVENT_TYPES, secret } = req.body || {};
+
+    if (typeof url !== 'string' || !isValidURL(url)) {
+      logger.warn(`Invalid webhook URL: ${url}`, 'webhooks-api');
+      return res.status(400).json({
+        error: 'Invalid webhook URL',
+        message: 'Please provide a valid URL (including http:// or https://)'
+      });
+    }
+
+    if (!Array.isArray(events) || events.length === 0 || events.some(type => !EVENT_TYPES.includes(type))) {
+      logger.warn(`Invalid webhook events: ${JSON.stringify(events)}`, 'webhooks-api');
+      return res.status(400).json({
+        error: 'Invalid webhook events',
+        message: `events must be a non-empty list of: ${EVENT_TYPES.join(', ')}`
+      });
+    }
+
+    if (secret !== undefined && (typeof secret !== 'string'
+      || secret.length < MIN_SECRET_LENGTH || secret.length > MAX_SECRET_LENGTH)) {
+      logger.warn('Invalid webhook secret', 'webhooks-api');
+      return res.status(400).json({
+        error: 'Invalid webhook secret',
+        message: `secret must be a string of ${MIN_SECRET_LENGTH} to ${MAX_SECRET_LENGTH} characters`
+      });
+    }
+
+    const webhook = await storage.createWebhook({
+      ownerId: req.apiKey.ownerId,
+      url,
+      // Documented order, without duplicates
+      events: EVENT_TYPES.filter(type => events.includes(type)),
+      secret: secret === undefined ? generateWebhookSecret() : secret
+    });
+
+    logger.info(`Webhook ${webhook.id} created for ${webhook.events.join(', ')}`, 'webhooks-api');
+    res.status(201).json({ ...formatWebhook(webhook), secret: webhook.secret });
+
+  } catch (error) {
+    logger.error(`Error creating webhook: ${error.message}`, 'webhooks-api', error.stack);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'An error occurred while creating the webhook'
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks - List the caller's webhooks
+ */
+router.get('/', async (req, res) => {
+  const { storage, logger } = req.app.locals;
+
+  try {
+    const webhooks = await storage.listWebhooks(req.apiKey.ownerId);
+
+    logger.info(`Webhooks listed (${webhooks.length})`, 'webhooks-api');
+    res.json({ webhooks: webhooks.map(formatWebhook) });
+
+  } catch (error) {
+    logger.error(`Error listing webhooks: ${error.message}`, 'webhooks-api', error.stack);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'An error occurred while listing webhooks'
+    });
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id - Remove a webhook and its delivery history
+ */
+router.delete('/:id', async (req, res) => {
+  const { storage, logger } = req.app.locals;
+
+  try {
+    const webhook = await findOwnWebhook(req, res);
+    if (!webhook) {
+      return;
+    }
+
+    await storage.deleteWebhook(webhook.id, { ownerId: req.apiKey.ownerId });
+
+    logger.info(`Webhook ${webhook.id} deleted`, 'webhooks-api');
+    res.json({
+      id: webhook.id,
+      message: 'Webhook deleted'
+    });
+
+  } catch (error) {
+    logger.error(`Error deleting webhook: ${error.message}`, 'webhooks-api', error.stack);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'An error occurred while deleting the webhook'
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries - List a webhook's deliveries, newest first
+ *
+ * Query: limit (default: config pagination.defaultLimit), offset,
+ * status=pending|delivered|failed (failed is the dead-letter list).
+ */
+router.get('/:id/deliveries', async (req, res) => {
+  const { storage, logger, config } = req.app.locals;
+
+  try {
+    const webhook = await findOwnWebhook(req, res);
+    if (!webhook) {
+      return;
+    }
+
+    const query = parseDeliveryQuery(req.query, config.pagination);
+    if (!query.isValid) {
+      logger.warn(`Invalid delivery list query: ${query.message}`, 'webhooks-api');
+      return res.status(400).json({
+        error: query.error,
+        message: query.message
+      });
+    }
+
+    const { deliveries, total } = await storage.listDeliveries(webhook.id, {
+      status: query.status,
+      limit: query.limit,
+      offset: query.offset
+    });
+
+    logger.info(`Deliveries listed for webhook ${webhook.id} (${deliveries.length} of ${total})`, 'webhooks-api');
+    res.json({
+      webhookId: webhook.id,
+      deliveries: deliveries.map(formatDelivery),
+      pagination: {
+        total,
+        limit: query.limit,
+        offset: query.offset,
+        hasMore: query.offset + deliveries.length < total
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Error listing webhook deliveries: ${error.message}`, 'webhooks-api', error.stack);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'An error occurred while listing webhook deliveries'
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/deliveries/:deliveryId/replay - Send a failed delivery again
+ *
+ * The delivery becomes pending with a fresh set of attempts and is sent right away.
+ */
+router.post('/:id/deliveries/:deliveryId/replay', async (req, res) => {
+  const { storage, logger, webhooks } = req.app.locals;
+
+  try {
+    const webhook = await findOwnWebhook(req, res);
+    if (!webhook) {
+      return;
+    }
+
+    const deliveryId = parseId(req.params.deliveryId);
+    const delivery = deliveryId === null ? null : await storage.findDelivery(deliveryId, { webhookId: webhook.id });
+    if (!delivery) {
+      logger.warn(`Replay requested for non-existent delivery: ${req.params.deliveryId}`, 'webhooks-api');
+      return res.status(404).json({
+        error: 'Delivery not found',
+        message: 'The requested delivery does not exist'
+      });
+    }
+
+    if (delivery.status !== 'failed') {
+      logger.warn(`Replay requested for ${delivery.status} delivery ${delivery.id}`, 'webhooks-api');
+      return res.status(409).json({
+        error: 'Delivery not failed',
+        message: `Only failed deliveries can be replayed; this one is ${delivery.status}`
+      });
+    }
+
+    await storage.requeueDeliveries(webhook.id, { id: delivery.id, now: new Date() });
+    webhooks.deliverDue();
+
+    logger.info(`Delivery ${delivery.id} of webhook ${webhook.id} replayed`, 'webhooks-api');
+    res.status(202).json({
+      webhookId: webhook.id,
+      replayed: 1,
+      message: 'Delivery queued for replay'
+    });
+
+  } catch (error) {
+    logger.error(`Error replaying webhook delivery: ${error.message}`, 'webhooks-api', error.stack);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'An error occurred while replaying the delivery'
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/replay - Send every failed delivery of a webhook again
+ */
+router.post('/:id/replay', async (req, res) => {
+  const { storage, logger, webhooks } = req.app.locals;
+
+  try {
+    const webhook = await findOwnWebhook(req, res);
+    if (!webhook) {
+      return;
+    }
+
+    const replayed = await storage.requeueDeliveries(webhook.id, { now: new Date() });
+    if (replayed > 0) {
+      webhooks.deliverDue();
+    }
+
+    logger.info(`${replayed} failed deliveries of webhook ${webhook.id} replayed`, 'webhooks-api');
+    res.status(202).json({
+      webhookId: webhook.id,
+      replayed,
+      message: `${replayed} failed deliveries queued for replay`
+    });
+
+  } catch (error) {
+    logger.error(`Error replaying webhook deliveries: ${error.message}`, 'webhooks-api', error.stack);
+    res.status(500).json({
+      error: 'Server error',
+      message: 'An error occurred while replaying deliveries'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+const logger = require('../../logging-middleware/logger');
+const { SqliteStorage } = require('../storage');
+const { loadConfig } = require('../config');
+const { createApiKey, revokeApiKey, listApiKeys } = require('../utils/apiKeys');
+
+/**
+ * API key administration
+ *
+ * Usage:
+ *   node scripts/apikeys.js create <ownerId> [name] [--db <file>]
+ *   node scripts/apikeys.js revoke <id> [--db <file>]
+ *   node scripts/apikeys.js list [--db <file>]
+ *   node scripts/apikeys.js claim <ownerId> [--db <file>]
+ *
+ * claim gives links created before API keys existed (no owner) to ownerId, so that
+ * owner's keys can list, edit and delete them.
+ *
+ * --db selects the SQLite file (default: DB_PATH from the configuration)
+ */
+
+const usage = () => {
+  console.log('Usage:');
+  console.log('  node scripts/apikeys.js create <ownerId> [name] [--db <file>]');
+  console.log('  node scripts/apikeys.js revoke <id> [--db <file>]');
+  console.log('  node scripts/apikeys.js list [--db <file>]');
+  console.log('  node scripts/apikeys.js claim <ownerId> [--db <file>]');
+};
+
+const main = async () => {
+  const argv = process.argv.slice(2);
+  const dbFlag = argv.indexOf('--db');
+  const filename = dbFlag !== -1 ? argv[dbFlag + 1] : loadConfig().dbPath;
+  if (dbFlag !== -1) {
+    argv.splice(dbFlag, 2);
+  }
+  const [command, ...args] = argv;
+
+  if (!['create', 'revoke', 'list', 'claim'].includes(command)) {
+    usage();
+    return 1;
+  }
+
+  const storage = await new SqliteStorage({ filename }).initialize();
+
+  try {
+    if (command === 'create') {
+      const [ownerId, name] = args;
+      if (!ownerId) {
+        usage();
+        return 1;
+      }
+
+      const apiKey = await createApiKey(storage, ownerId, name || null);
+      console.log(`Created API key #${apiKey.id} for owner "${apiKey.ownerId}"`);
+      console.log(`Key (shown only once): ${apiKey.key}`);
+    } else if (command === 'revoke') {
+      const id = parseInt(args[0]);
+      if (isNaN(id)) {
+        usage();
+        return 1;
+      }
+
+      if (!(await revokeApiKey(storage, id))) {
+        console.error(`No active API key with id ${id}`);
+        return 1;
+      }
+      console.log(`Revoked API key #${id}`);
+    } else if (command === 'claim') {
+      const [ownerId] = args;
+      if (!ownerId) {
+        usage();
+        return 1;
+      }
+
+      const claimed = await storage.claimUnownedLinks(ownerId);
+      console.log(`Assigned ${claimed} link(s) without an owner to "${ownerId}"`);
+    } else {
+      const keys = await listApiKeys(storage);
+      console.table(keys);
+    }
+
+    return 0;
+  } finally {
+    await storage.close();
+  }
+};
+
+// Set the exit code instead of exiting so queued log entries are flushed
+logger.flushOnExit();
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error('API key command failed:', error.message);
+    process.exitCode = 1;
+  });
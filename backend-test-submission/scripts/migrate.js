@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+const logger = require('../../logging-middleware/logger');
+const Database = require('../db/database');
+const { Migrator } = require('../db/migrator');
+const { loadConfig } = require('../config');
+
+/**
+ * Schema migration CLI
+ *
+ * Usage:
+ *   node scripts/migrate.js up [--to <version>] [--dry-run] [--db <file>]
+ *   node scripts/migrate.js down [--steps <n>] [--dry-run] [--db <file>]
+ *   node scripts/migrate.js status [--db <file>]
+ *
+ * --db selects the SQLite file (default: DB_PATH from the configuration)
+ * --dry-run runs the migrations in a transaction and rolls it back
+ */
+
+const usage = () => {
+  console.log('Usage:');
+  console.log('  node scripts/migrate.js up [--to <version>] [--dry-run] [--db <file>]');
+  console.log('  node scripts/migrate.js down [--steps <n>] [--dry-run] [--db <file>]');
+  console.log('  node scripts/migrate.js status [--db <file>]');
+};
+
+/**
+ * Parse a --to or --steps value
+ * @returns {number|null} The value, or null unless it is a whole number of at least `min`
+ */
+const parseCount = (value, min) => {
+  const number = /^\d+$/.test(value || '') ? Number(value) : NaN;
+  return number >= min ? number : null;
+};
+
+/**
+ * Extract `--name value` and `--flag` options from argv
+ */
+const parseArgs = (argv) => {
+  const options = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') {
+      options.dryRun = true;
+    } else if (['--db', '--to', '--steps'].includes(argv[i])) {
+      options[argv[i].slice(2)] = argv[++i];
+    } else {
+      options._.push(argv[i]);
+    }
+  }
+  return options;
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const [command] = options._;
+
+  if (!['up', 'down', 'status'].includes(command)) {
+    usage();
+    return 1;
+  }
+
+  const to = options.to !== undefined ? parseCount(options.to, 0) : Infinity;
+  if (to === null) {
+    console.error(`--to must be a migration version (a whole number), got "${options.to}"`);
+    return 1;
+  }
+  const steps = options.steps !== undefined ? parseCount(options.steps, 1) : 1;
+  if (steps === null) {
+    console.error(`--steps must be a whole number of at least 1, got "${options.steps}"`);
+    return 1;
+  }
+
+  const database = new Database({ filename: options.db || loadConfig().dbPath, migrate: false });
+  const db = await database.initialize();
+  const migrator = new Migrator({ db });
+  const prefix = options.dryRun ? '[dry run] ' : '';
+
+  try {
+    if (command === 'status') {
+      const migrations = await migrator.status();
+      migrations.forEach(({ version, name, appliedAt }) => {
+        console.log(`${appliedAt ? 'applied' : 'pending'}  ${version}_${name}${appliedAt ? `  (${appliedAt})` : ''}`);
+      });
+    } else if (command === 'up') {
+      const applied = await migrator.up({ to, dryRun: options.dryRun });
+      applied.forEach(({ version, name }) => console.log(`${prefix}applied  ${version}_${name}`));
+      if (applied.length === 0) {
+        console.log('No pending migrations');
+      }
+    } else {
+      const reverted = await migrator.down({ steps, dryRun: options.dryRun });
+      reverted.forEach(({ version, name }) => console.log(`${prefix}reverted ${version}_${name}`));
+      if (reverted.length === 0) {
+        console.log('No applied migrations');
+      }
+    }
+
+    return 0;
+  } finally {
+    await database.close();
+  }
+};
+
+// Set the exit code instead of exiting so queued log entries are flushed
+logger.flushOnExit();
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error('Migration command failed:', error.message);
+    process.exitCode = 1;
+  });
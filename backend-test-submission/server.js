@@ -0,0 +1,83 @@
+const os = require('os');
+const logger = require('../logging-middleware/logger');
+const { createApp } = require('./app');
+const { loadConfig } = require('./config');
+const { createStorage } = require('./storage');
+const { loadGeoIp } = require('./utils/geoip');
+const { startRetentionJob } = require('./jobs/retention');
+const { startWebhookJob } = require('./jobs/webhooks');
+
+// How long open connections (e.g. live event streams) may stay after a shutdown signal
+const SHUTDOWN_GRACE_MS = 10000;
+
+/**
+ * Shut down on SIGTERM/SIGINT: stop accepting connections and the jobs, let webhook work in
+ * progress finish, close the database and deliver the remaining logs
+ * The exit code is 128 + the signal number, as shells report a process ended by a signal.
+ * @param {object} options - {server, storage, jobs: [{stop()}], webhooks}
+ */
+const handleShutdownSignals = ({ server, storage, jobs, webhooks }) => {
+  let stopping = false;
+
+  const shutdown = async (signal) => {
+    if (stopping) {
+      return;
+    }
+    stopping = true;
+    logger.info(`Received ${signal}, shutting down`, 'backend-server');
+
+    try {
+      jobs.forEach(job => job.stop());
+      const closed = new Promise(resolve => server.close(resolve));
+      server.closeIdleConnections();
+      setTimeout(() => server.closeAllConnections(), SHUTDOWN_GRACE_MS).unref();
+      await closed;
+      await webhooks.idle();
+      await storage.close();
+    } catch (error) {
+      logger.error(`Shutdown failed: ${error.message}`, 'backend-server', error.stack);
+    }
+
+    await logger.close();
+    process.exit(128 + os.constants.signals[signal]);
+  };
+
+  ['SIGTERM', 'SIGINT'].forEach(signal => process.on(signal, () => shutdown(signal)));
+};
+
+/**
+ * Initialize the database and start listening
+ * @param {object} config - Application configuration (default: loaded from CONFIG_FILE and environment)
+ * @returns {Promise<object>} HTTP server
+ */
+const startServer = async (config) => {
+  try {
+    const appConfig = config || loadConfig();
+    const storage = await createStorage(appConfig, { logger }).initialize();
+    const geoip = await loadGeoIp(appConfig.geoip.file, { logger });
+    const app = createApp({ storage, logger, config: appConfig, geoip });
+    const jobs = [
+      startRetentionJob({ storage, logger, config: appConfig }),
+      startWebhookJob({ storage, logger, config: appConfig, events: app.locals.events, webhooks: app.locals.webhooks })
+    ].filter(Boolean);
+
+    const server = app.listen(appConfig.port, appConfig.host, () => {
+      console.log(`Server running at ${appConfig.baseUrl}/`);
+      logger.info(`Server started on ${appConfig.host}:${appConfig.port}`, 'backend-server');
+    });
+    handleShutdownSignals({ server, storage, jobs, webhooks: app.locals.webhooks });
+    logger.flushOnExit();
+    return server;
+  } catch (error) {
+    logger.error(`Failed to start server: ${error.message}`, 'backend-server', error.stack);
+    console.error('Failed to start server:', error);
+    await logger.close();
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = { startServer };
@@ -0,0 +1,123 @@
+const SqliteStorage = require('./sqlite');
+const MemoryStorage = require('./memory');
+
+/**
+ * Storage adapter registry
+ * Routes never talk to the database directly; they use the adapter in
+ * app.locals.storage. Every adapter implements the same async interface:
+ *
+ *   initialize() / close()
+ *   findByShortcode(shortcode, {ownerId?})   Link or null (deleted links included)
+ *   createLink(link)                         Stored link; rejects on duplicate shortcode
+ *   createLinks(links, {atomic})             {committed, errors, error?}: one error (or null) per attempted
+ *                                            link; nothing is stored when an atomic batch fails or the
+ *                                            batch cannot be saved, and error says why. Must not share a
+ *                                            transaction with concurrent calls or other writes
+ *   updateLink(shortcode, changes)           Updated link or null ({originalUrl, expiresAt, activatesAt,
+ *                                            validityMinutes, utm, passwordHash})
+ *   deleteLink(shortcode, deletedAt)         True if a live link was soft-deleted
+ *   useClick(shortcode)                      Atomically counts one redirect against a click-limited link;
+ *                                            true if one was left, false when the limit is reached (or
+ *                                            the link has no limit)
+ *   returnClick(shortcode)                   Give back a click taken by useClick whose redirect failed
+ *   claimUnownedLinks(ownerId)               Give every link without an owner (created before API keys,
+ *                                            migration 003) to ownerId; resolves to the number of links
+ *   claimExpiredLinks(now, {limit})          Live links expired at `now` (a Date) that no earlier call
+ *                                            returned, oldest expiry first; a link whose expiresAt is
+ *                                            changed can be returned again
+ *   listLinks(ownerId, {status, createdFrom, createdTo, minClicks, search, sort, order, limit,
+ *             offset, now})                  {links, total}: one page of the owner's live links with
+ *                                            totalClicks, humanClicks and uniqueVisitors, and how many
+ *                                            links match the filters. status is scheduled, active or expired at
+ *                                            `now`, search matches a shortcode or URL substring
+ *                                            (case-insensitive), sort is created (default), clicks or
+ *                                            expiry and order asc or desc (default); without limit
+ *                                            every matching link is returned
+ *   summarizeLinks(ownerId, {now})           {totalUrls, scheduledUrls, activeUrls, expiredUrls, totalClicks,
+ *                                            humanClicks, uniqueVisitors} across the owner's live links
+ *   recordClick(click, {windowMinutes})      {shortcode, referrer, referrerDomain, referrerSource,
+ *                                            ipAddress, userAgent, browser, browserVersion, os,
+ *                                            deviceType, isBot, country, region, city, visitorHash,
+ *                                            redacted (field names), fingerprint, clickedAt?} (clickedAt as 'YYYY-MM-DD HH:MM:SS' UTC,
+ *                                            default: now). Stored with isUnique: a human click whose
+ *                                            fingerprint made no human click on the link in the
+ *                                            preceding windowMinutes (clicks without one always count).
+ *                                            Returns the stored click as getClicks does
+ *   getClicks(shortcode, {from, to, referrerDomain, referrerSource, isBot, before, limit})
+ *                                            Clicks newest first (with id and isUnique, without
+ *                                            fingerprint), optionally filtered by time (Dates),
+ *                                            referrer and bot flag; `before` ({clickedAt, id} of a
+ *                                            click) continues after that click
+ *   getClickCounts(shortcode)                {totalClicks, humanClicks, uniqueVisitors}
+ *   iterateClicks({shortcode?, ownerId?})    Async iterable of the same clicks oldest first, for one link or
+ *                                            all of an owner's links (deleted links included), read
+ *                                            incrementally rather than loaded at once
+ *   getClickBreakdowns(shortcode)            {browser, os, deviceType, isBot, country, referrerDomain,
+ *                                            referrerSource}: [{name, clicks}] per distinct value
+ *                                            (null when unparsed, isBot as 0/1), most clicks first
+ *   getCampaignBreakdowns(ownerId)           [{campaign, source, medium, links, totalClicks, humanClicks,
+ *                                            uniqueVisitors}] per UTM campaign/source/medium of the
+ *                                            owner's tagged links (deleted links included), most clicks first
+ *   purgeClicks(before, {mode})              Delete clicks older than `before` ('YYYY-MM-DD HH:MM:SS'),
+ *                                            or with mode 'anonymize' clear their identifying fields
+ *                                            (fingerprint included, isUnique kept);
+ *                                            resolves to the number of clicks changed
+ *   getClickTimeseries({shortcode?, ownerId?, from, to, buckets})
+ *                                            Clicks between from and to counted per bucket
+ *                                            [{start, end}] (UTC Dates, end exclusive); resolves to
+ *                                            an array of counts in bucket order
+ *   createApiKey({ownerId, name, keyPrefix, keyHash}) / revokeApiKey(id, revokedAt) / listApiKeys()
+ *   findActiveApiKey(keyHash) / touchApiKey(id, usedAt)
+ *   createWebhook({ownerId, url, events, secret})  Stored webhook
+ *   listWebhooks(ownerId)                    The owner's webhooks, oldest first
+ *   findWebhook(id, {ownerId?})              Webhook or null
+ *   deleteWebhook(id, {ownerId})             True if the owner's webhook was deleted (with its deliveries)
+ *   enqueueDeliveries(deliveries)            Queue [{webhookId, eventId, eventType, payload, nextAttemptAt}]
+ *                                            as pending deliveries, all or none
+ *   listDeliveries(webhookId, {status, limit, offset})
+ *                                            {deliveries, total}: one page of the webhook's deliveries,
+ *                                            newest first, optionally with one status
+ *   findDelivery(id, {webhookId})            Delivery or null
+ *   getDueDeliveries(now, {limit})           Pending deliveries whose nextAttemptAt is not after `now`
+ *                                            (a Date), soonest first, each with its webhook's url and secret
+ *   updateDelivery(id, {status, attempts, nextAttemptAt, lastAttemptAt, responseStatus, lastError,
+ *                  deliveredAt})             Record the outcome of an attempt (every field is written)
+ *   requeueDeliveries(webhookId, {id?, now}) Make the webhook's failed deliveries (or failed delivery id)
+ *                                            pending again with no attempts, due at `now`; resolves to the
+ *                                            number requeued
+ *
+ * A link is {shortcode, originalUrl, createdAt, activatesAt, expiresAt, validityMinutes, ownerId, deletedAt,
+ * utm, passwordHash, maxClicks, clicksUsed}, where activatesAt is null for links active from creation,
+ * utm is {source, medium, campaign, term, content} (null values when unset) or null, passwordHash is a
+ * hash from utils/passwords.js or null for links without a password, and maxClicks is the redirect
+ * limit (null for none) that clicksUsed counts towards.
+ * A webhook is {id, ownerId, url, events (event types), secret, createdAt}. A delivery is {id, webhookId,
+ * eventId, eventType, payload (the JSON body sent), status (pending, delivered or failed), attempts,
+ * nextAttemptAt, lastAttemptAt, responseStatus, lastError, createdAt, deliveredAt}, with times as
+ * 'YYYY-MM-DD HH:MM:SS' UTC.
+ */
+const drivers = {
+  sqlite: SqliteStorage,
+  memory: MemoryStorage
+};
+
+/**
+ * Create the storage adapter selected by the configuration
+ * @param {object} config - Application configuration ({storage, dbPath})
+ * @param {object} options
+ * @param {object} options.logger - Logger instance (default: shared logger)
+ * @returns {object} Uninitialized storage adapter
+ */
+const createStorage = (config, { logger } = {}) => {
+  const Storage = drivers[config.storage];
+  if (!Storage) {
+    throw new Error(`Unknown storage driver: ${config.storage}`);
+  }
+  return new Storage({ filename: config.dbPath, logger });
+};
+
+module.exports = {
+  SqliteStorage,
+  MemoryStorage,
+  createStorage
+};
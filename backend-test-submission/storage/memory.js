@@ -0,0 +1,569 @@
+const { toSqlTimestamp } = require('../utils/timeseries');
+const { countVisitors } = require('../utils/visitors');
+
+/**
+ * Current time in the format SQLite uses for CURRENT_TIMESTAMP (UTC, second precision)
+ * so both adapters return identical values
+ */
+const timestamp = () => toSqlTimestamp(new Date());
+
+/**
+ * Fields cleared by purgeClicks in anonymize mode (same order as the SQLite adapter)
+ */
+const ANONYMIZED_FIELDS = ['ipAddress', 'userAgent', 'referrer', 'region', 'city', 'visitorHash'];
+
+/**
+ * Copy of a stored click as the adapter returns it (without the internal fingerprint)
+ */
+const toClick = ({ fingerprint, ...click }) => ({ ...click, redacted: [...click.redacted] });
+
+/**
+ * Order breakdown names like SQLite's ORDER BY: NULL first, then numbers, then text
+ */
+const compareNames = (a, b) => {
+  if (a === b) {
+    return 0;
+  }
+  if (a === null) {
+    return -1;
+  }
+  if (b === null) {
+    return 1;
+  }
+  return String(a) < String(b) ? -1 : 1;
+};
+
+/**
+ * Storage adapter that keeps everything in process memory
+ * Nothing survives a restart; intended for tests and throwaway instances.
+ */
+class MemoryStorage {
+  constructor() {
+    this.links = new Map();
+    this.clicks = [];
+    this.nextClickId = 1;
+    this.apiKeys = [];
+    this.keyHashes = new Map();
+    // Shortcodes whose current expiry claimExpiredLinks already returned
+    this.expiryNotified = new Set();
+    this.webhooks = [];
+    this.deliveries = [];
+    this.nextWebhookId = 1;
+    this.nextDeliveryId = 1;
+  }
+
+  async initialize() {
+    return this;
+  }
+
+  async close() {}
+
+  async findByShortcode(shortcode, { ownerId } = {}) {
+    const link = this.links.get(shortcode);
+    if (!link || (ownerId !== undefined && link.ownerId !== ownerId)) {
+      return null;
+    }
+    return { ...link };
+  }
+
+  /**
+   * Build a stored link, failing like the SQLite UNIQUE constraint on duplicates
+   */
+  buildLink(link, taken) {
+    if (this.links.has(link.shortcode) || taken.has(link.shortcode)) {
+      throw new Error('UNIQUE constraint failed: short_urls.shortcode');
+    }
+
+    return {
+      shortcode: link.shortcode,
+      originalUrl: link.originalUrl,
+      createdAt: timestamp(),
+      expiresAt: link.expiresAt,
+      activatesAt: link.activatesAt || null,
+      validityMinutes: link.validityMinutes,
+      ownerId: link.ownerId,
+      deletedAt: null,
+      utm: link.utm ? { ...link.utm } : null,
+      passwordHash: link.passwordHash || null,
+      maxClicks: link.maxClicks || null,
+      clicksUsed: 0
+    };
+  }
+
+  async createLink(link) {
+    const stored = this.buildLink(link, new Set());
+    this.links.set(stored.shortcode, stored);
+    return { ...stored };
+  }
+
+  async createLinks(links, { atomic = false } = {}) {
+    const errors = [];
+    const staged = new Map();
+
+    for (const link of links) {
+      try {
+        staged.set(link.shortcode, this.buildLink(link, staged));
+        errors.push(null);
+      } catch (error) {
+        errors.push(error);
+        if (atomic) {
+          return { committed: false, errors, error };
+        }
+      }
+    }
+
+    staged.forEach((stored, shortcode) => this.links.set(shortcode, stored));
+    return { committed: true, errors };
+  }
+
+  async updateLink(shortcode, changes) {
+    const link = this.links.get(shortcode);
+    if (!link) {
+      return null;
+    }
+
+    if (changes.expiresAt !== undefined && changes.expiresAt !== link.expiresAt) {
+      this.expiryNotified.delete(shortcode);
+    }
+    ['originalUrl', 'expiresAt', 'activatesAt', 'validityMinutes', 'utm', 'passwordHash'].forEach((key) => {
+      if (changes[key] !== undefined) {
+        link[key] = changes[key];
+      }
+    });
+    return { ...link };
+  }
+
+  async deleteLink(shortcode, deletedAt) {
+    const link = this.links.get(shortcode);
+    if (!link || link.deletedAt) {
+      return false;
+    }
+
+    link.deletedAt = deletedAt;
+    return true;
+  }
+
+  async returnClick(shortcode) {
+    const link = this.links.get(shortcode);
+    if (link && link.clicksUsed > 0) {
+      link.clicksUsed--;
+    }
+  }
+
+  async claimUnownedLinks(ownerId) {
+    let claimed = 0;
+    for (const link of this.links.values()) {
+      if (!link.ownerId) {
+        link.ownerId = ownerId;
+        claimed++;
+      }
+    }
+    return claimed;
+  }
+
+  async useClick(shortcode) {
+    const link = this.links.get(shortcode);
+    if (!link || link.maxClicks === null || link.clicksUsed >= link.maxClicks) {
+      return false;
+    }
+
+    link.clicksUsed++;
+    return true;
+  }
+
+  async claimExpiredLinks(now, { limit = 100 } = {}) {
+    const expiredBefore = now.toISOString();
+    const links = Array.from(this.links.values())
+      .filter(link => !link.deletedAt && !this.expiryNotified.has(link.shortcode) && link.expiresAt < expiredBefore)
+      .sort((a, b) => (a.expiresAt < b.expiresAt ? -1 : a.expiresAt > b.expiresAt ? 1 : 0))
+      .slice(0, limit);
+
+    links.forEach(link => this.expiryNotified.add(link.shortcode));
+    return links.map(link => ({ ...link }));
+  }
+
+  /**
+   * Click counts per shortcode
+   */
+  countClicksByShortcode() {
+    const counts = new Map();
+    this.clicks.forEach((click) => {
+      const count = counts.get(click.shortcode) || { totalClicks: 0, humanClicks: 0, uniqueVisitors: 0 };
+      count.totalClicks++;
+      count.humanClicks += click.isBot ? 0 : 1;
+      count.uniqueVisitors += click.isUnique ? 1 : 0;
+      counts.set(click.shortcode, count);
+    });
+    return counts;
+  }
+
+  async listLinks(ownerId, options = {}) {
+    const {
+      status, createdFrom, createdTo, minClicks, search,
+      sort = 'created', order = 'desc', limit, offset = 0, now = new Date()
+    } = options;
+    const counts = this.countClicksByShortcode();
+    const at = now.toISOString();
+    const statusAt = (link) => {
+      if (link.expiresAt < at) {
+        return 'expired';
+      }
+      return link.activatesAt && link.activatesAt > at ? 'scheduled' : 'active';
+    };
+    const from = createdFrom === undefined ? null : toSqlTimestamp(createdFrom);
+    const to = createdTo === undefined ? null : toSqlTimestamp(createdTo);
+    const needle = search === undefined ? null : search.toLowerCase();
+    const sortValue = {
+      created: link => link.createdAt,
+      clicks: link => link.totalClicks,
+      expiry: link => link.expiresAt
+    }[sort];
+    const direction = order === 'asc' ? 1 : -1;
+
+    // Insertion order stands in for the SQLite row id, so same-second links keep creation order
+    const links = Array.from(this.links.values())
+      .map((link, position) => ({
+        ...link,
+        ...(counts.get(link.shortcode) || { totalClicks: 0, humanClicks: 0, uniqueVisitors: 0 }),
+        position
+      }))
+      .filter(link => !link.deletedAt && link.ownerId === ownerId)
+      .filter(link => status === undefined || statusAt(link) === status)
+      .filter(link => (from === null || link.createdAt >= from) && (to === null || link.createdAt <= to))
+      .filter(link => needle === null
+        || link.shortcode.toLowerCase().includes(needle)
+        || link.originalUrl.toLowerCase().includes(needle))
+      .filter(link => minClicks === undefined || link.totalClicks >= minClicks)
+      .sort((a, b) => {
+        const valueA = sortValue(a);
+        const valueB = sortValue(b);
+        if (valueA !== valueB) {
+          return (valueA < valueB ? -1 : 1) * direction;
+        }
+        return (a.position - b.position) * direction;
+      });
+
+    return {
+      links: links
+        .slice(offset, limit === undefined ? undefined : offset + limit)
+        .map(({ position, ...link }) => link),
+      total: links.length
+    };
+  }
+
+  async summarizeLinks(ownerId, { now = new Date() } = {}) {
+    const { links } = await this.listLinks(ownerId);
+    const sum = key => links.reduce((total, link) => total + link[key], 0);
+    const { links: scheduled } = await this.listLinks(ownerId, { status: 'scheduled', now });
+    const { links: active } = await this.listLinks(ownerId, { status: 'active', now });
+
+    return {
+      totalUrls: links.length,
+      scheduledUrls: scheduled.length,
+      activeUrls: active.length,
+      expiredUrls: links.length - scheduled.length - active.length,
+      totalClicks: sum('totalClicks'),
+      humanClicks: sum('humanClicks'),
+      uniqueVisitors: sum('uniqueVisitors')
+    };
+  }
+
+  async recordClick(click, { windowMinutes = 1440 } = {}) {
+    const clickedAt = click.clickedAt || timestamp();
+    const since = toSqlTimestamp(new Date(new Date(`${clickedAt.replace(' ', 'T')}Z`) - windowMinutes * 60 * 1000));
+    const fingerprint = click.fingerprint || null;
+    const seen = fingerprint !== null && this.clicks.some(other => other.shortcode === click.shortcode
+      && other.fingerprint === fingerprint && !other.isBot
+      && other.clickedAt >= since && other.clickedAt <= clickedAt);
+
+    const stored = {
+      id: this.nextClickId++,
+      shortcode: click.shortcode,
+      clickedAt,
+      referrer: click.referrer,
+      referrerDomain: click.referrerDomain || null,
+      referrerSource: click.referrerSource || null,
+      ipAddress: click.ipAddress,
+      userAgent: click.userAgent,
+      browser: click.browser || null,
+      browserVersion: click.browserVersion || null,
+      os: click.os || null,
+      deviceType: click.deviceType || null,
+      isBot: Boolean(click.isBot),
+      country: click.country || null,
+      region: click.region || null,
+      city: click.city || null,
+      visitorHash: click.visitorHash || null,
+      redacted: click.redacted ? [...click.redacted] : [],
+      fingerprint,
+      isUnique: !click.isBot && !seen
+    };
+    this.clicks.push(stored);
+    return toClick(stored);
+  }
+
+  async purgeClicks(before, { mode = 'delete' } = {}) {
+    const old = this.clicks.filter(click => click.clickedAt < before);
+
+    if (mode === 'delete') {
+      this.clicks = this.clicks.filter(click => click.clickedAt >= before);
+      return old.length;
+    }
+
+    const pending = old.filter(click => click.redacted.join(',') !== ANONYMIZED_FIELDS.join(','));
+    pending.forEach((click) => {
+      ANONYMIZED_FIELDS.forEach((field) => {
+        click[field] = null;
+      });
+      click.fingerprint = null;
+      click.redacted = [...ANONYMIZED_FIELDS];
+    });
+    return pending.length;
+  }
+
+  async getClicks(shortcode, options = {}) {
+    const { from, to, referrerDomain, referrerSource, isBot, before, limit } = options;
+    const start = from === undefined ? null : toSqlTimestamp(from);
+    const end = to === undefined ? null : toSqlTimestamp(to);
+
+    return this.clicks
+      .filter(click => click.shortcode === shortcode)
+      .filter(click => (start === null || click.clickedAt >= start) && (end === null || click.clickedAt <= end))
+      .filter(click => referrerDomain === undefined || click.referrerDomain === referrerDomain)
+      .filter(click => referrerSource === undefined || click.referrerSource === referrerSource)
+      .filter(click => isBot === undefined || click.isBot === isBot)
+      .filter(click => before === undefined || click.clickedAt < before.clickedAt
+        || (click.clickedAt === before.clickedAt && click.id < before.id))
+      .sort((a, b) => b.clickedAt.localeCompare(a.clickedAt) || b.id - a.id)
+      .slice(0, limit)
+      .map(toClick);
+  }
+
+  async getClickCounts(shortcode) {
+    return countVisitors(this.clicks.filter(click => click.shortcode === shortcode));
+  }
+
+  async *iterateClicks({ shortcode, ownerId }) {
+    const clicks = this.clicks
+      .filter(click => shortcode === undefined || click.shortcode === shortcode)
+      .filter(click => ownerId === undefined || (this.links.get(click.shortcode) || {}).ownerId === ownerId)
+      .sort((a, b) => a.clickedAt.localeCompare(b.clickedAt));
+
+    for (const click of clicks) {
+      yield toClick(click);
+    }
+  }
+
+    async getClickBreakdowns(shortcode) {
+    const clicks = this.clicks.filter(click => click.shortcode === shortcode);
+    const breakdowns = {};
+
+    ['browser', 'os', 'deviceType', 'isBot', 'country', 'referrerDomain', 'referrerSource'].forEach((key) => {
+      const counts = new Map();
+      clicks.forEach((click) => {
+        // Stored like SQLite would: is_bot as 0/1
+        const name = key === 'isBot' ? Number(click.isBot) : click[key];
+        counts.set(name, (counts.get(name) || 0) + 1);
+      });
+      breakdowns[key] = Array.from(counts, ([name, count]) => ({ name, clicks: count }))
+        .sort((a, b) => b.clicks - a.clicks || compareNames(a.name, b.name));
+    });
+
+    return breakdowns;
+  }
+
+  async getCampaignBreakdowns(ownerId) {
+    const groups = new Map();
+    this.links.forEach((link) => {
+      if (link.ownerId !== ownerId || !link.utm) {
+        return;
+      }
+
+      const { campaign, source, medium } = link.utm;
+      const key = JSON.stringify([campaign, source, medium]);
+      const group = groups.get(key)
+        || { campaign, source, medium, links: 0, totalClicks: 0, humanClicks: 0, uniqueVisitors: 0 };
+      const clicks = this.clicks.filter(click => click.shortcode === link.shortcode);
+      group.links++;
+      group.totalClicks += clicks.length;
+      group.humanClicks += clicks.filter(click => !click.isBot).length;
+      group.uniqueVisitors += clicks.filter(click => click.isUnique).length;
+      groups.set(key, group);
+    });
+
+    return Array.from(groups.values()).sort((a, b) => b.totalClicks - a.totalClicks
+      || compareNames(a.campaign, b.campaign)
+      || compareNames(a.source, b.source)
+      || compareNames(a.medium, b.medium));
+  }
+
+  async getClickTimeseries({ shortcode, ownerId, from, to, buckets }) {
+    const start = toSqlTimestamp(from);
+    const end = toSqlTimestamp(to);
+    const clicks = this.clicks
+      .filter(click => click.clickedAt >= start && click.clickedAt <= end)
+      .filter(click => shortcode === undefined || click.shortcode === shortcode)
+      .filter(click => ownerId === undefined || (this.links.get(click.shortcode) || {}).ownerId === ownerId);
+
+    return buckets.map((bucket) => {
+      const bucketStart = toSqlTimestamp(bucket.start);
+      const bucketEnd = toSqlTimestamp(bucket.end);
+      return clicks.filter(click => click.clickedAt >= bucketStart && click.clickedAt < bucketEnd).length;
+    });
+  }
+
+  async createApiKey(apiKey) {
+    const id = this.apiKeys.length + 1;
+    this.apiKeys.push({
+      id,
+      ownerId: apiKey.ownerId,
+      name: apiKey.name,
+      keyPrefix: apiKey.keyPrefix,
+      createdAt: timestamp(),
+      lastUsedAt: null,
+      revokedAt: null
+    });
+    this.keyHashes.set(apiKey.keyHash, id);
+    return id;
+  }
+
+  async revokeApiKey(id, revokedAt) {
+    const apiKey = this.apiKeys[id - 1];
+    if (!apiKey || apiKey.revokedAt) {
+      return false;
+    }
+
+    apiKey.revokedAt = revokedAt;
+    return true;
+  }
+
+  async listApiKeys() {
+    return this.apiKeys.map(apiKey => ({ ...apiKey }));
+  }
+
+  async findActiveApiKey(keyHash) {
+    const apiKey = this.apiKeys[this.keyHashes.get(keyHash) - 1];
+    return apiKey && !apiKey.revokedAt ? { ...apiKey } : null;
+  }
+
+  async touchApiKey(id, usedAt) {
+    const apiKey = this.apiKeys[id - 1];
+    if (apiKey) {
+      apiKey.lastUsedAt = usedAt;
+    }
+  }
+
+  async createWebhook(webhook) {
+    const stored = {
+      id: this.nextWebhookId++,
+      ownerId: webhook.ownerId,
+      url: webhook.url,
+      events: [...webhook.events],
+      secret: webhook.secret,
+      createdAt: timestamp()
+    };
+    this.webhooks.push(stored);
+    return { ...stored, events: [...stored.events] };
+  }
+
+  async listWebhooks(ownerId) {
+    return this.webhooks
+      .filter(webhook => webhook.ownerId === ownerId)
+      .map(webhook => ({ ...webhook, events: [...webhook.events] }));
+  }
+
+  async findWebhook(id, { ownerId } = {}) {
+    const webhook = this.webhooks.find(candidate => candidate.id === id);
+    if (!webhook || (ownerId !== undefined && webhook.ownerId !== ownerId)) {
+      return null;
+    }
+    return { ...webhook, events: [...webhook.events] };
+  }
+
+  async deleteWebhook(id, { ownerId }) {
+    const index = this.webhooks.findIndex(webhook => webhook.id === id && webhook.ownerId === ownerId);
+    if (index === -1) {
+      return false;
+    }
+
+    this.webhooks.splice(index, 1);
+    this.deliveries = this.deliveries.filter(delivery => delivery.webhookId !== id);
+    return true;
+  }
+
+  async enqueueDeliveries(deliveries) {
+    deliveries.forEach((delivery) => {
+      this.deliveries.push({
+        id: this.nextDeliveryId++,
+        webhookId: delivery.webhookId,
+        eventId: delivery.eventId,
+        eventType: delivery.eventType,
+        payload: delivery.payload,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: delivery.nextAttemptAt,
+        lastAttemptAt: null,
+        responseStatus: null,
+        lastError: null,
+        createdAt: timestamp(),
+        deliveredAt: null
+      });
+    });
+  }
+
+  async listDeliveries(webhookId, { status, limit, offset = 0 } = {}) {
+    const deliveries = this.deliveries
+      .filter(delivery => delivery.webhookId === webhookId && (status === undefined || delivery.status === status))
+      .reverse();
+
+    return {
+      deliveries: deliveries
+        .slice(offset, limit === undefined ? undefined : offset + limit)
+        .map(delivery => ({ ...delivery })),
+      total: deliveries.length
+    };
+  }
+
+  async findDelivery(id, { webhookId }) {
+    const delivery = this.deliveries.find(candidate => candidate.id === id && candidate.webhookId === webhookId);
+    return delivery ? { ...delivery } : null;
+  }
+
+  async getDueDeliveries(now, { limit = 20 } = {}) {
+    const dueBy = toSqlTimestamp(now);
+    // Array.prototype.sort is stable, so equal times keep id order
+    return this.deliveries
+      .filter(delivery => delivery.status === 'pending' && delivery.nextAttemptAt <= dueBy)
+      .sort((a, b) => (a.nextAttemptAt < b.nextAttemptAt ? -1 : a.nextAttemptAt > b.nextAttemptAt ? 1 : 0))
+      .slice(0, limit)
+      .map((delivery) => {
+        const { url, secret } = this.webhooks.find(webhook => webhook.id === delivery.webhookId);
+        return { ...delivery, url, secret };
+      });
+  }
+
+  async updateDelivery(id, changes) {
+    const delivery = this.deliveries.find(candidate => candidate.id === id);
+    if (delivery) {
+      ['status', 'attempts', 'nextAttemptAt', 'lastAttemptAt', 'responseStatus', 'lastError', 'deliveredAt']
+        .forEach((key) => {
+          delivery[key] = changes[key];
+        });
+    }
+  }
+
+  async requeueDeliveries(webhookId, { id, now }) {
+    const deliveries = this.deliveries.filter(delivery => delivery.webhookId === webhookId
+      && delivery.status === 'failed'
+      && (id === undefined || delivery.id === id));
+
+    deliveries.forEach((delivery) => {
+      delivery.status = 'pending';
+      delivery.attempts = 0;
+      delivery.nextAttemptAt = toSqlTimestamp(now);
+    });
+    return deliveries.length;
+  }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,785 @@
+const Database = require('../db/database');
+const { toSqlTimestamp } = require('../utils/timeseries');
+
+/**
+ * Click columns grouped by getClickBreakdowns
+ */
+const BREAKDOWN_COLUMNS = {
+  browser: 'browser',
+  os: 'os',
+  deviceType: 'device_type',
+  isBot: 'is_bot',
+  country: 'country',
+  referrerDomain: 'referrer_domain',
+  referrerSource: 'referrer_source'
+};
+
+/**
+ * listLinks sort keys and the expression they order by
+ */
+const LINK_SORT_COLUMNS = {
+  created: 's.created_at',
+  clicks: 'total_clicks',
+  expiry: 's.expires_at'
+};
+
+/**
+ * Fields cleared by purgeClicks in anonymize mode
+ */
+const ANONYMIZED_FIELDS = ['ipAddress', 'userAgent', 'referrer', 'region', 'city', 'visitorHash'];
+
+/**
+ * UTM tags of a short_urls row, or null when the link has none
+ */
+const toUtm = (row) => {
+  const utm = {
+    source: row.utm_source || null,
+    medium: row.utm_medium || null,
+    campaign: row.utm_campaign || null,
+    term: row.utm_term || null,
+    content: row.utm_content || null
+  };
+  return Object.values(utm).some(Boolean) ? utm : null;
+};
+
+/**
+ * short_urls column values for a link's UTM tags
+ */
+const utmValues = (utm) => {
+  return ['source', 'medium', 'campaign', 'term', 'content'].map(field => (utm && utm[field]) || null);
+};
+
+/**
+ * short_urls columns written when a link is created, in the order of linkValues
+ */
+const LINK_COLUMNS = [
+  'shortcode', 'original_url', 'expires_at', 'validity_minutes', 'owner_id',
+  'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'password_hash', 'max_clicks',
+  'activates_at'
+];
+
+/**
+ * short_urls column values for a new link
+ */
+const linkValues = (link) => {
+  return [
+    link.shortcode, link.originalUrl, link.expiresAt, link.validityMinutes, link.ownerId,
+    ...utmValues(link.utm), link.passwordHash || null, link.maxClicks || null, link.activatesAt || null
+  ];
+};
+
+/**
+ * Convert a short_urls row into a link object
+ */
+const toLink = (row) => {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    shortcode: row.shortcode,
+    originalUrl: row.original_url,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    activatesAt: row.activates_at,
+    validityMinutes: row.validity_minutes,
+    ownerId: row.owner_id,
+    deletedAt: row.deleted_at,
+    utm: toUtm(row),
+    passwordHash: row.password_hash,
+    maxClicks: row.max_clicks,
+    clicksUsed: row.clicks_used
+  };
+};
+
+/**
+ * clicks columns returned by getClicks and iterateClicks
+ */
+const CLICK_COLUMNS = `c.id, c.shortcode, c.clicked_at, c.referrer, c.referrer_domain, c.referrer_source, c.ip_address,
+  c.user_agent, c.browser, c.browser_version, c.os, c.device_type, c.is_bot, c.country, c.region, c.city,
+  c.visitor_hash, c.redacted, c.is_unique`;
+
+/**
+ * Convert a clicks row into a click object
+ */
+const toClick = (row) => {
+  return {
+    id: row.id,
+    shortcode: row.shortcode,
+    clickedAt: row.clicked_at,
+    referrer: row.referrer,
+    referrerDomain: row.referrer_domain,
+    referrerSource: row.referrer_source,
+    ipAddress: row.ip_address,
+    userAgent: row.user_agent,
+    browser: row.browser,
+    browserVersion: row.browser_version,
+    os: row.os,
+    deviceType: row.device_type,
+    isBot: Boolean(row.is_bot),
+    country: row.country,
+    region: row.region,
+    city: row.city,
+    visitorHash: row.visitor_hash,
+    redacted: row.redacted ? row.redacted.split(',') : [],
+    isUnique: Boolean(row.is_unique)
+  };
+};
+
+/**
+ * Convert an api_keys row into an API key object
+ */
+const toApiKey = (row) => {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    id: row.id,
+    ownerId: row.owner_id,
+    name: row.name,
+    keyPrefix: row.key_prefix,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at
+  };
+};
+
+/**
+ * Convert a webhooks row into a webhook object
+ */
+const toWebhook = (row) => {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    id: row.id,
+    ownerId: row.owner_id,
+    url: row.url,
+    events: row.events.split(','),
+    secret: row.secret,
+    createdAt: row.created_at
+  };
+};
+
+/**
+ * Convert a webhook_deliveries row into a delivery object
+ */
+const toDelivery = (row) => {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    id: row.id,
+    webhookId: row.webhook_id,
+    eventId: row.event_id,
+    eventType: row.event_type,
+    payload: row.payload,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastAttemptAt: row.last_attempt_at,
+    responseStatus: row.response_status,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    deliveredAt: row.delivered_at
+  };
+};
+
+/**
+ * Storage adapter backed by the SQLite Database class
+ */
+class SqliteStorage {
+  /**
+   * @param {object} options
+   * @param {string} options.filename - SQLite file path (default: see Database)
+   * @param {object} options.logger - Logger instance (default: shared logger)
+   * @param {object} options.database - Existing Database instance to use instead
+   */
+  constructor(options = {}) {
+    this.database = options.database || new Database({ filename: options.filename, logger: options.logger });
+    this.db = null;
+  }
+
+  /**
+   * Open the database and apply pending migrations
+   */
+  async initialize() {
+    this.db = await this.database.initialize();
+    return this;
+  }
+
+  async close() {
+    await this.database.close();
+    this.db = null;
+  }
+
+  async findByShortcode(shortcode, { ownerId } = {}) {
+    const row = ownerId === undefined
+      ? await this.db.get('SELECT * FROM short_urls WHERE shortcode = ?', [shortcode])
+      : await this.db.get('SELECT * FROM short_urls WHERE shortcode = ? AND owner_id = ?', [shortcode, ownerId]);
+    return toLink(row);
+  }
+
+  async createLink(link) {
+    await this.db.run(
+      `INSERT INTO short_urls (${LINK_COLUMNS.join(', ')})
+       VALUES (${LINK_COLUMNS.map(() => '?').join(', ')})`,
+      linkValues(link)
+    );
+    return this.findByShortcode(link.shortcode);
+  }
+
+  async createLinks(links, { atomic = false } = {}) {
+    // One statement rather than a transaction: the connection is shared by every request, so a
+    // transaction would take in (and could roll back) their writes. The rows go in as one JSON value.
+    const rows = `SELECT ${LINK_COLUMNS.map((column, position) => `json_extract(value, '$[${position}]')`).join(', ')}
+                  FROM json_each(:links)`;
+    const sql = atomic
+      ? `INSERT INTO short_urls (${LINK_COLUMNS.join(', ')})
+         ${rows}
+         WHERE NOT EXISTS (
+           SELECT 1 FROM short_urls WHERE shortcode IN (SELECT json_extract(value, '$[0]') FROM json_each(:links))
+         )
+         RETURNING shortcode`
+      : `INSERT INTO short_urls (${LINK_COLUMNS.join(', ')})
+         ${rows}
+         WHERE true
+         ON CONFLICT (shortcode) DO NOTHING
+         RETURNING shortcode`;
+
+    let inserted;
+    try {
+      inserted = await this.db.all(sql, { ':links': JSON.stringify(links.map(linkValues)) });
+    } catch (error) {
+      return { committed: false, errors: links.map(() => null), error };
+    }
+
+    // A link is missing from the result when its shortcode was taken
+    const created = new Set(inserted.map(row => row.shortcode));
+    const taken = atomic && created.size < links.length
+      ? new Set((await this.db.all(
+        'SELECT shortcode FROM short_urls WHERE shortcode IN (SELECT value FROM json_each(?))',
+        [JSON.stringify(links.map(link => link.shortcode))]
+      )).map(row => row.shortcode))
+      : null;
+    const errors = links.map((link) => {
+      const failed = taken ? taken.has(link.shortcode) : !created.delete(link.shortcode);
+      return failed ? new Error('UNIQUE constraint failed: short_urls.shortcode') : null;
+    });
+
+    if (taken) {
+      return { committed: false, errors, error: errors.find(Boolean) || new Error('Batch was not inserted') };
+    }
+    return { committed: true, errors };
+  }
+
+  async updateLink(shortcode, changes) {
+    const current = await this.findByShortcode(shortcode);
+    if (!current) {
+      return null;
+    }
+
+    const next = { ...current, ...changes };
+    // A new expiry is announced again when it passes (claimExpiredLinks)
+    await this.db.run(
+      `UPDATE short_urls
+       SET original_url = ?, expires_at = ?, activates_at = ?, validity_minutes = ?,
+           utm_source = ?, utm_medium = ?, utm_campaign = ?, utm_term = ?, utm_content = ?, password_hash = ?,
+           expiry_notified_at = CASE WHEN expires_at = ? THEN expiry_notified_at END
+       WHERE shortcode = ?`,
+      [
+        next.originalUrl, next.expiresAt, next.activatesAt, next.validityMinutes, ...utmValues(next.utm), next.passwordHash,
+        next.expiresAt, shortcode
+      ]
+    );
+    return this.findByShortcode(shortcode);
+  }
+
+  async deleteLink(shortcode, deletedAt) {
+    const result = await this.db.run(
+      'UPDATE short_urls SET deleted_at = ? WHERE shortcode = ? AND deleted_at IS NULL',
+      [deletedAt, shortcode]
+    );
+    return result.changes > 0;
+  }
+
+  async returnClick(shortcode) {
+    await this.db.run(
+      'UPDATE short_urls SET clicks_used = clicks_used - 1 WHERE shortcode = ? AND clicks_used > 0',
+      [shortcode]
+    );
+  }
+
+  async claimUnownedLinks(ownerId) {
+    const result = await this.db.run('UPDATE short_urls SET owner_id = ? WHERE owner_id IS NULL', [ownerId]);
+    return result.changes;
+  }
+
+  async useClick(shortcode) {
+    // One statement checks and counts, so concurrent redirects cannot overrun the limit
+    const result = await this.db.run(
+      `UPDATE short_urls SET clicks_used = clicks_used + 1
+       WHERE shortcode = ? AND max_clicks IS NOT NULL AND clicks_used < max_clicks`,
+      [shortcode]
+    );
+    return result.changes > 0;
+  }
+
+  async claimExpiredLinks(now, { limit = 100 } = {}) {
+    const rows = await this.db.all(
+      `SELECT * FROM short_urls
+       WHERE deleted_at IS NULL AND expiry_notified_at IS NULL AND expires_at < ?
+       ORDER BY expires_at, id
+       LIMIT ?`,
+      [now.toISOString(), limit]
+    );
+
+    // Each row is claimed by a single conditional update, so a link is never returned twice
+    const claimed = [];
+    for (const row of rows) {
+      const { changes } = await this.db.run(
+        'UPDATE short_urls SET expiry_notified_at = ? WHERE id = ? AND expiry_notified_at IS NULL',
+        [toSqlTimestamp(now), row.id]
+      );
+      if (changes > 0) {
+        claimed.push(toLink(row));
+      }
+    }
+    return claimed;
+  }
+
+  async listLinks(ownerId, options = {}) {
+    const {
+      status, createdFrom, createdTo, minClicks, search,
+      sort = 'created', order = 'desc', limit, offset = 0, now = new Date()
+    } = options;
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+    const filtered = `
+      SELECT
+        s.*,
+        COUNT(c.id) as total_clicks,
+        COALESCE(SUM(c.is_bot = 0), 0) as human_clicks,
+        COALESCE(SUM(c.is_unique), 0) as unique_visitors
+      FROM short_urls s
+      LEFT JOIN clicks c ON s.shortcode = c.shortcode
+      WHERE s.deleted_at IS NULL AND s.owner_id = :ownerId
+        AND (:status IS NULL
+             OR (:status = 'scheduled' AND s.expires_at >= :now AND s.activates_at > :now)
+             OR (:status = 'active' AND s.expires_at >= :now AND (s.activates_at IS NULL OR s.activates_at <= :now))
+             OR (:status = 'expired' AND s.expires_at < :now))
+        AND (:createdFrom IS NULL OR s.created_at >= :createdFrom)
+        AND (:createdTo IS NULL OR s.created_at <= :createdTo)
+        AND (:search IS NULL
+             OR s.shortcode LIKE :search ESCAPE '\\'
+             OR s.original_url LIKE :search ESCAPE '\\')
+      GROUP BY s.shortcode
+      HAVING :minClicks IS NULL OR total_clicks >= :minClicks
+    `;
+    const params = {
+      ':ownerId': ownerId,
+      ':now': now.toISOString(),
+      ':status': status === undefined ? null : status,
+      ':createdFrom': createdFrom === undefined ? null : toSqlTimestamp(createdFrom),
+      ':createdTo': createdTo === undefined ? null : toSqlTimestamp(createdTo),
+      // Substring match: LIKE wildcards in the search term are matched literally
+      ':search': search === undefined ? null : `%${search.replace(/[\\%_]/g, '\\$&')}%`,
+      ':minClicks': minClicks === undefined ? null : minClicks
+    };
+
+    const { total } = await this.db.get(`SELECT COUNT(*) AS total FROM (${filtered})`, params);
+    // Links created in the same second keep creation order
+    const rows = await this.db.all(
+      `${filtered} ORDER BY ${LINK_SORT_COLUMNS[sort]} ${direction}, s.id ${direction} LIMIT :limit OFFSET :offset`,
+      { ...params, ':limit': limit === undefined ? -1 : limit, ':offset': offset }
+    );
+
+    return {
+      links: rows.map(row => ({
+        ...toLink(row),
+        totalClicks: row.total_clicks,
+        humanClicks: row.human_clicks,
+        uniqueVisitors: row.unique_visitors
+      })),
+      total
+    };
+  }
+
+  async summarizeLinks(ownerId, { now = new Date() } = {}) {
+    const row = await this.db.get(`
+      SELECT
+        COUNT(DISTINCT s.id) as total_urls,
+        COUNT(DISTINCT CASE WHEN s.expires_at >= :now AND s.activates_at > :now THEN s.id END) as scheduled_urls,
+        COUNT(DISTINCT CASE WHEN s.expires_at >= :now AND (s.activates_at IS NULL OR s.activates_at <= :now)
+                            THEN s.id END) as active_urls,
+        COUNT(c.id) as total_clicks,
+        COALESCE(SUM(c.is_bot = 0), 0) as human_clicks,
+        COALESCE(SUM(c.is_unique), 0) as unique_visitors
+      FROM short_urls s
+      LEFT JOIN clicks c ON s.shortcode = c.shortcode
+      WHERE s.deleted_at IS NULL AND s.owner_id = :ownerId
+    `, { ':ownerId': ownerId, ':now': now.toISOString() });
+
+    return {
+      totalUrls: row.total_urls,
+      scheduledUrls: row.scheduled_urls,
+      activeUrls: row.active_urls,
+      expiredUrls: row.total_urls - row.scheduled_urls - row.active_urls,
+      totalClicks: row.total_clicks,
+      humanClicks: row.human_clicks,
+      uniqueVisitors: row.unique_visitors
+    };
+  }
+
+  async recordClick(click, { windowMinutes = 1440 } = {}) {
+    // A human click is unique unless the same fingerprint made a human click on the
+    // link within the window; the check and the insert are one statement
+    const { lastID } = await this.db.run(
+      `INSERT INTO clicks (shortcode, clicked_at, referrer, referrer_domain, referrer_source, ip_address,
+                           user_agent, browser, browser_version, os, device_type, is_bot, country, region,
+                           city, visitor_hash, redacted, fingerprint, is_unique)
+       SELECT :shortcode, click.at, :referrer, :referrerDomain, :referrerSource, :ipAddress, :userAgent,
+              :browser, :browserVersion, :os, :deviceType, :isBot, :country, :region, :city, :visitorHash,
+              :redacted, :fingerprint,
+              :isBot = 0 AND (:fingerprint IS NULL OR NOT EXISTS (
+                SELECT 1 FROM clicks c
+                WHERE c.shortcode = :shortcode AND c.fingerprint = :fingerprint AND c.is_bot = 0
+                  AND c.clicked_at BETWEEN datetime(click.at, :window) AND click.at
+              ))
+       FROM (SELECT COALESCE(:clickedAt, CURRENT_TIMESTAMP) AS at) click`,
+      {
+        ':shortcode': click.shortcode,
+        ':clickedAt': click.clickedAt || null,
+        ':referrer': click.referrer,
+        ':referrerDomain': click.referrerDomain || null,
+        ':referrerSource': click.referrerSource || null,
+        ':ipAddress': click.ipAddress,
+        ':userAgent': click.userAgent,
+        ':browser': click.browser || null,
+        ':browserVersion': click.browserVersion || null,
+        ':os': click.os || null,
+        ':deviceType': click.deviceType || null,
+        ':isBot': click.isBot ? 1 : 0,
+        ':country': click.country || null,
+        ':region': click.region || null,
+        ':city': click.city || null,
+        ':visitorHash': click.visitorHash || null,
+        ':redacted': click.redacted && click.redacted.length ? click.redacted.join(',') : null,
+        ':fingerprint': click.fingerprint || null,
+        ':window': `-${windowMinutes} minutes`
+      }
+    );
+
+    return toClick(await this.db.get(`SELECT ${CLICK_COLUMNS} FROM clicks c WHERE c.id = ?`, [lastID]));
+  }
+
+  async getClicks(shortcode, options = {}) {
+    const { from, to, referrerDomain, referrerSource, isBot, before, limit } = options;
+
+    // Newest first; the id orders clicks recorded in the same second and makes `before` exact
+    const rows = await this.db.all(
+      `SELECT ${CLICK_COLUMNS}
+       FROM clicks c
+       WHERE c.shortcode = :shortcode
+         AND (:from IS NULL OR c.clicked_at >= :from)
+         AND (:to IS NULL OR c.clicked_at <= :to)
+         AND (:referrerDomain IS NULL OR c.referrer_domain = :referrerDomain)
+         AND (:referrerSource IS NULL OR c.referrer_source = :referrerSource)
+         AND (:isBot IS NULL OR c.is_bot = :isBot)
+         AND (:beforeAt IS NULL OR (c.clicked_at, c.id) < (:beforeAt, :beforeId))
+       ORDER BY c.clicked_at DESC, c.id DESC
+       LIMIT :limit`,
+      {
+        ':shortcode': shortcode,
+        ':from': from === undefined ? null : toSqlTimestamp(from),
+        ':to': to === undefined ? null : toSqlTimestamp(to),
+        ':referrerDomain': referrerDomain === undefined ? null : referrerDomain,
+        ':referrerSource': referrerSource === undefined ? null : referrerSource,
+        ':isBot': isBot === undefined ? null : Number(isBot),
+        ':beforeAt': before === undefined ? null : before.clickedAt,
+        ':beforeId': before === undefined ? null : before.id,
+        ':limit': limit === undefined ? -1 : limit
+      }
+    );
+
+    return rows.map(toClick);
+  }
+
+  async getClickCounts(shortcode) {
+    const row = await this.db.get(
+      `SELECT
+         COUNT(*) as total_clicks,
+         COALESCE(SUM(is_bot = 0), 0) as human_clicks,
+         COALESCE(SUM(is_unique), 0) as unique_visitors
+       FROM clicks
+       WHERE shortcode = ?`,
+      [shortcode]
+    );
+
+    return {
+      totalClicks: row.total_clicks,
+      humanClicks: row.human_clicks,
+      uniqueVisitors: row.unique_visitors
+    };
+  }
+
+  async *iterateClicks({ shortcode, ownerId }) {
+    // Step through the rows one at a time so a long history is never held in memory
+    const statement = await this.db.prepare(
+      `SELECT ${CLICK_COLUMNS}
+       FROM clicks c
+       JOIN short_urls s ON s.shortcode = c.shortcode
+       WHERE (:shortcode IS NULL OR c.shortcode = :shortcode)
+         AND (:ownerId IS NULL OR s.owner_id = :ownerId)
+       ORDER BY c.clicked_at, c.id`
+    );
+
+    try {
+      await statement.bind({
+        ':shortcode': shortcode === undefined ? null : shortcode,
+        ':ownerId': ownerId === undefined ? null : ownerId
+      });
+      let row;
+      while ((row = await statement.get()) !== undefined) {
+        yield toClick(row);
+      }
+    } finally {
+      await statement.finalize();
+    }
+  }
+
+  async purgeClicks(before, { mode = 'delete' } = {}) {
+    if (mode === 'delete') {
+      const result = await this.db.run('DELETE FROM clicks WHERE clicked_at < ?', [before]);
+      return result.changes;
+    }
+
+    // Skip rows that were already anonymized so repeated runs report only new work
+    const result = await this.db.run(
+      `UPDATE clicks
+       SET ip_address = NULL, user_agent = NULL, referrer = NULL, region = NULL, city = NULL,
+           visitor_hash = NULL, fingerprint = NULL, redacted = ?
+       WHERE clicked_at < ? AND (redacted IS NULL OR redacted != ?)`,
+      [ANONYMIZED_FIELDS.join(','), before, ANONYMIZED_FIELDS.join(',')]
+    );
+    return result.changes;
+  }
+
+  async getClickBreakdowns(shortcode) {
+    const breakdowns = {};
+
+    for (const [key, column] of Object.entries(BREAKDOWN_COLUMNS)) {
+      breakdowns[key] = await this.db.all(
+        `SELECT ${column} AS name, COUNT(*) AS clicks
+         FROM clicks
+         WHERE shortcode = ?
+         GROUP BY ${column}
+         ORDER BY clicks DESC, name`,
+        [shortcode]
+      );
+    }
+
+    return breakdowns;
+  }
+
+  async getCampaignBreakdowns(ownerId) {
+    const rows = await this.db.all(`
+      SELECT
+        s.utm_campaign, s.utm_source, s.utm_medium,
+        COUNT(DISTINCT s.shortcode) as links,
+        COUNT(c.id) as total_clicks,
+        COALESCE(SUM(c.is_bot = 0), 0) as human_clicks,
+        COALESCE(SUM(c.is_unique), 0) as unique_visitors
+      FROM short_urls s
+      LEFT JOIN clicks c ON s.shortcode = c.shortcode
+      WHERE s.owner_id = ?
+        AND COALESCE(s.utm_source, s.utm_medium, s.utm_campaign, s.utm_term, s.utm_content) IS NOT NULL
+      GROUP BY s.utm_campaign, s.utm_source, s.utm_medium
+      ORDER BY total_clicks DESC, s.utm_campaign, s.utm_source, s.utm_medium
+    `, [ownerId]);
+
+    return rows.map(row => ({
+      campaign: row.utm_campaign,
+      source: row.utm_source,
+      medium: row.utm_medium,
+      links: row.links,
+      totalClicks: row.total_clicks,
+      humanClicks: row.human_clicks,
+      uniqueVisitors: row.unique_visitors
+    }));
+  }
+
+  async getClickTimeseries({ shortcode, ownerId, from, to, buckets }) {
+    // Bucket bounds are worked out in JS (they depend on the zone's DST rules) and passed as JSON
+    const rows = await this.db.all(`
+      WITH buckets AS (
+        SELECT key AS position, json_extract(value, '$[0]') AS start, json_extract(value, '$[1]') AS end
+        FROM json_each(:buckets)
+      ),
+      matching AS (
+        SELECT c.clicked_at
+        FROM clicks c
+        JOIN short_urls s ON s.shortcode = c.shortcode
+        WHERE c.clicked_at BETWEEN :from AND :to
+          AND (:shortcode IS NULL OR c.shortcode = :shortcode)
+          AND (:ownerId IS NULL OR s.owner_id = :ownerId)
+      )
+      SELECT b.position, COUNT(m.clicked_at) AS clicks
+      FROM buckets b
+      LEFT JOIN matching m ON m.clicked_at >= b.start AND m.clicked_at < b.end
+      GROUP BY b.position
+      ORDER BY b.position
+    `, {
+      ':buckets': JSON.stringify(buckets.map(bucket => [toSqlTimestamp(bucket.start), toSqlTimestamp(bucket.end)])),
+      ':from': toSqlTimestamp(from),
+      ':to': toSqlTimestamp(to),
+      ':shortcode': shortcode === undefined ? null : shortcode,
+      ':ownerId': ownerId === undefined ? null : ownerId
+    });
+    return rows.map(row => row.clicks);
+  }
+
+  async createApiKey(apiKey) {
+    const result = await this.db.run(
+      `INSERT INTO api_keys (owner_id, name, key_prefix, key_hash)
+       VALUES (?, ?, ?, ?)`,
+      [apiKey.ownerId, apiKey.name, apiKey.keyPrefix, apiKey.keyHash]
+    );
+    return result.lastID;
+  }
+
+  async revokeApiKey(id, revokedAt) {
+    const result = await this.db.run(
+      'UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL',
+      [revokedAt, id]
+    );
+    return result.changes > 0;
+  }
+
+  async listApiKeys() {
+    const rows = await this.db.all(
+      `SELECT id, owner_id, name, key_prefix, created_at, last_used_at, revoked_at
+       FROM api_keys
+       ORDER BY id`
+    );
+    return rows.map(toApiKey);
+  }
+
+  async findActiveApiKey(keyHash) {
+    return toApiKey(await this.db.get(
+      'SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL',
+      [keyHash]
+    ));
+  }
+
+  async touchApiKey(id, usedAt) {
+    await this.db.run(
+      'UPDATE api_keys SET last_used_at = ? WHERE id = ?',
+      [usedAt, id]
+    );
+  }
+
+  async createWebhook(webhook) {
+    const { lastID } = await this.db.run(
+      'INSERT INTO webhooks (owner_id, url, events, secret) VALUES (?, ?, ?, ?)',
+      [webhook.ownerId, webhook.url, webhook.events.join(','), webhook.secret]
+    );
+    return this.findWebhook(lastID);
+  }
+
+  async listWebhooks(ownerId) {
+    const rows = await this.db.all('SELECT * FROM webhooks WHERE owner_id = ? ORDER BY id', [ownerId]);
+    return rows.map(toWebhook);
+  }
+
+  async findWebhook(id, { ownerId } = {}) {
+    return toWebhook(await this.db.get(
+      'SELECT * FROM webhooks WHERE id = :id AND (:ownerId IS NULL OR owner_id = :ownerId)',
+      { ':id': id, ':ownerId': ownerId === undefined ? null : ownerId }
+    ));
+  }
+
+  async deleteWebhook(id, { ownerId }) {
+    await this.db.run(
+      'DELETE FROM webhook_deliveries WHERE webhook_id IN (SELECT id FROM webhooks WHERE id = ? AND owner_id = ?)',
+      [id, ownerId]
+    );
+    const { changes } = await this.db.run('DELETE FROM webhooks WHERE id = ? AND owner_id = ?', [id, ownerId]);
+    return changes > 0;
+  }
+
+  async enqueueDeliveries(deliveries) {
+    if (deliveries.length === 0) {
+      return;
+    }
+
+    // One statement, so an event is queued for all of its webhooks or for none
+    await this.db.run(
+      `INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload, next_attempt_at)
+       VALUES ${deliveries.map(() => '(?, ?, ?, ?, ?)').join(', ')}`,
+      deliveries.flatMap(delivery => [
+        delivery.webhookId, delivery.eventId, delivery.eventType, delivery.payload, delivery.nextAttemptAt
+      ])
+    );
+  }
+
+  async listDeliveries(webhookId, { status, limit, offset = 0 } = {}) {
+    const params = { ':webhookId': webhookId, ':status': status === undefined ? null : status };
+    const where = 'WHERE webhook_id = :webhookId AND (:status IS NULL OR status = :status)';
+
+    const { total } = await this.db.get(`SELECT COUNT(*) AS total FROM webhook_deliveries ${where}`, params);
+    const rows = await this.db.all(
+      `SELECT * FROM webhook_deliveries ${where} ORDER BY id DESC LIMIT :limit OFFSET :offset`,
+      { ...params, ':limit': limit === undefined ? -1 : limit, ':offset': offset }
+    );
+    return { deliveries: rows.map(toDelivery), total };
+  }
+
+  async findDelivery(id, { webhookId }) {
+    return toDelivery(await this.db.get(
+      'SELECT * FROM webhook_deliveries WHERE id = ? AND webhook_id = ?',
+      [id, webhookId]
+    ));
+  }
+
+  async getDueDeliveries(now, { limit = 20 } = {}) {
+    const rows = await this.db.all(
+      `SELECT d.*, w.url, w.secret
+       FROM webhook_deliveries d
+       JOIN webhooks w ON w.id = d.webhook_id
+       WHERE d.status = 'pending' AND d.next_attempt_at <= ?
+       ORDER BY d.next_attempt_at, d.id
+       LIMIT ?`,
+      [toSqlTimestamp(now), limit]
+    );
+    return rows.map(row => ({ ...toDelivery(row), url: row.url, secret: row.secret }));
+  }
+
+  async updateDelivery(id, changes) {
+    await this.db.run(
+      `UPDATE webhook_deliveries
+       SET status = ?, attempts = ?, next_attempt_at = ?, last_attempt_at = ?,
+           response_status = ?, last_error = ?, delivered_at = ?
+       WHERE id = ?`,
+      [
+        changes.status, changes.attempts, changes.nextAttemptAt, changes.lastAttemptAt,
+        changes.responseStatus, changes.lastError, changes.deliveredAt, id
+      ]
+    );
+  }
+
+  async requeueDeliveries(webhookId, { id, now }) {
+    const { changes } = await this.db.run(
+      `UPDATE webhook_deliveries
+       SET status = 'pending', attempts = 0, next_attempt_at = :now
+       WHERE webhook_id = :webhookId AND status = 'failed' AND (:id IS NULL OR id = :id)`,
+      { ':webhookId': webhookId, ':id': id === undefined ? null : id, ':now': toSqlTimestamp(now) }
+    );
+    return changes;
+  }
+}
+
+module.exports = SqliteStorage;
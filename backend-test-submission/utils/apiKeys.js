@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+
+/**
+ * API key utilities
+ * Keys are only shown once when minted; the database stores a SHA-256 hash.
+ */
+
+const KEY_PREFIX = 'usk_';
+
+/**
+ * Generate a new random API key
+ * @returns {string} API key
+ */
+const generateApiKey = () => {
+  return `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+};
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - Plain API key
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+const hashApiKey = (key) => {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+/**
+ * Mint a new API key for an owner
+ * @param {object} storage - Storage adapter
+ * @param {string} ownerId - Owner the key acts for
+ * @param {string} name - Optional human readable label
+ * @returns {object} {id, ownerId, name, key}
+ */
+const createApiKey = async (storage, ownerId, name = null) => {
+  const key = generateApiKey();
+  const id = await storage.createApiKey({
+    ownerId,
+    name,
+    keyPrefix: key.slice(0, KEY_PREFIX.length + 8),
+    keyHash: hashApiKey(key)
+  });
+
+  return { id, ownerId, name, key };
+};
+
+/**
+ * Revoke an API key
+ * @param {object} storage - Storage adapter
+ * @param {number} id - API key id
+ * @returns {boolean} True if an active key was revoked
+ */
+const revokeApiKey = async (storage, id) => {
+  return storage.revokeApiKey(id, new Date().toISOString());
+};
+
+/**
+ * List all API keys (without hashes)
+ * @param {object} storage - Storage adapter
+ * @returns {Array} API keys ({id, ownerId, name, keyPrefix, createdAt, lastUsedAt, revokedAt})
+ */
+const listApiKeys = async (storage) => {
+  return storage.listApiKeys();
+};
+
+/**
+ * Find the active API key matching a plain key
+ * @param {object} storage - Storage adapter
+ * @param {string} key - Plain API key
+ * @returns {object|null} API key
+ */
+const findActiveApiKey = async (storage, key) => {
+  return storage.findActiveApiKey(hashApiKey(key));
+};
+
+module.exports = {
+  generateApiKey,
+  hashApiKey,
+  createApiKey,
+  revokeApiKey,
+  listApiKeys,
+  findActiveApiKey
+};
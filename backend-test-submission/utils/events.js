@@ -0,0 +1,111 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Live events
+ * Routes publish what happens to a link to the link's owner; GET /api/events streams
+ * the owner's events to the dashboard as Server-Sent Events:
+ *
+ *   link-created   {shortcode, shortLink, expiry, originalUrl, validityMinutes, utm}
+ *   click          {shortcode, click} with click shaped like GET /shorturls/:shortcode/clicks
+ *   link-expired   {shortcode, originalUrl, expiresAt}
+ *   link-deleted   {shortcode, originalUrl, deletedAt}
+ *
+ * Events live in process memory only. Every server process has its own stream, and a
+ * client that reconnects does not receive the events it missed. Webhooks (utils/webhooks.js)
+ * listen to every owner and queue the events in storage instead.
+ */
+
+/**
+ * Event types, in the order they are documented
+ */
+const EVENT_TYPES = ['link-created', 'click', 'link-expired', 'link-deleted'];
+
+/**
+ * Emitter event name for an owner
+ * Prefixed so an owner called 'error' or 'newListener' is not mistaken for an EventEmitter event
+ */
+const channel = ownerId => `owner:${ownerId}`;
+const ALL_OWNERS = 'all-owners';
+
+/**
+ * Create an in-process event bus
+ * @returns {object} {publish(ownerId, type, data), subscribe(ownerId, listener), subscribeAll(listener),
+ *   subscriberCount()}
+ */
+const createEventBus = () => {
+  const emitter = new EventEmitter();
+  // Each open stream is one listener; config `events.maxConnections` bounds them instead
+  emitter.setMaxListeners(0);
+  let nextId = 1;
+  let subscribers = 0;
+
+  return {
+    /**
+     * Send an event to every stream of the owner
+     * @param {string} ownerId - Owner of the link the event is about
+     * @param {string} type - Event type (see above)
+     * @param {object} data - Event payload
+     * @returns {object} The published event {id, type, data}
+     */
+    publish(ownerId, type, data) {
+      const event = { id: nextId++, type, data };
+      emitter.emit(channel(ownerId), event);
+      emitter.emit(ALL_OWNERS, ownerId, event);
+      return event;
+    },
+
+    /**
+     * Receive the owner's events
+     * @param {string} ownerId - Owner to listen for
+     * @param {function} listener - Called with {id, type, data}
+     * @returns {function} Unsubscribe; safe to call more than once
+     */
+    subscribe(ownerId, listener) {
+      let active = true;
+      emitter.on(channel(ownerId), listener);
+      subscribers++;
+
+      return () => {
+        if (active) {
+          active = false;
+          emitter.off(channel(ownerId), listener);
+          subscribers--;
+        }
+      };
+    },
+
+    /**
+     * Receive every owner's events
+     * Not counted by subscriberCount, which limits event streams.
+     * @param {function} listener - Called with (ownerId, {id, type, data})
+     * @returns {function} Unsubscribe
+     */
+    subscribeAll(listener) {
+      emitter.on(ALL_OWNERS, listener);
+      return () => emitter.off(ALL_OWNERS, listener);
+    },
+
+    /**
+     * Number of open subscriptions across all owners
+     */
+    subscriberCount() {
+      return subscribers;
+    }
+  };
+};
+
+/**
+ * Format an event as a Server-Sent Events message
+ * @param {object} event - {id, type, data}
+ * @returns {string} Message including the terminating blank line
+ */
+const formatServerSentEvent = ({ id, type, data }) => {
+  // JSON.stringify never emits raw newlines, so the payload fits on one data line
+  return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+};
+
+module.exports = {
+  EVENT_TYPES,
+  createEventBus,
+  formatServerSentEvent
+};
@@ -0,0 +1,139 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Click export formats
+ * Clicks are written one line at a time so an export can be streamed straight from
+ * storage. CSV follows RFC 4180 (header row, CRLF line endings, quoted fields where
+ * needed); JSON Lines writes one JSON object per line. Timestamps are UTC in the
+ * stored 'YYYY-MM-DD HH:MM:SS' format, which spreadsheets read as a date.
+ */
+
+/**
+ * Supported formats: response content type and file extension
+ */
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' }
+};
+
+/**
+ * Exported click fields, in column order
+ */
+const EXPORT_COLUMNS = [
+  'shortcode', 'clickedAt', 'referrer', 'referrerDomain', 'referrerSource', 'ipAddress', 'userAgent',
+  'browser', 'browserVersion', 'os', 'deviceType', 'isBot', 'isUnique', 'country', 'region', 'city',
+  'redacted'
+];
+
+/**
+ * Leading characters that make spreadsheet applications evaluate a cell as a formula
+ */
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Validate the `format` query parameter
+ * @param {string} format - Requested format (default: csv)
+ * @returns {object} {isValid: boolean, format?: string, error?: string}
+ */
+const parseExportFormat = (format = 'csv') => {
+  if (typeof format !== 'string' || !Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+    return { isValid: false, error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` };
+  }
+  return { isValid: true, format };
+};
+
+/**
+ * Pick the exported fields of a stored click
+ * @param {object} click - Click from storage.getClicks or storage.iterateClicks
+ * @returns {object} Export record with EXPORT_COLUMNS as keys
+ */
+const toExportRecord = (click) => {
+  const record = {};
+  EXPORT_COLUMNS.forEach((column) => {
+    record[column] = click[column] === undefined ? null : click[column];
+  });
+  return record;
+};
+
+/**
+ * Format one CSV field
+ * Text that a spreadsheet would run as a formula (user agents and referrers are
+ * caller-controlled) is prefixed with an apostrophe.
+ * @param {*} value - Field value
+ * @returns {string} Field, quoted when it contains a comma, quote or line break
+ */
+const toCsvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = Array.isArray(value) ? value.join(';') : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format one CSV line
+ * @param {Array} values - Field values
+ * @returns {string} Line including the CRLF terminator
+ */
+const toCsvLine = (values) => `${values.map(toCsvField).join(',')}\r\n`;
+
+/**
+ * Turn clicks into export lines
+ * @param {AsyncIterable<object>|Iterable<object>} clicks - Clicks in export order
+ * @param {string} format - 'csv' or 'jsonl'
+ * @param {object} options
+ * @param {function} options.onClick - Called after each click is formatted (e.g. for counting)
+ * @returns {AsyncGenerator<string>} Lines, starting with the header row for CSV
+ */
+const exportLines = async function* (clicks, format, { onClick = () => {} } = {}) {
+  if (format === 'csv') {
+    yield toCsvLine(EXPORT_COLUMNS);
+  }
+
+  for await (const click of clicks) {
+    const record = toExportRecord(click);
+    yield format === 'csv'
+      ? toCsvLine(EXPORT_COLUMNS.map(column => record[column]))
+      : `${JSON.stringify(record)}\n`;
+    onClick(record);
+  }
+};
+
+/**
+ * Stream an export as a file download
+ * Once streaming has started an error can no longer become a JSON response; the
+ * pipeline destroys the response instead and the returned promise rejects.
+ * @param {object} res - Express response
+ * @param {AsyncIterable<object>} clicks - Clicks in export order
+ * @param {object} options
+ * @param {string} options.format - 'csv' or 'jsonl'
+ * @param {string} options.filename - Download name without extension
+ * @returns {Promise<number>} Number of clicks written
+ */
+const sendExport = async (res, clicks, { format, filename }) => {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  let count = 0;
+
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${filename}.${extension}"`,
+    'Cache-Control': 'no-store'
+  });
+  await pipeline(Readable.from(exportLines(clicks, format, { onClick: () => { count++; } })), res);
+  return count;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  parseExportFormat,
+  toExportRecord,
+  toCsvField,
+  exportLines,
+  sendExport
+};
@@ -0,0 +1,222 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const maxmind = require('maxmind');
+
+/**
+ * Offline GeoIP lookups
+ * Clicks are enriched from a local database file loaded once at startup; no
+ * lookup ever leaves the process. Two formats are supported, chosen by extension:
+ *
+ *   .mmdb  MaxMind DB (GeoLite2/GeoIP2 City or Country, DB-IP Lite and compatible files)
+ *   .csv   IP ranges, one per line: start_ip,end_ip,country,region,city
+ *          (IPv4 or IPv6, fields may be quoted, a header row is skipped)
+ *
+ * Every lookup returns {country, region, city} (ISO country code and English
+ * names, null when unknown) or null if the address is not covered.
+ */
+
+/**
+ * Normalise a client address: drop IPv6 zone IDs and unwrap IPv4-mapped addresses
+ * @param {string} ip - Address as reported by Express
+ * @returns {string} Plain IPv4 or IPv6 address
+ */
+const normalizeIp = (ip) => {
+  const address = String(ip).replace(/%.*$/, '');
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  return mapped ? mapped[1] : address;
+};
+
+/**
+ * Convert an IP address to an integer for range comparisons
+ * @param {string} ip - IPv4 or IPv6 address
+ * @returns {object|null} {version: 4|6, value: BigInt} or null if not an IP address
+ */
+const ipToBigInt = (ip) => {
+  const version = net.isIP(ip);
+
+  if (version === 4) {
+    return { version, value: ip.split('.').reduce((n, part) => (n << 8n) + BigInt(part), 0n) };
+  }
+
+  if (version === 6) {
+    // Rewrite a trailing dotted quad (::ffff:1.2.3.4) as two hex groups
+    const address = ip.replace(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/, (match, a, b, c, d) => {
+      return `${((a << 8) + Number(b)).toString(16)}:${((c << 8) + Number(d)).toString(16)}`;
+    });
+    const [head, tail] = address.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = tail === undefined
+      ? headGroups
+      : [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+    return { version, value: groups.reduce((n, group) => (n << 16n) + BigInt(parseInt(group, 16)), 0n) };
+  }
+
+  return null;
+};
+
+/**
+ * Split one CSV line into fields, honouring double-quoted fields
+ */
+const parseCsvLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+
+  return fields;
+};
+
+/**
+ * Build a lookup from CSV IP ranges
+ * @param {string} text - CSV content (start_ip,end_ip,country,region,city)
+ * @returns {object} {format: 'csv', size, skipped, lookup(ip)}
+ */
+const createCsvLookup = (text) => {
+  const ranges = { 4: [], 6: [] };
+  let skipped = 0;
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim() || line.startsWith('#')) {
+      return;
+    }
+
+    const [startIp, endIp, country, region, city] = parseCsvLine(line);
+    const start = ipToBigInt(startIp);
+    const end = ipToBigInt(endIp);
+    if (!start || !end || start.version !== end.version || start.value > end.value) {
+      // A header row is expected, anything else is a bad line
+      if (index > 0) {
+        skipped++;
+      }
+      return;
+    }
+
+    ranges[start.version].push({
+      start: start.value,
+      end: end.value,
+      location: { country: country ? country.toUpperCase() : null, region: region || null, city: city || null }
+    });
+  });
+
+  ranges[4].sort((a, b) => (a.start < b.start ? -1 : 1));
+  ranges[6].sort((a, b) => (a.start < b.start ? -1 : 1));
+
+  return {
+    format: 'csv',
+    size: ranges[4].length + ranges[6].length,
+    skipped,
+    lookup(ip) {
+      const address = ipToBigInt(normalizeIp(ip));
+      if (!address) {
+        return null;
+      }
+
+      // Last range starting at or before the address
+      const list = ranges[address.version];
+      let low = 0;
+      let high = list.length - 1;
+      let match = null;
+      while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (list[mid].start <= address.value) {
+          match = list[mid];
+          low = mid + 1;
+        } else {
+          high = mid - 1;
+        }
+      }
+
+      return match && match.end >= address.value ? { ...match.location } : null;
+    }
+  };
+};
+
+/**
+ * Wrap a MaxMind DB reader
+ * @param {object} reader - Reader from maxmind.open()
+ * @returns {object} {format: 'mmdb', size, skipped, lookup(ip)}
+ */
+const createMmdbLookup = (reader) => {
+  return {
+    format: 'mmdb',
+    size: reader.metadata.nodeCount,
+    skipped: 0,
+    lookup(ip) {
+      const address = normalizeIp(ip);
+      if (!maxmind.validate(address)) {
+        return null;
+      }
+
+      const result = reader.get(address);
+      if (!result) {
+        return null;
+      }
+
+      const country = result.country || result.registered_country;
+      const region = result.subdivisions && result.subdivisions[0];
+      return {
+        country: (country && country.iso_code) || null,
+        region: (region && region.names && region.names.en) || null,
+        city: (result.city && result.city.names && result.city.names.en) || null
+      };
+    }
+  };
+};
+
+/**
+ * Load the GeoIP database named in the configuration
+ * @param {string|null} file - Path to a .mmdb or .csv file; GeoIP is disabled when empty
+ * @param {object} options
+ * @param {object} options.logger - Logger instance (optional)
+ * @returns {Promise<object|null>} Lookup ({format, size, skipped, lookup(ip)}) or null when disabled
+ */
+const loadGeoIp = async (file, { logger = null } = {}) => {
+  if (!file) {
+    return null;
+  }
+
+  const extension = path.extname(file).toLowerCase();
+  const geoip = extension === '.mmdb'
+    ? createMmdbLookup(await maxmind.open(file))
+    : createCsvLookup(await fs.promises.readFile(file, 'utf8'));
+
+  if (logger) {
+    logger.info(`GeoIP database loaded from ${file} (${geoip.format}, ${geoip.size} entries)`, 'geoip');
+    if (geoip.skipped > 0) {
+      logger.warn(`Skipped ${geoip.skipped} invalid line(s) in ${file}`, 'geoip');
+    }
+  }
+
+  return geoip;
+};
+
+module.exports = {
+  normalizeIp,
+  ipToBigInt,
+  createCsvLookup,
+  createMmdbLookup,
+  loadGeoIp
+};
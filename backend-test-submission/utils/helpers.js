@@ -1,10 +1,16 @@
 const validator = require('validator');
 const logger = require('../../logging-middleware/logger');
+const { DEFAULTS } = require('../config');
+const { parseUserAgent } = require('./userAgent');
+const { classifyReferrer } = require('./referrers');
 
 /**
  * Helper utilities for URL shortener backend
  */
 
+// Largest accepted maxClicks
+const MAX_CLICK_LIMIT = 1000000;
+
 /**
  * Generate a random shortcode
  * @param {number} length - Length of shortcode (default: 6)
@@ -22,27 +28,35 @@ const generateShortcode = (length = 6) => {
 /**
  * Validate shortcode format
  * @param {string} shortcode - Shortcode to validate
+ * @param {object} limits - {minLength, maxLength} (default: config defaults)
  * @returns {boolean} True if valid format
  */
-const isValidShortcode = (shortcode) => {
-  return /^[a-zA-Z0-9]{3,20}$/.test(shortcode);
+const isValidShortcode = (shortcode, limits = DEFAULTS.shortcode) => {
+  const pattern = new RegExp(`^[a-zA-Z0-9]{${limits.minLength},${limits.maxLength}}$`);
+  return typeof shortcode === 'string' && pattern.test(shortcode);
 };
 
 /**
- * Check if shortcode is unique in database
+ * Describe the shortcode rules for error messages
+ * @param {object} limits - {minLength, maxLength} (default: config defaults)
+ * @returns {string} Human readable rule
+ */
+const describeShortcodeRules = (limits = DEFAULTS.shortcode) => {
+  return `Shortcode must be ${limits.minLength}-${limits.maxLength} characters long and contain only letters and numbers`;
+};
+
+/**
+ * Check if shortcode is unique in storage
  * @param {string} shortcode - Shortcode to check
- * @param {object} db - Database instance
+ * @param {object} storage - Storage adapter
  * @returns {boolean} True if unique
  */
-const isShortcodeUnique = async (shortcode, db) => {
+const isShortcodeUnique = async (shortcode, storage) => {
   try {
-    const existing = await db.get(
-      'SELECT shortcode FROM short_urls WHERE shortcode = ?',
-      [shortcode]
-    );
+    const existing = await storage.findByShortcode(shortcode);
     return !existing;
   } catch (error) {
-    await logger.error(`Error checking shortcode uniqueness: ${error.message}`, 'helpers', error.stack);
+    logger.error(`Error checking shortcode uniqueness: ${error.message}`, 'helpers', error.stack);
     return false;
   }
 };
@@ -62,9 +76,10 @@ const isValidURL = (url) => {
 /**
  * Validate validity period
  * @param {number|string} validity - Validity in minutes
+ * @param {object} limits - {maxMinutes} (default: config defaults)
  * @returns {object} {isValid: boolean, minutes: number, error?: string}
  */
-const validateValidityPeriod = (validity) => {
+const validateValidityPeriod = (validity, limits = DEFAULTS.validity) => {
   const validityMinutes = parseInt(validity);
   
   if (isNaN(validityMinutes)) {
@@ -81,10 +96,10 @@ const validateValidityPeriod = (validity) => {
     };
   }
   
-  if (validityMinutes > 10080) { // Max 1 week
+  if (validityMinutes > limits.maxMinutes) {
     return {
       isValid: false,
-      error: 'Validity cannot exceed 10080 minutes (1 week)'
+      error: `Validity cannot exceed ${limits.maxMinutes} minutes`
     };
   }
   
@@ -95,12 +110,31 @@ const validateValidityPeriod = (validity) => {
 };
 
 /**
- * Calculate expiry date from validity minutes
- * @param {number} validityMinutes - Validity period in minutes
- * @returns {Date} Expiry date
+ * Validate a click limit
+ * @param {*} maxClicks - Redirects allowed before the link stops working
+ * @returns {object} {isValid: boolean, maxClicks?: number, error?: string}
+ */
+const validateMaxClicks = (maxClicks) => {
+  if (!Number.isInteger(maxClicks) || maxClicks < 1 || maxClicks > MAX_CLICK_LIMIT) {
+    return {
+      isValid: false,
+      error: `Click limit must be a whole number from 1 to ${MAX_CLICK_LIMIT}`
+    };
+  }
+
+  return {
+    isValid: true,
+    maxClicks
+  };
+};
+
+/**
+ * Redirects left on a click-limited link
+ * @param {object} link - Link from storage ({maxClicks, clicksUsed})
+ * @returns {number|null} Remaining redirects, or null when the link has no limit
  */
-const calculateExpiryDate = (validityMinutes) => {
-  return new Date(Date.now() + validityMinutes * 60 * 1000);
+const remainingClicks = (link) => {
+  return link.maxClicks === null ? null : Math.max(link.maxClicks - link.clicksUsed, 0);
 };
 
 /**
@@ -116,36 +150,95 @@ const isExpired = (expiresAt) => {
  * Format click data for storage
  * @param {string} shortcode - Shortcode
  * @param {object} req - Express request object
- * @returns {object} Formatted click data
+ * @param {object} geoip - GeoIP lookup from utils/geoip.js (optional)
+ * @returns {object} Formatted click data, including the parsed user agent, referrer source and location
  */
-const formatClickData = (shortcode, req) => {
+const formatClickData = (shortcode, req, geoip = null) => {
+  const ipAddress = req.ip || req.connection.remoteAddress || 'unknown';
+  const userAgent = req.get('User-Agent') || null;
+  const referrer = req.get('Referer') || null;
+  const location = (geoip && geoip.lookup(ipAddress)) || {};
+
   return {
     shortcode: shortcode,
-    referrer: req.get('Referer') || null,
-    ipAddress: req.ip || req.connection.remoteAddress || 'unknown',
-    userAgent: req.get('User-Agent') || null
+    referrer,
+    ...classifyReferrer(referrer),
+    ipAddress,
+    userAgent,
+    ...parseUserAgent(userAgent),
+    country: location.country || null,
+    region: location.region || null,
+    city: location.city || null
+  };
+};
+
+/**
+ * Format storage click breakdowns for the statistics API
+ * @param {object} breakdowns - Storage result {browser, os, deviceType, isBot, country, referrerDomain,
+ *   referrerSource}: [{name, clicks}]
+ * @returns {object} {browser, os, deviceType, traffic, country, referrerDomain, referrerSource}:
+ *   [{name, clicks}], with 'Unknown' for clicks that could not be classified, 'None' for clicks
+ *   without a referrer domain and traffic split into 'human' and 'bot'
+ */
+const formatClickBreakdowns = (breakdowns) => {
+  const label = entries => entries.map(({ name, clicks }) => ({ name: name === null ? 'Unknown' : name, clicks }));
+
+  return {
+    browser: label(breakdowns.browser),
+    os: label(breakdowns.os),
+    deviceType: label(breakdowns.deviceType),
+    traffic: breakdowns.isBot.map(({ name, clicks }) => ({ name: name ? 'bot' : 'human', clicks })),
+    country: label(breakdowns.country),
+    referrerDomain: breakdowns.referrerDomain.map(({ name, clicks }) => ({ name: name === null ? 'None' : name, clicks })),
+    referrerSource: label(breakdowns.referrerSource)
   };
 };
 
+/**
+ * Format a stored click for API responses
+ * @param {object} click - Click from storage.getClicks or storage.recordClick
+ * @returns {object} Click as listed by GET /shorturls/:shortcode/clicks and sent in click events
+ */
+const formatClickDetail = (click) => ({
+  timestamp: click.clickedAt,
+  // A redacted referrer is unknown, not a direct visit
+  referrer: click.referrer || (click.redacted.includes('referrer') ? null : 'Direct'),
+  referrerDomain: click.referrerDomain,
+  referrerSource: click.referrerSource,
+  ipAddress: click.ipAddress,
+  userAgent: click.userAgent,
+  browser: click.browser,
+  browserVersion: click.browserVersion,
+  os: click.os,
+  deviceType: click.deviceType,
+  isBot: click.isBot,
+  isUnique: click.isUnique,
+  country: click.country,
+  region: click.region,
+  city: click.city,
+  redacted: click.redacted
+});
+
 /**
  * Generate a unique shortcode
- * @param {object} db - Database instance
+ * @param {object} storage - Storage adapter
  * @param {number} maxAttempts - Maximum attempts to generate unique code
+ * @param {number} length - Length of generated shortcodes (default: config default)
  * @returns {string|null} Unique shortcode or null if failed
  */
-const generateUniqueShortcode = async (db, maxAttempts = 10) => {
+const generateUniqueShortcode = async (storage, maxAttempts = 10, length = DEFAULTS.shortcode.generatedLength) => {
   let attempts = 0;
   let shortcode;
   
   do {
-    shortcode = generateShortcode();
+    shortcode = generateShortcode(length);
     attempts++;
     
     if (attempts > maxAttempts) {
-      await logger.error(`Failed to generate unique shortcode after ${maxAttempts} attempts`, 'helpers');
+      logger.error(`Failed to generate unique shortcode after ${maxAttempts} attempts`, 'helpers');
       return null;
     }
-  } while (!(await isShortcodeUnique(shortcode, db)));
+  } while (!(await isShortcodeUnique(shortcode, storage)));
   
   return shortcode;
 };
@@ -176,12 +269,16 @@ const createApiResponse = (success, data, message = null) => {
 module.exports = {
   generateShortcode,
   isValidShortcode,
+  describeShortcodeRules,
   isShortcodeUnique,
   isValidURL,
   validateValidityPeriod,
-  calculateExpiryDate,
+  validateMaxClicks,
+  remainingClicks,
   isExpired,
   formatClickData,
+  formatClickBreakdowns,
+  formatClickDetail,
   generateUniqueShortcode,
   createApiResponse
 };
\ No newline at end of file
@@ -0,0 +1,241 @@
+const { REFERRER_SOURCES, normalizeDomain } = require('./referrers');
+
+/**
+ * List query parsing
+ * GET /api/all-urls pages through the caller's links with `limit` and `offset`,
+ * and narrows them with filters, a sort key and a search term.
+ * GET /shorturls/:shortcode/clicks pages through a link's clicks with an opaque
+ * cursor instead, so new clicks arriving between requests never shift a page.
+ * GET /api/webhooks/:id/deliveries pages with `limit` and `offset` like the link list.
+ * Every parameter is optional; invalid values are rejected rather than ignored so
+ * a typo never silently returns the unfiltered list.
+ */
+
+/**
+ * Sort keys accepted by GET /api/all-urls
+ */
+const LINK_SORTS = ['created', 'clicks', 'expiry'];
+const LINK_STATUSES = ['scheduled', 'active', 'expired'];
+const SORT_ORDERS = ['asc', 'desc'];
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+const MAX_SEARCH_LENGTH = 200;
+const CLICK_TRAFFIC = { human: false, bot: true };
+const SQL_TIMESTAMP = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+/**
+ * Parse a non-negative integer query parameter
+ * @returns {number|null} The value, or null when it is not a plain integer
+ */
+const parseCount = (value) => {
+  return typeof value === 'string' && /^\d+$/.test(value) ? parseInt(value, 10) : null;
+};
+
+/**
+ * Validate the page size
+ * @param {string} limit - Query value
+ * @param {object} options
+ * @param {number} options.defaultLimit - Used when limit is omitted
+ * @param {number} options.maxLimit - Largest accepted limit
+ * @returns {object} {isValid: boolean, limit?: number, error?: string, message?: string}
+ */
+const parseLimit = (limit, { defaultLimit, maxLimit }) => {
+  if (limit === undefined) {
+    return { isValid: true, limit: defaultLimit };
+  }
+
+  const value = parseCount(limit);
+  if (value === null || value < 1 || value > maxLimit) {
+    return {
+      isValid: false,
+      error: 'Invalid pagination',
+      message: `limit must be an integer between 1 and ${maxLimit}`
+    };
+  }
+  return { isValid: true, limit: value };
+};
+
+/**
+ * Validate a GET /api/all-urls query
+ * @param {object} query - Request query: limit, offset, status, createdFrom, createdTo,
+ *   minClicks, q, sort, order
+ * @param {object} options - {defaultLimit, maxLimit} (config `pagination`)
+ * @returns {object} {isValid: true, limit, offset, status, createdFrom, createdTo, minClicks,
+ *   search, sort, order} where unset filters are undefined, or {isValid: false, error, message}
+ */
+const parseLinkQuery = (query, { defaultLimit, maxLimit }) => {
+  const { offset, status, createdFrom, createdTo, minClicks, q, sort = 'created', order = 'desc' } = query;
+
+  const page = parseLimit(query.limit, { defaultLimit, maxLimit });
+  if (!page.isValid) {
+    return page;
+  }
+
+  const start = offset === undefined ? 0 : parseCount(offset);
+  if (start === null) {
+    return { isValid: false, error: 'Invalid pagination', message: 'offset must be a non-negative integer' };
+  }
+
+  if (status !== undefined && !LINK_STATUSES.includes(status)) {
+    return { isValid: false, error: 'Invalid filter', message: `status must be one of ${LINK_STATUSES.join(', ')}` };
+  }
+
+  const parseDate = value => (typeof value === 'string' && value !== '' ? new Date(value) : null);
+  const from = createdFrom === undefined ? undefined : parseDate(createdFrom);
+  const to = createdTo === undefined ? undefined : parseDate(createdTo);
+  if ([from, to].some(date => date !== undefined && (!date || isNaN(date.getTime())))) {
+    return { isValid: false, error: 'Invalid filter', message: 'createdFrom and createdTo must be ISO 8601 dates' };
+  }
+  if (from && to && from > to) {
+    return { isValid: false, error: 'Invalid filter', message: 'createdFrom must not be after createdTo' };
+  }
+
+  const clicks = minClicks === undefined ? undefined : parseCount(minClicks);
+  if (clicks === null) {
+    return { isValid: false, error: 'Invalid filter', message: 'minClicks must be a non-negative integer' };
+  }
+
+  if (q !== undefined && (typeof q !== 'string' || q.length > MAX_SEARCH_LENGTH)) {
+    return { isValid: false, error: 'Invalid filter', message: `q must be a string of at most ${MAX_SEARCH_LENGTH} characters` };
+  }
+
+  if (!LINK_SORTS.includes(sort) || !SORT_ORDERS.includes(order)) {
+    return {
+      isValid: false,
+      error: 'Invalid sort',
+      message: `sort must be one of ${LINK_SORTS.join(', ')} and order one of ${SORT_ORDERS.join(', ')}`
+    };
+  }
+
+  return {
+    isValid: true,
+    limit: page.limit,
+    offset: start,
+    status,
+    createdFrom: from,
+    createdTo: to,
+    minClicks: clicks,
+    search: q && q.trim() ? q.trim() : undefined,
+    sort,
+    order
+  };
+};
+
+/**
+ * Validate a GET /api/webhooks/:id/deliveries query
+ * @param {object} query - Request query: limit, offset, status
+ * @param {object} options - {defaultLimit, maxLimit} (config `pagination`)
+ * @returns {object} {isValid: true, limit, offset, status} where status is undefined when unset,
+ *   or {isValid: false, error, message}
+ */
+const parseDeliveryQuery = (query, { defaultLimit, maxLimit }) => {
+  const { offset, status } = query;
+
+  const page = parseLimit(query.limit, { defaultLimit, maxLimit });
+  if (!page.isValid) {
+    return page;
+  }
+
+  const start = offset === undefined ? 0 : parseCount(offset);
+  if (start === null) {
+    return { isValid: false, error: 'Invalid pagination', message: 'offset must be a non-negative integer' };
+  }
+
+  if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+    return { isValid: false, error: 'Invalid filter', message: `status must be one of ${DELIVERY_STATUSES.join(', ')}` };
+  }
+
+  return { isValid: true, limit: page.limit, offset: start, status };
+};
+
+/**
+ * Encode the position after a click as a cursor
+ * @param {object} click - Last click of a page ({clickedAt, id})
+ * @returns {string} Opaque URL-safe cursor
+ */
+const encodeCursor = (click) => {
+  return Buffer.from(JSON.stringify([click.clickedAt, click.id])).toString('base64url');
+};
+
+/**
+ * Decode a cursor made by encodeCursor
+ * @param {string} cursor - Query value
+ * @returns {object|null} {clickedAt, id}, or null when the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  if (typeof cursor !== 'string') {
+    return null;
+  }
+
+  try {
+    const [clickedAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return SQL_TIMESTAMP.test(clickedAt) && Number.isInteger(id) && id > 0 ? { clickedAt, id } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Validate a GET /shorturls/:shortcode/clicks query
+ * @param {object} query - Request query: limit, cursor, from, to, referrerDomain,
+ *   referrerSource, traffic
+ * @param {object} options - {defaultLimit, maxLimit} (config `pagination`)
+ * @returns {object} {isValid: true, limit, before, from, to, referrerDomain, referrerSource, isBot}
+ *   where unset filters are undefined, or {isValid: false, error, message}
+ */
+const parseClickQuery = (query, { defaultLimit, maxLimit }) => {
+  const { cursor, from, to, referrerDomain, referrerSource, traffic } = query;
+
+  const page = parseLimit(query.limit, { defaultLimit, maxLimit });
+  if (!page.isValid) {
+    return page;
+  }
+
+  const before = cursor === undefined ? undefined : decodeCursor(cursor);
+  if (before === null) {
+    return { isValid: false, error: 'Invalid pagination', message: 'cursor must be a nextCursor value from a previous page' };
+  }
+
+  const parseDate = value => (typeof value === 'string' && value !== '' ? new Date(value) : null);
+  const start = from === undefined ? undefined : parseDate(from);
+  const end = to === undefined ? undefined : parseDate(to);
+  if ([start, end].some(date => date !== undefined && (!date || isNaN(date.getTime())))) {
+    return { isValid: false, error: 'Invalid filter', message: 'from and to must be ISO 8601 dates' };
+  }
+  if (start && end && start > end) {
+    return { isValid: false, error: 'Invalid filter', message: 'from must not be after to' };
+  }
+
+  if (referrerDomain !== undefined && (typeof referrerDomain !== 'string' || !referrerDomain.trim())) {
+    return { isValid: false, error: 'Invalid filter', message: 'referrerDomain must be a domain name' };
+  }
+
+  if (referrerSource !== undefined && !REFERRER_SOURCES.includes(referrerSource)) {
+    return { isValid: false, error: 'Invalid filter', message: `referrerSource must be one of ${REFERRER_SOURCES.join(', ')}` };
+  }
+
+  if (traffic !== undefined && (typeof traffic !== 'string' || !Object.prototype.hasOwnProperty.call(CLICK_TRAFFIC, traffic))) {
+    return { isValid: false, error: 'Invalid filter', message: `traffic must be one of ${Object.keys(CLICK_TRAFFIC).join(', ')}` };
+  }
+
+  return {
+    isValid: true,
+    limit: page.limit,
+    before,
+    from: start,
+    to: end,
+    // Matched like stored referrers, so www.google.com finds google.com
+    referrerDomain: referrerDomain === undefined ? undefined : normalizeDomain(referrerDomain.trim()),
+    referrerSource,
+    isBot: traffic === undefined ? undefined : CLICK_TRAFFIC[traffic]
+  };
+};
+
+module.exports = {
+  LINK_SORTS,
+  parseLimit,
+  parseLinkQuery,
+  parseDeliveryQuery,
+  encodeCursor,
+  decodeCursor,
+  parseClickQuery
+};
@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Password-protected links
+ * Passwords are stored as salted scrypt hashes (`scrypt$<salt>$<hash>`, base64). A visitor who
+ * enters the password gets a cookie scoped to the link's path, so repeat visits skip the
+ * prompt until it expires. The cookie is an HMAC over the shortcode, the expiry and the stored
+ * hash, so changing the password invalidates it.
+ */
+
+const MIN_PASSWORD_LENGTH = 4;
+const MAX_PASSWORD_LENGTH = 200;
+const KEY_LENGTH = 32;
+const COOKIE_PREFIX = 'su_unlock_';
+
+// Failed attempts tracked before expired entries are swept
+const MAX_TRACKED_ATTEMPTS = 10000;
+
+/**
+ * Validate a link password
+ * @param {*} password - Value from the request body
+ * @returns {object} {isValid: boolean, error?: string}
+ */
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    return {
+      isValid: false,
+      error: `Password must be a string of ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters`
+    };
+  }
+  return { isValid: true };
+};
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plain password
+ * @returns {Promise<string>} Stored hash
+ */
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+};
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Password entered by the visitor
+ * @param {string} stored - Hash from hashPassword
+ * @returns {Promise<boolean>} True if it matches
+ */
+const verifyPassword = async (password, stored) => {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash || typeof password !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Name of the unlock cookie for a link
+ */
+const unlockCookieName = shortcode => `${COOKIE_PREFIX}${shortcode}`;
+
+const unlockSignature = (link, expires, secret) => {
+  return crypto.createHmac('sha256', secret)
+    .update(`${link.shortcode}.${expires}.${link.passwordHash}`)
+    .digest('base64url');
+};
+
+/**
+ * Create the value of an unlock cookie
+ * @param {object} link - Unlocked link ({shortcode, passwordHash})
+ * @param {object} options
+ * @param {string} options.secret - Signing secret
+ * @param {number} options.minutes - Lifetime
+ * @param {Date} options.now - Current time (default: now)
+ * @returns {string} Cookie value `<expires>.<signature>` (expires in Unix seconds)
+ */
+const createUnlockToken = (link, { secret, minutes, now = new Date() }) => {
+  const expires = Math.floor(now.getTime() / 1000) + minutes * 60;
+  return `${expires}.${unlockSignature(link, expires, secret)}`;
+};
+
+/**
+ * Check an unlock cookie
+ * @param {string} token - Cookie value
+ * @param {object} link - Link it should unlock ({shortcode, passwordHash})
+ * @param {object} options
+ * @param {string} options.secret - Signing secret
+ * @param {Date} options.now - Current time (default: now)
+ * @returns {boolean} True if the token is valid for the link's current password and not expired
+ */
+const verifyUnlockToken = (token, link, { secret, now = new Date() }) => {
+  const match = /^(\d+)\.([\w-]+)$/.exec(token || '');
+  if (!match || Number(match[1]) <= now.getTime() / 1000) {
+    return false;
+  }
+
+  const expected = Buffer.from(unlockSignature(link, match[1], secret));
+  const received = Buffer.from(match[2]);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Read one cookie from a Cookie header
+ * @param {string} header - Cookie request header
+ * @param {string} name - Cookie name
+ * @returns {string|null} Decoded value, or null when absent
+ */
+const readCookie = (header, name) => {
+  for (const part of (header || '').split(';')) {
+    const separator = part.indexOf('=');
+    if (separator !== -1 && part.slice(0, separator).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(separator + 1).trim());
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Track unlock attempts per key (shortcode and client)
+ * An attempt is counted before the password is checked and forgotten when it was right, so
+ * guesses sent in parallel cannot all pass the check while the slow hash runs.
+ * Attempts live in process memory, so each server process counts its own.
+ * @param {object} options
+ * @param {number} options.maxAttempts - Failed attempts allowed within the window
+ * @param {number} options.windowMinutes - Window length, counted from the first attempt
+ * @returns {object} {retryAfter(key, now), recordAttempt(key, now), reset(key)}
+ */
+const createUnlockLimiter = ({ maxAttempts, windowMinutes }) => {
+  const attempts = new Map();
+  const windowMs = windowMinutes * 60 * 1000;
+
+  const current = (key, now) => {
+    const entry = attempts.get(key);
+    if (entry && entry.resetAt <= now.getTime()) {
+      attempts.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  return {
+    /**
+     * Seconds until the key may try again, or 0 when it may try now
+     */
+    retryAfter(key, now = new Date()) {
+      const entry = current(key, now);
+      return entry && entry.failures >= maxAttempts ? Math.ceil((entry.resetAt - now.getTime()) / 1000) : 0;
+    },
+
+    /**
+     * Count an attempt before its password is checked
+     * @returns {number} Attempts left in the window
+     */
+    recordAttempt(key, now = new Date()) {
+      if (attempts.size >= MAX_TRACKED_ATTEMPTS) {
+        attempts.forEach((entry, tracked) => {
+          if (entry.resetAt <= now.getTime()) {
+            attempts.delete(tracked);
+          }
+        });
+      }
+
+      const entry = current(key, now) || { failures: 0, resetAt: now.getTime() + windowMs };
+      entry.failures++;
+      attempts.set(key, entry);
+      return Math.max(maxAttempts - entry.failures, 0);
+    },
+
+    /**
+     * Forget the attempts of a key after a successful unlock
+     */
+    reset(key) {
+      attempts.delete(key);
+    }
+  };
+};
+
+const escapeHtml = (value) => {
+  return String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+};
+
+/**
+ * Unlock form served by GET /:shortcode for a protected link
+ * @param {object} options
+ * @param {string} options.shortcode - Link being unlocked
+ * @param {string} options.error - Message shown above the form (optional)
+ * @returns {string} HTML page posting the password back to the link. The action is relative, so
+ *   it still points at the link when BASE_URL has a path or a proxy mounts the app below the root
+ */
+const renderUnlockPage = ({ shortcode, error = null }) => {
+  const code = escapeHtml(shortcode);
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>Password required</title>
+  <style>
+    body { font-family: system-ui, sans-serif; background: #f5f5f5; display: flex; justify-content: center; padding-top: 15vh; margin: 0; }
+    form { background: #fff; padding: 2rem; border-radius: 8px; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.15); width: 20rem; }
+    h1 { font-size: 1.25rem; margin-top: 0; }
+    input, button { width: 100%; box-sizing: border-box; padding: 0.6rem; margin-top: 0.5rem; font-size: 1rem; }
+    button { background: #1976d2; color: #fff; border: 0; border-radius: 4px; cursor: pointer; }
+    .error { color: #c62828; }
+  </style>
+</head>
+<body>
+  <form method="post" action="./${code}">
+    <h1>This link is password protected</h1>
+    ${error ? `<p class="error" role="alert">${escapeHtml(error)}</p>` : ''}
+    <label for="password">Password for /${code}</label>
+    <input id="password" name="password" type="password" autocomplete="current-password" required autofocus>
+    <button type="submit">Continue</button>
+  </form>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  validatePassword,
+  hashPassword,
+  verifyPassword,
+  unlockCookieName,
+  createUnlockToken,
+  verifyUnlockToken,
+  readCookie,
+  createUnlockLimiter,
+  renderUnlockPage
+};
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const { normalizeIp, ipToBigInt } = require('./geoip');
+
+/**
+ * Click privacy policy
+ * Applied to every click before it is stored (see config/index.js `privacy`):
+ *
+ *   ipMode          full (default), truncate (keep an ipv4Prefix/ipv6Prefix network),
+ *                   hash (store no IP, only the visitor hash) or none
+ *   hashSalt        Secret for the visitor hash: HMAC-SHA256 of the UTC day, IP and user agent,
+ *                   so the same visitor can be counted once per day but not followed across days
+ *   storeUserAgent  Keep the raw User-Agent header (the parsed columns are always kept)
+ *   honorOptOut     Clicks sent with `DNT: 1` or `Sec-GPC: 1` are counted without IP, visitor
+ *                   hash, user agent, referrer, region or city
+ */
+
+/**
+ * Fields dropped from clicks of visitors who opted out of tracking
+ */
+const OPT_OUT_FIELDS = ['ipAddress', 'userAgent', 'referrer', 'region', 'city'];
+
+/**
+ * Format an integer as an IP address (IPv6 with the longest zero run compressed)
+ */
+const formatIp = (value, version) => {
+  if (version === 4) {
+    return [24n, 16n, 8n, 0n].map(shift => String((value >> shift) & 0xffn)).join('.');
+  }
+
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    groups.push(((value >> shift) & 0xffffn).toString(16));
+  }
+
+  let best = { start: -1, length: 1 };
+  let run = null;
+  groups.forEach((group, index) => {
+    if (group !== '0') {
+      run = null;
+      return;
+    }
+    run = run || { start: index, length: 0 };
+    run.length++;
+    if (run.length > best.length) {
+      best = { ...run };
+    }
+  });
+
+  if (best.start === -1) {
+    return groups.join(':');
+  }
+  const head = groups.slice(0, best.start).join(':');
+  const tail = groups.slice(best.start + best.length).join(':');
+  return `${head}::${tail}`;
+};
+
+/**
+ * Keep only the network part of an IP address
+ * @param {string} ip - IPv4 or IPv6 address
+ * @param {object} prefixes - {ipv4Prefix, ipv6Prefix} bits to keep
+ * @returns {string|null} Truncated address (e.g. 203.0.113.0, 2001:db8:85a3::) or null if not an IP
+ */
+const truncateIp = (ip, { ipv4Prefix, ipv6Prefix }) => {
+  const address = ipToBigInt(normalizeIp(ip));
+  if (!address) {
+    return null;
+  }
+
+  const bits = address.version === 4 ? 32 : 128;
+  const prefix = BigInt(address.version === 4 ? ipv4Prefix : ipv6Prefix);
+  const mask = ((1n << prefix) - 1n) << (BigInt(bits) - prefix);
+  return formatIp(address.value & mask, address.version);
+};
+
+/**
+ * Salted daily visitor hash
+ * @param {string} ip - Client IP address
+ * @param {string|null} userAgent - Raw User-Agent header
+ * @param {string} salt - Secret salt
+ * @param {Date} date - Click time; the hash changes at midnight UTC
+ * @returns {string} 32 hex characters
+ */
+const hashVisitor = (ip, userAgent, salt, date) => {
+  const day = date.toISOString().slice(0, 10);
+  return crypto.createHmac('sha256', salt)
+    .update(`${day}|${normalizeIp(ip)}|${userAgent || ''}`)
+    .digest('hex')
+    .slice(0, 32);
+};
+
+/**
+ * Whether the request carries a Do Not Track or Global Privacy Control signal
+ * @param {object} req - Express request object
+ * @returns {boolean} True if DNT or Sec-GPC is set to 1
+ */
+const hasOptedOut = (req) => {
+  return req.get('DNT') === '1' || req.get('Sec-GPC') === '1';
+};
+
+/**
+ * Apply the privacy policy to a click from formatClickData
+ * @param {object} click - Click data with the full IP and user agent
+ * @param {object} req - Express request object (for DNT / Sec-GPC)
+ * @param {object} policy - config.privacy
+ * @param {Date} now - Click time (default: now)
+ * @returns {object} Click to store, with visitorHash and redacted (names of fields removed or altered)
+ */
+const applyPrivacyPolicy = (click, req, policy, now = new Date()) => {
+  const result = { ...click, visitorHash: null, redacted: [] };
+  const redact = (field, value = null) => {
+    result[field] = value;
+    if (!result.redacted.includes(field)) {
+      result.redacted.push(field);
+    }
+  };
+
+  if (policy.honorOptOut && hasOptedOut(req)) {
+    OPT_OUT_FIELDS.forEach(field => redact(field));
+    return result;
+  }
+
+  if (policy.hashSalt && click.ipAddress) {
+    result.visitorHash = hashVisitor(click.ipAddress, click.userAgent, policy.hashSalt, now);
+  }
+
+  if (policy.ipMode === 'truncate') {
+    redact('ipAddress', truncateIp(click.ipAddress, policy));
+  } else if (policy.ipMode === 'hash' || policy.ipMode === 'none') {
+    redact('ipAddress');
+  }
+
+  if (!policy.storeUserAgent) {
+    redact('userAgent');
+  }
+
+  return result;
+};
+
+/**
+ * Summarise the policy for statistics responses
+ * @param {object} policy - config.privacy
+ * @returns {object} {ipAddresses, userAgents, honorsOptOut, retentionDays, retentionMode}
+ */
+const describePrivacyPolicy = (policy) => {
+  const ipAddresses = { full: 'full', truncate: 'truncated', hash: 'hashed', none: 'not stored' };
+
+  return {
+    ipAddresses: ipAddresses[policy.ipMode],
+    userAgents: policy.storeUserAgent ? 'stored' : 'not stored',
+    honorsOptOut: policy.honorOptOut,
+    retentionDays: policy.retentionDays || null,
+    retentionMode: policy.retentionDays ? policy.retentionMode : null
+  };
+};
+
+module.exports = {
+  truncateIp,
+  hashVisitor,
+  hasOptedOut,
+  applyPrivacyPolicy,
+  describePrivacyPolicy
+};
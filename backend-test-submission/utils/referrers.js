@@ -0,0 +1,125 @@
+/**
+ * Referrer classification
+ * Each click's Referer header is reduced to a normalised domain (lower case, without
+ * www., m., amp. and similar prefixes, with link shorteners mapped to their site) and
+ * a traffic source:
+ *
+ *   direct  No Referer header
+ *   search  Search engines
+ *   social  Social networks, forums and messaging apps
+ *   email   Webmail clients and mail apps
+ *   other   Everything else, including referrers that are not URLs
+ */
+
+/**
+ * Every referrerSource value
+ */
+const REFERRER_SOURCES = ['direct', 'search', 'social', 'email', 'other'];
+
+/**
+ * Host prefixes that do not change the site (www., mobile and redirect subdomains)
+ */
+const HOST_PREFIX = /^(?:www\d*|m|mobile|amp|l|lm)\./;
+
+/**
+ * Short and legacy domains grouped under the site they belong to
+ */
+const DOMAIN_ALIASES = {
+  't.co': 'x.com',
+  'twitter.com': 'x.com',
+  'lnkd.in': 'linkedin.com',
+  'youtu.be': 'youtube.com',
+  'fb.me': 'facebook.com',
+  'redd.it': 'reddit.com'
+};
+
+/**
+ * Android apps that send android-app:// referrers: package -> [domain, source]
+ */
+const APPS = {
+  'com.google.android.gm': ['mail.google.com', 'email'],
+  'com.microsoft.office.outlook': ['outlook.com', 'email'],
+  'com.google.android.googlequicksearchbox': ['google.com', 'search'],
+  'com.facebook.katana': ['facebook.com', 'social'],
+  'com.instagram.android': ['instagram.com', 'social'],
+  'com.twitter.android': ['x.com', 'social'],
+  'com.linkedin.android': ['linkedin.com', 'social'],
+  'com.reddit.frontpage': ['reddit.com', 'social'],
+  'org.telegram.messenger': ['t.me', 'social'],
+  'com.whatsapp': ['whatsapp.com', 'social']
+};
+
+/**
+ * Domain rules by source, checked in order (webmail before search, since both live on google.com and yahoo.com)
+ */
+const SOURCE_RULES = [
+  ['email', [
+    /^mail\./, /^webmail\./, /(^|\.)outlook\.(live|office|office365)\.com$/, /^outlook\.com$/,
+    /(^|\.)mail\.proton\.me$/, /(^|\.)fastmail\.com$/
+  ]],
+  ['search', [
+    /(^|\.)google\.[a-z.]+$/, /(^|\.)bing\.com$/, /(^|\.)duckduckgo\.com$/, /^search\.yahoo\.com$/,
+    /(^|\.)yahoo\.co\.jp$/, /(^|\.)yandex\.[a-z.]+$/, /(^|\.)baidu\.com$/, /(^|\.)ecosia\.org$/,
+    /^search\.brave\.com$/, /(^|\.)startpage\.com$/, /(^|\.)qwant\.com$/, /(^|\.)naver\.com$/
+  ]],
+  ['social', [
+    /(^|\.)facebook\.com$/, /(^|\.)instagram\.com$/, /(^|\.)x\.com$/, /(^|\.)linkedin\.com$/,
+    /(^|\.)reddit\.com$/, /(^|\.)pinterest\.[a-z.]+$/, /(^|\.)tiktok\.com$/, /(^|\.)youtube\.com$/,
+    /^news\.ycombinator\.com$/, /(^|\.)threads\.net$/, /(^|\.)bsky\.app$/, /(^|\.)mastodon\.[a-z]+$/,
+    /(^|\.)t\.me$/, /(^|\.)telegram\.org$/, /(^|\.)whatsapp\.com$/, /(^|\.)vk\.com$/,
+    /(^|\.)tumblr\.com$/, /(^|\.)quora\.com$/, /(^|\.)discord\.com$/, /(^|\.)slack\.com$/
+  ]]
+];
+
+/**
+ * Normalise a host name for grouping
+ * @param {string} host - Host name from a URL
+ * @returns {string} Domain used in breakdowns (e.g. www.Google.com -> google.com, t.co -> x.com)
+ */
+const normalizeDomain = (host) => {
+  let domain = host.toLowerCase().replace(/\.$/, '');
+  while (HOST_PREFIX.test(domain) && domain.split('.').length > 2) {
+    domain = domain.replace(HOST_PREFIX, '');
+  }
+  return DOMAIN_ALIASES[domain] || domain;
+};
+
+/**
+ * Classify a Referer header
+ * @param {string|null} referrer - Raw header value
+ * @returns {object} {referrerDomain, referrerSource}; the domain is null for direct
+ *   visits and referrers that are not URLs
+ */
+const classifyReferrer = (referrer) => {
+  if (!referrer) {
+    return { referrerDomain: null, referrerSource: 'direct' };
+  }
+
+  let url;
+  try {
+    url = new URL(referrer);
+  } catch (error) {
+    return { referrerDomain: null, referrerSource: 'other' };
+  }
+
+  if (url.protocol === 'android-app:') {
+    const app = APPS[url.hostname];
+    return app
+      ? { referrerDomain: app[0], referrerSource: app[1] }
+      : { referrerDomain: url.hostname, referrerSource: 'other' };
+  }
+
+  if (!url.hostname) {
+    return { referrerDomain: null, referrerSource: 'other' };
+  }
+
+  const referrerDomain = normalizeDomain(url.hostname);
+  const rule = SOURCE_RULES.find(([, patterns]) => patterns.some(pattern => pattern.test(referrerDomain)));
+  return { referrerDomain, referrerSource: rule ? rule[0] : 'other' };
+};
+
+module.exports = {
+  REFERRER_SOURCES,
+  normalizeDomain,
+  classifyReferrer
+};
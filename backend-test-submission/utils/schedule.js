@@ -0,0 +1,118 @@
+const { validateValidityPeriod } = require('./helpers');
+
+/**
+ * Link schedules
+ * A link redirects from activatesAt (null: from creation) until expiresAt. Creators send
+ * either validity minutes, counted from activation (or from now for a link that is already
+ * active), or an absolute expiresAt. Either way the window may not exceed validity.maxMinutes.
+ */
+
+const parseDate = value => (typeof value === 'string' && value !== '' ? new Date(value) : null);
+
+/**
+ * Resolve the activation and expiry of a create or update request
+ * @param {object} request - validity, expiresAt and activatesAt from the request body
+ *   (undefined when not sent; activatesAt null removes the activation time)
+ * @param {object} options
+ * @param {object} options.limits - {defaultMinutes, maxMinutes} (config `validity`)
+ * @param {object} options.current - Link being updated, or null when creating one
+ * @param {Date} options.now - Current time (default: now)
+ * @returns {object} {isValid: true, activatesAt, expiresAt, validityMinutes} with ISO 8601 times
+ *   (activatesAt null when unset), or {isValid: false, error, message}
+ */
+const resolveSchedule = ({ validity, expiresAt, activatesAt }, { limits, current = null, now = new Date() }) => {
+  if (validity !== undefined && expiresAt !== undefined) {
+    return { isValid: false, error: 'Conflicting expiry', message: 'Send either validity or expiresAt, not both' };
+  }
+
+  let activation = current && current.activatesAt ? new Date(current.activatesAt) : null;
+  if (activatesAt !== undefined) {
+    activation = activatesAt === null ? null : parseDate(activatesAt);
+    if (activatesAt !== null && (!activation || isNaN(activation.getTime()))) {
+      return { isValid: false, error: 'Invalid activation time', message: 'activatesAt must be an ISO 8601 date or null' };
+    }
+  }
+
+  // The validity window starts when the link becomes active
+  const start = activation && activation > now ? activation : now;
+
+  if (expiresAt !== undefined) {
+    const expiry = parseDate(expiresAt);
+    if (!expiry || isNaN(expiry.getTime())) {
+      return { isValid: false, error: 'Invalid expiry', message: 'expiresAt must be an ISO 8601 date' };
+    }
+    if (expiry <= start) {
+      return {
+        isValid: false,
+        error: 'Invalid expiry',
+        message: start === now ? 'expiresAt must be in the future' : 'expiresAt must be after activatesAt'
+      };
+    }
+
+    const validityMinutes = Math.ceil((expiry - start) / 60000);
+    if (validityMinutes > limits.maxMinutes) {
+      return {
+        isValid: false,
+        error: 'Invalid expiry',
+        message: `expiresAt cannot be more than ${limits.maxMinutes} minutes after the link becomes active`
+      };
+    }
+    return {
+      isValid: true,
+      activatesAt: activation && activation.toISOString(),
+      expiresAt: expiry.toISOString(),
+      validityMinutes
+    };
+  }
+
+  if (validity !== undefined || !current) {
+    const validityCheck = validateValidityPeriod(validity === undefined ? limits.defaultMinutes : validity, limits);
+    if (!validityCheck.isValid) {
+      return { isValid: false, error: 'Invalid validity period', message: validityCheck.error };
+    }
+    return {
+      isValid: true,
+      activatesAt: activation && activation.toISOString(),
+      expiresAt: new Date(start.getTime() + validityCheck.minutes * 60000).toISOString(),
+      validityMinutes: validityCheck.minutes
+    };
+  }
+
+  // Only the activation changes; the expiry stays where it was
+  const expiry = new Date(current.expiresAt);
+  if (activation && expiry <= activation) {
+    return { isValid: false, error: 'Invalid activation time', message: 'activatesAt must be before the link expires' };
+  }
+  // Moving the activation earlier (or removing it) makes the window longer
+  if (activatesAt !== undefined && Math.ceil((expiry - start) / 60000) > limits.maxMinutes) {
+    return {
+      isValid: false,
+      error: 'Invalid activation time',
+      message: `activatesAt cannot be more than ${limits.maxMinutes} minutes before the link expires`
+    };
+  }
+  return {
+    isValid: true,
+    activatesAt: activation && activation.toISOString(),
+    expiresAt: current.expiresAt,
+    validityMinutes: current.validityMinutes
+  };
+};
+
+/**
+ * Where a link is in its schedule
+ * @param {object} link - Link from storage ({activatesAt, expiresAt})
+ * @param {Date} now - Current time (default: now)
+ * @returns {string} scheduled, active or expired (the statuses GET /api/all-urls filters on)
+ */
+const linkStatus = (link, now = new Date()) => {
+  if (now > new Date(link.expiresAt)) {
+    return 'expired';
+  }
+  return link.activatesAt && now < new Date(link.activatesAt) ? 'scheduled' : 'active';
+};
+
+module.exports = {
+  resolveSchedule,
+  linkStatus
+};
@@ -0,0 +1,257 @@
+/**
+ * Click timeseries utilities
+ * Buckets start on local minute, hour or day boundaries. For IANA time zones the
+ * offset is looked up per bucket with Intl, so across a DST change the day keeps
+ * its local midnight (and is 23 or 25 hours long) and each bucket carries its own offset.
+ */
+
+/**
+ * Supported bucket sizes and the range used when `from` is omitted
+ */
+const INTERVALS = {
+  minute: { ms: 60 * 1000, defaultBuckets: 60 },
+  hour: { ms: 60 * 60 * 1000, defaultBuckets: 24 },
+  day: { ms: 24 * 60 * 60 * 1000, defaultBuckets: 30 }
+};
+
+/**
+ * Names resolveTimezone gives to zones without DST: UTC and fixed offsets
+ */
+const FIXED_ZONE = /^(UTC|[+-]\d{2}:\d{2})$/;
+
+/**
+ * Format a date the way SQLite stores CURRENT_TIMESTAMP (UTC, second precision)
+ * @param {Date} date - Date to format
+ * @returns {string} 'YYYY-MM-DD HH:MM:SS'
+ */
+const toSqlTimestamp = (date) => {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+};
+
+/**
+ * Format an offset in minutes as ±HH:MM
+ * @param {number} offsetMinutes - Offset from UTC
+ * @returns {string} Offset such as +05:30
+ */
+const formatOffset = (offsetMinutes) => {
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const minutes = Math.abs(offsetMinutes);
+  return `${sign}${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Intl formatters by IANA zone name; a range looks up the offset of every bucket
+ */
+const formatters = new Map();
+
+/**
+ * Offset of an IANA time zone at an instant
+ * @param {string} timeZone - IANA name
+ * @param {Date} at - Instant
+ * @returns {number} Offset from UTC in minutes
+ * @throws {RangeError} If the zone is unknown
+ */
+const zoneOffset = (timeZone, at) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }));
+  }
+  const parts = formatters.get(timeZone).formatToParts(at);
+  const part = type => parseInt(parts.find(p => p.type === type).value);
+  const local = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'));
+  const utc = Math.floor(at.getTime() / 60000) * 60000;
+  return Math.round((local - utc) / 60000);
+};
+
+/**
+ * Resolve a time zone name or UTC offset
+ * @param {string} tz - IANA name (Europe/Berlin), offset (+05:30, -0800) or UTC (default)
+ * @param {Date} at - Instant used to resolve the offset of an IANA zone
+ * @returns {object|null} {name, offsetMinutes} or null if unknown
+ */
+const resolveTimezone = (tz, at) => {
+  if (tz === undefined) {
+    return { name: 'UTC', offsetMinutes: 0 };
+  }
+
+  if (typeof tz !== 'string') {
+    return null;
+  }
+
+  if (tz === '' || /^(utc|z)$/i.test(tz)) {
+    return { name: 'UTC', offsetMinutes: 0 };
+  }
+
+  // An unencoded '+' in a query string arrives as a space
+  const offset = tz.replace(/^ /, '+').match(/^([+-])(\d{2}):?(\d{2})$/);
+  if (offset) {
+    const hours = parseInt(offset[2]);
+    const minutes = parseInt(offset[3]);
+    if (hours > 14 || minutes > 59) {
+      return null;
+    }
+    const offsetMinutes = (offset[1] === '-' ? -1 : 1) * (hours * 60 + minutes);
+    return { name: formatOffset(offsetMinutes), offsetMinutes };
+  }
+
+  try {
+    return { name: tz, offsetMinutes: zoneOffset(tz, at) };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Offset of a resolved time zone at an instant
+ * @param {object} timezone - Result of resolveTimezone
+ * @param {Date} at - Instant
+ * @returns {number} Offset from UTC in minutes (fixed offsets and UTC never change)
+ */
+const offsetAt = (timezone, at) => {
+  return FIXED_ZONE.test(timezone.name) ? timezone.offsetMinutes : zoneOffset(timezone.name, at);
+};
+
+/**
+ * Instant at which a local wall-clock time occurs. Times skipped by a DST change
+ * resolve to the instant just after the change.
+ * @param {number} local - Wall-clock time as milliseconds since the epoch, read as UTC
+ * @param {object} timezone - Result of resolveTimezone
+ * @returns {number} Milliseconds since the epoch
+ */
+const fromLocalTime = (local, timezone) => {
+  const guess = local - offsetAt(timezone, new Date(local)) * 60 * 1000;
+  return local - offsetAt(timezone, new Date(guess)) * 60 * 1000;
+};
+
+/**
+ * Buckets covering a range, first to last inclusive
+ *
+ * Minute and hour buckets follow each other in real time, so the hour repeated when
+ * clocks go back gets two buckets. Day buckets run from one local midnight to the next.
+ * @param {string} interval - minute, hour or day
+ * @param {Date} from - Start of the range
+ * @param {Date} to - End of the range
+ * @param {object} timezone - Result of resolveTimezone
+ * @param {number} limit - Stop after this many buckets (default: no limit)
+ * @returns {Array} [{start, end, offsetMinutes}] with UTC Dates, end exclusive
+ */
+const bucketRanges = (interval, from, to, timezone, limit = Infinity) => {
+  const { ms } = INTERVALS[interval];
+  const local = from.getTime() + offsetAt(timezone, from) * 60 * 1000;
+  let wall = Math.floor(local / ms) * ms;
+  let start = interval === 'day' ? fromLocalTime(wall, timezone) : from.getTime() - (local - wall);
+
+  const buckets = [];
+  while (start <= to.getTime() && buckets.length < limit) {
+    wall += ms;
+    const end = interval === 'day' ? fromLocalTime(wall, timezone) : start + ms;
+    buckets.push({ start: new Date(start), end: new Date(end), offsetMinutes: offsetAt(timezone, new Date(start)) });
+    start = end;
+  }
+  return buckets;
+};
+
+/**
+ * Format a bucket start as local ISO 8601 time with its offset
+ * @param {object} bucket - {start, offsetMinutes} (see bucketRanges)
+ * @returns {string} e.g. 2026-01-31T10:00:00+05:30
+ */
+const bucketToIso = ({ start, offsetMinutes }) => {
+  const local = toSqlTimestamp(new Date(start.getTime() + offsetMinutes * 60 * 1000));
+  return `${local.replace(' ', 'T')}${formatOffset(offsetMinutes)}`;
+};
+
+/**
+ * Validate timeseries query parameters
+ * @param {object} query - {interval, from, to, tz}
+ * @param {object} options
+ * @param {number} options.maxBuckets - Largest number of buckets allowed
+ * @param {Date} options.now - Current time (default: now)
+ * @returns {object} {isValid: true, interval, from, to, timezone, buckets} or {isValid: false, error, message};
+ *   buckets as returned by bucketRanges
+ */
+const parseTimeseriesQuery = (query, { maxBuckets, now = new Date() }) => {
+  const { interval = 'hour', from, to, tz } = query;
+
+  if (!Object.prototype.hasOwnProperty.call(INTERVALS, interval)) {
+    return {
+      isValid: false,
+      error: 'Invalid interval',
+      message: `interval must be one of ${Object.keys(INTERVALS).join(', ')}`
+    };
+  }
+
+  const parseDate = value => (typeof value === 'string' && value !== '' ? new Date(value) : null);
+  const end = to === undefined ? now : parseDate(to);
+  const start = from === undefined
+    ? new Date(end && end.getTime() - INTERVALS[interval].defaultBuckets * INTERVALS[interval].ms)
+    : parseDate(from);
+
+  if (!start || !end || isNaN(start.getTime()) || isNaN(end.getTime())) {
+    return { isValid: false, error: 'Invalid date range', message: 'from and to must be ISO 8601 dates' };
+  }
+
+  if (start > end) {
+    return { isValid: false, error: 'Invalid date range', message: 'from must not be after to' };
+  }
+
+  const timezone = resolveTimezone(tz, start);
+  if (!timezone) {
+    return {
+      isValid: false,
+      error: 'Invalid timezone',
+      message: 'tz must be an IANA time zone (e.g. Europe/Berlin) or a UTC offset (e.g. +05:30)'
+    };
+  }
+
+  const buckets = bucketRanges(interval, start, end, timezone, maxBuckets + 1);
+  if (buckets.length > maxBuckets) {
+    return {
+      isValid: false,
+      error: 'Too many buckets',
+      message: `The range spans more than ${maxBuckets} ${interval} buckets`
+    };
+  }
+
+  return { isValid: true, interval, from: start, to: end, timezone, buckets };
+};
+
+/**
+ * Build the API response for a timeseries
+ * @param {Array} counts - Storage result, clicks per bucket of the query
+ * @param {object} query - Parsed query (see parseTimeseriesQuery)
+ * @returns {object} {interval, timezone, utcOffset, from, to, totalClicks, buckets: [{start, clicks}]};
+ *   utcOffset is the offset at from
+ */
+const formatTimeseries = (counts, { interval, from, to, timezone, buckets }) => {
+  return {
+    interval,
+    timezone: timezone.name,
+    utcOffset: formatOffset(timezone.offsetMinutes),
+    from: from.toISOString(),
+    to: to.toISOString(),
+    totalClicks: counts.reduce((sum, clicks) => sum + clicks, 0),
+    buckets: buckets.map((bucket, index) => ({
+      start: bucketToIso(bucket),
+      clicks: counts[index]
+    }))
+  };
+};
+
+module.exports = {
+  INTERVALS,
+  toSqlTimestamp,
+  formatOffset,
+  resolveTimezone,
+  bucketRanges,
+  bucketToIso,
+  parseTimeseriesQuery,
+  formatTimeseries
+};
@@ -0,0 +1,74 @@
+/**
+ * UTM campaign parameters
+ * Creators may tag a link with {source, medium, campaign, term, content}. The values
+ * are stored with the link and appended to original_url as utm_* query parameters on
+ * every redirect, replacing any utm_* parameters of the same name already in the URL.
+ */
+
+const UTM_FIELDS = ['source', 'medium', 'campaign', 'term', 'content'];
+const MAX_UTM_LENGTH = 200;
+
+/**
+ * Validate the `utm` field of a create or update request
+ * @param {*} utm - Request value: undefined or null for no tags, otherwise an object of strings
+ * @returns {object} {isValid: boolean, utm?: object|null, error?: string}; utm has every field
+ *   (null when unset), or is null when no field is set
+ */
+const validateUtm = (utm) => {
+  if (utm === undefined || utm === null) {
+    return { isValid: true, utm: null };
+  }
+
+  if (typeof utm !== 'object' || Array.isArray(utm)) {
+    return { isValid: false, error: `utm must be an object with any of: ${UTM_FIELDS.join(', ')}` };
+  }
+
+  const unknown = Object.keys(utm).filter(key => !UTM_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    return { isValid: false, error: `Unknown utm field: ${unknown[0]} (allowed: ${UTM_FIELDS.join(', ')})` };
+  }
+
+  const result = {};
+  for (const field of UTM_FIELDS) {
+    const value = utm[field];
+    if (value === undefined || value === null || value === '') {
+      result[field] = null;
+      continue;
+    }
+    if (typeof value !== 'string' || !value.trim()) {
+      return { isValid: false, error: `utm.${field} must be a non-empty string` };
+    }
+    if (value.trim().length > MAX_UTM_LENGTH) {
+      return { isValid: false, error: `utm.${field} cannot exceed ${MAX_UTM_LENGTH} characters` };
+    }
+    result[field] = value.trim();
+  }
+
+  return { isValid: true, utm: UTM_FIELDS.some(field => result[field]) ? result : null };
+};
+
+/**
+ * Append UTM parameters to a destination URL
+ * @param {string} url - Original URL
+ * @param {object|null} utm - Link UTM tags
+ * @returns {string} URL with utm_* parameters set (unchanged when there are no tags)
+ */
+const appendUtm = (url, utm) => {
+  if (!utm) {
+    return url;
+  }
+
+  const target = new URL(url);
+  UTM_FIELDS.forEach((field) => {
+    if (utm[field]) {
+      target.searchParams.set(`utm_${field}`, utm[field]);
+    }
+  });
+  return target.toString();
+};
+
+module.exports = {
+  UTM_FIELDS,
+  validateUtm,
+  appendUtm
+};
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+
+/**
+ * Visitor counting
+ * Every click on GET /:shortcode is classified before it is stored:
+ *
+ *   isBot         Crawlers and link-preview fetchers (by user agent), requests without a
+ *                 user agent, HEAD requests and browser prefetches (Purpose / Sec-Purpose).
+ *                 Decided from the request as received, before the privacy policy blanks
+ *                 the user agent of opted-out visitors
+ *   fingerprint   Identifies a visitor: the privacy policy's visitor hash when there is one,
+ *                 otherwise a hash of the stored IP address and user agent
+ *   isUnique      Set by the storage adapter for human clicks whose fingerprint has no other
+ *                 human click on the same link in the preceding window (config `visitors`)
+ *
+ * Statistics report totalClicks (every hit), humanClicks (isBot false) and
+ * uniqueVisitors (isUnique true).
+ */
+
+/**
+ * Request headers browsers and previewers use to announce a speculative fetch
+ */
+const PURPOSE_HEADERS = ['Purpose', 'Sec-Purpose', 'X-Purpose', 'X-Moz'];
+const PURPOSE_PATTERN = /prefetch|prerender|preview/i;
+
+/**
+ * Whether a request was made by software rather than a person following the link
+ * @param {object} req - Express request object
+ * @param {object} click - Click data from formatClickData (uses userAgent and isBot)
+ * @returns {boolean} True for bots, previewers, prefetches, HEAD requests and missing user agents
+ */
+const isAutomatedRequest = (req, click) => {
+  if (click.isBot || !click.userAgent || req.method === 'HEAD') {
+    return true;
+  }
+
+  return PURPOSE_HEADERS.some(header => PURPOSE_PATTERN.test(req.get(header) || ''));
+};
+
+/**
+ * Fingerprint of the visitor behind a click, from the fields that are actually stored
+ * @param {object} click - Click after the privacy policy (ipAddress, userAgent, visitorHash, parsed fields)
+ * @returns {string|null} 32 hex characters, or null when neither an IP nor a visitor hash is kept
+ */
+const visitorFingerprint = (click) => {
+  if (click.visitorHash) {
+    return click.visitorHash;
+  }
+
+  if (!click.ipAddress) {
+    return null;
+  }
+
+  // Fall back to the parsed user agent when the raw header is not stored
+  const client = click.userAgent
+    || [click.browser, click.browserVersion, click.os, click.deviceType].map(part => part || '').join('/');
+
+  return crypto.createHash('sha256')
+    .update(`${click.ipAddress}|${client}`)
+    .digest('hex')
+    .slice(0, 32);
+};
+
+/**
+ * Tell bots from people
+ * @param {object} click - Click from formatClickData, before the privacy policy
+ * @param {object} req - Express request object
+ * @returns {object} Click with isBot updated
+ */
+const classifyClick = (click, req) => {
+  return { ...click, isBot: isAutomatedRequest(req, click) };
+};
+
+/**
+ * Summarise click counts for statistics responses
+ * @param {Array} clicks - Stored clicks (isBot, isUnique)
+ * @returns {object} {totalClicks, humanClicks, uniqueVisitors}
+ */
+const countVisitors = (clicks) => {
+  return {
+    totalClicks: clicks.length,
+    humanClicks: clicks.filter(click => !click.isBot).length,
+    uniqueVisitors: clicks.filter(click => click.isUnique).length
+  };
+};
+
+module.exports = {
+  isAutomatedRequest,
+  visitorFingerprint,
+  classifyClick,
+  countVisitors
+};
@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const { toSqlTimestamp } = require('./timeseries');
+
+/**
+ * Outbound webhooks
+ * Every event published on the event bus (utils/events.js) is queued in storage as one
+ * delivery per matching webhook of the link's owner, then POSTed to the webhook URL:
+ *
+ *   {"id": "evt_...", "type": "click", "createdAt": "<ISO 8601>", "data": {...}}
+ *
+ * with the headers X-Webhook-Id, X-Webhook-Event, X-Webhook-Delivery, X-Webhook-Timestamp
+ * (Unix seconds) and X-Webhook-Signature: `sha256=` followed by the hex HMAC-SHA256 of
+ * `<timestamp>.<body>` keyed with the webhook secret.
+ *
+ * A 2xx answer marks the delivery delivered. Anything else (redirects included), a network
+ * error or no answer within webhooks.timeoutSeconds schedules a retry after
+ * webhooks.retryBaseSeconds, doubling each time up to MAX_RETRY_DELAY_SECONDS. After
+ * webhooks.maxAttempts attempts the delivery is marked failed (dead-lettered) until it is
+ * replayed. Delivery is at least once: receivers should ignore event ids they have seen.
+ */
+
+const SECRET_PREFIX = 'whsec_';
+const MAX_RETRY_DELAY_SECONDS = 60 * 60;
+const BATCH_SIZE = 20;
+const USER_AGENT = 'URL-Shortener-Webhooks/1.0';
+
+/**
+ * Generate a new random signing secret
+ * @returns {string} Secret
+ */
+const generateWebhookSecret = () => {
+  return `${SECRET_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+};
+
+/**
+ * Sign a delivery body
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix seconds sent in X-Webhook-Timestamp
+ * @param {string} body - Exact request body
+ * @returns {string} X-Webhook-Signature value
+ */
+const signPayload = (secret, timestamp, body) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+};
+
+/**
+ * Check a received delivery, as a receiver would
+ * @param {object} options
+ * @param {string} options.secret - Webhook secret
+ * @param {string} options.signature - X-Webhook-Signature header
+ * @param {string} options.timestamp - X-Webhook-Timestamp header
+ * @param {string} options.body - Raw request body
+ * @param {number} options.toleranceSeconds - Oldest accepted timestamp, against replays (default: 300)
+ * @param {Date} options.now - Current time (default: now)
+ * @returns {boolean} True if the signature matches and the timestamp is recent
+ */
+const verifySignature = ({ secret, signature, timestamp, body, toleranceSeconds = 300, now = new Date() }) => {
+  if (typeof signature !== 'string' || !/^\d+$/.test(String(timestamp))) {
+    return false;
+  }
+  if (Math.abs(now.getTime() / 1000 - Number(timestamp)) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Delay before the next attempt
+ * @param {number} attempts - Attempts made so far (at least 1)
+ * @param {number} baseSeconds - Delay after the first attempt (config webhooks.retryBaseSeconds)
+ * @returns {number} Seconds
+ */
+const retryDelaySeconds = (attempts, baseSeconds) => {
+  return Math.min(baseSeconds * 2 ** (attempts - 1), MAX_RETRY_DELAY_SECONDS);
+};
+
+/**
+ * POST one delivery to its webhook
+ * @returns {Promise<object>} {ok, responseStatus, error}
+ */
+const sendDelivery = async (delivery, { fetch, timeoutSeconds, now }) => {
+  const timestamp = Math.floor(now.getTime() / 1000);
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': USER_AGENT,
+        'X-Webhook-Id': String(delivery.webhookId),
+        'X-Webhook-Event': delivery.eventType,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(delivery.secret, timestamp, delivery.payload)
+      },
+      body: delivery.payload,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutSeconds * 1000)
+    });
+    // The answer body is never read; release the connection
+    if (response.body) {
+      response.body.cancel().catch(() => {});
+    }
+
+    return {
+      ok: response.ok,
+      responseStatus: response.status,
+      error: response.ok ? null : `Receiver answered ${response.status}`
+    };
+  } catch (error) {
+    const message = error.name === 'TimeoutError'
+      ? `No answer within ${timeoutSeconds} second(s)`
+      : (error.cause && error.cause.message) || error.message;
+    return { ok: false, responseStatus: null, error: message };
+  }
+};
+
+/**
+ * Create the webhook dispatcher for a storage adapter
+ * @param {object} options
+ * @param {object} options.storage - Storage adapter
+ * @param {object} options.logger - Logger instance
+ * @param {object} options.config - Application configuration (uses `webhooks`)
+ * @param {function} options.fetch - fetch implementation (default: global fetch)
+ * @returns {object} {enqueue(ownerId, event), deliverDue(now), idle()}
+ */
+const createWebhookDispatcher = ({ storage, logger, config, fetch = globalThis.fetch }) => {
+  const { maxAttempts, retryBaseSeconds, timeoutSeconds } = config.webhooks;
+  const inFlight = new Set();
+  let running = null;
+  let rerun = false;
+
+  const track = (promise) => {
+    inFlight.add(promise);
+    promise.finally(() => inFlight.delete(promise));
+    return promise;
+  };
+
+  const attempt = async (delivery, now) => {
+    const result = await sendDelivery(delivery, { fetch, timeoutSeconds, now });
+    const attempts = delivery.attempts + 1;
+    const attemptedAt = toSqlTimestamp(now);
+    const failed = !result.ok && attempts >= maxAttempts;
+
+    await storage.updateDelivery(delivery.id, {
+      status: result.ok ? 'delivered' : failed ? 'failed' : 'pending',
+      attempts,
+      nextAttemptAt: result.ok || failed
+        ? null
+        : toSqlTimestamp(new Date(now.getTime() + retryDelaySeconds(attempts, retryBaseSeconds) * 1000)),
+      lastAttemptAt: attemptedAt,
+      responseStatus: result.responseStatus,
+      lastError: result.error,
+      deliveredAt: result.ok ? attemptedAt : null
+    });
+
+    if (result.ok) {
+      logger.debug(`Webhook delivery ${delivery.id} (${delivery.eventType}) delivered to webhook ${delivery.webhookId}`, 'webhooks');
+    } else if (failed) {
+      logger.warn(
+        `Webhook delivery ${delivery.id} to webhook ${delivery.webhookId} failed after ${attempts} attempt(s): ${result.error}`,
+        'webhooks'
+      );
+    } else {
+      logger.info(`Webhook delivery ${delivery.id} attempt ${attempts} failed, retrying: ${result.error}`, 'webhooks');
+    }
+  };
+
+  const run = async (now) => {
+    let delivered = 0;
+    do {
+      rerun = false;
+      let due;
+      do {
+        due = await storage.getDueDeliveries(now || new Date(), { limit: BATCH_SIZE });
+        await Promise.all(due.map(delivery => attempt(delivery, now || new Date())));
+        delivered += due.length;
+      } while (due.length === BATCH_SIZE);
+    } while (rerun);
+    return delivered;
+  };
+
+  const dispatcher = {
+    /**
+     * Queue an event for the owner's webhooks subscribed to its type, and start sending
+     * Never rejects; storage errors are logged.
+     * @param {string} ownerId - Owner of the link the event is about
+     * @param {object} event - Published event {type, data}
+     * @returns {Promise<number>} Number of deliveries queued
+     */
+    enqueue(ownerId, event) {
+      return track((async () => {
+        try {
+          const webhooks = (await storage.listWebhooks(ownerId)).filter(webhook => webhook.events.includes(event.type));
+          if (webhooks.length === 0) {
+            return 0;
+          }
+
+          const now = new Date();
+          const eventId = `evt_${crypto.randomUUID()}`;
+          const payload = JSON.stringify({ id: eventId, type: event.type, createdAt: now.toISOString(), data: event.data });
+          await storage.enqueueDeliveries(webhooks.map(webhook => ({
+            webhookId: webhook.id,
+            eventId,
+            eventType: event.type,
+            payload,
+            nextAttemptAt: toSqlTimestamp(now)
+          })));
+
+          dispatcher.deliverDue();
+          return webhooks.length;
+        } catch (error) {
+          logger.error(`Failed to queue ${event.type} webhook deliveries: ${error.message}`, 'webhooks', error.stack);
+          return 0;
+        }
+      })());
+    },
+
+    /**
+     * Attempt every delivery that is due
+     * Only one run is active at a time; a call during a run makes it check again when done.
+     * Never rejects; storage errors are logged.
+     * @param {Date} now - Time deliveries are due by and attempts are recorded at (default: now)
+     * @returns {Promise<number>} Attempts made by the run
+     */
+    deliverDue(now) {
+      if (running) {
+        rerun = true;
+        return running;
+      }
+
+      running = track(run(now)
+        .catch((error) => {
+          logger.error(`Webhook delivery run failed: ${error.message}`, 'webhooks', error.stack);
+          return 0;
+        })
+        .finally(() => {
+          running = null;
+        }));
+      return running;
+    },
+
+    /**
+     * Wait until no queueing or delivery is in progress
+     */
+    async idle() {
+      while (inFlight.size > 0) {
+        await Promise.all(inFlight);
+      }
+    }
+  };
+
+  return dispatcher;
+};
+
+module.exports = {
+  generateWebhookSecret,
+  signPayload,
+  verifySignature,
+  retryDelaySeconds,
+  createWebhookDispatcher
+};
@@ -19,6 +19,8 @@ import {
 
 import URLShortenerForm from './components/URLShortenerForm';
 import AnalyticsDashboard from './components/AnalyticsDashboard';
+import ApiKeyField from './components/ApiKeyField';
+import { getApiKey } from './utils/apiKey';
 import logger from './utils/logger';
 import './App.css';
 
@@ -28,6 +30,8 @@ import './App.css';
  */
 function App() {
   const [currentTab, setCurrentTab] = useState(0);
+  // Remounting the dashboard with a new key reloads it with that key
+  const [apiKey, setApiKey] = useState(getApiKey);
 
   // Create Material UI theme
   const theme = createTheme({
@@ -114,9 +118,7 @@ function App() {
             <Typography variant="h6" component="div" sx={{ flexGrow: 1 }}>
               URL Shortener Microservice
             </Typography>
-            <Typography variant="body2" sx={{ opacity: 0.8 }}>
-              Built with React & Material UI
-            </Typography>
+            <ApiKeyField onChange={setApiKey} />
           </Toolbar>
         </AppBar>
 
@@ -151,7 +153,7 @@ function App() {
           </TabPanel>
 
           <TabPanel value={currentTab} index={1}>
-            <AnalyticsDashboard />
+            <AnalyticsDashboard key={apiKey} />
           </TabPanel>
         </Container>
 
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   Box,
   Paper,
@@ -9,6 +9,8 @@ import {
   TableContainer,
   TableHead,
   TableRow,
+  TableSortLabel,
+  TablePagination,
   Card,
   CardContent,
   Grid,
@@ -18,13 +20,16 @@ import {
   DialogTitle,
   DialogContent,
   DialogActions,
-  List,
-  ListItem,
-  ListItemText,
   CircularProgress,
   Alert,
   IconButton,
-  Tooltip
+  Tooltip,
+  TextField,
+  MenuItem,
+  LinearProgress,
+  InputAdornment,
+  FormControlLabel,
+  Switch
 } from '@mui/material';
 import {
   Analytics as AnalyticsIcon,
@@ -32,38 +37,182 @@ import {
   Visibility as VisibilityIcon,
   Schedule as ScheduleIcon,
   Link as LinkIcon,
-  ContentCopy as CopyIcon
+  ContentCopy as CopyIcon,
+  Edit as EditIcon,
+  MoreTime as ExtendIcon,
+  Delete as DeleteIcon,
+  Download as DownloadIcon,
+  Search as SearchIcon,
+  Lock as LockIcon,
+  HourglassTop as ScheduledIcon
 } from '@mui/icons-material';
-import axios from 'axios';
+import CampaignTable from './CampaignTable';
+import ClickBreakdownChart from './ClickBreakdownChart';
+import ClickTimeseriesChart from './ClickTimeseriesChart';
+import ClickHistory from './ClickHistory';
+import api from '../utils/api';
+import config from '../config';
 import logger from '../utils/logger';
+import { formatDate, formatCountry } from '../utils/format';
+import { subscribeToEvents } from '../utils/events';
+
+// Chip shown for each live connection state
+const LIVE_STATUS = {
+  connecting: { label: 'Connecting...', color: 'default' },
+  open: { label: 'Live', color: 'success' },
+  reconnecting: { label: 'Reconnecting...', color: 'warning' },
+  failed: { label: 'Live updates unavailable', color: 'error' }
+};
+
+// Chip shown for each link status
+const LINK_STATUS = {
+  scheduled: { label: 'Scheduled', color: 'info', icon: <ScheduledIcon /> },
+  active: { label: 'Active', color: 'success', icon: <LinkIcon /> },
+  usedUp: { label: 'Used up', color: 'warning', icon: <LinkIcon /> },
+  expired: { label: 'Expired', color: 'warning', icon: <ScheduleIcon /> }
+};
+
+// Live events that change which links the table lists or their status
+const RELOAD_EVENTS = ['link-created', 'link-expired', 'link-deleted'];
+
+// Reloads for those events wait this long, so a batch of link events costs one list request
+const RELOAD_DELAY_MS = 300;
+
+// Page sizes offered by the table; must not exceed the backend MAX_PAGE_SIZE
+const ROWS_PER_PAGE_OPTIONS = [10, 25, 50, 100];
+
+const INITIAL_QUERY = {
+  page: 0,
+  rowsPerPage: 25,
+  sort: 'created',
+  order: 'desc',
+  search: '',
+  status: '',
+  minClicks: '',
+  createdFrom: '',
+  createdTo: ''
+};
+
+/**
+ * Convert the table state into GET /api/all-urls parameters
+ * Date filters are whole local days.
+ */
+const buildListParams = (query) => {
+  const params = {
+    limit: query.rowsPerPage,
+    offset: query.page * query.rowsPerPage,
+    sort: query.sort,
+    order: query.order
+  };
+
+  if (query.search.trim()) {
+    params.q = query.search.trim();
+  }
+  if (query.status) {
+    params.status = query.status;
+  }
+  if (/^\d+$/.test(query.minClicks)) {
+    params.minClicks = query.minClicks;
+  }
+  if (query.createdFrom) {
+    params.createdFrom = new Date(`${query.createdFrom}T00:00:00`).toISOString();
+  }
+  if (query.createdTo) {
+    params.createdTo = new Date(`${query.createdTo}T23:59:59.999`).toISOString();
+  }
+  return params;
+};
+
+/**
+ * Add one click to a set of counters
+ * @param {object} counts - Current counters
+ * @param {object} click - Click from a live click event
+ * @param {string[]} keys - Names of the total, human and unique counters in `counts`
+ */
+const countClick = (counts, click, [totalKey, humanKey, uniqueKey]) => ({
+  ...counts,
+  [totalKey]: counts[totalKey] + 1,
+  [humanKey]: counts[humanKey] + (click.isBot ? 0 : 1),
+  [uniqueKey]: counts[uniqueKey] + (click.isUnique ? 1 : 0)
+});
+
+/**
+ * Take one click off a click-limited link's remaining clicks
+ * Human visits use a click; bots, link previews and prefetches are redirected without one.
+ * @param {object} link - Link row or statistics
+ * @param {object} click - Click from the live event
+ * @param {string} key - Name of the remaining clicks field (null when the link has no limit)
+ */
+const spendRemainingClick = (link, click, key) => (
+  typeof link[key] === 'number' && !click.isBot ? { ...link, [key]: Math.max(link[key] - 1, 0) } : link
+);
+
+/**
+ * Chip props for a link's status
+ * A link that has not reached its activation time is scheduled; one whose click limit
+ * is spent is used up.
+ * @param {boolean} isExpired - Whether the link has expired
+ * @param {boolean} isScheduled - Whether the link is waiting for its activation time
+ * @param {number|null} remainingClicks - Clicks left (null when the link has no limit)
+ * @returns {object} Entry of LINK_STATUS
+ */
+const linkStatus = (isExpired, isScheduled, remainingClicks) => {
+  if (isExpired) {
+    return LINK_STATUS.expired;
+  }
+  if (isScheduled) {
+    return LINK_STATUS.scheduled;
+  }
+  return remainingClicks === 0 ? LINK_STATUS.usedUp : LINK_STATUS.active;
+};
 
 /**
  * Analytics Dashboard Component
- * Displays statistics for all created short URLs
+ * Displays statistics for all created short URLs; paging, sorting, filtering and
+ * search are done by the backend
  */
 const AnalyticsDashboard = () => {
   const [urls, setUrls] = useState([]);
+  const [total, setTotal] = useState(0);
+  // Totals over every live link, not just the current page
+  const [summary, setSummary] = useState(null);
+  const [query, setQuery] = useState(INITIAL_QUERY);
+  const [searchInput, setSearchInput] = useState('');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [detailsDialog, setDetailsDialog] = useState({ open: false, data: null });
   const [detailsLoading, setDetailsLoading] = useState(false);
+  const [editDialog, setEditDialog] = useState({ open: false, mode: 'edit', shortcode: null, url: '', validity: config.validity.defaultMinutes, error: '' });
+  const [deleteDialog, setDeleteDialog] = useState({ open: false, shortcode: null, error: '' });
+  const [saving, setSaving] = useState(false);
+  const [downloadError, setDownloadError] = useState('');
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [live, setLive] = useState(false);
+  const [liveStatus, setLiveStatus] = useState('connecting');
+  const [liveClicks, setLiveClicks] = useState([]);
+  const handleLiveEvent = useRef(() => {});
+  const reloadTimer = useRef(null);
 
   /**
-   * Fetch all URLs statistics on component mount
+   * Fetch the current page of shortened URLs from backend
    */
-  useEffect(() => {
-    fetchAllUrls();
-  }, []);
-
-  /**
-   * Fetch all shortened URLs from backend
-   */
-  const fetchAllUrls = async () => {
+  const fetchAllUrls = useCallback(async () => {
     try {
       setLoading(true);
-      const response = await axios.get('http://localhost:8000/api/all-urls');
-      setUrls(response.data);
-      logger.info(`Loaded ${response.data.length} URLs in analytics dashboard`, 'AnalyticsDashboard');
+      setError('');
+      const response = await api.get('/api/all-urls', { params: buildListParams(query) });
+      const { urls: page, pagination, summary: totals } = response.data;
+
+      // Step back when the last link on the final page was deleted
+      if (page.length === 0 && query.page > 0 && pagination.total > 0) {
+        setQuery(current => ({ ...current, page: Math.ceil(pagination.total / current.rowsPerPage) - 1 }));
+        return;
+      }
+
+      setUrls(page);
+      setTotal(pagination.total);
+      setSummary(totals);
+      logger.info(`Loaded ${page.length} of ${pagination.total} URLs in analytics dashboard`, 'AnalyticsDashboard');
     } catch (error) {
       const errorMessage = error.response?.data?.message || 'Failed to load URL statistics';
       setError(errorMessage);
@@ -71,15 +220,130 @@ const AnalyticsDashboard = () => {
     } finally {
       setLoading(false);
     }
+  }, [query]);
+
+  // Delayed reloads use the query current when they run
+  const fetchLatest = useRef(fetchAllUrls);
+  fetchLatest.current = fetchAllUrls;
+
+  /**
+   * Fetch whenever the page, sort or filters change
+   */
+  useEffect(() => {
+    fetchAllUrls();
+  }, [fetchAllUrls]);
+
+  /**
+   * Search after typing pauses
+   */
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setQuery(current => (current.search === searchInput ? current : { ...current, search: searchInput, page: 0 }));
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  /**
+   * Change a filter and return to the first page
+   */
+  const updateFilter = (field) => (event) => {
+    setQuery({ ...query, [field]: event.target.value, page: 0 });
+  };
+
+  /**
+   * Sort by a column; clicking the active column flips the order
+   */
+  const handleSort = (sort) => {
+    const order = query.sort === sort && query.order === 'desc' ? 'asc' : 'desc';
+    setQuery({ ...query, sort, order, page: 0 });
+  };
+
+  /**
+   * Apply a live event: clicks update the counters in place, created, expired and deleted
+   * links reload the page once RELOAD_DELAY_MS after the first of them
+   * Reassigned on every render so events are applied to the current table and dialog.
+   */
+  handleLiveEvent.current = (event) => {
+    if (RELOAD_EVENTS.includes(event.type)) {
+      if (reloadTimer.current === null) {
+        reloadTimer.current = setTimeout(() => {
+          reloadTimer.current = null;
+          fetchLatest.current();
+        }, RELOAD_DELAY_MS);
+      }
+      return;
+    }
+    if (event.type !== 'click') {
+      return;
+    }
+
+    const { shortcode, click } = event.data;
+    setUrls(current => current.map(url => (
+      url.shortcode === shortcode
+        ? spendRemainingClick(countClick(url, click, ['total_clicks', 'human_clicks', 'unique_visitors']), click, 'remaining_clicks')
+        : url
+    )));
+    setSummary(current => current && countClick(current, click, ['totalClicks', 'humanClicks', 'uniqueVisitors']));
+
+    if (detailsDialog.open && detailsDialog.data?.shortcode === shortcode) {
+      setDetailsDialog(current => ({
+        ...current,
+        data: spendRemainingClick(countClick(current.data, click, ['totalClicks', 'humanClicks', 'uniqueVisitors']), click, 'remainingClicks')
+      }));
+      setLiveClicks(current => [click, ...current]);
+    }
   };
 
+  /**
+   * Keep an event stream open while live mode is on
+   */
+  useEffect(() => {
+    if (!live) {
+      return undefined;
+    }
+
+    setLiveStatus('connecting');
+    const close = subscribeToEvents({
+      onEvent: event => handleLiveEvent.current(event),
+      onStatus: setLiveStatus
+    });
+    logger.info('Live mode enabled', 'AnalyticsDashboard');
+
+    const timer = reloadTimer;
+    return () => {
+      close();
+      clearTimeout(timer.current);
+      timer.current = null;
+    };
+  }, [live]);
+
+  /**
+   * Reload the table and remount the campaign table so it refetches too
+   */
+  const refreshAll = () => {
+    setRefreshKey(key => key + 1);
+    fetchAllUrls();
+  };
+
+  const renderSortLabel = (sort, label) => (
+    <TableSortLabel
+      active={query.sort === sort}
+      direction={query.sort === sort ? query.order : 'desc'}
+      onClick={() => handleSort(sort)}
+    >
+      {label}
+    </TableSortLabel>
+  );
+
   /**
    * Fetch detailed statistics for a specific shortcode
    */
   const fetchUrlDetails = async (shortcode) => {
     try {
       setDetailsLoading(true);
-      const response = await axios.get(`http://localhost:8000/shorturls/${shortcode}`);
+      setDownloadError('');
+      const response = await api.get(`/shorturls/${shortcode}`);
+      setLiveClicks([]);
       setDetailsDialog({ open: true, data: response.data });
       logger.info(`Loaded detailed statistics for shortcode: ${shortcode}`, 'AnalyticsDashboard');
     } catch (error) {
@@ -91,6 +355,91 @@ const AnalyticsDashboard = () => {
     }
   };
 
+  /**
+   * Open the edit dialog for a row ('edit' changes the destination, 'extend' only the validity)
+   */
+  const openEditDialog = (url, mode) => {
+    setEditDialog({
+      open: true,
+      mode,
+      shortcode: url.shortcode,
+      url: url.original_url,
+      validity: url.validity_minutes,
+      error: ''
+    });
+  };
+
+  const closeEditDialog = () => {
+    setEditDialog({ ...editDialog, open: false });
+  };
+
+  /**
+   * Save changes from the edit dialog via PATCH /shorturls/:shortcode
+   */
+  const saveEdit = async () => {
+    const { mode, shortcode, url, validity } = editDialog;
+    const changes = mode === 'extend' ? { validity } : { url: url.trim(), validity };
+
+    try {
+      setSaving(true);
+      await api.patch(`/shorturls/${shortcode}`, changes);
+      logger.info(`Updated short URL ${shortcode} (${mode})`, 'AnalyticsDashboard');
+      setEditDialog({ ...editDialog, open: false });
+      await fetchAllUrls();
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to update short URL';
+      setEditDialog({ ...editDialog, error: errorMessage });
+      logger.error(`Failed to update ${shortcode}: ${errorMessage}`, 'AnalyticsDashboard', error.stack);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Soft-delete a short URL via DELETE /shorturls/:shortcode
+   */
+  const confirmDelete = async () => {
+    const { shortcode } = deleteDialog;
+
+    try {
+      setSaving(true);
+      await api.delete(`/shorturls/${shortcode}`);
+      logger.info(`Deleted short URL ${shortcode}`, 'AnalyticsDashboard');
+      setDeleteDialog({ open: false, shortcode: null, error: '' });
+      await fetchAllUrls();
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to delete short URL';
+      setDeleteDialog({ ...deleteDialog, error: errorMessage });
+      logger.error(`Failed to delete ${shortcode}: ${errorMessage}`, 'AnalyticsDashboard', error.stack);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Download a click export as CSV
+   * Goes through the API client, since a plain link could not send the API key
+   */
+  const downloadClicks = async (path, fallbackName) => {
+    try {
+      setDownloadError('');
+      const response = await api.get(path, { params: { format: 'csv' }, responseType: 'blob' });
+      const disposition = response.headers['content-disposition'] || '';
+      const filename = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackName;
+
+      const href = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = href;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(href);
+      logger.info(`Downloaded click export ${filename}`, 'AnalyticsDashboard');
+    } catch (error) {
+      setDownloadError('Failed to download click export');
+      logger.error(`Failed to download ${path}: ${error.message}`, 'AnalyticsDashboard', error.stack);
+    }
+  };
+
   /**
    * Copy short link to clipboard
    */
@@ -104,27 +453,29 @@ const AnalyticsDashboard = () => {
   };
 
   /**
-   * Format date for display
+   * One-line summary of the server's click privacy policy
    */
-  const formatDate = (isoString) => {
-    return new Date(isoString).toLocaleString();
+  const formatPrivacy = (privacy) => {
+    const parts = [`IP addresses: ${privacy.ipAddresses}`, `user agents: ${privacy.userAgents}`];
+    if (privacy.honorsOptOut) {
+      parts.push('Do Not Track honoured');
+    }
+    if (privacy.retentionDays) {
+      parts.push(`details ${privacy.retentionMode === 'anonymize' ? 'anonymized' : 'deleted'} after ${privacy.retentionDays} days`);
+    }
+    return `Privacy: ${parts.join(', ')}`;
   };
 
   /**
-   * Calculate summary statistics
+   * Describe a link's UTM tags, e.g. "spring (newsletter / email)"
    */
-  const getSummaryStats = () => {
-    const totalUrls = urls.length;
-    const totalClicks = urls.reduce((sum, url) => sum + url.total_clicks, 0);
-    const activeUrls = urls.filter(url => !url.isExpired).length;
-    const expiredUrls = urls.filter(url => url.isExpired).length;
-    
-    return { totalUrls, totalClicks, activeUrls, expiredUrls };
+  const formatUtm = (utm) => {
+    const origin = [utm.source, utm.medium].filter(Boolean).join(' / ');
+    const name = utm.campaign || 'No campaign';
+    return origin ? `${name} (${origin})` : name;
   };
 
-  const summaryStats = getSummaryStats();
-
-  if (loading) {
+  if (loading && !summary) {
     return (
       <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: 400 }}>
         <CircularProgress />
@@ -132,7 +483,7 @@ const AnalyticsDashboard = () => {
     );
   }
 
-  if (error) {
+  if (error && !summary) {
     return (
       <Box sx={{ maxWidth: 800, mx: 'auto', p: 3 }}>
         <Alert severity="error" action={
@@ -156,11 +507,11 @@ const AnalyticsDashboard = () => {
 
         {/* Summary Statistics */}
         <Grid container spacing={3} sx={{ mb: 4 }}>
-          <Grid item xs={12} sm={6} md={3}>
+          <Grid item xs={12} sm={4} md={2}>
             <Card>
               <CardContent sx={{ textAlign: 'center' }}>
                 <Typography variant="h4" color="primary">
-                  {summaryStats.totalUrls}
+                  {summary.totalUrls}
                 </Typography>
                 <Typography variant="body2" color="text.secondary">
                   Total URLs
@@ -169,11 +520,11 @@ const AnalyticsDashboard = () => {
             </Card>
           </Grid>
           
-          <Grid item xs={12} sm={6} md={3}>
+          <Grid item xs={12} sm={4} md={2}>
             <Card>
               <CardContent sx={{ textAlign: 'center' }}>
                 <Typography variant="h4" color="success.main">
-                  {summaryStats.totalClicks}
+                  {summary.totalClicks}
                 </Typography>
                 <Typography variant="body2" color="text.secondary">
                   Total Clicks
@@ -181,25 +532,56 @@ const AnalyticsDashboard = () => {
               </CardContent>
             </Card>
           </Grid>
+
+          <Grid item xs={12} sm={4} md={2}>
+            <Card>
+              <CardContent sx={{ textAlign: 'center' }}>
+                <Typography variant="h4" color="success.main">
+                  {summary.humanClicks}
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                  Human Clicks
+                </Typography>
+              </CardContent>
+            </Card>
+          </Grid>
+
+          <Grid item xs={12} sm={4} md={2}>
+            <Card>
+              <CardContent sx={{ textAlign: 'center' }}>
+                <Typography variant="h4" color="success.main">
+                  {summary.uniqueVisitors}
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                  Unique Visitors
+                </Typography>
+              </CardContent>
+            </Card>
+          </Grid>
           
-          <Grid item xs={12} sm={6} md={3}>
+          <Grid item xs={12} sm={4} md={2}>
             <Card>
               <CardContent sx={{ textAlign: 'center' }}>
                 <Typography variant="h4" color="info.main">
-                  {summaryStats.activeUrls}
+                  {summary.activeUrls}
                 </Typography>
                 <Typography variant="body2" color="text.secondary">
                   Active URLs
                 </Typography>
+                {summary.scheduledUrls > 0 && (
+                  <Typography variant="caption" color="text.secondary">
+                    {summary.scheduledUrls} scheduled
+                  </Typography>
+                )}
               </CardContent>
             </Card>
           </Grid>
           
-          <Grid item xs={12} sm={6} md={3}>
+          <Grid item xs={12} sm={4} md={2}>
             <Card>
               <CardContent sx={{ textAlign: 'center' }}>
                 <Typography variant="h4" color="warning.main">
-                  {summaryStats.expiredUrls}
+                  {summary.expiredUrls}
                 </Typography>
                 <Typography variant="body2" color="text.secondary">
                   Expired URLs
@@ -209,8 +591,20 @@ const AnalyticsDashboard = () => {
           </Grid>
         </Grid>
 
+        {downloadError && !detailsDialog.open && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setDownloadError('')}>
+            {downloadError}
+          </Alert>
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
         {/* URLs Table */}
-        {urls.length === 0 ? (
+        {summary.totalUrls === 0 ? (
           <Card>
             <CardContent sx={{ textAlign: 'center', py: 6 }}>
               <LinkIcon sx={{ fontSize: 64, color: 'text.secondary', mb: 2 }} />
@@ -223,118 +617,271 @@ const AnalyticsDashboard = () => {
             </CardContent>
           </Card>
         ) : (
-          <TableContainer component={Paper} variant="outlined">
-            <Table>
-              <TableHead>
-                <TableRow>
-                  <TableCell>Shortcode</TableCell>
-                  <TableCell>Original URL</TableCell>
-                  <TableCell align="center">Status</TableCell>
-                  <TableCell align="center">Clicks</TableCell>
-                  <TableCell>Created</TableCell>
-                  <TableCell>Expires</TableCell>
-                  <TableCell align="center">Actions</TableCell>
-                </TableRow>
-              </TableHead>
-              <TableBody>
-                {urls.map((url) => (
-                  <TableRow key={url.shortcode} hover>
-                    <TableCell>
-                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                        <Typography variant="body2" fontFamily="monospace">
-                          {url.shortcode}
+          <>
+            {/* Search and filters */}
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, mb: 2 }}>
+              <TextField
+                size="small"
+                label="Search"
+                placeholder="Shortcode or URL"
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
+                InputProps={{
+                  startAdornment: (
+                    <InputAdornment position="start">
+                      <SearchIcon fontSize="small" />
+                    </InputAdornment>
+                  )
+                }}
+                sx={{ flexGrow: 1, minWidth: 220 }}
+              />
+              <TextField
+                select
+                size="small"
+                label="Status"
+                value={query.status}
+                onChange={updateFilter('status')}
+                sx={{ minWidth: 130 }}
+              >
+                <MenuItem value="">All</MenuItem>
+                <MenuItem value="scheduled">Scheduled</MenuItem>
+                <MenuItem value="active">Active</MenuItem>
+                <MenuItem value="expired">Expired</MenuItem>
+              </TextField>
+              <TextField
+                size="small"
+                type="number"
+                label="Min clicks"
+                value={query.minClicks}
+                onChange={updateFilter('minClicks')}
+                inputProps={{ min: 0 }}
+                sx={{ width: 120 }}
+              />
+              <TextField
+                size="small"
+                type="date"
+                label="Created from"
+                value={query.createdFrom}
+                onChange={updateFilter('createdFrom')}
+                InputLabelProps={{ shrink: true }}
+              />
+              <TextField
+                size="small"
+                type="date"
+                label="Created to"
+                value={query.createdTo}
+                onChange={updateFilter('createdTo')}
+                InputLabelProps={{ shrink: true }}
+              />
+            </Box>
+
+            {loading && <LinearProgress />}
+            <TableContainer component={Paper} variant="outlined">
+              <Table aria-label="Short URLs">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Shortcode</TableCell>
+                    <TableCell>Original URL</TableCell>
+                    <TableCell align="center">Status</TableCell>
+                    <TableCell align="center">{renderSortLabel('clicks', 'Clicks')}</TableCell>
+                    <TableCell>{renderSortLabel('created', 'Created')}</TableCell>
+                    <TableCell>{renderSortLabel('expiry', 'Expires')}</TableCell>
+                    <TableCell align="center">Actions</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {urls.length === 0 && (
+                    <TableRow>
+                      <TableCell colSpan={7} align="center">
+                        <Typography variant="body2" color="text.secondary" sx={{ fontStyle: 'italic', py: 2 }}>
+                          No links match these filters
                         </Typography>
-                        <Tooltip title="Copy short link">
-                          <IconButton 
-                            size="small" 
-                            onClick={() => copyToClipboard(url.shortLink)}
-                          >
-                            <CopyIcon fontSize="small" />
-                          </IconButton>
-                        </Tooltip>
-                      </Box>
-                    </TableCell>
+                      </TableCell>
+                    </TableRow>
+                  )}
+                  {urls.map((url) => (
+                    <TableRow key={url.shortcode} hover>
+                      <TableCell>
+                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                          <Typography variant="body2" fontFamily="monospace">
+                            {url.shortcode}
+                          </Typography>
+                          {url.password_protected && (
+                            <Tooltip title="Password protected">
+                              <LockIcon fontSize="small" color="action" aria-label="Password protected" />
+                            </Tooltip>
+                          )}
+                          <Tooltip title="Copy short link">
+                            <IconButton 
+                              size="small" 
+                              onClick={() => copyToClipboard(url.shortLink)}
+                            >
+                              <CopyIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        </Box>
+                      </TableCell>
                     
-                    <TableCell>
-                      <Typography 
-                        variant="body2" 
-                        sx={{ 
-                          maxWidth: 200, 
-                          overflow: 'hidden', 
-                          textOverflow: 'ellipsis',
-                          whiteSpace: 'nowrap'
-                        }}
-                        title={url.original_url}
-                      >
-                        {url.original_url}
-                      </Typography>
-                    </TableCell>
+                      <TableCell>
+                        <Typography 
+                          variant="body2" 
+                          sx={{ 
+                            maxWidth: 200, 
+                            overflow: 'hidden', 
+                            textOverflow: 'ellipsis',
+                            whiteSpace: 'nowrap'
+                          }}
+                          title={url.original_url}
+                        >
+                          {url.original_url}
+                        </Typography>
+                      </TableCell>
                     
-                    <TableCell align="center">
-                      <Chip 
-                        label={url.isExpired ? 'Expired' : 'Active'}
-                        color={url.isExpired ? 'warning' : 'success'}
-                        size="small"
-                        icon={url.isExpired ? <ScheduleIcon /> : <LinkIcon />}
-                      />
-                    </TableCell>
+                      <TableCell align="center">
+                        <Chip 
+                          {...linkStatus(url.isExpired, url.isScheduled, url.remaining_clicks)}
+                          size="small"
+                        />
+                      </TableCell>
                     
-                    <TableCell align="center">
-                      <Typography variant="body1" fontWeight="bold">
-                        {url.total_clicks}
-                      </Typography>
-                    </TableCell>
+                      <TableCell align="center">
+                        <Typography variant="body1" fontWeight="bold">
+                          {url.total_clicks}
+                        </Typography>
+                        <Typography variant="caption" color="text.secondary" noWrap>
+                          {url.human_clicks} human · {url.unique_visitors} unique
+                        </Typography>
+                        {typeof url.max_clicks === 'number' && (
+                          <Typography
+                            variant="caption"
+                            display="block"
+                            color={url.remaining_clicks === 0 ? 'error' : 'text.secondary'}
+                            noWrap
+                          >
+                            {url.remaining_clicks} of {url.max_clicks} left
+                          </Typography>
+                        )}
+                      </TableCell>
                     
-                    <TableCell>
-                      <Typography variant="body2">
-                        {formatDate(url.created_at)}
-                      </Typography>
-                    </TableCell>
+                      <TableCell>
+                        <Typography variant="body2">
+                          {formatDate(url.created_at)}
+                        </Typography>
+                      </TableCell>
                     
-                    <TableCell>
-                      <Typography variant="body2" color={url.isExpired ? 'error' : 'text.primary'}>
-                        {formatDate(url.expires_at)}
-                      </Typography>
-                    </TableCell>
+                      <TableCell>
+                        <Typography variant="body2" color={url.isExpired ? 'error' : 'text.primary'}>
+                          {formatDate(url.expires_at)}
+                        </Typography>
+                        {url.isScheduled && (
+                          <Typography variant="caption" color="text.secondary" noWrap>
+                            Starts {formatDate(url.activates_at)}
+                          </Typography>
+                        )}
+                      </TableCell>
                     
-                    <TableCell align="center">
-                      <Box sx={{ display: 'flex', gap: 1 }}>
-                        <Tooltip title="View details">
-                          <IconButton 
-                            size="small" 
-                            onClick={() => fetchUrlDetails(url.shortcode)}
-                            disabled={detailsLoading}
-                          >
-                            <VisibilityIcon fontSize="small" />
-                          </IconButton>
-                        </Tooltip>
+                      <TableCell align="center">
+                        <Box sx={{ display: 'flex', gap: 1 }}>
+                          <Tooltip title="View details">
+                            <IconButton 
+                              size="small" 
+                              onClick={() => fetchUrlDetails(url.shortcode)}
+                              disabled={detailsLoading}
+                            >
+                              <VisibilityIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
                         
-                        {!url.isExpired && (
-                          <Tooltip title="Open short link">
+                          {!url.isExpired && !url.isScheduled && (
+                            <Tooltip title="Open short link">
+                              <IconButton 
+                                size="small" 
+                                component="a"
+                                href={url.shortLink}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                              >
+                                <LaunchIcon fontSize="small" />
+                              </IconButton>
+                            </Tooltip>
+                          )}
+
+                          <Tooltip title="Download CSV">
                             <IconButton 
                               size="small" 
-                              component="a"
-                              href={url.shortLink}
-                              target="_blank"
-                              rel="noopener noreferrer"
+                              onClick={() => downloadClicks(`/shorturls/${url.shortcode}/clicks/export`, `${url.shortcode}-clicks.csv`)}
                             >
-                              <LaunchIcon fontSize="small" />
+                              <DownloadIcon fontSize="small" />
                             </IconButton>
                           </Tooltip>
-                        )}
-                      </Box>
-                    </TableCell>
-                  </TableRow>
-                ))}
-              </TableBody>
-            </Table>
-          </TableContainer>
+
+                          <Tooltip title="Edit destination">
+                            <IconButton 
+                              size="small" 
+                              onClick={() => openEditDialog(url, 'edit')}
+                            >
+                              <EditIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+
+                          <Tooltip title="Extend validity">
+                            <IconButton 
+                              size="small" 
+                              onClick={() => openEditDialog(url, 'extend')}
+                            >
+                              <ExtendIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+
+                          <Tooltip title="Delete short link">
+                            <IconButton 
+                              size="small" 
+                              color="error"
+                              onClick={() => setDeleteDialog({ open: true, shortcode: url.shortcode, error: '' })}
+                            >
+                              <DeleteIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        </Box>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+            <TablePagination
+              component="div"
+              count={total}
+              page={query.page}
+              rowsPerPage={query.rowsPerPage}
+              rowsPerPageOptions={ROWS_PER_PAGE_OPTIONS}
+              onPageChange={(event, page) => setQuery({ ...query, page })}
+              onRowsPerPageChange={(e) => setQuery({ ...query, rowsPerPage: parseInt(e.target.value, 10), page: 0 })}
+            />
+          </>
         )}
 
-        <Box sx={{ mt: 3, textAlign: 'center' }}>
-          <Button variant="outlined" onClick={fetchAllUrls}>
+        {/* Campaigns */}
+        <CampaignTable key={refreshKey} />
+
+        <Box sx={{ mt: 3, display: 'flex', justifyContent: 'center', gap: 2 }}>
+          <Button variant="outlined" onClick={refreshAll}>
             Refresh Data
           </Button>
+          <FormControlLabel
+            control={<Switch checked={live} onChange={(e) => setLive(e.target.checked)} />}
+            label="Live updates"
+          />
+          {live && (
+            <Chip size="small" label={LIVE_STATUS[liveStatus].label} color={LIVE_STATUS[liveStatus].color} sx={{ alignSelf: 'center' }} />
+          )}
+          <Button
+            variant="outlined"
+            startIcon={<DownloadIcon />}
+            onClick={() => downloadClicks('/api/export', 'clicks.csv')}
+          >
+            Download All Clicks (CSV)
+          </Button>
         </Box>
       </Paper>
 
@@ -350,6 +897,12 @@ const AnalyticsDashboard = () => {
         </DialogTitle>
         
         <DialogContent>
+          {downloadError && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {downloadError}
+            </Alert>
+          )}
+
           {detailsDialog.data && (
             <Box>
               {/* Basic Info */}
@@ -380,8 +933,19 @@ const AnalyticsDashboard = () => {
                     {formatDate(detailsDialog.data.expiresAt)}
                   </Typography>
                 </Grid>
+
+                {detailsDialog.data.activatesAt && (
+                  <Grid item xs={12}>
+                    <Typography variant="subtitle2" color="text.secondary">
+                      Activates
+                    </Typography>
+                    <Typography variant="body2">
+                      {formatDate(detailsDialog.data.activatesAt)}
+                    </Typography>
+                  </Grid>
+                )}
                 
-                <Grid item xs={6}>
+                <Grid item xs={4}>
                   <Typography variant="subtitle2" color="text.secondary">
                     Total Clicks
                   </Typography>
@@ -389,62 +953,201 @@ const AnalyticsDashboard = () => {
                     {detailsDialog.data.totalClicks}
                   </Typography>
                 </Grid>
+
+                <Grid item xs={4}>
+                  <Typography variant="subtitle2" color="text.secondary">
+                    Human Clicks
+                  </Typography>
+                  <Typography variant="h6" color="primary">
+                    {detailsDialog.data.humanClicks}
+                  </Typography>
+                </Grid>
+
+                <Grid item xs={4}>
+                  <Typography variant="subtitle2" color="text.secondary">
+                    Unique Visitors
+                  </Typography>
+                  <Typography variant="h6" color="primary">
+                    {detailsDialog.data.uniqueVisitors}
+                  </Typography>
+                </Grid>
                 
-                <Grid item xs={6}>
+                {typeof detailsDialog.data.maxClicks === 'number' && (
+                  <Grid item xs={12}>
+                    <Typography variant="subtitle2" color="text.secondary">
+                      Click limit
+                    </Typography>
+                    <Typography variant="body2">
+                      {detailsDialog.data.remainingClicks} of {detailsDialog.data.maxClicks} clicks left
+                    </Typography>
+                  </Grid>
+                )}
+
+                {detailsDialog.data.utm && (
+                  <Grid item xs={12}>
+                    <Typography variant="subtitle2" color="text.secondary">
+                      Campaign
+                    </Typography>
+                    <Typography variant="body2">
+                      {formatUtm(detailsDialog.data.utm)}
+                    </Typography>
+                  </Grid>
+                )}
+
+                <Grid item xs={12}>
                   <Typography variant="subtitle2" color="text.secondary">
                     Status
                   </Typography>
                   <Chip 
-                    label={detailsDialog.data.isExpired ? 'Expired' : 'Active'}
-                    color={detailsDialog.data.isExpired ? 'warning' : 'success'}
+                    {...linkStatus(detailsDialog.data.isExpired, detailsDialog.data.isScheduled, detailsDialog.data.remainingClicks)}
                     size="small"
                   />
                 </Grid>
               </Grid>
 
+              {/* Clicks Over Time */}
+              <ClickTimeseriesChart shortcode={detailsDialog.data.shortcode} />
+
+              {/* Audience */}
+              <Typography variant="h6" gutterBottom>
+                Audience
+              </Typography>
+              <Grid container spacing={3} sx={{ mb: 3 }}>
+                <Grid item xs={12} sm={6}>
+                  <ClickBreakdownChart title="Browsers" items={detailsDialog.data.breakdowns.browser} />
+                </Grid>
+                <Grid item xs={12} sm={6}>
+                  <ClickBreakdownChart title="Operating Systems" items={detailsDialog.data.breakdowns.os} />
+                </Grid>
+                <Grid item xs={12} sm={6}>
+                  <ClickBreakdownChart title="Devices" items={detailsDialog.data.breakdowns.deviceType} />
+                </Grid>
+                <Grid item xs={12} sm={6}>
+                  <ClickBreakdownChart title="Humans vs. Bots" items={detailsDialog.data.breakdowns.traffic} />
+                </Grid>
+                <Grid item xs={12} sm={6}>
+                  <ClickBreakdownChart
+                    title="Countries"
+                    items={detailsDialog.data.breakdowns.country.map(item => ({ ...item, name: formatCountry(item.name) }))}
+                  />
+                </Grid>
+              </Grid>
+
+              {/* Referrers */}
+              <Typography variant="h6" gutterBottom>
+                Referrers
+              </Typography>
+              <Grid container spacing={3} sx={{ mb: 3 }}>
+                <Grid item xs={12} sm={6}>
+                  <ClickBreakdownChart title="Sources" items={detailsDialog.data.breakdowns.referrerSource} />
+                </Grid>
+                <Grid item xs={12} sm={6}>
+                  <ClickBreakdownChart title="Domains" items={detailsDialog.data.breakdowns.referrerDomain} />
+                </Grid>
+              </Grid>
+
               {/* Click Details */}
               <Typography variant="h6" gutterBottom>
                 Click History
               </Typography>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                {formatPrivacy(detailsDialog.data.privacy)}
+              </Typography>
               
-              {detailsDialog.data.clickDetails.length === 0 ? (
-                <Typography variant="body2" color="text.secondary" sx={{ fontStyle: 'italic' }}>
-                  No clicks recorded yet
-                </Typography>
-              ) : (
-                <List sx={{ maxHeight: 300, overflow: 'auto' }}>
-                  {detailsDialog.data.clickDetails.map((click, index) => (
-                    <ListItem key={index} divider>
-                      <ListItemText
-                        primary={`Click ${index + 1}`}
-                        secondary={
-                          <Box>
-                            <Typography variant="body2">
-                              Time: {formatDate(click.timestamp)}
-                            </Typography>
-                            <Typography variant="body2">
-                              Referrer: {click.referrer}
-                            </Typography>
-                            <Typography variant="body2" sx={{ wordBreak: 'break-all' }}>
-                              IP: {click.ipAddress}
-                            </Typography>
-                          </Box>
-                        }
-                      />
-                    </ListItem>
-                  ))}
-                </List>
-              )}
+              <ClickHistory shortcode={detailsDialog.data.shortcode} liveClicks={liveClicks} />
             </Box>
           )}
         </DialogContent>
         
         <DialogActions>
+          {detailsDialog.data && (
+            <Button
+              startIcon={<DownloadIcon />}
+              onClick={() => downloadClicks(`/shorturls/${detailsDialog.data.shortcode}/clicks/export`, `${detailsDialog.data.shortcode}-clicks.csv`)}
+            >
+              Download CSV
+            </Button>
+          )}
           <Button onClick={() => setDetailsDialog({ open: false, data: null })}>
             Close
           </Button>
         </DialogActions>
       </Dialog>
+
+      {/* Edit / Extend Dialog */}
+      <Dialog open={editDialog.open} onClose={closeEditDialog} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          {editDialog.mode === 'extend' ? 'Extend validity' : 'Edit short URL'}: {editDialog.shortcode}
+        </DialogTitle>
+
+        <DialogContent>
+          {editDialog.error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {editDialog.error}
+            </Alert>
+          )}
+
+          {editDialog.mode === 'edit' && (
+            <TextField
+              fullWidth
+              label="Destination URL"
+              value={editDialog.url}
+              onChange={(e) => setEditDialog({ ...editDialog, url: e.target.value })}
+              sx={{ mt: 1, mb: 2 }}
+            />
+          )}
+
+          <TextField
+            fullWidth
+            label="Validity (minutes from now)"
+            type="number"
+            value={editDialog.validity}
+            onChange={(e) => setEditDialog({ ...editDialog, validity: parseInt(e.target.value) || '' })}
+            inputProps={{ min: 1, max: config.validity.maxMinutes }}
+            helperText="The new expiry is calculated from the moment you save"
+            sx={{ mt: 1 }}
+          />
+        </DialogContent>
+
+        <DialogActions>
+          <Button onClick={closeEditDialog} disabled={saving}>
+            Cancel
+          </Button>
+          <Button variant="contained" onClick={saveEdit} disabled={saving}>
+            {saving ? <CircularProgress size={20} /> : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Delete Confirmation Dialog */}
+      <Dialog 
+        open={deleteDialog.open} 
+        onClose={() => setDeleteDialog({ ...deleteDialog, open: false })}
+      >
+        <DialogTitle>
+          Delete short URL: {deleteDialog.shortcode}
+        </DialogTitle>
+
+        <DialogContent>
+          {deleteDialog.error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {deleteDialog.error}
+            </Alert>
+          )}
+          <Typography variant="body2">
+            The short link will stop redirecting immediately. Its click history is kept.
+          </Typography>
+        </DialogContent>
+
+        <DialogActions>
+          <Button onClick={() => setDeleteDialog({ ...deleteDialog, open: false })} disabled={saving}>
+            Cancel
+          </Button>
+          <Button variant="contained" color="error" onClick={confirmDelete} disabled={saving}>
+            {saving ? <CircularProgress size={20} /> : 'Delete'}
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 };
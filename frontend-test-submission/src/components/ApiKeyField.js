@@ -0,0 +1,44 @@
+import React, { useState } from 'react';
+import { TextField } from '@mui/material';
+import { getApiKey, setApiKey } from '../utils/apiKey';
+import logger from '../utils/logger';
+
+/**
+ * API key input for the app bar
+ * The key is stored in the browser when the field loses focus or Enter is pressed.
+ * @param {function} onChange - Called with the stored key after it changes
+ */
+const ApiKeyField = ({ onChange = () => {} }) => {
+  const [value, setValue] = useState(getApiKey);
+
+  const save = () => {
+    const apiKey = value.trim();
+    if (apiKey === getApiKey()) {
+      return;
+    }
+    setApiKey(apiKey);
+    logger.info(apiKey ? 'API key saved' : 'API key removed', 'ApiKeyField');
+    onChange(apiKey);
+  };
+
+  return (
+    <TextField
+      size="small"
+      type="password"
+      label="API key"
+      placeholder="usk_..."
+      autoComplete="off"
+      value={value}
+      onChange={(e) => setValue(e.target.value)}
+      onBlur={save}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') {
+          save();
+        }
+      }}
+      sx={{ bgcolor: 'background.paper', borderRadius: 1, minWidth: 220 }}
+    />
+  );
+};
+
+export default ApiKeyField;
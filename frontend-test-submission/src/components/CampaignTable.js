@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import api from '../utils/api';
+import logger from '../utils/logger';
+
+/**
+ * Campaign Table Component
+ * Clicks per UTM campaign, source and medium across the caller's tagged links
+ */
+const CampaignTable = () => {
+  const [campaigns, setCampaigns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  /**
+   * Fetch the campaign breakdown on mount
+   */
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchCampaigns = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const response = await api.get('/api/campaigns');
+        if (!cancelled) {
+          setCampaigns(response.data);
+          logger.info(`Loaded ${response.data.length} campaigns`, 'CampaignTable');
+        }
+      } catch (error) {
+        const errorMessage = error.response?.data?.message || 'Failed to load campaign statistics';
+        if (!cancelled) {
+          setError(errorMessage);
+        }
+        logger.error(`Failed to load campaigns: ${errorMessage}`, 'CampaignTable', error.stack);
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    fetchCampaigns();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const renderTable = () => {
+    if (campaigns.length === 0) {
+      return (
+        <Typography variant="body2" color="text.secondary" sx={{ fontStyle: 'italic' }}>
+          No links with UTM tags yet
+        </Typography>
+      );
+    }
+
+    return (
+      <TableContainer component={Paper} variant="outlined">
+        <Table size="small" aria-label="Campaigns">
+          <TableHead>
+            <TableRow>
+              <TableCell>Campaign</TableCell>
+              <TableCell>Source</TableCell>
+              <TableCell>Medium</TableCell>
+              <TableCell align="right">Links</TableCell>
+              <TableCell align="right">Clicks</TableCell>
+              <TableCell align="right">Human</TableCell>
+              <TableCell align="right">Unique</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {campaigns.map(campaign => (
+              <TableRow key={`${campaign.campaign}|${campaign.source}|${campaign.medium}`}>
+                <TableCell>{campaign.campaign || '—'}</TableCell>
+                <TableCell>{campaign.source || '—'}</TableCell>
+                <TableCell>{campaign.medium || '—'}</TableCell>
+                <TableCell align="right">{campaign.links}</TableCell>
+                <TableCell align="right">{campaign.totalClicks}</TableCell>
+                <TableCell align="right">{campaign.humanClicks}</TableCell>
+                <TableCell align="right">{campaign.uniqueVisitors}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    );
+  };
+
+  return (
+    <Box sx={{ mt: 4 }}>
+      <Typography variant="h6" gutterBottom>
+        Campaigns
+      </Typography>
+
+      {error && (
+        <Alert severity="error">{error}</Alert>
+      )}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 2 }}>
+          <CircularProgress size={24} />
+        </Box>
+      ) : !error && renderTable()}
+    </Box>
+  );
+};
+
+export default CampaignTable;
@@ -0,0 +1,48 @@
+import React from 'react';
+import { Box, Typography, LinearProgress } from '@mui/material';
+
+/**
+ * Click Breakdown Chart Component
+ * Horizontal bar chart of clicks per value (browser, OS, device type, ...)
+ * @param {string} title - Chart heading
+ * @param {Array} items - [{name, clicks}], most clicks first
+ */
+const ClickBreakdownChart = ({ title, items }) => {
+  const total = items.reduce((sum, item) => sum + item.clicks, 0);
+
+  return (
+    <Box>
+      <Typography variant="subtitle2" color="text.secondary" gutterBottom>
+        {title}
+      </Typography>
+
+      {items.length === 0 ? (
+        <Typography variant="body2" color="text.secondary" sx={{ fontStyle: 'italic' }}>
+          No data
+        </Typography>
+      ) : (
+        items.map(item => {
+          const percent = Math.round((item.clicks / total) * 100);
+          return (
+            <Box key={item.name} sx={{ mb: 1 }}>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                <Typography variant="body2">{item.name}</Typography>
+                <Typography variant="body2" color="text.secondary">
+                  {item.clicks} ({percent}%)
+                </Typography>
+              </Box>
+              <LinearProgress
+                variant="determinate"
+                value={percent}
+                aria-label={`${title}: ${item.name}`}
+                sx={{ height: 6, borderRadius: 3 }}
+              />
+            </Box>
+          );
+        })
+      )}
+    </Box>
+  );
+};
+
+export default ClickBreakdownChart;
@@ -0,0 +1,205 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Box,
+  Typography,
+  ToggleButton,
+  ToggleButtonGroup,
+  List,
+  ListItem,
+  ListItemText,
+  Button,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import api from '../utils/api';
+import logger from '../utils/logger';
+import { formatDate, formatCountry } from '../utils/format';
+
+const PAGE_SIZE = 25;
+
+/**
+ * Query parameters for one page; the traffic filter is resent with every cursor
+ */
+const pageParams = (traffic, cursor) => ({
+  limit: PAGE_SIZE,
+  ...(traffic !== 'all' && { traffic }),
+  ...(cursor && { cursor })
+});
+
+/**
+ * Describe the parsed user agent of a click, e.g. "Chrome 120 on Windows (desktop)"
+ */
+const formatClient = (click) => {
+  if (!click.browser && !click.os) {
+    return 'Unknown';
+  }
+  const browser = [click.browser || 'Unknown browser', click.browserVersion].filter(Boolean).join(' ');
+  const device = click.isBot ? 'bot' : click.deviceType;
+  return `${browser}${click.os ? ` on ${click.os}` : ''}${device ? ` (${device})` : ''}`;
+};
+
+/**
+ * Whether a click passes the traffic filter
+ */
+const matchesTraffic = (click, traffic) => traffic === 'all' || click.isBot === (traffic === 'bot');
+
+/**
+ * Click History Component
+ * Individual clicks of one short URL, newest first, loaded a page at a time.
+ * liveClicks (newest first) are clicks received from the live event stream; they are
+ * shown above the loaded pages until a reload of the first page includes them.
+ */
+const ClickHistory = ({ shortcode, liveClicks = [] }) => {
+  const [traffic, setTraffic] = useState('all');
+  const [clicks, setClicks] = useState([]);
+  const liveCount = useRef(liveClicks.length);
+  const [loadedLiveCount, setLoadedLiveCount] = useState(liveClicks.length);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState('');
+  liveCount.current = liveClicks.length;
+
+  /**
+   * Load the first page whenever the link or traffic filter changes
+   */
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchClicks = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const included = liveCount.current;
+        const response = await api.get(`/shorturls/${shortcode}/clicks`, { params: pageParams(traffic) });
+        if (!cancelled) {
+          setClicks(response.data.clicks);
+          setLoadedLiveCount(included);
+          setNextCursor(response.data.pagination.nextCursor);
+          logger.info(`Loaded click history for shortcode: ${shortcode}`, 'ClickHistory');
+        }
+      } catch (error) {
+        const errorMessage = error.response?.data?.message || 'Failed to load click history';
+        if (!cancelled) {
+          setError(errorMessage);
+        }
+        logger.error(`Failed to load click history: ${errorMessage}`, 'ClickHistory', error.stack);
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    fetchClicks();
+    return () => {
+      cancelled = true;
+    };
+  }, [shortcode, traffic]);
+
+  /**
+   * Append the next page of clicks
+   */
+  const loadMore = async () => {
+    try {
+      setLoadingMore(true);
+      setError('');
+      const response = await api.get(`/shorturls/${shortcode}/clicks`, { params: pageParams(traffic, nextCursor) });
+      setClicks(previous => [...previous, ...response.data.clicks]);
+      setNextCursor(response.data.pagination.nextCursor);
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to load more clicks';
+      setError(errorMessage);
+      logger.error(`Failed to load more clicks: ${errorMessage}`, 'ClickHistory', error.stack);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const shownClicks = [
+    ...liveClicks.slice(0, liveClicks.length - loadedLiveCount).filter(click => matchesTraffic(click, traffic)),
+    ...clicks
+  ];
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 1 }}>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={traffic}
+          onChange={(event, value) => value && setTraffic(value)}
+        >
+          <ToggleButton value="all">All</ToggleButton>
+          <ToggleButton value="human">Humans</ToggleButton>
+          <ToggleButton value="bot">Bots</ToggleButton>
+        </ToggleButtonGroup>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 1 }}>{error}</Alert>
+      )}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 2 }}>
+          <CircularProgress size={24} />
+        </Box>
+      ) : shownClicks.length === 0 ? (
+        !error && (
+          <Typography variant="body2" color="text.secondary" sx={{ fontStyle: 'italic' }}>
+            No clicks recorded yet
+          </Typography>
+        )
+      ) : (
+        <>
+          <List sx={{ maxHeight: 300, overflow: 'auto' }} aria-label="Click history">
+            {shownClicks.map((click, index) => (
+              <ListItem key={index} divider>
+                <ListItemText
+                  primary={`Click ${index + 1}`}
+                  secondary={
+                    <Box component="span" sx={{ display: 'block' }}>
+                      <Typography variant="body2" component="span" sx={{ display: 'block' }}>
+                        Time: {formatDate(click.timestamp)}
+                      </Typography>
+                      <Typography variant="body2" component="span" sx={{ display: 'block' }}>
+                        Referrer: {click.referrer || 'Not stored'}
+                        {click.referrerSource && click.referrerSource !== 'direct' && ` (${click.referrerSource})`}
+                      </Typography>
+                      <Typography variant="body2" component="span" sx={{ display: 'block' }}>
+                        Client: {formatClient(click)}
+                      </Typography>
+                      {click.country && (
+                        <Typography variant="body2" component="span" sx={{ display: 'block' }}>
+                          Location: {[click.city, click.region, formatCountry(click.country)].filter(Boolean).join(', ')}
+                        </Typography>
+                      )}
+                      <Typography variant="body2" component="span" sx={{ display: 'block', wordBreak: 'break-all' }}>
+                        IP: {click.ipAddress || 'Not stored'}
+                      </Typography>
+                      {click.redacted.length > 0 && (
+                        <Typography variant="body2" component="span" color="text.secondary" sx={{ display: 'block' }}>
+                          Redacted: {click.redacted.join(', ')}
+                        </Typography>
+                      )}
+                    </Box>
+                  }
+                />
+              </ListItem>
+            ))}
+          </List>
+
+          {nextCursor && (
+            <Box sx={{ display: 'flex', justifyContent: 'center', mt: 1 }}>
+              <Button size="small" onClick={loadMore} disabled={loadingMore}>
+                {loadingMore ? 'Loading...' : 'Load more'}
+              </Button>
+            </Box>
+          )}
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default ClickHistory;
@@ -0,0 +1,142 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  ToggleButton,
+  ToggleButtonGroup,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import api from '../utils/api';
+import logger from '../utils/logger';
+
+const WIDTH = 600;
+const HEIGHT = 200;
+const PADDING = { top: 10, right: 10, bottom: 24, left: 32 };
+
+/**
+ * Format a bucket start for the x axis
+ */
+const formatBucket = (start, interval) => {
+  // Buckets carry the offset of the requested time zone; show the local wall-clock part
+  const [date, time] = start.split('T');
+  return interval === 'day' ? date : `${date.slice(5)} ${time.slice(0, 5)}`;
+};
+
+/**
+ * Click Timeseries Chart Component
+ * Line chart of clicks per minute, hour or day for one short URL,
+ * bucketed in the browser's time zone
+ */
+const ClickTimeseriesChart = ({ shortcode }) => {
+  const theme = useTheme();
+  const [interval, setBucketInterval] = useState('hour');
+  const [series, setSeries] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  /**
+   * Fetch the timeseries whenever the link or interval changes
+   */
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchTimeseries = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const tz = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        const response = await api.get(`/shorturls/${shortcode}/timeseries`, { params: { interval, tz } });
+        if (!cancelled) {
+          setSeries(response.data);
+          logger.info(`Loaded ${interval} timeseries for shortcode: ${shortcode}`, 'ClickTimeseriesChart');
+        }
+      } catch (error) {
+        const errorMessage = error.response?.data?.message || 'Failed to load click timeseries';
+        if (!cancelled) {
+          setError(errorMessage);
+        }
+        logger.error(`Failed to load timeseries: ${errorMessage}`, 'ClickTimeseriesChart', error.stack);
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    fetchTimeseries();
+    return () => {
+      cancelled = true;
+    };
+  }, [shortcode, interval]);
+
+  const renderChart = () => {
+    const { buckets } = series;
+    const maxClicks = Math.max(1, ...buckets.map(bucket => bucket.clicks));
+    const plotWidth = WIDTH - PADDING.left - PADDING.right;
+    const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+    const x = index => PADDING.left + (buckets.length > 1 ? (index / (buckets.length - 1)) * plotWidth : plotWidth / 2);
+    const y = clicks => PADDING.top + plotHeight - (clicks / maxClicks) * plotHeight;
+    const points = buckets.map((bucket, index) => `${x(index)},${y(bucket.clicks)}`).join(' ');
+    const axisColor = theme.palette.text.secondary;
+
+    return (
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        width="100%"
+        role="img"
+        aria-label={`Clicks per ${interval}: ${series.totalClicks} total`}
+      >
+        <line x1={PADDING.left} y1={PADDING.top + plotHeight} x2={WIDTH - PADDING.right} y2={PADDING.top + plotHeight} stroke={axisColor} />
+        <line x1={PADDING.left} y1={PADDING.top} x2={PADDING.left} y2={PADDING.top + plotHeight} stroke={axisColor} />
+        <text x={PADDING.left - 4} y={PADDING.top + 4} textAnchor="end" fontSize="10" fill={axisColor}>{maxClicks}</text>
+        <text x={PADDING.left - 4} y={PADDING.top + plotHeight} textAnchor="end" fontSize="10" fill={axisColor}>0</text>
+        <text x={PADDING.left} y={HEIGHT - 6} fontSize="10" fill={axisColor}>
+          {formatBucket(buckets[0].start, interval)}
+        </text>
+        <text x={WIDTH - PADDING.right} y={HEIGHT - 6} textAnchor="end" fontSize="10" fill={axisColor}>
+          {formatBucket(buckets[buckets.length - 1].start, interval)}
+        </text>
+        <polyline points={points} fill="none" stroke={theme.palette.primary.main} strokeWidth="2" />
+        {buckets.map((bucket, index) => (
+          <circle key={bucket.start} cx={x(index)} cy={y(bucket.clicks)} r="2.5" fill={theme.palette.primary.main}>
+            <title>{`${formatBucket(bucket.start, interval)}: ${bucket.clicks} clicks`}</title>
+          </circle>
+        ))}
+      </svg>
+    );
+  };
+
+  return (
+    <Box sx={{ mb: 3 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+        <Typography variant="h6">
+          Clicks Over Time
+        </Typography>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={interval}
+          onChange={(event, value) => value && setBucketInterval(value)}
+        >
+          <ToggleButton value="minute">Last hour</ToggleButton>
+          <ToggleButton value="hour">Last day</ToggleButton>
+          <ToggleButton value="day">Last 30 days</ToggleButton>
+        </ToggleButtonGroup>
+      </Box>
+
+      {error && (
+        <Alert severity="error">{error}</Alert>
+      )}
+
+      {loading && !series ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 2 }}>
+          <CircularProgress size={24} />
+        </Box>
+      ) : series && !error && renderChart()}
+    </Box>
+  );
+};
+
+export default ClickTimeseriesChart;
@@ -20,15 +20,44 @@ import {
   ContentCopy as CopyIcon,
   Link as LinkIcon
 } from '@mui/icons-material';
-import axios from 'axios';
+import api from '../utils/api';
+import config from '../config';
 import logger from '../utils/logger';
 
+/**
+ * UTM fields offered per URL: [field, label]
+ */
+const UTM_FIELDS = [
+  ['source', 'UTM source'],
+  ['medium', 'UTM medium'],
+  ['campaign', 'UTM campaign']
+];
+
+const emptyRow = () => ({
+  url: '',
+  validity: config.validity.defaultMinutes,
+  shortcode: '',
+  maxClicks: '',
+  utm: { source: '', medium: '', campaign: '' }
+});
+
+/**
+ * Build the `utm` request field from a row, or undefined when no tag is set
+ */
+const buildUtm = (utm) => {
+  const tags = Object.fromEntries(
+    Object.entries(utm).map(([field, value]) => [field, value.trim()]).filter(([, value]) => value)
+  );
+  return Object.keys(tags).length > 0 ? tags : undefined;
+};
+
 /**
  * URL Shortener Form Component
- * Allows users to input up to 5 URLs with optional validity and shortcode
+ * Allows users to input any number of URLs with optional validity, shortcode, click limit and UTM tags
+ * and shortens them in a single batch request
  */
 const URLShortenerForm = () => {
-  const [urls, setUrls] = useState([{ url: '', validity: 30, shortcode: '' }]);
+  const [urls, setUrls] = useState([emptyRow()]);
   const [loading, setLoading] = useState(false);
   const [results, setResults] = useState([]);
   const [error, setError] = useState('');
@@ -38,10 +67,8 @@ const URLShortenerForm = () => {
    * Add a new URL input field
    */
   const addUrlField = () => {
-    if (urls.length < 5) {
-      setUrls([...urls, { url: '', validity: 30, shortcode: '' }]);
-      logger.info('Added new URL input field', 'URLShortenerForm');
-    }
+    setUrls([...urls, emptyRow()]);
+    logger.info('Added new URL input field', 'URLShortenerForm');
   };
 
   /**
@@ -64,6 +91,15 @@ const URLShortenerForm = () => {
     setUrls(newUrls);
   };
 
+  /**
+   * Update one UTM tag of a URL field
+   */
+  const updateUtmField = (index, field, value) => {
+    const newUrls = [...urls];
+    newUrls[index] = { ...newUrls[index], utm: { ...newUrls[index].utm, [field]: value } };
+    setUrls(newUrls);
+  };
+
   /**
    * Validate URL format
    */
@@ -81,7 +117,8 @@ const URLShortenerForm = () => {
    */
   const isValidShortcode = (shortcode) => {
     if (!shortcode) return true; // Optional field
-    return /^[a-zA-Z0-9]{3,20}$/.test(shortcode);
+    const { minLength, maxLength } = config.shortcode;
+    return new RegExp(`^[a-zA-Z0-9]{${minLength},${maxLength}}$`).test(shortcode);
   };
 
   /**
@@ -97,12 +134,16 @@ const URLShortenerForm = () => {
         errors.push(`URL ${index + 1} must be a valid URL (include http:// or https://)`);
       }
       
-      if (urlData.validity && (isNaN(urlData.validity) || urlData.validity < 1 || urlData.validity > 10080)) {
-        errors.push(`Validity for URL ${index + 1} must be between 1 and 10080 minutes`);
+      if (urlData.validity && (isNaN(urlData.validity) || urlData.validity < 1 || urlData.validity > config.validity.maxMinutes)) {
+        errors.push(`Validity for URL ${index + 1} must be between 1 and ${config.validity.maxMinutes} minutes`);
       }
       
       if (urlData.shortcode && !isValidShortcode(urlData.shortcode)) {
-        errors.push(`Shortcode for URL ${index + 1} must be 3-20 characters (letters and numbers only)`);
+        errors.push(`Shortcode for URL ${index + 1} must be ${config.shortcode.minLength}-${config.shortcode.maxLength} characters (letters and numbers only)`);
+      }
+
+      if (urlData.maxClicks !== '' && !(Number.isInteger(urlData.maxClicks) && urlData.maxClicks >= 1)) {
+        errors.push(`Click limit for URL ${index + 1} must be a whole number of at least 1`);
       }
     });
     
@@ -130,38 +171,37 @@ const URLShortenerForm = () => {
     try {
       logger.info(`Starting URL shortening for ${urls.length} URLs`, 'URLShortenerForm');
       
-      // Process each URL
-      const shortResults = [];
-      
-      for (let i = 0; i < urls.length; i++) {
-        const urlData = urls[i];
-        
-        try {
-          const response = await axios.post('http://localhost:8000/shorturls', {
-            url: urlData.url.trim(),
-            validity: urlData.validity || 30,
-            shortcode: urlData.shortcode.trim() || undefined
-          });
-          
-          shortResults.push({
-            success: true,
-            originalUrl: urlData.url.trim(),
-            ...response.data
-          });
-          
-          logger.info(`Successfully shortened URL ${i + 1}: ${urlData.url}`, 'URLShortenerForm');
-          
-        } catch (error) {
-          const errorMessage = error.response?.data?.message || error.message;
-          shortResults.push({
-            success: false,
-            originalUrl: urlData.url.trim(),
-            error: errorMessage
-          });
-          
-          logger.error(`Failed to shorten URL ${i + 1}: ${errorMessage}`, 'URLShortenerForm', error.stack);
-        }
+      // Send every URL in a single batch request
+      const response = await api.post('/shorturls/batch', {
+        urls: urls.map(urlData => ({
+          url: urlData.url.trim(),
+          validity: urlData.validity || config.validity.defaultMinutes,
+          shortcode: urlData.shortcode.trim() || undefined,
+          maxClicks: urlData.maxClicks || undefined,
+          utm: buildUtm(urlData.utm)
+        }))
+      }, {
+        // Partial failures come back as 207 with per-item results
+        validateStatus: status => status < 500
+      });
+
+      if (!Array.isArray(response.data.results)) {
+        throw new Error(response.data.message || 'Unexpected response from server');
       }
+
+      const shortResults = response.data.results.map((result, i) => {
+        if (result.success) {
+          logger.info(`Successfully shortened URL ${i + 1}: ${result.originalUrl}`, 'URLShortenerForm');
+          return result;
+        }
+
+        logger.error(`Failed to shorten URL ${i + 1}: ${result.message}`, 'URLShortenerForm');
+        return {
+          success: false,
+          originalUrl: urls[i].url.trim(),
+          error: result.message || result.error
+        };
+      });
       
       setResults(shortResults);
       
@@ -184,7 +224,7 @@ const URLShortenerForm = () => {
       }
       
     } catch (error) {
-      setError('An unexpected error occurred. Please try again.');
+      setError(error.response?.data?.message || error.message || 'An unexpected error occurred. Please try again.');
       logger.error(`Unexpected error during URL shortening: ${error.message}`, 'URLShortenerForm', error.stack);
     } finally {
       setLoading(false);
@@ -229,7 +269,7 @@ const URLShortenerForm = () => {
         </Typography>
         
         <Typography variant="body2" color="text.secondary" align="center" sx={{ mb: 3 }}>
-          Shorten up to 5 URLs with custom shortcodes and validity periods
+          Shorten as many URLs as you need with custom shortcodes and validity periods
         </Typography>
 
         {error && (
@@ -270,45 +310,69 @@ const URLShortenerForm = () => {
                     />
                   </Grid>
                   
-                  <Grid item xs={12} sm={6}>
+                  <Grid item xs={12} sm={4}>
                     <TextField
                       fullWidth
                       label="Validity (minutes)"
                       type="number"
                       value={urlData.validity}
                       onChange={(e) => updateUrlField(index, 'validity', parseInt(e.target.value) || '')}
-                      inputProps={{ min: 1, max: 10080 }}
-                      helperText="Default: 30 minutes, Max: 10080 (1 week)"
+                      inputProps={{ min: 1, max: config.validity.maxMinutes }}
+                      helperText={`Default: ${config.validity.defaultMinutes} minutes, Max: ${config.validity.maxMinutes}`}
                       variant="outlined"
                     />
                   </Grid>
                   
-                  <Grid item xs={12} sm={6}>
+                  <Grid item xs={12} sm={4}>
                     <TextField
                       fullWidth
                       label="Custom shortcode (optional)"
                       placeholder="my-code"
                       value={urlData.shortcode}
                       onChange={(e) => updateUrlField(index, 'shortcode', e.target.value)}
-                      helperText="3-20 chars, letters and numbers only"
+                      helperText={`${config.shortcode.minLength}-${config.shortcode.maxLength} chars, letters and numbers only`}
                       variant="outlined"
                     />
                   </Grid>
+
+                  <Grid item xs={12} sm={4}>
+                    <TextField
+                      fullWidth
+                      label="Click limit (optional)"
+                      type="number"
+                      value={urlData.maxClicks}
+                      onChange={(e) => updateUrlField(index, 'maxClicks', e.target.value === '' ? '' : Number(e.target.value))}
+                      inputProps={{ min: 1 }}
+                      helperText="1 makes a one-time link"
+                      variant="outlined"
+                    />
+                  </Grid>
+
+                  {UTM_FIELDS.map(([field, label]) => (
+                    <Grid item xs={12} sm={4} key={field}>
+                      <TextField
+                        fullWidth
+                        size="small"
+                        label={`${label} (optional)`}
+                        value={urlData.utm[field]}
+                        onChange={(e) => updateUtmField(index, field, e.target.value)}
+                        variant="outlined"
+                      />
+                    </Grid>
+                  ))}
                 </Grid>
               </CardContent>
             </Card>
           ))}
 
           <Box sx={{ display: 'flex', gap: 2, mb: 3 }}>
-            {urls.length < 5 && (
-              <Button
-                variant="outlined"
-                startIcon={<AddIcon />}
-                onClick={addUrlField}
-              >
-                Add Another URL
-              </Button>
-            )}
+            <Button
+              variant="outlined"
+              startIcon={<AddIcon />}
+              onClick={addUrlField}
+            >
+              Add Another URL
+            </Button>
             
             <Box sx={{ flexGrow: 1 }} />
             
@@ -370,6 +434,8 @@ const URLShortenerForm = () => {
                         Expires: {formatExpiryDate(result.expiry)} • 
                         Shortcode: {result.shortcode} • 
                         Valid for: {result.validityMinutes} minutes
+                        {result.maxClicks && ` • Click limit: ${result.maxClicks}`}
+                        {result.utm?.campaign && ` • Campaign: ${result.utm.campaign}`}
                       </Typography>
                     </Box>
                   ) : (
@@ -0,0 +1,304 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor, within, act } from '@testing-library/react';
+import AnalyticsDashboard from '../AnalyticsDashboard';
+import api from '../../utils/api';
+import { subscribeToEvents } from '../../utils/events';
+
+jest.mock('../../utils/api', () => ({
+  __esModule: true,
+  default: { get: jest.fn(), patch: jest.fn(), delete: jest.fn() }
+}));
+
+jest.mock('../../utils/events', () => ({
+  subscribeToEvents: jest.fn()
+}));
+
+jest.mock('../../utils/logger', () => ({
+  __esModule: true,
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const link = {
+  shortcode: 'abc123',
+  original_url: 'https://example.com/docs',
+  created_at: '2025-07-29 08:00:00',
+  activates_at: null,
+  expires_at: '2099-01-01T00:00:00.000Z',
+  validity_minutes: 30,
+  total_clicks: 4,
+  human_clicks: 3,
+  unique_visitors: 2,
+  utm: null,
+  password_protected: false,
+  max_clicks: null,
+  remaining_clicks: null,
+  isExpired: false,
+  isScheduled: false,
+  shortLink: 'http://localhost:8000/abc123'
+};
+
+const stats = {
+  shortcode: 'abc123',
+  originalUrl: 'https://example.com/docs',
+  createdAt: '2025-07-29 08:00:00',
+  expiresAt: '2099-01-01T00:00:00.000Z',
+  validityMinutes: 30,
+  utm: null,
+  totalClicks: 4,
+  humanClicks: 3,
+  uniqueVisitors: 2,
+  isExpired: false,
+  breakdowns: { browser: [], os: [], deviceType: [], traffic: [], country: [], referrerDomain: [], referrerSource: [] },
+  privacy: { ipAddresses: 'full', userAgents: 'stored', honorsOptOut: true, retentionDays: null, retentionMode: null }
+};
+
+const liveClick = {
+  timestamp: '2025-07-29 09:00:00',
+  referrer: 'https://live.example/post',
+  referrerDomain: 'live.example',
+  referrerSource: 'other',
+  ipAddress: '203.0.113.9',
+  userAgent: null,
+  browser: 'Firefox',
+  browserVersion: '121',
+  os: 'Linux',
+  deviceType: 'desktop',
+  isBot: false,
+  isUnique: true,
+  country: null,
+  region: null,
+  city: null,
+  redacted: []
+};
+
+const summary = { totalUrls: 40, activeUrls: 30, expiredUrls: 10, totalClicks: 120, humanClicks: 100, uniqueVisitors: 80 };
+
+const listResponse = (urls, total = 40) => ({
+  data: { urls, pagination: { total, limit: 25, offset: 0, hasMore: total > urls.length }, summary }
+});
+
+/**
+ * Parameters of the most recent GET /api/all-urls request
+ */
+const lastListParams = () => {
+  const calls = api.get.mock.calls.filter(([url]) => url === '/api/all-urls');
+  return calls[calls.length - 1][1].params;
+};
+
+/**
+ * Turn on live mode and return a function that delivers events to the dashboard
+ */
+const goLive = async () => {
+  fireEvent.click(screen.getByRole('checkbox', { name: 'Live updates' }));
+  await waitFor(() => expect(subscribeToEvents).toHaveBeenCalled());
+  const { onEvent, onStatus } = subscribeToEvents.mock.calls[0][0];
+  act(() => onStatus('open'));
+  return event => act(() => onEvent(event));
+};
+
+beforeEach(() => {
+  api.get.mockReset();
+  api.get.mockImplementation((url) => (
+    url === '/api/all-urls' ? Promise.resolve(listResponse([link])) : Promise.resolve({ data: [] })
+  ));
+  subscribeToEvents.mockReset();
+  subscribeToEvents.mockReturnValue(jest.fn());
+});
+
+describe('AnalyticsDashboard', () => {
+  it('requests the first page and shows server-side totals', async () => {
+    render(<AnalyticsDashboard />);
+
+    const table = await screen.findByRole('table', { name: 'Short URLs' });
+
+    expect(lastListParams()).toEqual({ limit: 25, offset: 0, sort: 'created', order: 'desc' });
+    expect(within(table).getByText('abc123')).toBeInTheDocument();
+    expect(screen.getByText('Total URLs').previousSibling).toHaveTextContent('40');
+    expect(screen.getByText('1–25 of 40')).toBeInTheDocument();
+  });
+
+  it('marks password-protected links', async () => {
+    api.get.mockImplementation((url) => (
+      url === '/api/all-urls'
+        ? Promise.resolve(listResponse([link, { ...link, shortcode: 'lock12', password_protected: true }], 2))
+        : Promise.resolve({ data: [] })
+    ));
+    render(<AnalyticsDashboard />);
+
+    const table = await screen.findByRole('table', { name: 'Short URLs' });
+
+    expect(within(table).getAllByLabelText('Password protected')).toHaveLength(1);
+    expect(within(table).getByText('lock12').parentElement).toContainElement(within(table).getByLabelText('Password protected'));
+  });
+
+  it('shows scheduled, active and expired links with distinct status chips', async () => {
+    const scheduled = { ...link, shortcode: 'soon12', activates_at: '2098-06-01T00:00:00.000Z', isScheduled: true };
+    const expired = { ...link, shortcode: 'old123', isExpired: true };
+    api.get.mockImplementation((url) => (
+      url === '/api/all-urls'
+        ? Promise.resolve(listResponse([scheduled, link, expired], 3))
+        : Promise.resolve({ data: [] })
+    ));
+    render(<AnalyticsDashboard />);
+
+    const table = await screen.findByRole('table', { name: 'Short URLs' });
+    const rowOf = shortcode => within(table).getByText(shortcode).closest('tr');
+
+    expect(within(rowOf('soon12')).getByText('Scheduled')).toBeInTheDocument();
+    expect(within(rowOf('soon12')).getByText(/^Starts /)).toBeInTheDocument();
+    expect(within(rowOf('soon12')).queryByRole('link', { name: 'Open short link' })).not.toBeInTheDocument();
+    expect(within(rowOf('abc123')).getByText('Active')).toBeInTheDocument();
+    expect(within(rowOf('abc123')).getByRole('link', { name: 'Open short link' })).toBeInTheDocument();
+    expect(within(rowOf('old123')).getByText('Expired')).toBeInTheDocument();
+  });
+
+  it('filters on scheduled links', async () => {
+    render(<AnalyticsDashboard />);
+    await screen.findByRole('table', { name: 'Short URLs' });
+
+    fireEvent.mouseDown(screen.getByLabelText('Status'));
+    fireEvent.click(within(await screen.findByRole('listbox')).getByText('Scheduled'));
+
+    await waitFor(() => expect(lastListParams()).toMatchObject({ status: 'scheduled', offset: 0 }));
+  });
+
+  it('sorts on the server when a column header is clicked', async () => {
+    render(<AnalyticsDashboard />);
+    await screen.findByRole('table', { name: 'Short URLs' });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Clicks' }));
+    await waitFor(() => expect(lastListParams()).toMatchObject({ sort: 'clicks', order: 'desc', offset: 0 }));
+
+    fireEvent.click(screen.getByRole('button', { name: 'Clicks' }));
+    await waitFor(() => expect(lastListParams()).toMatchObject({ sort: 'clicks', order: 'asc' }));
+  });
+
+  it('pages and searches on the server', async () => {
+    render(<AnalyticsDashboard />);
+    await screen.findByRole('table', { name: 'Short URLs' });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Go to next page' }));
+    await waitFor(() => expect(lastListParams()).toMatchObject({ offset: 25 }));
+
+    fireEvent.change(screen.getByLabelText('Search'), { target: { value: 'docs' } });
+    await waitFor(() => expect(lastListParams()).toMatchObject({ q: 'docs', offset: 0 }));
+  });
+
+  it('explains when no link matches the filters', async () => {
+    api.get.mockImplementation((url) => (
+      url === '/api/all-urls' ? Promise.resolve(listResponse([], 0)) : Promise.resolve({ data: [] })
+    ));
+    render(<AnalyticsDashboard />);
+
+    expect(await screen.findByText('No links match these filters')).toBeInTheDocument();
+  });
+
+  it('shows remaining clicks and counts them down from live clicks', async () => {
+    api.get.mockImplementation((url) => (
+      url === '/api/all-urls'
+        ? Promise.resolve(listResponse([{ ...link, shortcode: 'once12', max_clicks: 1, remaining_clicks: 1 }], 1))
+        : Promise.resolve({ data: [] })
+    ));
+    render(<AnalyticsDashboard />);
+    const table = await screen.findByRole('table', { name: 'Short URLs' });
+    const send = await goLive();
+
+    expect(within(table).getByText('1 of 1 left')).toBeInTheDocument();
+    expect(within(table).getByText('Active')).toBeInTheDocument();
+
+    send({ id: '1', type: 'click', data: { shortcode: 'once12', click: liveClick } });
+
+    expect(within(table).getByText('0 of 1 left')).toBeInTheDocument();
+    expect(within(table).getByText('Used up')).toBeInTheDocument();
+  });
+
+  it('does not count bot visits against remaining clicks', async () => {
+    api.get.mockImplementation((url) => (
+      url === '/api/all-urls'
+        ? Promise.resolve(listResponse([{ ...link, shortcode: 'once12', max_clicks: 1, remaining_clicks: 1 }], 1))
+        : Promise.resolve({ data: [] })
+    ));
+    render(<AnalyticsDashboard />);
+    const table = await screen.findByRole('table', { name: 'Short URLs' });
+    const send = await goLive();
+
+    send({ id: '1', type: 'click', data: { shortcode: 'once12', click: { ...liveClick, isBot: true, isUnique: false } } });
+
+    expect(within(table).getByText('1 of 1 left')).toBeInTheDocument();
+    expect(within(table).getByText('Active')).toBeInTheDocument();
+  });
+
+  it('updates click counters from live events', async () => {
+    render(<AnalyticsDashboard />);
+    const table = await screen.findByRole('table', { name: 'Short URLs' });
+    const send = await goLive();
+
+    expect(screen.getByText('Live')).toBeInTheDocument();
+    send({ id: '1', type: 'click', data: { shortcode: 'abc123', click: liveClick } });
+
+    expect(within(table).getByText('5')).toBeInTheDocument();
+    expect(within(table).getByText('4 human · 3 unique')).toBeInTheDocument();
+    expect(screen.getByText('Total Clicks').previousSibling).toHaveTextContent('121');
+  });
+
+  it('reloads the page when a link is created or deleted and closes the stream when live mode is turned off', async () => {
+    const close = jest.fn();
+    subscribeToEvents.mockReturnValue(close);
+    render(<AnalyticsDashboard />);
+    await screen.findByRole('table', { name: 'Short URLs' });
+    const send = await goLive();
+    const listCalls = () => api.get.mock.calls.filter(([url]) => url === '/api/all-urls').length;
+    const before = listCalls();
+
+    send({ id: '2', type: 'link-created', data: { shortcode: 'new123' } });
+    await waitFor(() => expect(listCalls()).toBe(before + 1));
+    send({ id: '3', type: 'link-deleted', data: { shortcode: 'new123' } });
+    await waitFor(() => expect(listCalls()).toBe(before + 2));
+
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Live updates' }));
+    expect(close).toHaveBeenCalled();
+  });
+
+  it('reloads once for a burst of link events', async () => {
+    render(<AnalyticsDashboard />);
+    await screen.findByRole('table', { name: 'Short URLs' });
+    const send = await goLive();
+    const listCalls = () => api.get.mock.calls.filter(([url]) => url === '/api/all-urls').length;
+    const before = listCalls();
+
+    for (let i = 0; i < 50; i++) {
+      send({ id: `b${i}`, type: 'link-created', data: { shortcode: `batch${i}` } });
+    }
+
+    await waitFor(() => expect(listCalls()).toBe(before + 1));
+    await new Promise(resolve => setTimeout(resolve, 400));
+    expect(listCalls()).toBe(before + 1);
+  });
+
+  it('adds live clicks to the open details dialog', async () => {
+    api.get.mockImplementation((url) => {
+      if (url === '/api/all-urls') {
+        return Promise.resolve(listResponse([link]));
+      }
+      if (url === '/shorturls/abc123') {
+        return Promise.resolve({ data: stats });
+      }
+      if (url === '/shorturls/abc123/clicks') {
+        return Promise.resolve({ data: { shortcode: 'abc123', clicks: [], pagination: { limit: 25, hasMore: false, nextCursor: null } } });
+      }
+      return Promise.reject(new Error(`Unexpected request ${url}`));
+    });
+    render(<AnalyticsDashboard />);
+    await screen.findByRole('table', { name: 'Short URLs' });
+    const send = await goLive();
+
+    fireEvent.click(screen.getByRole('button', { name: 'View details' }));
+    const dialog = await screen.findByRole('dialog');
+    await within(dialog).findByText('No clicks recorded yet');
+
+    send({ id: '3', type: 'click', data: { shortcode: 'abc123', click: liveClick } });
+
+    expect(within(dialog).getByText('Referrer: https://live.example/post (other)')).toBeInTheDocument();
+    expect(within(dialog).getByText('Total Clicks').nextSibling).toHaveTextContent('5');
+  });
+});
@@ -0,0 +1,40 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import ApiKeyField from '../ApiKeyField';
+
+jest.mock('../../utils/logger', () => ({
+  __esModule: true,
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+afterEach(() => {
+  localStorage.clear();
+});
+
+describe('ApiKeyField', () => {
+  it('shows the stored key and stores a new one when the field loses focus', () => {
+    localStorage.setItem('apiKey', 'usk_old');
+    const onChange = jest.fn();
+    render(<ApiKeyField onChange={onChange} />);
+
+    const input = screen.getByLabelText('API key');
+    expect(input).toHaveValue('usk_old');
+
+    fireEvent.change(input, { target: { value: ' usk_new ' } });
+    fireEvent.blur(input);
+
+    expect(localStorage.getItem('apiKey')).toBe('usk_new');
+    expect(onChange).toHaveBeenCalledWith('usk_new');
+  });
+
+  it('removes the key when the field is cleared', () => {
+    localStorage.setItem('apiKey', 'usk_old');
+    render(<ApiKeyField />);
+
+    const input = screen.getByLabelText('API key');
+    fireEvent.change(input, { target: { value: '' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(localStorage.getItem('apiKey')).toBeNull();
+  });
+});
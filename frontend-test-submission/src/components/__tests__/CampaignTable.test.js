@@ -0,0 +1,52 @@
+import React from 'react';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import CampaignTable from '../CampaignTable';
+import api from '../../utils/api';
+
+jest.mock('../../utils/api', () => ({
+  __esModule: true,
+  default: { get: jest.fn() }
+}));
+
+jest.mock('../../utils/logger', () => ({
+  __esModule: true,
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+beforeEach(() => {
+  api.get.mockReset();
+});
+
+describe('CampaignTable', () => {
+  it('lists clicks per campaign, source and medium', async () => {
+    api.get.mockResolvedValue({
+      data: [
+        { campaign: 'spring', source: 'newsletter', medium: 'email', links: 2, totalClicks: 9, humanClicks: 7, uniqueVisitors: 5 },
+        { campaign: null, source: 'partner', medium: null, links: 1, totalClicks: 1, humanClicks: 1, uniqueVisitors: 1 }
+      ]
+    });
+    render(<CampaignTable />);
+
+    const table = await screen.findByRole('table', { name: 'Campaigns' });
+    const rows = within(table).getAllByRole('row');
+
+    expect(api.get).toHaveBeenCalledWith('/api/campaigns');
+    expect(rows).toHaveLength(3);
+    expect(rows[1]).toHaveTextContent('springnewsletteremail2975');
+    expect(rows[2]).toHaveTextContent('—partner—111');
+  });
+
+  it('explains when no links are tagged', async () => {
+    api.get.mockResolvedValue({ data: [] });
+    render(<CampaignTable />);
+
+    expect(await screen.findByText('No links with UTM tags yet')).toBeInTheDocument();
+  });
+
+  it('shows the API error message', async () => {
+    api.get.mockRejectedValue({ response: { data: { message: 'An error occurred while retrieving campaign statistics' } } });
+    render(<CampaignTable />);
+
+    await waitFor(() => expect(screen.getByRole('alert')).toHaveTextContent('An error occurred while retrieving campaign statistics'));
+  });
+});
@@ -0,0 +1,89 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import ClickHistory from '../ClickHistory';
+import api from '../../utils/api';
+
+jest.mock('../../utils/api', () => ({
+  __esModule: true,
+  default: { get: jest.fn() }
+}));
+
+jest.mock('../../utils/logger', () => ({
+  __esModule: true,
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const click = (referrer, overrides = {}) => ({
+  timestamp: '2030-01-01 10:00:00',
+  referrer,
+  referrerDomain: null,
+  referrerSource: 'direct',
+  ipAddress: '203.0.113.0',
+  userAgent: null,
+  browser: 'Firefox',
+  browserVersion: '121',
+  os: 'Linux',
+  deviceType: 'desktop',
+  isBot: false,
+  isUnique: true,
+  country: 'NZ',
+  region: null,
+  city: 'Wellington',
+  redacted: [],
+  ...overrides
+});
+
+const page = (clicks, nextCursor = null) => ({
+  data: { shortcode: 'abc123', clicks, pagination: { limit: 25, hasMore: nextCursor !== null, nextCursor } }
+});
+
+beforeEach(() => {
+  api.get.mockReset();
+});
+
+describe('ClickHistory', () => {
+  it('shows the first page of clicks', async () => {
+    api.get.mockResolvedValue(page([click('https://ref.example/one')]));
+    render(<ClickHistory shortcode="abc123" />);
+
+    expect(await screen.findByText('Referrer: https://ref.example/one')).toBeInTheDocument();
+    expect(screen.getByText('Client: Firefox 121 on Linux (desktop)')).toBeInTheDocument();
+    expect(screen.getByText('Location: Wellington, New Zealand')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Load more' })).not.toBeInTheDocument();
+    expect(api.get).toHaveBeenCalledWith('/shorturls/abc123/clicks', { params: { limit: 25 } });
+  });
+
+  it('appends the next page with the cursor', async () => {
+    api.get
+      .mockResolvedValueOnce(page([click('https://ref.example/one')], 'cursor-1'))
+      .mockResolvedValueOnce(page([click('https://ref.example/two')]));
+    render(<ClickHistory shortcode="abc123" />);
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Load more' }));
+
+    expect(await screen.findByText('Referrer: https://ref.example/two')).toBeInTheDocument();
+    expect(screen.getByText('Referrer: https://ref.example/one')).toBeInTheDocument();
+    expect(api.get).toHaveBeenLastCalledWith('/shorturls/abc123/clicks', { params: { limit: 25, cursor: 'cursor-1' } });
+    expect(screen.queryByRole('button', { name: 'Load more' })).not.toBeInTheDocument();
+  });
+
+  it('reloads from the first page when the traffic filter changes', async () => {
+    api.get
+      .mockResolvedValueOnce(page([click('https://ref.example/one')], 'cursor-1'))
+      .mockResolvedValueOnce(page([]));
+    render(<ClickHistory shortcode="abc123" />);
+    await screen.findByText('Referrer: https://ref.example/one');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Bots' }));
+
+    expect(await screen.findByText('No clicks recorded yet')).toBeInTheDocument();
+    expect(api.get).toHaveBeenLastCalledWith('/shorturls/abc123/clicks', { params: { limit: 25, traffic: 'bot' } });
+  });
+
+  it('shows the API error message', async () => {
+    api.get.mockRejectedValue({ response: { data: { message: 'cursor must be a nextCursor value from a previous page' } } });
+    render(<ClickHistory shortcode="abc123" />);
+
+    await waitFor(() => expect(screen.getByRole('alert')).toHaveTextContent('cursor must be a nextCursor value'));
+  });
+});
@@ -0,0 +1,61 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import ClickTimeseriesChart from '../ClickTimeseriesChart';
+import api from '../../utils/api';
+
+jest.mock('../../utils/api', () => ({
+  __esModule: true,
+  default: { get: jest.fn() }
+}));
+
+jest.mock('../../utils/logger', () => ({
+  __esModule: true,
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const series = (interval, clicks) => ({
+  data: {
+    shortcode: 'abc123',
+    interval,
+    timezone: 'UTC',
+    utcOffset: '+00:00',
+    totalClicks: clicks.reduce((sum, count) => sum + count, 0),
+    buckets: clicks.map((count, index) => ({ start: `2030-01-0${index + 1}T00:00:00+00:00`, clicks: count }))
+  }
+});
+
+beforeEach(() => {
+  api.get.mockReset();
+});
+
+describe('ClickTimeseriesChart', () => {
+  it('loads hourly buckets in the browser time zone and draws them', async () => {
+    api.get.mockResolvedValue(series('hour', [2, 0, 1]));
+    render(<ClickTimeseriesChart shortcode="abc123" />);
+
+    expect(await screen.findByRole('img', { name: 'Clicks per hour: 3 total' })).toBeInTheDocument();
+    expect(api.get).toHaveBeenCalledWith('/shorturls/abc123/timeseries', {
+      params: { interval: 'hour', tz: Intl.DateTimeFormat().resolvedOptions().timeZone }
+    });
+  });
+
+  it('refetches when the interval changes', async () => {
+    api.get.mockResolvedValueOnce(series('hour', [1])).mockResolvedValueOnce(series('day', [4, 1]));
+    render(<ClickTimeseriesChart shortcode="abc123" />);
+    await screen.findByRole('img', { name: 'Clicks per hour: 1 total' });
+
+    fireEvent.click(screen.getByRole('button', { name: /last 30 days/i }));
+
+    expect(await screen.findByRole('img', { name: 'Clicks per day: 5 total' })).toBeInTheDocument();
+    expect(api.get).toHaveBeenLastCalledWith('/shorturls/abc123/timeseries', expect.objectContaining({
+      params: expect.objectContaining({ interval: 'day' })
+    }));
+  });
+
+  it('shows the API error message', async () => {
+    api.get.mockRejectedValue({ response: { data: { message: 'Too many buckets requested' } } });
+    render(<ClickTimeseriesChart shortcode="abc123" />);
+
+    await waitFor(() => expect(screen.getByRole('alert')).toHaveTextContent('Too many buckets requested'));
+  });
+});
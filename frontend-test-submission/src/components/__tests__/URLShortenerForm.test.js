@@ -0,0 +1,184 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import URLShortenerForm from '../URLShortenerForm';
+import api from '../../utils/api';
+
+// The form only talks to the backend and log service through these modules
+jest.mock('../../utils/api', () => ({
+  __esModule: true,
+  default: { post: jest.fn() }
+}));
+
+jest.mock('../../utils/logger', () => ({
+  __esModule: true,
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const submit = () => {
+  fireEvent.submit(screen.getByRole('button', { name: /shorten urls/i }).closest('form'));
+};
+
+const fillRow = (index, { url, validity, shortcode, maxClicks }) => {
+  const fields = [
+    [/url to shorten/i, url],
+    [/validity \(minutes\)/i, validity],
+    [/custom shortcode/i, shortcode],
+    [/click limit/i, maxClicks]
+  ];
+  fields.forEach(([label, value]) => {
+    if (value !== undefined) {
+      fireEvent.change(screen.getAllByLabelText(label)[index], { target: { value: String(value) } });
+    }
+  });
+};
+
+beforeEach(() => {
+  api.post.mockReset();
+});
+
+describe('URLShortenerForm validation', () => {
+  it('requires a URL', () => {
+    render(<URLShortenerForm />);
+
+    submit();
+
+    expect(screen.getByRole('alert')).toHaveTextContent('URL 1 is required');
+    expect(api.post).not.toHaveBeenCalled();
+  });
+
+  it('rejects URLs without http:// or https://', () => {
+    render(<URLShortenerForm />);
+    fillRow(0, { url: 'example.com' });
+
+    submit();
+
+    expect(screen.getByRole('alert')).toHaveTextContent('URL 1 must be a valid URL (include http:// or https://)');
+    expect(api.post).not.toHaveBeenCalled();
+  });
+
+  it('rejects a validity above the maximum', () => {
+    render(<URLShortenerForm />);
+    fillRow(0, { url: 'https://example.com', validity: 10081 });
+
+    submit();
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Validity for URL 1 must be between 1 and 10080 minutes');
+    expect(api.post).not.toHaveBeenCalled();
+  });
+
+  it('rejects shortcodes with characters other than letters and numbers', () => {
+    render(<URLShortenerForm />);
+    fillRow(0, { url: 'https://example.com', shortcode: 'my-code' });
+
+    submit();
+
+    expect(screen.getByRole('alert')).toHaveTextContent(
+      'Shortcode for URL 1 must be 3-20 characters (letters and numbers only)'
+    );
+    expect(api.post).not.toHaveBeenCalled();
+  });
+
+  it('rejects click limits that are not whole numbers of at least 1', () => {
+    render(<URLShortenerForm />);
+    fillRow(0, { url: 'https://example.com', maxClicks: 1.5 });
+
+    submit();
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Click limit for URL 1 must be a whole number of at least 1');
+    expect(api.post).not.toHaveBeenCalled();
+  });
+
+  it('reports every invalid row at once', () => {
+    render(<URLShortenerForm />);
+    fireEvent.click(screen.getByRole('button', { name: /add another url/i }));
+    fillRow(0, { url: 'https://example.com', shortcode: 'ab' });
+    fillRow(1, { url: 'ftp://example.com' });
+
+    submit();
+
+    const alert = screen.getByRole('alert');
+    expect(alert).toHaveTextContent('Shortcode for URL 1 must be 3-20 characters');
+    expect(alert).toHaveTextContent('URL 2 must be a valid URL');
+  });
+});
+
+describe('URLShortenerForm submission', () => {
+  it('sends valid rows as one batch and shows the results', async () => {
+    api.post.mockResolvedValue({
+      status: 207,
+      data: {
+        results: [
+          {
+            index: 0,
+            success: true,
+            shortLink: 'http://localhost:8000/abc123',
+            shortcode: 'abc123',
+            originalUrl: 'https://example.com',
+            expiry: '2030-01-01T00:00:00.000Z',
+            validityMinutes: 15
+          },
+          { index: 1, success: false, error: 'Shortcode already exists', message: 'The requested shortcode is already in use.' }
+        ],
+        summary: { total: 2, succeeded: 1, failed: 1 }
+      }
+    });
+
+    render(<URLShortenerForm />);
+    fireEvent.click(screen.getByRole('button', { name: /add another url/i }));
+    fillRow(0, { url: 'https://example.com', validity: 15 });
+    fillRow(1, { url: 'https://example.org', shortcode: 'taken' });
+
+    submit();
+
+    await waitFor(() => expect(screen.getByDisplayValue('http://localhost:8000/abc123')).toBeInTheDocument());
+    expect(api.post).toHaveBeenCalledWith(
+      '/shorturls/batch',
+      {
+        urls: [
+          { url: 'https://example.com', validity: 15, shortcode: undefined },
+          { url: 'https://example.org', validity: 30, shortcode: 'taken' }
+        ]
+      },
+      expect.objectContaining({ validateStatus: expect.any(Function) })
+    );
+    expect(screen.getByText('The requested shortcode is already in use.')).toBeInTheDocument();
+    expect(screen.getByText('Shortened 1 of 2 URLs. Check results below.')).toBeInTheDocument();
+  });
+
+  it('sends UTM tags that were filled in', async () => {
+    api.post.mockResolvedValue({ status: 201, data: { results: [], summary: { total: 1, succeeded: 0, failed: 0 } } });
+
+    render(<URLShortenerForm />);
+    fillRow(0, { url: 'https://example.com' });
+    fireEvent.change(screen.getByLabelText(/utm source/i), { target: { value: ' newsletter ' } });
+    fireEvent.change(screen.getByLabelText(/utm campaign/i), { target: { value: 'spring' } });
+
+    submit();
+
+    await waitFor(() => expect(api.post).toHaveBeenCalled());
+    expect(api.post.mock.calls[0][1].urls[0].utm).toEqual({ source: 'newsletter', campaign: 'spring' });
+  });
+
+  it('sends a click limit when one is set', async () => {
+    api.post.mockResolvedValue({ status: 201, data: { results: [], summary: { total: 1, succeeded: 0, failed: 0 } } });
+
+    render(<URLShortenerForm />);
+    fillRow(0, { url: 'https://example.com', maxClicks: 1 });
+
+    submit();
+
+    await waitFor(() => expect(api.post).toHaveBeenCalled());
+    expect(api.post.mock.calls[0][1].urls[0].maxClicks).toBe(1);
+  });
+
+  it('shows the server message when the request fails', async () => {
+    api.post.mockRejectedValue({ message: 'Request failed', response: { data: { message: 'Invalid API key' } } });
+
+    render(<URLShortenerForm />);
+    fillRow(0, { url: 'https://example.com' });
+
+    submit();
+
+    await waitFor(() => expect(screen.getByRole('alert')).toHaveTextContent('Invalid API key'));
+  });
+});
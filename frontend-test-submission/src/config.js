@@ -0,0 +1,28 @@
+/**
+ * Frontend configuration
+ * Create React App inlines REACT_APP_* variables at build time, e.g.
+ *   REACT_APP_API_BASE_URL=https://sho.rt npm run build
+ */
+
+const toInt = (value, fallback) => {
+  const number = parseInt(value);
+  return isNaN(number) ? fallback : number;
+};
+
+const config = {
+  // Backend origin for API requests
+  apiBaseUrl: (process.env.REACT_APP_API_BASE_URL || 'http://localhost:8000').replace(/\/+$/, ''),
+  // Remote log service; logs go to the browser console when unset
+  logServiceUrl: (process.env.REACT_APP_LOG_SERVICE_URL || '').replace(/\/+$/, ''),
+  // Must match the backend limits (DEFAULT_VALIDITY_MINUTES, MAX_VALIDITY_MINUTES, SHORTCODE_*_LENGTH)
+  validity: {
+    defaultMinutes: toInt(process.env.REACT_APP_DEFAULT_VALIDITY_MINUTES, 30),
+    maxMinutes: toInt(process.env.REACT_APP_MAX_VALIDITY_MINUTES, 10080)
+  },
+  shortcode: {
+    minLength: toInt(process.env.REACT_APP_SHORTCODE_MIN_LENGTH, 3),
+    maxLength: toInt(process.env.REACT_APP_SHORTCODE_MAX_LENGTH, 20)
+  }
+};
+
+export default config;
@@ -0,0 +1,2 @@
+// Adds jest-dom matchers such as toBeInTheDocument() to every test
+import '@testing-library/jest-dom';
@@ -0,0 +1,128 @@
+import { TextEncoder, TextDecoder } from 'util';
+import { parseEventStream, subscribeToEvents } from '../events';
+
+jest.mock('../logger', () => ({
+  __esModule: true,
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+/**
+ * fetch response whose body yields the given chunks and then stays open
+ */
+const streamResponse = (chunks, status = 200) => {
+  const encoder = new TextEncoder();
+  const pending = chunks.map(chunk => ({ value: encoder.encode(chunk), done: false }));
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    body: {
+      getReader: () => ({
+        read: () => (pending.length ? Promise.resolve(pending.shift()) : new Promise(() => {}))
+      })
+    }
+  };
+};
+
+/**
+ * Let pending promise callbacks run (also under fake timers)
+ */
+const flushPromises = async () => {
+  for (let i = 0; i < 10; i++) {
+    await Promise.resolve();
+  }
+};
+
+// Browsers provide TextDecoder; jsdom does not
+beforeAll(() => {
+  global.TextDecoder = TextDecoder;
+});
+
+afterAll(() => {
+  delete global.TextDecoder;
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+describe('parseEventStream', () => {
+  it('returns complete events and keeps the incomplete rest', () => {
+    const { events, rest } = parseEventStream(
+      ': connected\n\nid: 1\nevent: click\ndata: {"shortcode":"abc"}\n\nid: 2\nevent: cli'
+    );
+
+    expect(events).toEqual([{ id: '1', type: 'click', data: { shortcode: 'abc' } }]);
+    expect(rest).toBe('id: 2\nevent: cli');
+  });
+
+  it('skips heartbeats and messages without an event type', () => {
+    expect(parseEventStream(': heartbeat\n\ndata: {}\n\n').events).toEqual([]);
+  });
+});
+
+describe('subscribeToEvents', () => {
+  it('delivers events split across chunks', async () => {
+    global.fetch = jest.fn().mockResolvedValue(streamResponse([
+      'id: 1\nevent: link-created\nda',
+      'ta: {"shortcode":"abc"}\n\n'
+    ]));
+    const onEvent = jest.fn();
+    const onStatus = jest.fn();
+
+    const close = subscribeToEvents({ onEvent, onStatus });
+
+    await flushPromises();
+    expect(onStatus).toHaveBeenCalledWith('open');
+    expect(onEvent).toHaveBeenCalledWith({ id: '1', type: 'link-created', data: { shortcode: 'abc' } });
+    expect(global.fetch).toHaveBeenCalledWith('http://localhost:8000/api/events', expect.objectContaining({
+      headers: expect.objectContaining({ Accept: 'text/event-stream' })
+    }));
+    close();
+  });
+
+  it('sends the API key stored in the browser', async () => {
+    localStorage.setItem('apiKey', 'usk_test');
+    global.fetch = jest.fn().mockResolvedValue(streamResponse([]));
+
+    const close = subscribeToEvents({ onEvent: jest.fn() });
+
+    await flushPromises();
+    expect(global.fetch).toHaveBeenCalledWith('http://localhost:8000/api/events', expect.objectContaining({
+      headers: expect.objectContaining({ Authorization: 'Bearer usk_test' })
+    }));
+    close();
+    localStorage.removeItem('apiKey');
+  });
+
+  it('gives up when the API key is rejected', async () => {
+    global.fetch = jest.fn().mockResolvedValue(streamResponse([], 401));
+    const onStatus = jest.fn();
+
+    const close = subscribeToEvents({ onEvent: jest.fn(), onStatus });
+
+    await flushPromises();
+    expect(onStatus).toHaveBeenCalledWith('failed');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    close();
+  });
+
+  it('reconnects after a dropped connection', async () => {
+    jest.useFakeTimers();
+    try {
+      global.fetch = jest.fn()
+        .mockRejectedValueOnce(new Error('Network error'))
+        .mockResolvedValueOnce(streamResponse([]));
+      const onStatus = jest.fn();
+
+      const close = subscribeToEvents({ onEvent: jest.fn(), onStatus });
+      await flushPromises();
+      expect(onStatus).toHaveBeenCalledWith('reconnecting');
+
+      jest.advanceTimersByTime(5000);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      close();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
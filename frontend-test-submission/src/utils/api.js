@@ -0,0 +1,21 @@
+import axios from 'axios';
+import config from '../config';
+import { getApiKey } from './apiKey';
+
+/**
+ * Shared HTTP client for the URL shortener backend
+ * Sends the API key entered in the app with every request
+ */
+const api = axios.create({
+  baseURL: config.apiBaseUrl
+});
+
+api.interceptors.request.use((requestConfig) => {
+  const apiKey = getApiKey();
+  if (apiKey) {
+    requestConfig.headers.Authorization = `Bearer ${apiKey}`;
+  }
+  return requestConfig;
+});
+
+export default api;
@@ -0,0 +1,30 @@
+/**
+ * API key storage
+ * The key is entered in the app and kept in localStorage, so it is never built into the
+ * public bundle. public/index.html keeps its key under the same name.
+ */
+
+const STORAGE_KEY = 'apiKey';
+
+/**
+ * The stored API key ('' when none is set or storage is unavailable)
+ */
+export const getApiKey = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEY) || '';
+  } catch (error) {
+    return '';
+  }
+};
+
+/**
+ * Store an API key; an empty key removes it
+ */
+export const setApiKey = (apiKey) => {
+  const trimmed = apiKey.trim();
+  if (trimmed) {
+    localStorage.setItem(STORAGE_KEY, trimmed);
+  } else {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+};
@@ -0,0 +1,110 @@
+import config from '../config';
+import logger from './logger';
+import { getApiKey } from './apiKey';
+
+/**
+ * Live updates from GET /api/events (Server-Sent Events)
+ * EventSource cannot send the API key header, so the stream is read with fetch.
+ */
+
+const RECONNECT_DELAY_MS = 5000;
+
+/**
+ * Split buffered stream text into complete events
+ * @param {string} buffer - Text received so far
+ * @returns {object} {events: [{id, type, data}], rest} where rest is an incomplete trailing message
+ */
+export const parseEventStream = (buffer) => {
+  const messages = buffer.replace(/\r\n?/g, '\n').split('\n\n');
+  const rest = messages.pop();
+  const events = [];
+
+  messages.forEach((message) => {
+    const fields = { data: [] };
+    message.split('\n').forEach((line) => {
+      // Lines starting with ':' are comments (the server's heartbeat)
+      const separator = line.indexOf(':');
+      if (separator <= 0) {
+        return;
+      }
+      const name = line.slice(0, separator);
+      const value = line.slice(separator + 1).replace(/^ /, '');
+      if (name === 'data') {
+        fields.data.push(value);
+      } else {
+        fields[name] = value;
+      }
+    });
+
+    if (fields.event && fields.data.length > 0) {
+      events.push({ id: fields.id, type: fields.event, data: JSON.parse(fields.data.join('\n')) });
+    }
+  });
+
+  return { events, rest };
+};
+
+/**
+ * Receive live events until the returned function is called
+ * Reconnects after a dropped connection; events sent while disconnected are lost.
+ * @param {object} handlers
+ * @param {function} handlers.onEvent - Called with {id, type, data}
+ * @param {function} handlers.onStatus - Called with 'open', 'reconnecting' or 'failed'
+ * @returns {function} Close the stream
+ */
+export const subscribeToEvents = ({ onEvent, onStatus = () => {} }) => {
+  const controller = new AbortController();
+  let retryTimer = null;
+
+  const connect = async () => {
+    try {
+      const apiKey = getApiKey();
+      const response = await fetch(`${config.apiBaseUrl}/api/events`, {
+        headers: {
+          Accept: 'text/event-stream',
+          ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+        },
+        signal: controller.signal
+      });
+
+      // A rejected API key will not start working by retrying
+      if (response.status === 401) {
+        onStatus('failed');
+        logger.error('Live updates rejected: invalid API key', 'events');
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(`Event stream answered ${response.status}`);
+      }
+
+      onStatus('open');
+      logger.info('Live updates connected', 'events');
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) {
+          throw new Error('Event stream ended');
+        }
+        const parsed = parseEventStream(buffer + decoder.decode(value, { stream: true }));
+        buffer = parsed.rest;
+        parsed.events.forEach(event => onEvent(event));
+      }
+    } catch (error) {
+      if (controller.signal.aborted) {
+        return;
+      }
+      onStatus('reconnecting');
+      logger.warn(`Live updates interrupted: ${error.message}`, 'events');
+      retryTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+    }
+  };
+
+  connect();
+  return () => {
+    controller.abort();
+    clearTimeout(retryTimer);
+  };
+};
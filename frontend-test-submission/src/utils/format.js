@@ -0,0 +1,15 @@
+const countryNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+/**
+ * Format a date for display in the browser's locale
+ */
+export const formatDate = (isoString) => {
+  return new Date(isoString).toLocaleString();
+};
+
+/**
+ * Country name for an ISO 3166 code (the API reports unresolved locations as 'Unknown')
+ */
+export const formatCountry = (code) => {
+  return /^[A-Z]{2}$/.test(code) ? countryNames.of(code) : code;
+};
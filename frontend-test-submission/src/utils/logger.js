@@ -1,12 +1,14 @@
 import axios from 'axios';
+import config from '../config';
 
 /**
  * Frontend Logger Utility
  * Integrates with the custom logging middleware for browser-side logging
+ * Logs go to the browser console unless REACT_APP_LOG_SERVICE_URL is set
  */
 class FrontendLogger {
   constructor() {
-    this.baseURL = 'http://20.244.56.144';
+    this.baseURL = config.logServiceUrl;
     this.token = null;
     this.clientID = null;
     this.clientSecret = null;
@@ -14,7 +16,9 @@ class FrontendLogger {
     this.isAuthenticated = false;
     
     // Initialize logger on creation
-    this.initialize();
+    if (this.baseURL) {
+      this.initialize();
+    }
   }
 
   /**
@@ -89,6 +93,13 @@ class FrontendLogger {
    * @param {object} stack - Stack trace (optional)
    */
   async log(level, message, component, stack = null) {
+    // Without a log service, fall back to the browser console
+    if (!this.baseURL) {
+      const method = console[level] || console.log;
+      method(`[${component}] ${message}`);
+      return true;
+    }
+
     // Ensure we're authenticated before logging
     if (!this.isAuthenticated) {
       if (!await this.authenticate()) {
@@ -0,0 +1,250 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { CustomLogger, HttpTransport, MemoryTransport } = require('../logger');
+const { runWithContext } = require('../context');
+
+/**
+ * Local stand-in for the evaluation log service
+ * Records every request; `respond` overrides the answer for /logs.
+ */
+const startStubService = async () => {
+  const service = {
+    requests: [],
+    logs: [],
+    tokens: 0,
+    respond: null
+  };
+
+  service.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const data = body ? JSON.parse(body) : {};
+      service.requests.push({ url: req.url, headers: req.headers, body: data });
+      const reply = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+
+      if (req.url === '/evaluation-service/register') {
+        return reply(200, { clientID: 'client', clientSecret: 'secret' });
+      }
+
+      if (req.url === '/evaluation-service/auth') {
+        if (data.clientID !== 'client' || data.clientSecret !== 'secret') {
+          return reply(401, { message: 'bad credentials' });
+        }
+        service.tokens++;
+        return reply(200, { token: `token-${service.tokens}` });
+      }
+
+      if (req.url === '/evaluation-service/logs') {
+        const override = service.respond && service.respond(req, data);
+        if (override) {
+          return reply(override, { message: 'stubbed failure' });
+        }
+        if (req.headers.authorization !== `Bearer token-${service.tokens}`) {
+          return reply(401, { message: 'token expired' });
+        }
+        service.logs.push(data);
+        return reply(200, { logID: service.logs.length });
+      }
+
+      reply(404, {});
+    });
+  });
+
+  await new Promise(resolve => service.server.listen(0, '127.0.0.1', resolve));
+  service.url = `http://127.0.0.1:${service.server.address().port}`;
+  return service;
+};
+
+describe('CustomLogger with the HTTP transport', () => {
+  let service;
+  let logger;
+
+  beforeEach(async () => {
+    service = await startStubService();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    if (logger) {
+      await logger.close();
+      logger = null;
+    }
+    await new Promise(resolve => service.server.close(resolve));
+    jest.restoreAllMocks();
+  });
+
+  const createHttpLogger = (options = {}) => new CustomLogger({
+    transports: [new HttpTransport({ baseURL: service.url, registerRetryInterval: 0 })],
+    flushInterval: 10000,
+    retryBaseDelay: 1,
+    maxRetries: 2,
+    ...options
+  });
+
+  it('registers, authenticates and delivers entries with the Bearer token', async () => {
+    logger = createHttpLogger();
+
+    logger.info('first', 'test-suite');
+    logger.error('second', 'test-suite', 'stack trace');
+    await logger.flush();
+
+    expect(service.requests.map(request => request.url)).toEqual([
+      '/evaluation-service/register',
+      '/evaluation-service/auth',
+      '/evaluation-service/logs',
+      '/evaluation-service/logs'
+    ]);
+    expect(service.logs).toEqual([
+      expect.objectContaining({ level: 'info', message: 'first', package: 'test-suite', stack: null }),
+      expect.objectContaining({ level: 'error', message: 'second', package: 'test-suite', stack: 'stack trace' })
+    ]);
+    expect(logger.getStats()).toMatchObject({ enqueued: 2, delivered: 2, failed: 0, queued: 0 });
+  });
+
+  it('re-authenticates once when the token is rejected', async () => {
+    logger = createHttpLogger();
+    logger.info('before', 'test-suite');
+    await logger.flush();
+
+    // Invalidate the current token on the service side
+    service.tokens++;
+    logger.info('after', 'test-suite');
+    await logger.flush();
+
+    expect(service.logs.map(entry => entry.message)).toEqual(['before', 'after']);
+    expect(service.requests.filter(request => request.url === '/evaluation-service/auth')).toHaveLength(2);
+  });
+
+  it('retries failed deliveries with backoff', async () => {
+    let failures = 2;
+    service.respond = () => (failures-- > 0 ? 503 : null);
+    logger = createHttpLogger();
+
+    logger.warn('eventually', 'test-suite');
+    await logger.flush();
+
+    expect(service.logs.map(entry => entry.message)).toEqual(['eventually']);
+    expect(logger.getStats()).toMatchObject({ delivered: 1, retried: 2, failed: 0 });
+  });
+
+  it('reports entries as failed once retries are exhausted', async () => {
+    service.respond = () => 500;
+    logger = createHttpLogger();
+
+    logger.error('lost', 'test-suite');
+    await logger.flush();
+
+    expect(service.logs).toHaveLength(0);
+    expect(logger.getStats()).toMatchObject({ delivered: 0, retried: 2, failed: 1 });
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('[log delivery failed: http]'));
+  });
+
+  it('spools undelivered entries and replays them once the service recovers', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-test-'));
+    const spoolFile = path.join(dir, 'spool.jsonl');
+    service.respond = () => 500;
+    logger = createHttpLogger({ spoolFile, maxRetries: 0 });
+
+    try {
+      logger.info('spooled', 'test-suite');
+      await logger.flush();
+      expect(logger.getStats().spooled).toBe(1);
+      expect(fs.readFileSync(spoolFile, 'utf8')).toContain('spooled');
+
+      service.respond = null;
+      logger.info('trigger', 'test-suite');
+      await logger.flush();
+      logger.info('replay', 'test-suite');
+      await logger.flush();
+
+      expect(service.logs.map(entry => entry.message)).toEqual(['trigger', 'replay', 'spooled']);
+      expect(fs.existsSync(spoolFile)).toBe(false);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('skips entries below the transport level', async () => {
+    logger = new CustomLogger({
+      level: 'debug',
+      transports: [new HttpTransport({ baseURL: service.url, level: 'warn' })],
+      flushInterval: 10000
+    });
+
+    logger.info('ignored', 'test-suite');
+    logger.warn('sent', 'test-suite');
+    await logger.flush();
+
+    expect(service.logs.map(entry => entry.message)).toEqual(['sent']);
+  });
+});
+
+describe('CustomLogger queueing', () => {
+  it('returns before delivery and adds the request ID from the context', async () => {
+    const memory = new MemoryTransport();
+    const logger = new CustomLogger({ transports: [memory], flushInterval: 10000 });
+
+    runWithContext({ requestId: 'req-1' }, () => {
+      expect(logger.info('inside', 'test-suite')).toBe(true);
+    });
+    logger.info('outside', 'test-suite');
+    expect(memory.entries).toHaveLength(0);
+
+    await logger.close();
+    expect(memory.entries.map(entry => [entry.message, entry.requestId])).toEqual([
+      ['inside', 'req-1'],
+      ['outside', undefined]
+    ]);
+  });
+
+  it('drops entries below the logger level', async () => {
+    const memory = new MemoryTransport();
+    const logger = new CustomLogger({ level: 'warn', transports: [memory] });
+
+    expect(logger.debug('no', 'test-suite')).toBe(false);
+    expect(logger.info('no', 'test-suite')).toBe(false);
+    expect(logger.error('yes', 'test-suite')).toBe(true);
+
+    await logger.close();
+    expect(memory.entries.map(entry => entry.level)).toEqual(['error']);
+  });
+
+  it('rejects entries logged after close with a warning', async () => {
+    const memory = new MemoryTransport();
+    const logger = new CustomLogger({ transports: [memory] });
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await logger.close();
+
+    try {
+      expect(logger.error('too late', 'test-suite')).toBe(false);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('[ERROR] test-suite: too late'));
+      expect(logger.getStats()).toMatchObject({ dropped: 1, queued: 0 });
+      expect(memory.entries).toHaveLength(0);
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  it.each([
+    ['drop-oldest', ['2', '3']],
+    ['drop-newest', ['1', '2']]
+  ])('applies the %s policy when the queue is full', async (dropPolicy, kept) => {
+    const memory = new MemoryTransport();
+    const logger = new CustomLogger({ transports: [memory], maxQueueSize: 2, dropPolicy, flushInterval: 10000 });
+
+    ['1', '2', '3'].forEach(message => logger.info(message, 'test-suite'));
+
+    await logger.close();
+    expect(memory.entries.map(entry => entry.message)).toEqual(kept);
+    expect(logger.getStats().dropped).toBe(1);
+  });
+});
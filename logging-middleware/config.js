@@ -0,0 +1,150 @@
+/**
+ * Logger configuration from environment variables
+ *
+ *   LOG_LEVEL            Minimum level for all transports (debug, info, warn, error; default: info)
+ *   LOG_TRANSPORTS       Comma separated list of transports (console, file, http, memory; default: console)
+ *   LOG_CONSOLE_LEVEL    Minimum level for the console transport
+ *   LOG_FILE             JSON-lines file path (default: logs/app.log)
+ *   LOG_FILE_MAX_SIZE    Rotate after this many bytes (default: 10485760)
+ *   LOG_FILE_MAX_FILES   Rotated files to keep (default: 5)
+ *   LOG_FILE_LEVEL       Minimum level for the file transport
+ *   LOG_HTTP_URL         Base URL of the remote log service (required for http)
+ *   LOG_HTTP_TIMEOUT     Request timeout in ms (default: 5000)
+ *   LOG_HTTP_LEVEL       Minimum level for the http transport
+ *   LOG_BATCH_SIZE       Flush as soon as this many entries are queued (default: 50)
+ *   LOG_FLUSH_INTERVAL   Flush timer in ms (default: 1000)
+ *   LOG_MAX_QUEUE        Queue capacity before entries are dropped (default: 10000)
+ *   LOG_DROP_POLICY      drop-oldest or drop-newest (default: drop-oldest)
+ *   LOG_MAX_RETRIES      Delivery retries per batch (default: 5)
+ *   LOG_RETRY_DELAY      First retry delay in ms, doubled per attempt (default: 500)
+ *   LOG_SPOOL_FILE       Keep undeliverable entries on disk and replay them (optional)
+ */
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40
+};
+
+/**
+ * Validate an optional level name
+ * @param {string} value - Level name
+ * @param {string} name - Variable name for the error message
+ * @returns {string|null} Normalized level or null when unset
+ */
+const parseLevel = (value, name) => {
+  if (!value) {
+    return null;
+  }
+
+  const level = value.toLowerCase();
+  if (!LEVELS[level]) {
+    throw new Error(`${name} must be one of ${Object.keys(LEVELS).join(', ')}`);
+  }
+  return level;
+};
+
+/**
+ * Parse an optional positive integer
+ * @param {string} value - Raw value
+ * @param {string} name - Variable name for the error message
+ * @returns {number|undefined} Parsed number or undefined when unset
+ */
+const parsePositiveInt = (value, name) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+
+  const number = parseInt(value);
+  if (isNaN(number) || number < 1) {
+    throw new Error(`${name} must be a positive integer`);
+  }
+  return number;
+};
+
+/**
+ * Parse an optional non-negative integer
+ * @param {string} value - Raw value
+ * @param {string} name - Variable name for the error message
+ * @returns {number|undefined} Parsed number or undefined when unset
+ */
+const parseNonNegativeInt = (value, name) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+
+  const number = parseInt(value);
+  if (isNaN(number) || number < 0) {
+    throw new Error(`${name} must be a non-negative integer`);
+  }
+  return number;
+};
+
+/**
+ * Build logger options from environment variables
+ * @param {object} env - Environment (default: process.env)
+ * @returns {object} {level, transports: [{type, options}], buffering options}
+ */
+const loadLoggerConfig = (env = process.env) => {
+  const level = parseLevel(env.LOG_LEVEL, 'LOG_LEVEL') || 'info';
+  const types = (env.LOG_TRANSPORTS || 'console')
+    .split(',')
+    .map(type => type.trim().toLowerCase())
+    .filter(Boolean);
+
+  const transports = types.map((type) => {
+    switch (type) {
+      case 'console':
+        return { type, options: { level: parseLevel(env.LOG_CONSOLE_LEVEL, 'LOG_CONSOLE_LEVEL') } };
+      case 'file':
+        return {
+          type,
+          options: {
+            filename: env.LOG_FILE || 'logs/app.log',
+            maxSize: parsePositiveInt(env.LOG_FILE_MAX_SIZE, 'LOG_FILE_MAX_SIZE'),
+            maxFiles: parsePositiveInt(env.LOG_FILE_MAX_FILES, 'LOG_FILE_MAX_FILES'),
+            level: parseLevel(env.LOG_FILE_LEVEL, 'LOG_FILE_LEVEL')
+          }
+        };
+      case 'http':
+        if (!env.LOG_HTTP_URL) {
+          throw new Error('LOG_HTTP_URL is required when the http transport is enabled');
+        }
+        return {
+          type,
+          options: {
+            baseURL: env.LOG_HTTP_URL,
+            timeout: parsePositiveInt(env.LOG_HTTP_TIMEOUT, 'LOG_HTTP_TIMEOUT'),
+            level: parseLevel(env.LOG_HTTP_LEVEL, 'LOG_HTTP_LEVEL')
+          }
+        };
+      case 'memory':
+        return { type, options: {} };
+      default:
+        throw new Error(`Unknown log transport in LOG_TRANSPORTS: ${type}`);
+    }
+  });
+
+  const dropPolicy = env.LOG_DROP_POLICY || undefined;
+  if (dropPolicy && !['drop-oldest', 'drop-newest'].includes(dropPolicy)) {
+    throw new Error('LOG_DROP_POLICY must be drop-oldest or drop-newest');
+  }
+
+  return {
+    level,
+    transports,
+    batchSize: parsePositiveInt(env.LOG_BATCH_SIZE, 'LOG_BATCH_SIZE'),
+    flushInterval: parsePositiveInt(env.LOG_FLUSH_INTERVAL, 'LOG_FLUSH_INTERVAL'),
+    maxQueueSize: parsePositiveInt(env.LOG_MAX_QUEUE, 'LOG_MAX_QUEUE'),
+    dropPolicy,
+    maxRetries: parseNonNegativeInt(env.LOG_MAX_RETRIES, 'LOG_MAX_RETRIES'),
+    retryBaseDelay: parsePositiveInt(env.LOG_RETRY_DELAY, 'LOG_RETRY_DELAY'),
+    spoolFile: env.LOG_SPOOL_FILE || undefined
+  };
+};
+
+module.exports = {
+  LEVELS,
+  loadLoggerConfig
+};
@@ -0,0 +1,31 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Per-request logging context
+ * Anything logged while handling a request can pick up its request ID without
+ * passing it through every call.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with the given context
+ * @param {object} context - Context values (e.g. {requestId})
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+const runWithContext = (context, fn) => {
+  return storage.run(context, fn);
+};
+
+/**
+ * Get the context of the current async execution
+ * @returns {object|undefined} Context values
+ */
+const getContext = () => {
+  return storage.getStore();
+};
+
+module.exports = {
+  runWithContext,
+  getContext
+};
@@ -1,97 +1,110 @@
-const axios = require('axios');
+const { LEVELS, loadLoggerConfig } = require('./config');
+const Spool = require('./spool');
+const { getContext } = require('./context');
+const { createRequestLogger } = require('./middleware');
+const {
+  ConsoleTransport,
+  FileTransport,
+  HttpTransport,
+  MemoryTransport,
+  createTransport
+} = require('./transports');
+
+const DEFAULTS = {
+  batchSize: 50,
+  flushInterval: 1000,
+  maxQueueSize: 10000,
+  dropPolicy: 'drop-oldest',
+  maxRetries: 5,
+  retryBaseDelay: 500,
+  retryMaxDelay: 30000
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 /**
  * Custom Logger Middleware for URL Shortener Microservice
- * Authenticates with AffordMed test server and sends structured logs
+ * Queues structured log entries in memory and delivers them in batches to
+ * pluggable transports (console, file, http, memory), retrying failed
+ * deliveries with exponential backoff.
  */
 class CustomLogger {
-  constructor() {
-    this.baseURL = 'http://20.244.56.144';
-    this.token = null;
-    this.clientID = null;
-    this.clientSecret = null;
-    this.isRegistered = false;
-    this.isAuthenticated = false;
-  }
-
   /**
-   * Register with the test server to get clientID and clientSecret
-   * This should be called once during application startup
+   * @param {object} options
+   * @param {string} options.level - Minimum level to log (default: info)
+   * @param {Array} options.transports - Transport instances
+   * @param {number} options.batchSize - Flush as soon as this many entries are queued (default: 50)
+   * @param {number} options.flushInterval - Flush timer in ms (default: 1000)
+   * @param {number} options.maxQueueSize - Queue capacity (default: 10000)
+   * @param {string} options.dropPolicy - 'drop-oldest' or 'drop-newest' when the queue is full
+   * @param {number} options.maxRetries - Retries per batch and transport (default: 5)
+   * @param {number} options.retryBaseDelay - First retry delay in ms, doubled each attempt (default: 500)
+   * @param {number} options.retryMaxDelay - Upper bound for the retry delay in ms (default: 30000)
+   * @param {string} options.spoolFile - Keep undeliverable entries in this file and replay them later (optional)
    */
-  async register() {
-    try {
-      const response = await axios.post(`${this.baseURL}/evaluation-service/register`, {
-        // Registration payload - adjust as needed based on test server requirements
-      });
-      
-      if (response.data && response.data.clientID && response.data.clientSecret) {
-        this.clientID = response.data.clientID;
-        this.clientSecret = response.data.clientSecret;
-        this.isRegistered = true;
-        console.log('Logger registered successfully');
-        return true;
+  constructor(options = {}) {
+    this.level = options.level || 'info';
+    this.transports = options.transports || [];
+    this.options = { ...DEFAULTS };
+    Object.keys(DEFAULTS).forEach((key) => {
+      if (options[key] !== undefined) {
+        this.options[key] = options[key];
       }
-      
-      throw new Error('Registration failed - invalid response');
-    } catch (error) {
-      console.error('Logger registration failed:', error.message);
-      return false;
+    });
+
+    if (!['drop-oldest', 'drop-newest'].includes(this.options.dropPolicy)) {
+      throw new Error(`Unknown drop policy: ${this.options.dropPolicy}`);
     }
+
+    this.spool = options.spoolFile ? new Spool(options.spoolFile) : null;
+    // Replay whatever a previous process left in the spool on the first flush
+    this.spoolPending = Boolean(this.spool);
+    this.spoolDirty = false;
+    this.queue = [];
+    this.timer = null;
+    this.flushing = null;
+    this.closed = false;
+    this.stats = {
+      enqueued: 0,
+      delivered: 0,
+      dropped: 0,
+      retried: 0,
+      spooled: 0,
+      failed: 0
+    };
   }
 
   /**
-   * Authenticate with the test server to get Bearer token
-   * Must be called before sending any logs
+   * Add a transport at runtime
+   * @param {object} transport - Transport instance
    */
-  async authenticate() {
-    if (!this.isRegistered) {
-      throw new Error('Must register before authenticating');
-    }
+  addTransport(transport) {
+    this.transports.push(transport);
+    return this;
+  }
 
-    try {
-      const response = await axios.post(`${this.baseURL}/evaluation-service/auth`, {
-        clientID: this.clientID,
-        clientSecret: this.clientSecret
-      });
-      
-      if (response.data && response.data.token) {
-        this.token = response.data.token;
-        this.isAuthenticated = true;
-        return true;
-      }
-      
-      throw new Error('Authentication failed - no token received');
-    } catch (error) {
-      console.error('Logger authentication failed:', error.message);
-      this.isAuthenticated = false;
-      return false;
-    }
+  /**
+   * Check whether an entry of the given level passes a minimum level
+   */
+  isLevelEnabled(level, minimum) {
+    return LEVELS[level] >= LEVELS[minimum || 'debug'];
   }
 
   /**
-   * Send a log entry to the test server
+   * Queue a log entry for delivery
+   * Returns immediately - callers never wait for transports.
+   * The request ID of the current request context is added automatically.
    * @param {string} level - Log level (info, error, debug, warn)
    * @param {string} message - Log message
    * @param {string} packageName - Package/module name
    * @param {object} stack - Stack trace (optional)
+   * @returns {boolean} True if the entry was queued
    */
-  async log(level, message, packageName, stack = null) {
-    // If not registered, skip logging silently
-    if (!this.isRegistered) {
+  log(level, message, packageName, stack = null) {
+    if (!this.isLevelEnabled(level, this.level)) {
       return false;
     }
 
-    // Ensure we're authenticated before logging
-    if (!this.isAuthenticated) {
-      try {
-        if (!await this.authenticate()) {
-          return false;
-        }
-      } catch (error) {
-        return false;
-      }
-    }
-
     const logData = {
       level: level,
       message: message,
@@ -100,69 +113,294 @@ class CustomLogger {
       stack: stack
     };
 
+    // Entries logged while handling a request carry its correlation ID
+    const context = getContext();
+    if (context && context.requestId) {
+      logData.requestId = context.requestId;
+    }
+
+    return this.enqueue({ entry: logData, targets: null });
+  }
+
+  /**
+   * Add an item to the queue
+   * After close() nothing is flushed any more, so new entries are rejected and written to
+   * stderr instead.
+   * @param {object} item - {entry, targets: transport names or null for all}
+   * @returns {boolean} True if the item was queued
+   */
+  enqueue(item) {
+    if (this.closed) {
+      const { entry } = item;
+      this.stats.dropped++;
+      console.warn(`[logger closed] ${entry.timestamp} [${entry.level.toUpperCase()}] ${entry.package}: ${entry.message}`);
+      return false;
+    }
+    return this.push(item);
+  }
+
+  /**
+   * Queue an item, applying the drop policy when full, and schedule a flush
+   * Also used for spool replays, which the final flush in close() still delivers.
+   * @param {object} item - {entry, targets}
+   * @returns {boolean} True if the item was queued
+   */
+  push(item) {
+    if (this.queue.length >= this.options.maxQueueSize) {
+      this.stats.dropped++;
+      if (this.options.dropPolicy === 'drop-newest') {
+        return false;
+      }
+      this.queue.shift();
+    }
+
+    this.queue.push(item);
+    this.stats.enqueued++;
+
+    if (this.closed) {
+      return true;
+    }
+
+    if (!this.timer) {
+      this.timer = setInterval(() => this.flush(), this.options.flushInterval);
+      this.timer.unref();
+    }
+
+    if (this.queue.length >= this.options.batchSize) {
+      setImmediate(() => this.flush());
+    }
+
+    return true;
+  }
+
+  /**
+   * Deliver everything currently queued
+   * @param {object} options
+   * @param {boolean} options.retry - Retry failed batches with backoff (default: true)
+   * @returns {Promise<void>} Resolves when the queue has been drained
+   */
+  flush(options = {}) {
+    if (this.flushing) {
+      return this.flushing.then(() => (this.queue.length > 0 ? this.flush(options) : undefined));
+    }
+
+    this.flushing = this.drain(options.retry !== false)
+      .catch((error) => console.error('Log flush failed:', error.message))
+      .finally(() => {
+        this.flushing = null;
+      });
+    return this.flushing;
+  }
+
+  /**
+   * Send queued batches until the queue is empty
+   * @param {boolean} retry - Whether to retry failed batches
+   */
+  async drain(retry) {
+    if (this.spoolPending) {
+      this.spoolPending = false;
+      const spooled = await this.spool.drain();
+      spooled.forEach(item => this.push(item));
+    }
+
+    let failures = 0;
+    while (this.queue.length > 0) {
+      const batch = this.queue.splice(0, this.options.batchSize);
+      failures += await this.deliver(batch, retry);
+    }
+
+    // A clean run means the transports are healthy again: replay the spool next time
+    if (this.spool && failures === 0 && this.spoolDirty) {
+      this.spoolDirty = false;
+      this.spoolPending = true;
+    }
+  }
+
+  /**
+   * Deliver one batch to every transport
+   * @param {Array} batch - Queue items
+   * @param {boolean} retry - Whether to retry failed deliveries
+   * @returns {Promise<number>} Number of undelivered items
+   */
+  async deliver(batch, retry) {
+    const undelivered = [];
+
+    await Promise.all(this.transports.map(async (transport) => {
+      const items = batch.filter(item =>
+        (!item.targets || item.targets.includes(transport.name)) &&
+        this.isLevelEnabled(item.entry.level, transport.level)
+      );
+
+      if (items.length === 0) {
+        return;
+      }
+
+      const remaining = await this.sendWithRetry(transport, items, retry);
+      this.stats.delivered += items.length - remaining.length;
+      remaining.forEach(item => undelivered.push({ entry: item.entry, targets: [transport.name] }));
+    }));
+
+    if (undelivered.length > 0) {
+      await this.handleUndelivered(undelivered);
+    }
+
+    return undelivered.length;
+  }
+
+  /**
+   * Send items to one transport, retrying with exponential backoff
+   * @param {object} transport - Transport instance
+   * @param {Array} items - Queue items
+   * @param {boolean} retry - Whether to retry
+   * @returns {Promise<Array>} Items that could not be delivered
+   */
+  async sendWithRetry(transport, items, retry) {
+    let remaining = items;
+    const attempts = retry ? this.options.maxRetries + 1 : 1;
+
+    for (let attempt = 0; attempt < attempts && remaining.length > 0; attempt++) {
+      if (attempt > 0) {
+        this.stats.retried++;
+        await sleep(Math.min(this.options.retryBaseDelay * 2 ** (attempt - 1), this.options.retryMaxDelay));
+      }
+      remaining = await this.send(transport, remaining);
+    }
+
+    return remaining;
+  }
+
+  /**
+   * Send items to one transport once
+   * @param {object} transport - Transport instance
+   * @param {Array} items - Queue items
+   * @returns {Promise<Array>} Items that were not delivered
+   */
+  async send(transport, items) {
     try {
-      const response = await axios.post(`${this.baseURL}/evaluation-service/logs`, logData, {
-        headers: {
-          'Authorization': `Bearer ${this.token}`,
-          'Content-Type': 'application/json'
+      if (typeof transport.writeBatch === 'function') {
+        return (await transport.writeBatch(items.map(item => item.entry))) ? [] : items;
+      }
+
+      for (let i = 0; i < items.length; i++) {
+        if (!(await transport.write(items[i].entry))) {
+          return items.slice(i);
         }
-      });
-      
-      return response.status === 200;
+      }
+      return [];
     } catch (error) {
-      // If token expired, try to re-authenticate once
-      if (error.response && error.response.status === 401) {
-        this.isAuthenticated = false;
-        if (await this.authenticate()) {
-          return this.log(level, message, packageName, stack);
-        }
+      return items;
+    }
+  }
+
+  /**
+   * Spool undeliverable items, or print them so they are never dropped silently
+   * @param {Array} items - Queue items with their failed transport as target
+   */
+  async handleUndelivered(items) {
+    if (this.spool) {
+      try {
+        await this.spool.append(items);
+        this.stats.spooled += items.length;
+        this.spoolDirty = true;
+        return;
+      } catch (error) {
+        console.error('Failed to write log spool:', error.message);
       }
-      
-      console.error('Failed to send log:', error.message);
-      return false;
     }
+
+    this.stats.failed += items.length;
+    items.forEach(({ entry, targets }) => {
+      console.error(`[log delivery failed: ${targets.join(',')}] ${entry.timestamp} [${entry.level.toUpperCase()}] ${entry.package}: ${entry.message}`);
+    });
+  }
+
+  /**
+   * Delivery counters
+   * @returns {object} {enqueued, delivered, dropped, retried, spooled, failed, queued}
+   */
+  getStats() {
+    return { ...this.stats, queued: this.queue.length };
+  }
+
+  /**
+   * Stop the flush timer and deliver what is left without backoff
+   * Undeliverable entries still go to the spool when one is configured.
+   */
+  async close() {
+    this.closed = true;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await this.flush({ retry: false });
+  }
+
+  /**
+   * Flush queued entries when the event loop drains
+   * Opt-in for processes that end on their own; signal handling is left to the
+   * application, which should call close() as part of its shutdown.
+   */
+  flushOnExit() {
+    process.on('beforeExit', () => {
+      if (this.queue.length > 0) {
+        this.flush({ retry: false });
+      }
+    });
+    return this;
   }
 
   /**
    * Log info level message
    */
-  async info(message, packageName, stack = null) {
+  info(message, packageName, stack = null) {
     return this.log('info', message, packageName, stack);
   }
 
   /**
    * Log error level message
    */
-  async error(message, packageName, stack = null) {
+  error(message, packageName, stack = null) {
     return this.log('error', message, packageName, stack);
   }
 
   /**
    * Log debug level message
    */
-  async debug(message, packageName, stack = null) {
+  debug(message, packageName, stack = null) {
     return this.log('debug', message, packageName, stack);
   }
 
   /**
    * Log warning level message
    */
-  async warn(message, packageName, stack = null) {
+  warn(message, packageName, stack = null) {
     return this.log('warn', message, packageName, stack);
   }
 }
 
-// Create singleton instance
-const logger = new CustomLogger();
+/**
+ * Create a logger from configuration
+ * @param {object} config - {level, transports: [{type, options}], buffering options} (default: from environment)
+ * @returns {CustomLogger} Logger instance
+ */
+const createLogger = (config = loadLoggerConfig()) => {
+  const { transports, ...options } = config;
+  return new CustomLogger({
+    ...options,
+    transports: transports.map(({ type, options }) => createTransport(type, options))
+  });
+};
 
-// Initialize logger on first require (gracefully handle failures)
-(async () => {
-  try {
-    await logger.register();
-  } catch (error) {
-    // Silently fail and continue - external logging service might be unavailable
-    console.log('Note: External logging service not available, continuing without remote logging');
-  }
-})();
+// Create singleton instance from environment configuration
+const logger = createLogger();
 
-module.exports = logger;
\ No newline at end of file
+module.exports = logger;
+module.exports.CustomLogger = CustomLogger;
+module.exports.createLogger = createLogger;
+module.exports.createTransport = createTransport;
+module.exports.createRequestLogger = createRequestLogger;
+module.exports.requestLogger = (options = {}) => createRequestLogger({ logger, ...options });
+module.exports.ConsoleTransport = ConsoleTransport;
+module.exports.FileTransport = FileTransport;
+module.exports.HttpTransport = HttpTransport;
+module.exports.MemoryTransport = MemoryTransport;
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const { runWithContext } = require('./context');
+
+// Incoming IDs are echoed into logs and headers, so only accept safe values
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Create an Express middleware that assigns request IDs and logs every request
+ *
+ * - Honours a valid incoming request ID header or generates a UUID
+ * - Exposes it as req.id and echoes it in the response header
+ * - Runs the rest of the request inside a logging context, so every
+ *   logger call made while handling it includes `requestId`
+ * - Logs method, path, status, latency and shortcode when the response finishes
+ *
+ * @param {object} options
+ * @param {object} options.logger - Logger instance
+ * @param {string} options.header - Request ID header (default: X-Request-Id)
+ * @param {string} options.packageName - Package name for request log entries (default: http)
+ * @param {Function} options.generateId - ID generator (default: crypto.randomUUID)
+ * @returns {Function} Express middleware
+ */
+const createRequestLogger = (options = {}) => {
+  const {
+    logger,
+    header = 'X-Request-Id',
+    packageName = 'http',
+    generateId = crypto.randomUUID
+  } = options;
+
+  if (!logger) {
+    throw new Error('createRequestLogger requires a logger');
+  }
+
+  return (req, res, next) => {
+    const incoming = req.get(header);
+    const requestId = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : generateId();
+    const startedAt = process.hrtime.bigint();
+
+    req.id = requestId;
+    res.setHeader(header, requestId);
+
+    res.on('finish', () => {
+      const latencyMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+      const shortcode = res.locals.shortcode || (req.params && req.params.shortcode);
+      const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+      let message = `${req.method} ${req.originalUrl} ${res.statusCode} ${latencyMs.toFixed(1)}ms`;
+      if (shortcode) {
+        message += ` shortcode=${shortcode}`;
+      }
+
+      runWithContext({ requestId }, () => logger.log(level, message, packageName));
+    });
+
+    runWithContext({ requestId }, next);
+  };
+};
+
+module.exports = {
+  createRequestLogger
+};
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * On-disk spool for log entries that could not be delivered
+ * Stores one JSON object per line: {targets: [transportName], entry}
+ */
+class Spool {
+  /**
+   * @param {string} filename - Spool file path
+   */
+  constructor(filename) {
+    this.filename = path.resolve(filename);
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Append undelivered items
+   * @param {Array} items - Queue items ({entry, targets})
+   */
+  append(items) {
+    const lines = items.map(item => `${JSON.stringify(item)}\n`).join('');
+    const result = this.queue.then(async () => {
+      await fs.promises.mkdir(path.dirname(this.filename), { recursive: true });
+      await fs.promises.appendFile(this.filename, lines);
+    });
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Read and remove all spooled items
+   * @returns {Promise<Array>} Spooled queue items
+   */
+  drain() {
+    const result = this.queue.then(async () => {
+      let content;
+      try {
+        content = await fs.promises.readFile(this.filename, 'utf8');
+      } catch (error) {
+        return [];
+      }
+
+      await fs.promises.unlink(this.filename);
+      return content
+        .split('\n')
+        .filter(Boolean)
+        .map((line) => {
+          try {
+            return JSON.parse(line);
+          } catch (error) {
+            return null;
+          }
+        })
+        .filter(item => item && item.entry);
+    });
+    this.queue = result.catch(() => {});
+    return result;
+  }
+}
+
+module.exports = Spool;
@@ -0,0 +1,38 @@
+/**
+ * Console transport
+ * Writes human readable lines to stdout (errors and warnings to stderr)
+ */
+class ConsoleTransport {
+  /**
+   * @param {object} options
+   * @param {string} options.level - Minimum level for this transport (optional)
+   * @param {object} options.stdout - Stream for info/debug (default: process.stdout)
+   * @param {object} options.stderr - Stream for warn/error (default: process.stderr)
+   */
+  constructor(options = {}) {
+    this.name = 'console';
+    this.level = options.level || null;
+    this.stdout = options.stdout || process.stdout;
+    this.stderr = options.stderr || process.stderr;
+  }
+
+  /**
+   * Write a log entry
+   * @param {object} entry - Log entry
+   * @returns {Promise<boolean>} True if written
+   */
+  async write(entry) {
+    const stream = entry.level === 'error' || entry.level === 'warn' ? this.stderr : this.stdout;
+    let line = `${entry.timestamp} [${entry.level.toUpperCase()}] ${entry.package}: ${entry.message}`;
+    if (entry.requestId) {
+      line += ` (request ${entry.requestId})`;
+    }
+    if (entry.stack) {
+      line += `\n${entry.stack}`;
+    }
+    stream.write(`${line}\n`);
+    return true;
+  }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Rotating JSON-lines file transport
+ * Appends one JSON object per line; when the file would exceed maxSize it is
+ * renamed to `<file>.1` (older files shift up to `<file>.<maxFiles>`).
+ */
+class FileTransport {
+  /**
+   * @param {object} options
+   * @param {string} options.filename - Path of the active log file
+   * @param {number} options.maxSize - Rotate when the file would exceed this many bytes (default: 10 MB)
+   * @param {number} options.maxFiles - Number of rotated files to keep (default: 5)
+   * @param {string} options.level - Minimum level for this transport (optional)
+   */
+  constructor(options = {}) {
+    if (!options.filename) {
+      throw new Error('FileTransport requires a filename');
+    }
+
+    this.name = 'file';
+    this.level = options.level || null;
+    this.filename = path.resolve(options.filename);
+    this.maxSize = options.maxSize || 10 * 1024 * 1024;
+    this.maxFiles = options.maxFiles || 5;
+    this.size = null;
+    // Writes are chained so rotation never interleaves with an append
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Write a log entry
+   * @param {object} entry - Log entry
+   * @returns {Promise<boolean>} True if written
+   */
+  write(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+    const result = this.queue.then(() => this.append(line));
+    this.queue = result.catch(() => {});
+    return result.then(() => true, (error) => {
+      console.error('Failed to write log file:', error.message);
+      return false;
+    });
+  }
+
+  /**
+   * Write several log entries with a single append
+   * @param {Array} entries - Log entries
+   * @returns {Promise<boolean>} True if written
+   */
+  writeBatch(entries) {
+    const lines = entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+    const result = this.queue.then(() => this.append(lines));
+    this.queue = result.catch(() => {});
+    return result.then(() => true, (error) => {
+      console.error('Failed to write log file:', error.message);
+      return false;
+    });
+  }
+
+  /**
+   * Append a line, rotating first if needed
+   * @param {string} line - Serialized entry
+   */
+  async append(line) {
+    if (this.size === null) {
+      await fs.promises.mkdir(path.dirname(this.filename), { recursive: true });
+      try {
+        this.size = (await fs.promises.stat(this.filename)).size;
+      } catch (error) {
+        this.size = 0;
+      }
+    }
+
+    const bytes = Buffer.byteLength(line);
+    if (this.size > 0 && this.size + bytes > this.maxSize) {
+      await this.rotate();
+    }
+
+    await fs.promises.appendFile(this.filename, line);
+    this.size += bytes;
+  }
+
+  /**
+   * Shift rotated files and move the active file to `<file>.1`
+   */
+  async rotate() {
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      try {
+        await fs.promises.rename(`${this.filename}.${i}`, `${this.filename}.${i + 1}`);
+      } catch (error) {
+        // Missing rotated files are expected until the set is full
+      }
+    }
+
+    await fs.promises.rename(this.filename, `${this.filename}.1`);
+    this.size = 0;
+  }
+}
+
+module.exports = FileTransport;
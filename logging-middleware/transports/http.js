@@ -0,0 +1,145 @@
+const axios = require('axios');
+
+/**
+ * HTTP transport for the evaluation log service
+ * Registers to get clientID/clientSecret, authenticates for a Bearer token and
+ * re-authenticates once when the service answers 401.
+ */
+class HttpTransport {
+  /**
+   * @param {object} options
+   * @param {string} options.baseURL - Log service base URL
+   * @param {number} options.timeout - Request timeout in ms (default: 5000)
+   * @param {number} options.registerRetryInterval - Wait before retrying a failed registration in ms (default: 60000)
+   * @param {string} options.level - Minimum level for this transport (optional)
+   */
+  constructor(options = {}) {
+    if (!options.baseURL) {
+      throw new Error('HttpTransport requires a baseURL');
+    }
+
+    this.name = 'http';
+    this.level = options.level || null;
+    this.baseURL = options.baseURL.replace(/\/+$/, '');
+    this.timeout = options.timeout || 5000;
+    this.registerRetryInterval = options.registerRetryInterval !== undefined ? options.registerRetryInterval : 60000;
+    this.token = null;
+    this.clientID = null;
+    this.clientSecret = null;
+    this.isRegistered = false;
+    this.isAuthenticated = false;
+    this.lastRegisterAttempt = 0;
+  }
+
+  /**
+   * Register with the log service to get clientID and clientSecret
+   */
+  async register() {
+    this.lastRegisterAttempt = Date.now();
+
+    try {
+      const response = await axios.post(`${this.baseURL}/evaluation-service/register`, {
+        // Registration payload - adjust as needed based on test server requirements
+      }, { timeout: this.timeout });
+      
+      if (response.data && response.data.clientID && response.data.clientSecret) {
+        this.clientID = response.data.clientID;
+        this.clientSecret = response.data.clientSecret;
+        this.isRegistered = true;
+        return true;
+      }
+      
+      throw new Error('Registration failed - invalid response');
+    } catch (error) {
+      console.error('Logger registration failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Authenticate with the log service to get a Bearer token
+   */
+  async authenticate() {
+    if (!this.isRegistered) {
+      throw new Error('Must register before authenticating');
+    }
+
+    try {
+      const response = await axios.post(`${this.baseURL}/evaluation-service/auth`, {
+        clientID: this.clientID,
+        clientSecret: this.clientSecret
+      }, { timeout: this.timeout });
+      
+      if (response.data && response.data.token) {
+        this.token = response.data.token;
+        this.isAuthenticated = true;
+        return true;
+      }
+      
+      throw new Error('Authentication failed - no token received');
+    } catch (error) {
+      console.error('Logger authentication failed:', error.message);
+      this.isAuthenticated = false;
+      return false;
+    }
+  }
+
+  /**
+   * Make sure we are registered and hold a token
+   * @returns {Promise<boolean>} True if ready to send
+   */
+  async ensureAuthenticated() {
+    if (!this.isRegistered) {
+      // Don't hammer an unreachable service with a registration per log line
+      if (Date.now() - this.lastRegisterAttempt < this.registerRetryInterval) {
+        return false;
+      }
+      if (!await this.register()) {
+        return false;
+      }
+    }
+
+    if (!this.isAuthenticated) {
+      return this.authenticate();
+    }
+
+    return true;
+  }
+
+  /**
+   * Send a log entry
+   * @param {object} entry - Log entry
+   * @param {boolean} retried - Whether this is the retry after a 401
+   * @returns {Promise<boolean>} True if accepted by the service
+   */
+  async write(entry, retried = false) {
+    if (!await this.ensureAuthenticated()) {
+      return false;
+    }
+
+    try {
+      const response = await axios.post(`${this.baseURL}/evaluation-service/logs`, entry, {
+        timeout: this.timeout,
+        headers: {
+          'Authorization': `Bearer ${this.token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+      
+      return response.status === 200;
+    } catch (error) {
+      // If token expired, try to re-authenticate once
+      if (!retried && error.response && error.response.status === 401) {
+        this.isAuthenticated = false;
+        if (await this.authenticate()) {
+          return this.write(entry, true);
+        }
+      }
+      
+      console.error('Failed to send log:', error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = HttpTransport;
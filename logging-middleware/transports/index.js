@@ -0,0 +1,39 @@
+const ConsoleTransport = require('./console');
+const FileTransport = require('./file');
+const HttpTransport = require('./http');
+const MemoryTransport = require('./memory');
+
+/**
+ * Transport registry
+ * Every transport implements `write(entry) => Promise<boolean>`, may implement
+ * `writeBatch(entries) => Promise<boolean>` for all-or-nothing batch delivery
+ * and may set a `level` to receive only entries at or above it.
+ */
+const transports = {
+  console: ConsoleTransport,
+  file: FileTransport,
+  http: HttpTransport,
+  memory: MemoryTransport
+};
+
+/**
+ * Create a transport from its registered type name
+ * @param {string} type - Transport type (console, file, http, memory)
+ * @param {object} options - Transport options
+ * @returns {object} Transport instance
+ */
+const createTransport = (type, options = {}) => {
+  const Transport = transports[type];
+  if (!Transport) {
+    throw new Error(`Unknown log transport: ${type}`);
+  }
+  return new Transport(options);
+};
+
+module.exports = {
+  ConsoleTransport,
+  FileTransport,
+  HttpTransport,
+  MemoryTransport,
+  createTransport
+};
@@ -0,0 +1,44 @@
+/**
+ * In-memory transport
+ * Keeps entries in an array; intended for tests
+ */
+class MemoryTransport {
+  /**
+   * @param {object} options
+   * @param {string} options.level - Minimum level for this transport (optional)
+   */
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.level = options.level || null;
+    this.entries = [];
+  }
+
+  /**
+   * Write a log entry
+   * @param {object} entry - Log entry
+   * @returns {Promise<boolean>} True if written
+   */
+  async write(entry) {
+    this.entries.push(entry);
+    return true;
+  }
+
+  /**
+   * Write several log entries
+   * @param {Array} entries - Log entries
+   * @returns {Promise<boolean>} True if written
+   */
+  async writeBatch(entries) {
+    this.entries.push(...entries);
+    return true;
+  }
+
+  /**
+   * Remove all captured entries
+   */
+  clear() {
+    this.entries = [];
+  }
+}
+
+module.exports = MemoryTransport;